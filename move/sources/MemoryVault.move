@@ -1,22 +1,46 @@
 /// MemoryVault - Store and prove ownership of memories on Aptos
-/// 
+///
 /// This module allows users to:
 /// - Store IPFS hashes of their encrypted memories
 /// - Prove ownership with timestamps
 /// - Transfer memories (for inheritance)
+///
+/// Memories live in a SmartTable keyed by id and every owner has an index
+/// of the ids they hold, so lookups, ownership checks and transfers cost
+/// the same no matter how many memories exist. Lists are read through
+/// paginated view functions.
+///
+/// Relayers (e.g. the LifeVault backend) can store memories on behalf of a
+/// user. The relayer becomes the memory's custodian and may transfer it for
+/// the owner (inheritance) until the owner calls `release_custody`.
+///
+/// This storage layout is not compatible with the original vector-based
+/// module; publish it to a fresh address.
 module memory_vault::memory_vault {
     use std::string::String;
     use std::signer;
     use std::vector;
+    use aptos_std::smart_table::{Self, SmartTable};
+    use aptos_std::table::{Self, Table};
+    use aptos_std::table_with_length::{Self, TableWithLength};
     use aptos_framework::timestamp;
     use aptos_framework::event;
-    use aptos_framework::account;
 
     /// Error codes
     const E_NOT_OWNER: u64 = 1;
     const E_MEMORY_NOT_FOUND: u64 = 2;
     const E_INVALID_ADDRESS: u64 = 3;
     const E_ALREADY_INITIALIZED: u64 = 4;
+    const E_NOT_INITIALIZED: u64 = 5;
+    const E_NOT_ADMIN: u64 = 6;
+    const E_NOT_RELAYER: u64 = 7;
+    const E_NOT_CUSTODIAN: u64 = 8;
+
+    /// Largest page returned by the list view functions
+    const MAX_PAGE_SIZE: u64 = 100;
+
+    /// Custodian value for memories only the owner can transfer
+    const NO_CUSTODIAN: address = @0x0;
 
     /// Represents a single memory
     struct Memory has store, drop, copy {
@@ -24,17 +48,26 @@ module memory_vault::memory_vault {
         ipfs_hash: String,
         owner: address,
         timestamp: u64,
+        /// Relayer allowed to transfer on the owner's behalf (@0x0 = none)
+        custodian: address,
     }
 
-    /// Store for all memories - held by module publisher
-    struct MemoryStore has key {
-        memories: vector,
-        total_count: u64,
+    /// Ids held by one owner. Removal swaps the last id into the freed
+    /// slot, so page order can change after a transfer.
+    struct UserIndex has store {
+        /// position -> memory id
+        ids: TableWithLength<u64, u64>,
+        /// memory id -> position
+        positions: Table<u64, u64>,
     }
 
-    /// User's memory IDs - resource stored in user's account
-    struct UserMemories has key {
-        memory_ids: vector,
+    /// Registry of all memories - held by module publisher
+    struct MemoryStore has key {
+        memories: SmartTable<u64, Memory>,
+        user_index: Table<address, UserIndex>,
+        total_count: u64,
+        admin: address,
+        relayers: vector<address>,
     }
 
     /// Events
@@ -53,48 +86,125 @@ module memory_vault::memory_vault {
         to: address,
     }
 
-    /// Initialize the memory store (called once by module publisher)
+    #[event]
+    struct RelayerUpdatedEvent has drop, store {
+        relayer: address,
+        enabled: bool,
+    }
+
+    /// Initialize the memory store (called once by module publisher).
+    /// The publisher is the admin and the first relayer.
     public entry fun initialize(account: &signer) {
         let addr = signer::address_of(account);
-        assert!(!exists(addr), E_ALREADY_INITIALIZED);
-        
+        assert!(addr == @memory_vault, E_NOT_ADMIN);
+        assert!(!exists<MemoryStore>(addr), E_ALREADY_INITIALIZED);
+
         move_to(account, MemoryStore {
-            memories: vector::empty(),
+            memories: smart_table::new(),
+            user_index: table::new(),
             total_count: 0,
+            admin: addr,
+            relayers: vector::singleton(addr),
         });
     }
 
-    /// Store a new memory
+    /// Allow or revoke an account storing memories for users
+    public entry fun set_relayer(
+        admin: &signer,
+        relayer: address,
+        enabled: bool,
+    ) acquires MemoryStore {
+        let store = borrow_store_mut();
+        assert!(signer::address_of(admin) == store.admin, E_NOT_ADMIN);
+
+        let (found, i) = vector::index_of(&store.relayers, &relayer);
+        if (enabled && !found) {
+            vector::push_back(&mut store.relayers, relayer);
+        } else if (!enabled && found) {
+            vector::remove(&mut store.relayers, i);
+        };
+
+        event::emit(RelayerUpdatedEvent { relayer, enabled });
+    }
+
+    /// Store a new memory owned by the signer
     public entry fun store_memory(
         account: &signer,
         ipfs_hash: String,
-    ) acquires MemoryStore, UserMemories {
-        let owner = signer::address_of(account);
-        let store = borrow_global_mut(@memory_vault);
-        
+    ) acquires MemoryStore {
+        add_memory(signer::address_of(account), ipfs_hash, NO_CUSTODIAN);
+    }
+
+    /// Store a new memory for `owner` (relayer pays gas and becomes custodian)
+    public entry fun store_memory_for(
+        relayer: &signer,
+        owner: address,
+        ipfs_hash: String,
+    ) acquires MemoryStore {
+        let relayer_addr = signer::address_of(relayer);
+        assert!(is_relayer(relayer_addr), E_NOT_RELAYER);
+        assert!(owner != @0x0, E_INVALID_ADDRESS);
+
+        add_memory(owner, ipfs_hash, relayer_addr);
+    }
+
+    /// Transfer memory to new owner (signed by the owner)
+    public entry fun transfer_memory(
+        account: &signer,
+        memory_id: u64,
+        new_owner: address,
+    ) acquires MemoryStore {
+        move_memory(signer::address_of(account), memory_id, new_owner, false);
+    }
+
+    /// Transfer memory on the owner's behalf (signed by its custodian)
+    public entry fun transfer_memory_for(
+        custodian: &signer,
+        memory_id: u64,
+        new_owner: address,
+    ) acquires MemoryStore {
+        move_memory(signer::address_of(custodian), memory_id, new_owner, true);
+    }
+
+    /// Owner revokes the custodian's right to transfer the memory
+    public entry fun release_custody(
+        account: &signer,
+        memory_id: u64,
+    ) acquires MemoryStore {
+        let store = borrow_store_mut();
+        assert!(smart_table::contains(&store.memories, memory_id), E_MEMORY_NOT_FOUND);
+
+        let memory = smart_table::borrow_mut(&mut store.memories, memory_id);
+        assert!(memory.owner == signer::address_of(account), E_NOT_OWNER);
+        memory.custodian = NO_CUSTODIAN;
+    }
+
+    // ==========================================
+    // Internal
+    // ==========================================
+
+    fun borrow_store_mut(): &mut MemoryStore acquires MemoryStore {
+        assert!(exists<MemoryStore>(@memory_vault), E_NOT_INITIALIZED);
+        borrow_global_mut<MemoryStore>(@memory_vault)
+    }
+
+    fun add_memory(owner: address, ipfs_hash: String, custodian: address) acquires MemoryStore {
+        let store = borrow_store_mut();
+
         let memory_id = store.total_count + 1;
         let current_time = timestamp::now_seconds();
-        
-        let memory = Memory {
+
+        smart_table::add(&mut store.memories, memory_id, Memory {
             id: memory_id,
             ipfs_hash,
             owner,
             timestamp: current_time,
-        };
-        
-        vector::push_back(&mut store.memories, memory);
+            custodian,
+        });
         store.total_count = memory_id;
-        
-        // Add to user's memory list
-        if (!exists(owner)) {
-            move_to(account, UserMemories {
-                memory_ids: vector::empty(),
-            });
-        };
-        let user_memories = borrow_global_mut(owner);
-        vector::push_back(&mut user_memories.memory_ids, memory_id);
-        
-        // Emit event
+
+        index_add(&mut store.user_index, owner, memory_id);
+
         event::emit(MemoryStoredEvent {
             memory_id,
             owner,
@@ -103,81 +213,173 @@ module memory_vault::memory_vault {
         });
     }
 
-    /// Transfer memory to new owner
-    public entry fun transfer_memory(
-        account: &signer,
+    fun move_memory(
+        sender: address,
         memory_id: u64,
         new_owner: address,
-    ) acquires MemoryStore, UserMemories {
-        let sender = signer::address_of(account);
-        let store = borrow_global_mut(@memory_vault);
-        
-        // Find and update memory
-        let len = vector::length(&store.memories);
-        let i = 0;
-        while (i < len) {
-            let memory = vector::borrow_mut(&mut store.memories, i);
-            if (memory.id == memory_id) {
-                assert!(memory.owner == sender, E_NOT_OWNER);
-                memory.owner = new_owner;
-                
-                // Emit event
-                event::emit(MemoryTransferredEvent {
-                    memory_id,
-                    from: sender,
-                    to: new_owner,
-                });
-                return
-            };
-            i = i + 1;
+        as_custodian: bool,
+    ) acquires MemoryStore {
+        assert!(new_owner != @0x0, E_INVALID_ADDRESS);
+
+        let store = borrow_store_mut();
+        assert!(smart_table::contains(&store.memories, memory_id), E_MEMORY_NOT_FOUND);
+
+        let memory = smart_table::borrow_mut(&mut store.memories, memory_id);
+        if (as_custodian) {
+            assert!(memory.custodian == sender, E_NOT_CUSTODIAN);
+        } else {
+            assert!(memory.owner == sender, E_NOT_OWNER);
+            // The new owner never agreed to the old custodian
+            memory.custodian = NO_CUSTODIAN;
         };
-        abort E_MEMORY_NOT_FOUND
+
+        let from = memory.owner;
+        memory.owner = new_owner;
+
+        if (from != new_owner) {
+            index_remove(&mut store.user_index, from, memory_id);
+            index_add(&mut store.user_index, new_owner, memory_id);
+        };
+
+        event::emit(MemoryTransferredEvent {
+            memory_id,
+            from,
+            to: new_owner,
+        });
     }
 
+    fun index_add(index: &mut Table<address, UserIndex>, owner: address, memory_id: u64) {
+        if (!table::contains(index, owner)) {
+            table::add(index, owner, UserIndex {
+                ids: table_with_length::new(),
+                positions: table::new(),
+            });
+        };
+
+        let user = table::borrow_mut(index, owner);
+        let position = table_with_length::length(&user.ids);
+        table_with_length::add(&mut user.ids, position, memory_id);
+        table::add(&mut user.positions, memory_id, position);
+    }
+
+    fun index_remove(index: &mut Table<address, UserIndex>, owner: address, memory_id: u64) {
+        let user = table::borrow_mut(index, owner);
+        let position = table::remove(&mut user.positions, memory_id);
+        let last = table_with_length::length(&user.ids) - 1;
+        let last_id = table_with_length::remove(&mut user.ids, last);
+
+        // Move the last id into the freed slot
+        if (position != last) {
+            *table_with_length::borrow_mut(&mut user.ids, position) = last_id;
+            *table::borrow_mut(&mut user.positions, last_id) = position;
+        };
+    }
+
+    fun page_end(offset: u64, limit: u64, total: u64): u64 {
+        let size = if (limit > MAX_PAGE_SIZE) { MAX_PAGE_SIZE } else { limit };
+        if (offset >= total || total - offset < size) { total } else { offset + size }
+    }
+
+    // ==========================================
+    // View functions
+    // ==========================================
+
     /// View function: Get memory by ID
     #[view]
     public fun get_memory(memory_id: u64): (String, address, u64) acquires MemoryStore {
-        let store = borrow_global(@memory_vault);
-        let len = vector::length(&store.memories);
-        let i = 0;
-        while (i < len) {
-            let memory = vector::borrow(&store.memories, i);
-            if (memory.id == memory_id) {
-                return (memory.ipfs_hash, memory.owner, memory.timestamp)
-            };
-            i = i + 1;
-        };
-        abort E_MEMORY_NOT_FOUND
+        let memory = get_memory_record(memory_id);
+        (memory.ipfs_hash, memory.owner, memory.timestamp)
+    }
+
+    /// View function: Get the full memory record by ID
+    #[view]
+    public fun get_memory_record(memory_id: u64): Memory acquires MemoryStore {
+        assert!(memory_exists(memory_id), E_MEMORY_NOT_FOUND);
+        *smart_table::borrow(&borrow_global<MemoryStore>(@memory_vault).memories, memory_id)
+    }
+
+    /// View function: Check a memory ID exists
+    #[view]
+    public fun memory_exists(memory_id: u64): bool acquires MemoryStore {
+        exists<MemoryStore>(@memory_vault) &&
+            smart_table::contains(&borrow_global<MemoryStore>(@memory_vault).memories, memory_id)
     }
 
     /// View function: Get total memory count
     #[view]
     public fun get_total_memories(): u64 acquires MemoryStore {
-        borrow_global(@memory_vault).total_count
+        if (!exists<MemoryStore>(@memory_vault)) {
+            return 0
+        };
+        borrow_global<MemoryStore>(@memory_vault).total_count
+    }
+
+    /// View function: Page through all memories by ID, starting at `start_id`
+    #[view]
+    public fun get_memories(start_id: u64, limit: u64): vector<Memory> acquires MemoryStore {
+        let result = vector::empty<Memory>();
+        let total = get_total_memories();
+        if (start_id == 0 || start_id > total) {
+            return result
+        };
+
+        let store = borrow_global<MemoryStore>(@memory_vault);
+        let end = page_end(start_id - 1, limit, total);
+        let id = start_id;
+        while (id <= end) {
+            vector::push_back(&mut result, *smart_table::borrow(&store.memories, id));
+            id = id + 1;
+        };
+        result
     }
 
     /// View function: Verify ownership
     #[view]
     public fun verify_ownership(memory_id: u64, owner: address): bool acquires MemoryStore {
-        let store = borrow_global(@memory_vault);
-        let len = vector::length(&store.memories);
-        let i = 0;
-        while (i < len) {
-            let memory = vector::borrow(&store.memories, i);
-            if (memory.id == memory_id) {
-                return memory.owner == owner
-            };
-            i = i + 1;
+        if (!memory_exists(memory_id)) {
+            return false
         };
-        false
+        smart_table::borrow(&borrow_global<MemoryStore>(@memory_vault).memories, memory_id).owner == owner
     }
 
     /// View function: Get user's memory count
     #[view]
-    public fun get_user_memory_count(user: address): u64 acquires UserMemories {
-        if (!exists(user)) {
+    public fun get_user_memory_count(user: address): u64 acquires MemoryStore {
+        if (!exists<MemoryStore>(@memory_vault)) {
             return 0
         };
-        vector::length(&borrow_global(user).memory_ids)
+        let index = &borrow_global<MemoryStore>(@memory_vault).user_index;
+        if (!table::contains(index, user)) {
+            return 0
+        };
+        table_with_length::length(&table::borrow(index, user).ids)
+    }
+
+    /// View function: Page through the memories a user owns
+    #[view]
+    public fun get_user_memories(user: address, offset: u64, limit: u64): vector<Memory> acquires MemoryStore {
+        let result = vector::empty<Memory>();
+        let total = get_user_memory_count(user);
+        if (offset >= total) {
+            return result
+        };
+
+        let store = borrow_global<MemoryStore>(@memory_vault);
+        let ids = &table::borrow(&store.user_index, user).ids;
+        let end = page_end(offset, limit, total);
+        let i = offset;
+        while (i < end) {
+            let memory_id = *table_with_length::borrow(ids, i);
+            vector::push_back(&mut result, *smart_table::borrow(&store.memories, memory_id));
+            i = i + 1;
+        };
+        result
+    }
+
+    /// View function: Check an account may store memories for users
+    #[view]
+    public fun is_relayer(addr: address): bool acquires MemoryStore {
+        exists<MemoryStore>(@memory_vault) &&
+            vector::contains(&borrow_global<MemoryStore>(@memory_vault).relayers, &addr)
     }
-}
\ No newline at end of file
+}
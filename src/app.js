@@ -6,7 +6,13 @@ import compression from 'compression';
 
 // Middleware
 import { requestLogger, limiter, sanitizeInput } from './middleware/utilityMiddleware.js';
-import { notFound, errorHandler } from './middleware/errorMiddleware.js';
+import { notFound, errorHandler, APIError } from './middleware/errorMiddleware.js';
+
+// Services
+import ipfsService from './services/ipfsService.js';
+import { isValidCID } from './services/storage/cid.js';
+import { contentHeaders } from './utils/contentHeaders.js';
+import { DEFAULTS } from './config/constants.js';
 
 // Import Routes
 import authRoutes from './routes/authRoutes.js';
@@ -16,9 +22,20 @@ import questRoutes from './routes/questRoutes.js';
 import campaignRoutes from './routes/campaignRoutes.js';
 import badgeRoutes from './routes/badgeRoutes.js';
 import storyRoutes from './routes/storyRoutes.js';
+import inheritanceRoutes from './routes/inheritanceRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import organizationRoutes from './routes/organizationRoutes.js';
 
 const app = express();
 
+// Behind a load balancer, req.ip should be the client's address
+// (used by anti-spoofing IP geolocation)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // ==========================================
 // SECURITY MIDDLEWARE
 // ==========================================
@@ -40,7 +57,7 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Share-Password'],
   credentials: true,
   maxAge: 86400, // 24 hours
 }));
@@ -55,8 +72,21 @@ app.use(compression());
 // BODY PARSER & INPUT SANITIZATION
 // ==========================================
 
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Files go through the multipart upload routes, so bodies stay small. The
+// routes below still take base64 data in JSON and get room for it first
+// (a body is only parsed once).
+const base64Limit = (megabytes) => `${Math.ceil(megabytes * 4 / 3) + 1}mb`;
+const photoBody = express.json({ limit: base64Limit(DEFAULTS.MAX_PHOTO_SIZE_MB) });
+
+app.post('/api/memories', express.json({ limit: '50mb' })); // legacy createMemory
+app.post('/api/quests/:id/submit', photoBody);
+app.post('/api/quests/attempts/:attemptId/appeal', express.json({
+  limit: base64Limit(DEFAULTS.MAX_PHOTO_SIZE_MB * DEFAULTS.APPEAL_MAX_PHOTOS)
+}));
+app.post('/api/badges', photoBody);
+
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(sanitizeInput);
 
 // ==========================================
@@ -96,6 +126,11 @@ app.get('/', (req, res) => {
       campaigns: '/api/campaigns',
       badges: '/api/badges',
       stories: '/api/stories',
+      inheritance: '/api/inheritance',
+      admin: '/api/admin',
+      jobs: '/api/jobs',
+      reviews: '/api/reviews',
+      organizations: '/api/organizations',
     },
     documentation: '/api/docs',
   });
@@ -111,6 +146,28 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Local IPFS gateway (filesystem storage provider only)
+if (ipfsService.servesLocalGateway) {
+  app.get('/ipfs/:cid', async (req, res, next) => {
+    try {
+      if (!isValidCID(req.params.cid)) {
+        return next(new APIError('Invalid CID', 400));
+      }
+
+      const file = await ipfsService.getFile(req.params.cid);
+
+      res.set({
+        ...contentHeaders(file.contentType),
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      res.send(file.data);
+    } catch (error) {
+      next(error.statusCode ? new APIError(error.message, error.statusCode) : error);
+    }
+  });
+}
+
 // ==========================================
 // API ROUTES
 // ==========================================
@@ -122,6 +179,11 @@ app.use('/api/quests', questRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/badges', badgeRoutes);
 app.use('/api/stories', storyRoutes);
+app.use('/api/inheritance', inheritanceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // ==========================================
 // API DOCUMENTATION (if needed)
@@ -136,9 +198,33 @@ app.get('/api/docs', (req, res) => {
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
+        walletChallenge: 'GET /api/auth/wallet/challenge?address=',
         wallet: 'POST /api/auth/wallet',
         linkWallet: 'POST /api/auth/link-wallet',
         me: 'GET /api/auth/me',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/verify-email/send',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        magicLink: 'POST /api/auth/magic-link',
+        magicLinkVerify: 'POST /api/auth/magic-link/verify',
+        loginSecondFactor: 'POST /api/auth/login/2fa',
+        loginPasskeyOptions: 'POST /api/auth/login/2fa/webauthn-options',
+        twoFactorStatus: 'GET /api/auth/2fa',
+        totpSetup: 'POST /api/auth/2fa/totp/setup',
+        totpEnable: 'POST /api/auth/2fa/totp/enable',
+        totpDisable: 'DELETE /api/auth/2fa/totp',
+        recoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+        passkeyRegisterOptions: 'POST /api/auth/2fa/webauthn/register-options',
+        passkeyRegister: 'POST /api/auth/2fa/webauthn/register',
+        passkeyRemove: 'DELETE /api/auth/2fa/webauthn/:credentialId',
+        stepUp: 'POST /api/auth/step-up',
+        stepUpPasskeyOptions: 'POST /api/auth/step-up/webauthn-options',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
+        revokeAllSessions: 'DELETE /api/auth/sessions',
       },
       memories: {
         create: 'POST /api/memories',
@@ -146,13 +232,31 @@ app.get('/api/docs', (req, res) => {
         get: 'GET /api/memories/:id',
         delete: 'DELETE /api/memories/:id',
         verify: 'GET /api/memories/:id/verify',
+        chain: 'GET /api/memories/chain',
+        history: 'GET /api/memories/:id/history',
+        transfer: 'POST /api/memories/:id/transfer',
+        relayTransfer: 'POST /api/memories/:id/transfer/relay',
         relay: 'POST /api/memories/relay',
         stats: 'GET /api/memories/stats',
+        startUpload: 'POST /api/memories/uploads',
+        uploadStatus: 'GET /api/memories/uploads/:uploadId',
+        uploadChunk: 'PUT /api/memories/uploads/:uploadId/chunks/:index',
+        completeUpload: 'POST /api/memories/uploads/:uploadId/complete',
+        abortUpload: 'DELETE /api/memories/uploads/:uploadId',
+        download: 'GET /api/memories/:id/download',
+        keys: 'GET /api/memories/keys',
+        rotateKey: 'POST /api/memories/keys/rotate',
+        getPublicKey: 'GET /api/memories/keys/public',
+        registerPublicKey: 'PUT /api/memories/keys/public',
+        memoryKeys: 'GET /api/memories/:id/keys',
+        addMemoryKeys: 'POST /api/memories/:id/keys',
+        removeMemoryKey: 'DELETE /api/memories/:id/keys/:keyId',
       },
       share: {
         create: 'POST /api/share',
         access: 'GET /api/share/:shortCode',
         verify: 'GET /api/share/:shortCode/verify',
+        download: 'GET /api/share/:shortCode/download (X-Share-Password header) or POST with { password }',
         myLinks: 'GET /api/share/user/my-links',
         memoryLinks: 'GET /api/share/memory/:memoryId',
         revoke: 'DELETE /api/share/:shortCode',
@@ -164,6 +268,16 @@ app.get('/api/docs', (req, res) => {
         get: 'GET /api/quests/:id',
         create: 'POST /api/quests',
         attempt: 'POST /api/quests/:id/attempt',
+        fundBudget: 'POST /api/quests/:id/budget',
+        statement: 'GET /api/quests/:id/statement',
+        qrCode: 'GET /api/quests/:id/qr',
+        rotateQrSecret: 'POST /api/quests/:id/qr/rotate',
+        progress: 'GET /api/quests/:id/progress',
+        nfcTags: 'GET /api/quests/:id/nfc-tags',
+        registerNfcTag: 'POST /api/quests/:id/nfc-tags',
+        retireNfcTag: 'DELETE /api/quests/:id/nfc-tags/:tagId',
+        appeal: 'POST /api/quests/attempts/:attemptId/appeal',
+        appealStatus: 'GET /api/quests/attempts/:attemptId/appeal',
         myCompletions: 'GET /api/quests/user/my-completions',
         myQuests: 'GET /api/quests/user/my-quests',
       },
@@ -173,12 +287,18 @@ app.get('/api/docs', (req, res) => {
         create: 'POST /api/campaigns',
         join: 'POST /api/campaigns/:id/join',
         leaderboard: 'GET /api/campaigns/:id/leaderboard',
+        fundBudget: 'POST /api/campaigns/:id/budget',
+        createTreasury: 'POST /api/campaigns/:id/treasury',
+        treasuryDeposit: 'POST /api/campaigns/:id/treasury/deposits',
+        statement: 'GET /api/campaigns/:id/statement',
+        verify: 'POST /api/campaigns/:id/verify',
         myCampaigns: 'GET /api/campaigns/user/my-campaigns',
       },
       badges: {
         list: 'GET /api/badges',
         get: 'GET /api/badges/:id',
         create: 'POST /api/badges',
+        award: 'POST /api/badges/:id/award',
         myBadges: 'GET /api/badges/user/my-badges',
         leaderboard: 'GET /api/badges/leaderboard',
       },
@@ -188,6 +308,44 @@ app.get('/api/docs', (req, res) => {
         create: 'POST /api/stories',
         addChapter: 'POST /api/stories/:storyId/chapters',
         unlock: 'POST /api/stories/:storyId/chapters/:chapterNumber/unlock',
+        chapterQrCode: 'GET /api/stories/:storyId/chapters/:chapterNumber/qr',
+      },
+      inheritance: {
+        get: 'GET /api/inheritance',
+        configure: 'PUT /api/inheritance',
+        cancel: 'DELETE /api/inheritance',
+        checkIn: 'POST /api/inheritance/check-in',
+        beneficiaries: 'PUT /api/inheritance/memories/:memoryId/beneficiaries',
+        releases: 'GET /api/inheritance/releases',
+        received: 'GET /api/inheritance/received',
+      },
+      admin: {
+        reconciliation: 'GET /api/admin/chain/reconciliation',
+        reconcile: 'POST /api/admin/chain/reconcile',
+        resolveIssue: 'POST /api/admin/chain/issues/:id/resolve',
+        deadLetters: 'GET /api/admin/jobs/dead-letters',
+        retryDeadLetter: 'POST /api/admin/jobs/dead-letters/:id/retry',
+        treasuryDeposit: 'POST /api/admin/treasury/deposits',
+      },
+      jobs: {
+        list: 'GET /api/jobs',
+        get: 'GET /api/jobs/:id',
+      },
+      reviews: {
+        queue: 'GET /api/reviews',
+        photo: 'GET /api/reviews/:id/photo',
+        appealEvidence: 'GET /api/reviews/:id/evidence/:index',
+        approve: 'POST /api/reviews/:id/approve',
+        reject: 'POST /api/reviews/:id/reject',
+        bulk: 'POST /api/reviews/bulk',
+      },
+      organizations: {
+        mine: 'GET /api/organizations/mine',
+        members: 'GET /api/organizations/:id/members',
+        addMember: 'POST /api/organizations/:id/members',
+        updateMember: 'PUT /api/organizations/:id/members/:userId',
+        removeMember: 'DELETE /api/organizations/:id/members/:userId',
+        leave: 'DELETE /api/organizations/:id/membership',
       },
     },
   });
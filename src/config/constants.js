@@ -14,7 +14,15 @@ export const VERIFICATION_LAYERS = {
   TIME: 'time',
   AI_VISION: 'ai_vision',
   QR_SCAN: 'qr_scan',
-  NFC: 'nfc'
+  NFC: 'nfc',
+  PHOTO_FORENSICS: 'photo_forensics'
+};
+
+// AI vision providers (see aiVisionService)
+export const AI_VISION_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  LOCAL: 'local'
 };
 
 // Quest Status
@@ -49,7 +57,23 @@ export const VERIFICATION_RESULT = {
   PASSED: 'passed',
   FAILED: 'failed',
   PENDING: 'pending',
-  PARTIAL: 'partial'
+  PARTIAL: 'partial',
+  NEEDS_REVIEW: 'needs_review'
+};
+
+// Why a submission went to the manual review queue
+export const REVIEW_REASONS = {
+  REQUIRES_APPROVAL: 'requires_approval',
+  LOW_AI_CONFIDENCE: 'low_ai_confidence',
+  SPOOFING_RISK: 'spoofing_risk',
+  APPEAL: 'appeal'
+};
+
+// Appeal of a failed quest attempt
+export const APPEAL_STATUS = {
+  PENDING: 'pending',
+  UPHELD: 'upheld',   // attempt completed, rewards granted
+  DENIED: 'denied'
 };
 
 // Error Codes
@@ -62,25 +86,269 @@ export const ERROR_CODES = {
   QUEST_EXPIRED: 'E006',
   INSUFFICIENT_FUNDS: 'E007',
   PHOTO_TOO_BLURRY: 'E008',
-  SPOOFING_DETECTED: 'E009'
+  SPOOFING_DETECTED: 'E009',
+  NFC_TAG_INVALID: 'E010',
+  PHOTO_REJECTED: 'E011',
+  REVIEW_REJECTED: 'E012'
+};
+
+// Inheritance Plan Status
+export const INHERITANCE_STATUS = {
+  ACTIVE: 'active',
+  OVERDUE: 'overdue',     // Check-in missed, reminders being sent
+  RELEASING: 'releasing', // Grace period over, release in progress
+  RELEASED: 'released',
+  CANCELLED: 'cancelled'
+};
+
+// Upload Session Status
+export const UPLOAD_STATUS = {
+  UPLOADING: 'uploading',
+  COMPLETING: 'completing',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  EXPIRED: 'expired'
+};
+
+// Memory Encryption Schemes (Memory.encryptionMethod)
+export const ENCRYPTION_METHODS = {
+  NONE: 'none',
+  SERVER_ENVELOPE_V1: 'lv-envelope-v1', // per-memory DEK wrapped by a per-user KEK
+  CLIENT_E2EE_V1: 'lv-e2ee-v1'          // client-side, server only stores wrapped keys
+};
+
+// Who a client-wrapped data key is for (lv-e2ee-v1)
+export const KEY_RECIPIENT_TYPES = {
+  USER: 'user',             // nacl.box to the user's X25519 public key
+  PASSPHRASE: 'passphrase', // PBKDF2-derived key, for beneficiaries without an account
+  LINK: 'link'              // secret kept in the share URL fragment
+};
+
+// On-chain state of a memory as seen by the chain indexer (Memory.chainStatus)
+export const CHAIN_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',       // transaction committed but aborted
+  ORPHANED: 'orphaned',   // transaction never committed
+  MISMATCH: 'mismatch'    // chain record disagrees with the database
+};
+
+// Mismatches found while reconciling MongoDB with the chain
+export const CHAIN_ISSUE_TYPES = {
+  NOT_COMMITTED: 'not_committed',
+  TX_FAILED: 'tx_failed',
+  HASH_MISMATCH: 'hash_mismatch',
+  OWNER_MISMATCH: 'owner_mismatch',
+  UNTRACKED: 'untracked'  // stored by our relayer but no Memory record
+};
+
+// Whether a memory's content has reached storage (Memory.contentStatus)
+export const CONTENT_STATUS = {
+  PENDING: 'pending',   // waiting for its pin job
+  STORED: 'stored',
+  FAILED: 'failed'
+};
+
+// Background Job Status
+export const JOB_STATUS = {
+  QUEUED: 'queued',       // waiting to run (or to be retried at runAt)
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead'            // out of attempts, copied to the dead-letter collection
+};
+
+// Background Job Types
+export const JOB_TYPES = {
+  MEMORY_PIN: 'memory.pin',
+  MEMORY_ANCHOR: 'memory.anchor',
+  QUEST_PHOTO_PIN: 'quest.photo.pin',
+  APT_REWARD: 'reward.apt',
+  EMAIL: 'email.send'
+};
+
+// Treasury ledger entries (LedgerTransaction.type)
+export const LEDGER_TYPES = {
+  ALLOCATION: 'allocation', // APT budget committed to a quest or campaign
+  RESERVE: 'reserve',       // reward earned, owed to the user
+  PAYOUT: 'payout',         // reward sent from the treasury
+  REVERSAL: 'reversal',     // payout failed, reserve returned to the budget
+  DEPOSIT: 'deposit'        // verified on-chain transfer into a treasury
+};
+
+// Emailed single-use tokens (AuthToken.type)
+export const AUTH_TOKEN_TYPES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+  MAGIC_LINK: 'magic_link'
+};
+
+// Permissions checked by requirePermission / authorizeResource
+export const PERMISSIONS = {
+  // Creating content (from the account's role)
+  QUEST_CREATE: 'quest:create',
+  CAMPAIGN_CREATE: 'campaign:create',
+  BADGE_CREATE: 'badge:create',
+  STORY_CREATE: 'story:create',
+
+  // Acting on a quest, campaign, badge or story. The owner may do all of
+  // these; organization staff as far as their member role allows.
+  QUEST_VIEW: 'quest:view',         // statement, QR display, NFC tags
+  QUEST_UPDATE: 'quest:update',     // edit, activate, pause, QR and NFC setup
+  QUEST_REVIEW: 'quest:review',     // decide queued submissions
+  QUEST_FUND: 'quest:fund',
+  QUEST_DELETE: 'quest:delete',
+  CAMPAIGN_VIEW: 'campaign:view',
+  CAMPAIGN_UPDATE: 'campaign:update',
+  CAMPAIGN_FUND: 'campaign:fund',
+  CAMPAIGN_DELETE: 'campaign:delete',
+  BADGE_UPDATE: 'badge:update',
+  BADGE_AWARD: 'badge:award',
+  BADGE_DELETE: 'badge:delete',
+  STORY_UPDATE: 'story:update',
+  STORY_DELETE: 'story:delete',
+  ORGANIZATION_MEMBERS: 'organization:members', // add and remove staff
+
+  // Platform staff
+  CAMPAIGN_VERIFY: 'campaign:verify',
+  REVIEW_ALL: 'review:all',         // review queue of every quest
+  MANAGE_ALL: 'manage:all',         // act on anyone's quests, campaigns, badges and stories
+  TREASURY_MASTER: 'treasury:master', // fund budgets from the master wallet
+  ADMIN_ACCESS: 'admin:access'      // /api/admin
+};
+
+const CONTENT_CREATOR = [PERMISSIONS.STORY_CREATE, PERMISSIONS.QUEST_CREATE, PERMISSIONS.BADGE_CREATE];
+const ORGANIZATION = [...CONTENT_CREATOR, PERMISSIONS.CAMPAIGN_CREATE, PERMISSIONS.ORGANIZATION_MEMBERS];
+
+// What each account type (User.userType) may do
+export const ROLE_PERMISSIONS = {
+  user: [PERMISSIONS.STORY_CREATE],
+  creator: CONTENT_CREATOR,
+  brand: ORGANIZATION,
+  government: ORGANIZATION,
+  admin: Object.values(PERMISSIONS)
+};
+
+// Staff roles within a brand or government account (OrganizationMember.role)
+export const ORGANIZATION_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+const ORG_VIEWER = [PERMISSIONS.QUEST_VIEW, PERMISSIONS.CAMPAIGN_VIEW];
+const ORG_EDITOR = [
+  ...ORG_VIEWER,
+  PERMISSIONS.QUEST_CREATE,
+  PERMISSIONS.QUEST_UPDATE,
+  PERMISSIONS.QUEST_REVIEW,
+  PERMISSIONS.CAMPAIGN_CREATE,
+  PERMISSIONS.CAMPAIGN_UPDATE,
+  PERMISSIONS.BADGE_CREATE,
+  PERMISSIONS.BADGE_UPDATE,
+  PERMISSIONS.BADGE_AWARD
+];
+
+// What staff may do with the organization's quests, campaigns and badges
+export const ORGANIZATION_ROLE_PERMISSIONS = {
+  [ORGANIZATION_ROLES.VIEWER]: ORG_VIEWER,
+  [ORGANIZATION_ROLES.EDITOR]: ORG_EDITOR,
+  [ORGANIZATION_ROLES.OWNER]: [
+    ...ORG_EDITOR,
+    PERMISSIONS.QUEST_FUND,
+    PERMISSIONS.QUEST_DELETE,
+    PERMISSIONS.CAMPAIGN_FUND,
+    PERMISSIONS.CAMPAIGN_DELETE,
+    PERMISSIONS.BADGE_DELETE,
+    PERMISSIONS.ORGANIZATION_MEMBERS
+  ]
 };
 
 // Default Settings
 export const DEFAULTS = {
   GPS_RADIUS_METERS: 50,
+  AREA_TOLERANCE_METERS: 10,
+  ROUTE_CORRIDOR_WIDTH_METERS: 40,
+  ROUTE_MIN_COVERAGE: 0.8,
+  ROUTE_MAX_OFF_ROUTE_RATIO: 0.1,
+  ROUTE_MAX_GAP_METERS: 200,
+  ROUTE_MAX_SPEED_KMH: 50,
+  ROUTE_MAX_FIXES: 2000,
+  GEOMETRY_MAX_POSITIONS: 5000,
+  SCHEDULE_LOOKAHEAD_DAYS: 366,
+  SCHEDULE_COUNT_SCAN_YEARS: 10,
+  STORY_TIME_TOLERANCE_MINUTES: 5,
   MAX_PHOTO_SIZE_MB: 10,
   AI_CONFIDENCE_THRESHOLD: 0.75,
   QUEST_EXPIRY_DAYS: 30,
-  MAX_DAILY_COMPLETIONS: 10
+  MAX_DAILY_COMPLETIONS: 10,
+  INHERITANCE_CHECK_IN_DAYS: 30,
+  INHERITANCE_GRACE_DAYS: 14,
+  INHERITANCE_REMINDER_HOURS: 24,
+  INHERITANCE_SHARE_LINK_DAYS: 90,
+  INHERITANCE_RELEASE_STALE_MINUTES: 60,
+  STORAGE_QUOTA_MB: 1024,
+  UPLOAD_CHUNK_SIZE_MB: 8,
+  UPLOAD_MAX_FILE_SIZE_MB: 4096,
+  UPLOAD_SESSION_HOURS: 24,
+  UPLOAD_CHUNK_LOCK_MINUTES: 15,
+  UPLOAD_COMPLETING_STALE_MINUTES: 120,
+  CHAIN_INDEXER_INTERVAL_MINUTES: 5,
+  CHAIN_CONFIRM_GRACE_MINUTES: 10,
+  JOB_MAX_ATTEMPTS: 5,
+  JOB_BACKOFF_SECONDS: 30,
+  JOB_MAX_BACKOFF_MINUTES: 60,
+  JOB_LOCK_MINUTES: 10,
+  JOB_POLL_SECONDS: 2,
+  QR_ROTATION_SECONDS: 30,
+  QR_SKEW_STEPS: 1,
+  QR_CODE_DIGITS: 8,
+  AI_VISION_TIMEOUT_SECONDS: 30,
+  AI_VISION_CACHE_DAYS: 30,
+  APPEAL_WINDOW_DAYS: 7,
+  APPEAL_SLA_HOURS: 72,
+  APPEAL_MAX_PHOTOS: 3,
+  APPEAL_MAX_LINKS: 5,
+  WALLET_CHALLENGE_MINUTES: 5,
+  ACCESS_TOKEN_MINUTES: 15,
+  REFRESH_TOKEN_DAYS: 30,
+  SESSION_TOKEN_HISTORY: 100,
+  EMAIL_VERIFICATION_HOURS: 24,
+  PASSWORD_RESET_MINUTES: 30,
+  MAGIC_LINK_MINUTES: 15,
+  AUTH_TOKEN_RESEND_SECONDS: 60,
+  AUTH_TOKEN_MAX_PER_HOUR: 5,
+  MFA_TOKEN_MINUTES: 5,
+  MFA_MAX_ATTEMPTS: 5,
+  STEP_UP_MINUTES: 10,
+  RECOVERY_CODE_COUNT: 10,
+  WEBAUTHN_CHALLENGE_MINUTES: 5
 };
 
 export default {
   QUEST_TYPES,
   VERIFICATION_LAYERS,
+  AI_VISION_PROVIDERS,
   QUEST_STATUS,
   CAMPAIGN_TYPES,
   BADGE_RARITY,
   VERIFICATION_RESULT,
+  REVIEW_REASONS,
+  APPEAL_STATUS,
   ERROR_CODES,
+  INHERITANCE_STATUS,
+  UPLOAD_STATUS,
+  ENCRYPTION_METHODS,
+  KEY_RECIPIENT_TYPES,
+  CHAIN_STATUS,
+  CHAIN_ISSUE_TYPES,
+  CONTENT_STATUS,
+  JOB_STATUS,
+  JOB_TYPES,
+  LEDGER_TYPES,
+  AUTH_TOKEN_TYPES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ORGANIZATION_ROLES,
+  ORGANIZATION_ROLE_PERMISSIONS,
   DEFAULTS
 };
\ No newline at end of file
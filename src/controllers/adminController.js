@@ -0,0 +1,177 @@
+import ChainIssue from '../models/ChainIssue.js';
+import DeadLetterJob from '../models/DeadLetterJob.js';
+import aptosService from '../services/aptosService.js';
+import jobService from '../services/jobService.js';
+import treasuryService from '../services/treasuryService.js';
+import { CHAIN_ISSUE_TYPES } from '../config/constants.js';
+
+/**
+ * @desc    Chain reconciliation report (indexer state and mismatches)
+ * @route   GET /api/admin/chain/reconciliation
+ * @access  Private (Admin)
+ *
+ * Query: type, includeResolved, page, limit
+ */
+export const getReconciliationReport = async (req, res, next) => {
+  try {
+    const { type, includeResolved } = req.query;
+
+    if (type && !Object.values(CHAIN_ISSUE_TYPES).includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.values(CHAIN_ISSUE_TYPES).join(', ')}`
+      });
+    }
+
+    const report = await aptosService.getReconciliationReport({
+      type,
+      includeResolved: includeResolved === 'true',
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+    });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Run a reconciliation pass now
+ * @route   POST /api/admin/chain/reconcile
+ * @access  Private (Admin)
+ */
+export const runReconciliation = async (req, res, next) => {
+  try {
+    if (!aptosService.moduleAddress) {
+      return res.status(503).json({
+        success: false,
+        message: 'APTOS_MODULE_ADDRESS is not configured'
+      });
+    }
+
+    const result = await aptosService.reconcileChain();
+
+    res.json({
+      success: true,
+      message: 'Reconciliation complete',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a reconciliation issue as resolved
+ * @route   POST /api/admin/chain/issues/:id/resolve
+ * @access  Private (Admin)
+ *
+ * Body: { resolution }
+ */
+export const resolveChainIssue = async (req, res, next) => {
+  try {
+    const issue = await ChainIssue.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      {
+        status: 'resolved',
+        resolvedAt: new Date(),
+        resolvedBy: req.user._id,
+        resolution: req.body.resolution || null
+      },
+      { new: true }
+    );
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open issue not found'
+      });
+    }
+
+    res.json({ success: true, data: issue });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List dead-lettered jobs
+ * @route   GET /api/admin/jobs/dead-letters
+ * @access  Private (Admin)
+ *
+ * Query: type, includeRetried, page, limit
+ */
+export const getDeadLetters = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (req.query.type) query.type = String(req.query.type);
+    if (req.query.includeRetried !== 'true') query.retriedAt = null;
+
+    const [deadLetters, total] = await Promise.all([
+      DeadLetterJob.find(query)
+        .sort({ failedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DeadLetterJob.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deadLetters,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Re-queue a dead-lettered job
+ * @route   POST /api/admin/jobs/dead-letters/:id/retry
+ * @access  Private (Admin)
+ */
+export const retryDeadLetter = async (req, res, next) => {
+  try {
+    const job = await jobService.retryDeadLetter(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead letter not found or already retried'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job re-queued',
+      data: job.toStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Credit an APT transfer into the master treasury
+ * @route   POST /api/admin/treasury/deposits
+ * @access  Private (Admin)
+ */
+export const depositMasterTreasury = async (req, res, next) => {
+  try {
+    const deposit = await treasuryService.recordDeposit('treasury:master', req.body.txHash, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Deposited ${treasuryService.toApt(deposit.amountOctas)} APT into the master treasury`,
+      data: { entryId: deposit._id, txHash: deposit.txHash }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
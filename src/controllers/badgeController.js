@@ -8,7 +8,7 @@ import { BADGE_RARITY } from '../config/constants.js';
 /**
  * @desc    Create a new badge
  * @route   POST /api/badges
- * @access  Private (Creator/Brand/Admin)
+ * @access  Private (badge:create; organizationId creates it for an organization)
  */
 export const createBadge = async (req, res, next) => {
   try {
@@ -56,7 +56,7 @@ export const createBadge = async (req, res, next) => {
     const badge = await Badge.create({
       name,
       description,
-      creatorId: req.user._id,
+      creatorId: req.owner._id,
       campaignId,
       imageUrl: finalImageUrl,
       nftMetadata: {
@@ -281,9 +281,9 @@ export const getUserBadges = async (req, res, next) => {
 };
 
 /**
- * @desc    Award badge to user (admin/creator only)
+ * @desc    Award badge to user
  * @route   POST /api/badges/:id/award
- * @access  Private (Creator/Admin)
+ * @access  Private (owner, or staff with badge:award)
  */
 export const awardBadge = async (req, res, next) => {
   try {
@@ -297,15 +297,6 @@ export const awardBadge = async (req, res, next) => {
       });
     }
 
-    // Verify ownership or admin
-    if (badge.creatorId.toString() !== req.user._id.toString() &&
-        req.user.userType !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to award this badge'
-      });
-    }
-
     const result = await badge.awardTo(userId);
 
     console.log('✅ Badge awarded:', badge.name, 'to user:', userId);
@@ -358,19 +349,16 @@ export const getCreatedBadges = async (req, res, next) => {
 /**
  * @desc    Update badge
  * @route   PUT /api/badges/:id
- * @access  Private (Owner only)
+ * @access  Private (owner, or staff with badge:update)
  */
 export const updateBadge = async (req, res, next) => {
   try {
-    const badge = await Badge.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const badge = await Badge.findById(req.params.id);
 
     if (!badge) {
       return res.status(404).json({
         success: false,
-        message: 'Badge not found or unauthorized'
+        message: 'Badge not found'
       });
     }
 
@@ -401,19 +389,16 @@ export const updateBadge = async (req, res, next) => {
 /**
  * @desc    Delete badge
  * @route   DELETE /api/badges/:id
- * @access  Private (Owner only)
+ * @access  Private (owner, or staff with badge:delete)
  */
 export const deleteBadge = async (req, res, next) => {
   try {
-    const badge = await Badge.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const badge = await Badge.findById(req.params.id);
 
     if (!badge) {
       return res.status(404).json({
         success: false,
-        message: 'Badge not found or unauthorized'
+        message: 'Badge not found'
       });
     }
 
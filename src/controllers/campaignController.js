@@ -3,12 +3,14 @@ import Quest from '../models/Quest.js';
 import QuestCompletion from '../models/QuestCompletion.js';
 import Badge from '../models/Badge.js';
 import User from '../models/User.js';
-import { QUEST_STATUS, CAMPAIGN_TYPES } from '../config/constants.js';
+import treasuryService from '../services/treasuryService.js';
+import permissionService from '../services/permissionService.js';
+import { QUEST_STATUS, CAMPAIGN_TYPES, PERMISSIONS } from '../config/constants.js';
 
 /**
  * @desc    Create a new campaign
  * @route   POST /api/campaigns
- * @access  Private (Brands/Government/Admins)
+ * @access  Private (campaign:create; organizationId creates it for an organization)
  */
 export const createCampaign = async (req, res, next) => {
   try {
@@ -43,13 +45,18 @@ export const createCampaign = async (req, res, next) => {
       });
     }
 
+    // Completing the campaign awards its badge
+    if (grandPrize?.badgeId) {
+      await permissionService.authorize(req.user, PERMISSIONS.BADGE_AWARD, 'badge', grandPrize.badgeId);
+    }
+
     // Create campaign
     const campaign = await Campaign.create({
       name,
       description,
-      organizationId: req.user._id,
+      organizationId: req.owner._id,
       organizationType,
-      organizationName: organizationName || req.user.organizationInfo?.name,
+      organizationName: organizationName || req.owner.organizationInfo?.name,
       organizationLogo,
       website,
       contactEmail,
@@ -57,8 +64,6 @@ export const createCampaign = async (req, res, next) => {
       completionRequirements: completionRequirements || {},
       grandPrize: grandPrize || {},
       budget: {
-        totalAptAllocated: budget?.totalAptAllocated || 0,
-        aptRemaining: budget?.totalAptAllocated || 0,
         maxParticipants: budget?.maxParticipants || null
       },
       status: QUEST_STATUS.DRAFT,
@@ -73,6 +78,18 @@ export const createCampaign = async (req, res, next) => {
       settings
     });
 
+    // The APT budget is posted through the treasury ledger
+    if (budget?.totalAptAllocated > 0) {
+      try {
+        const { budget: funded } = await treasuryService.allocate({ campaign }, budget.totalAptAllocated, req.user);
+        campaign.budget = funded;
+      } catch (error) {
+        // An unfunded campaign was not asked for
+        await Campaign.deleteOne({ _id: campaign._id });
+        throw error;
+      }
+    }
+
     console.log('✅ Campaign created:', campaign._id);
 
     res.status(201).json({
@@ -101,7 +118,9 @@ export const getCampaigns = async (req, res, next) => {
       campaignType,
       status = 'active',
       featured,
-      search
+      search,
+      lat,
+      lon
     } = req.query;
 
     let query = {};
@@ -128,6 +147,12 @@ export const getCampaigns = async (req, res, next) => {
       ];
     }
 
+    // Only campaigns targeting this location
+    if (lat && lon) {
+      const covering = await Campaign.findCoveringLocation(parseFloat(lon), parseFloat(lat), query);
+      query = { _id: { $in: covering.map(campaign => campaign._id) } };
+    }
+
     const campaigns = await Campaign.find(query)
       .populate('organizationId', 'name avatar organizationInfo')
       .populate('grandPrize.badgeId', 'name imageUrl rarity')
@@ -290,21 +315,18 @@ export const joinCampaign = async (req, res, next) => {
 /**
  * @desc    Add quest to campaign
  * @route   POST /api/campaigns/:id/quests
- * @access  Private (Campaign owner)
+ * @access  Private (owner, or staff with campaign:update)
  */
 export const addQuestToCampaign = async (req, res, next) => {
   try {
     const { questId, order, isRequired, unlockAfter } = req.body;
 
-    const campaign = await Campaign.findOne({
-      _id: req.params.id,
-      organizationId: req.user._id
-    });
+    const campaign = await Campaign.findById(req.params.id);
 
     if (!campaign) {
       return res.status(404).json({
         success: false,
-        message: 'Campaign not found or you do not have permission'
+        message: 'Campaign not found'
       });
     }
 
@@ -316,6 +338,14 @@ export const addQuestToCampaign = async (req, res, next) => {
       });
     }
 
+    // The quest will be paid from this campaign's budget
+    if (!(await permissionService.can(req.user, PERMISSIONS.QUEST_UPDATE, 'quest', quest))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add this quest'
+      });
+    }
+
     // Check if quest already in campaign
     if (campaign.quests.some(q => q.questId.toString() === questId)) {
       return res.status(400).json({
@@ -430,29 +460,39 @@ export const getCampaignLeaderboard = async (req, res, next) => {
 /**
  * @desc    Update campaign
  * @route   PUT /api/campaigns/:id
- * @access  Private (Campaign owner)
+ * @access  Private (owner, or staff with campaign:update)
  */
 export const updateCampaign = async (req, res, next) => {
   try {
-    const campaign = await Campaign.findOne({
-      _id: req.params.id,
-      organizationId: req.user._id
-    });
+    const campaign = await Campaign.findById(req.params.id);
 
     if (!campaign) {
       return res.status(404).json({
         success: false,
-        message: 'Campaign not found or you do not have permission'
+        message: 'Campaign not found'
       });
     }
 
-    // Don't allow changing certain fields after activation
+    // Ownership, verification and APT amounts aren't changed here
+    const {
+      budget, treasury, organizationId, isVerified, verifiedAt, verifiedBy, isFeatured, ...updates
+    } = req.body;
+
+    // Don't allow changing the grand prize after participants joined
     if (campaign.status === QUEST_STATUS.ACTIVE && campaign.stats.totalParticipants > 0) {
-      const protectedFields = ['budget.totalAptAllocated', 'grandPrize.aptAmount'];
-      // Filter out protected fields
+      delete updates.grandPrize;
+    }
+    if (updates.grandPrize?.badgeId && updates.grandPrize.badgeId.toString() !== campaign.grandPrize?.badgeId?.toString()) {
+      await permissionService.authorize(req.user, PERMISSIONS.BADGE_AWARD, 'badge', updates.grandPrize.badgeId);
+    }
+
+    Object.assign(campaign, updates);
+
+    // APT amounts only change through the ledger (POST /api/campaigns/:id/budget)
+    if (budget?.maxParticipants !== undefined) {
+      campaign.budget.maxParticipants = budget.maxParticipants;
     }
 
-    Object.assign(campaign, req.body);
     await campaign.save();
 
     res.json({
@@ -469,14 +509,11 @@ export const updateCampaign = async (req, res, next) => {
 /**
  * @desc    Activate campaign
  * @route   POST /api/campaigns/:id/activate
- * @access  Private (Campaign owner)
+ * @access  Private (owner, or staff with campaign:update)
  */
 export const activateCampaign = async (req, res, next) => {
   try {
-    const campaign = await Campaign.findOne({
-      _id: req.params.id,
-      organizationId: req.user._id
-    });
+    const campaign = await Campaign.findById(req.params.id);
 
     if (!campaign) {
       return res.status(404).json({
@@ -517,13 +554,14 @@ export const activateCampaign = async (req, res, next) => {
 };
 
 /**
- * @desc    Get my campaigns (created by user)
+ * @desc    Get my campaigns (created by user or organizations they work for)
  * @route   GET /api/campaigns/my-campaigns
  * @access  Private
  */
 export const getMyCampaigns = async (req, res, next) => {
   try {
-    const campaigns = await Campaign.find({ organizationId: req.user._id })
+    const ownerIds = await permissionService.getManagedOwnerIds(req.user, PERMISSIONS.CAMPAIGN_VIEW);
+    const campaigns = await Campaign.find({ organizationId: { $in: ownerIds } })
       .populate('grandPrize.badgeId', 'name imageUrl')
       .sort({ createdAt: -1 });
 
@@ -653,23 +691,18 @@ export const checkCampaignCompletion = async (req, res, next) => {
 /**
  * @desc    Delete a campaign
  * @route   DELETE /api/campaigns/:id
- * @access  Private (Creator only)
+ * @access  Private (owner, or staff with campaign:delete)
  */
 export const deleteCampaign = async (req, res, next) => {
   try {
     const campaignId = req.params.id;
-    const userId = req.user._id;
 
-    // Find campaign owned by user
-    const campaign = await Campaign.findOne({
-      _id: campaignId,
-      creatorId: userId
-    });
+    const campaign = await Campaign.findById(campaignId);
 
     if (!campaign) {
       return res.status(404).json({
         success: false,
-        message: 'Campaign not found or you do not have permission'
+        message: 'Campaign not found'
       });
     }
 
@@ -707,6 +740,179 @@ export const deleteCampaign = async (req, res, next) => {
 
 
 
+/**
+ * @desc    Add APT to a campaign's grand prize budget
+ * @route   POST /api/campaigns/:id/budget
+ * @access  Private (owner, or staff with campaign:fund)
+ */
+export const fundCampaignBudget = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const { budget, entry } = await treasuryService.allocate({ campaign }, req.body.amount, req.user);
+
+    res.json({
+      success: true,
+      message: `Added ${treasuryService.toApt(entry.amountOctas)} APT to the campaign budget`,
+      data: { budget, entryId: entry._id }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create the campaign's own treasury account
+ * @route   POST /api/campaigns/:id/treasury
+ * @access  Private (owner, or staff with campaign:fund)
+ */
+export const createCampaignTreasury = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const updated = await treasuryService.createCampaignTreasury(campaign);
+
+    res.status(201).json({
+      success: true,
+      message: 'Treasury created. Fund this address with APT to pay the campaign rewards.',
+      data: {
+        address: updated.treasury.address,
+        createdAt: updated.treasury.createdAt
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Credit an APT transfer into the campaign treasury
+ * @route   POST /api/campaigns/:id/treasury/deposits
+ * @access  Private (owner, or staff with campaign:fund)
+ */
+export const depositCampaignTreasury = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.treasury?.address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Create the campaign treasury first'
+      });
+    }
+
+    const deposit = await treasuryService.recordDeposit(treasuryService.treasuryAccount(campaign), req.body.txHash, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Deposited ${treasuryService.toApt(deposit.amountOctas)} APT into the campaign treasury`,
+      data: { entryId: deposit._id, txHash: deposit.txHash }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Treasury statement of a campaign's budget
+ * @route   GET /api/campaigns/:id/statement
+ * @access  Private (owner, or staff with campaign:view)
+ */
+export const getCampaignStatement = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, from, to } = req.query;
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const statement = await treasuryService.getStatement({ campaign }, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 200),
+      from,
+      to
+    });
+
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a campaign verified (or remove the mark with { isVerified: false })
+ * @route   POST /api/campaigns/:id/verify
+ * @access  Private (campaign:verify)
+ */
+export const verifyCampaign = async (req, res, next) => {
+  try {
+    const isVerified = req.body.isVerified !== false;
+
+    const campaign = await Campaign.findByIdAndUpdate(
+      req.params.id,
+      isVerified
+        ? { isVerified: true, verifiedAt: new Date(), verifiedBy: req.user._id }
+        : { isVerified: false, $unset: { verifiedAt: '', verifiedBy: '' } },
+      { new: true }
+    );
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    console.log(`✅ Campaign ${campaign._id} ${isVerified ? 'verified' : 'unverified'} by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: isVerified ? 'Campaign verified' : 'Campaign verification removed',
+      data: {
+        id: campaign._id,
+        isVerified: campaign.isVerified,
+        verifiedAt: campaign.verifiedAt
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   createCampaign,
   getCampaigns,
@@ -719,5 +925,10 @@ export default {
   getMyCampaigns,
   getJoinedCampaigns,
   checkCampaignCompletion,
-  deleteCampaign
+  deleteCampaign,
+  fundCampaignBudget,
+  createCampaignTreasury,
+  depositCampaignTreasury,
+  getCampaignStatement,
+  verifyCampaign
 };
\ No newline at end of file
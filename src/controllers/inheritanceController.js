@@ -0,0 +1,343 @@
+import InheritancePlan from '../models/InheritancePlan.js';
+import InheritanceRelease from '../models/InheritanceRelease.js';
+import Memory from '../models/Memory.js';
+import encryptionService from '../services/encryptionService.js';
+import {
+  INHERITANCE_STATUS,
+  ENCRYPTION_METHODS,
+  KEY_RECIPIENT_TYPES
+} from '../config/constants.js';
+
+/**
+ * @desc    Get my inheritance plan
+ * @route   GET /api/inheritance
+ * @access  Private
+ */
+export const getPlan = async (req, res, next) => {
+  try {
+    const plan = await InheritancePlan.findOne({ userId: req.user._id });
+
+    const protectedMemories = await Memory.countDocuments({
+      userId: req.user._id,
+      inheritanceEnabled: true,
+      'beneficiaries.0': { $exists: true }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        plan,
+        protectedMemories
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create or update my inheritance plan
+ * @route   PUT /api/inheritance
+ * @access  Private
+ */
+export const configurePlan = async (req, res, next) => {
+  try {
+    const {
+      checkInIntervalDays,
+      gracePeriodDays,
+      reminderIntervalHours,
+      transferOnChain
+    } = req.body;
+
+    let plan = await InheritancePlan.findOne({ userId: req.user._id });
+
+    if (plan?.status === INHERITANCE_STATUS.RELEASING) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your memories are being released and the plan can no longer be changed'
+      });
+    }
+
+    if (!plan) {
+      plan = new InheritancePlan({ userId: req.user._id });
+    }
+
+    if (checkInIntervalDays !== undefined) plan.checkInIntervalDays = checkInIntervalDays;
+    if (gracePeriodDays !== undefined) plan.gracePeriodDays = gracePeriodDays;
+    if (reminderIntervalHours !== undefined) plan.reminderIntervalHours = reminderIntervalHours;
+    if (transferOnChain !== undefined) plan.transferOnChain = !!transferOnChain;
+
+    // Configuring (or re-enabling) a plan counts as a check-in
+    plan.lastCheckInAt = new Date();
+    plan.status = INHERITANCE_STATUS.ACTIVE;
+    plan.reminders = [];
+    plan.lastReminderAt = null;
+    plan.cancelledAt = null;
+    plan.releasedAt = null;
+    plan.releaseStartedAt = null;
+    plan.releaseError = undefined;
+
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Inheritance plan saved',
+      data: plan
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check in (reset the dead-man's switch)
+ * @route   POST /api/inheritance/check-in
+ * @access  Private
+ */
+export const checkIn = async (req, res, next) => {
+  try {
+    const plan = await InheritancePlan.findOne({ userId: req.user._id });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'No inheritance plan configured'
+      });
+    }
+
+    if (![INHERITANCE_STATUS.ACTIVE, INHERITANCE_STATUS.OVERDUE].includes(plan.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in to a ${plan.status} plan`
+      });
+    }
+
+    await plan.checkIn();
+
+    res.json({
+      success: true,
+      message: 'Check-in recorded',
+      data: {
+        lastCheckInAt: plan.lastCheckInAt,
+        nextCheckInDue: plan.nextCheckInDue,
+        releaseAt: plan.releaseAt
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel my inheritance plan
+ * @route   DELETE /api/inheritance
+ * @access  Private
+ */
+export const cancelPlan = async (req, res, next) => {
+  try {
+    const plan = await InheritancePlan.findOneAndUpdate(
+      {
+        userId: req.user._id,
+        status: { $in: [INHERITANCE_STATUS.ACTIVE, INHERITANCE_STATUS.OVERDUE] }
+      },
+      { status: INHERITANCE_STATUS.CANCELLED, cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active inheritance plan to cancel'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Inheritance plan cancelled',
+      data: plan
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the beneficiaries of a memory
+ * @route   PUT /api/inheritance/memories/:memoryId/beneficiaries
+ * @access  Private (Owner only)
+ *
+ * For client-encrypted memories every beneficiary also needs a `wrappedKey`:
+ * a "user" key for the beneficiary's public key, or a "passphrase" key for
+ * someone without an account (the passphrase is handed over out of band).
+ */
+export const setBeneficiaries = async (req, res, next) => {
+  try {
+    const { beneficiaries = [], inheritanceEnabled = true } = req.body;
+
+    if (!Array.isArray(beneficiaries)) {
+      return res.status(400).json({
+        success: false,
+        message: 'beneficiaries must be an array'
+      });
+    }
+
+    const invalid = beneficiaries.filter(b => !b?.email && !b?.walletAddress);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each beneficiary needs an email or a walletAddress'
+      });
+    }
+
+    const memory = await Memory.findOne({
+      _id: req.params.memoryId,
+      userId: req.user._id
+    }).select('+wrappedKeys');
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory not found'
+      });
+    }
+
+    const normalized = beneficiaries.map(b => ({
+      email: b.email?.toLowerCase().trim(),
+      walletAddress: b.walletAddress,
+      relationship: b.relationship
+    }));
+
+    if (memory.encryptionMethod === ENCRYPTION_METHODS.CLIENT_E2EE_V1) {
+      const beneficiaryKeys = [];
+
+      for (const [i, b] of beneficiaries.entries()) {
+        const reason = !b.wrappedKey
+          ? 'Each beneficiary of a client-encrypted memory needs a wrappedKey'
+          : b.wrappedKey.recipientType === KEY_RECIPIENT_TYPES.LINK
+            ? 'Beneficiary keys must be "user" or "passphrase" keys'
+            : encryptionService.verifyWrappedKey(b.wrappedKey);
+
+        if (reason) {
+          return res.status(400).json({ success: false, message: reason });
+        }
+
+        beneficiaryKeys.push({
+          ...b.wrappedKey,
+          isBeneficiary: true,
+          email: normalized[i].email,
+          walletAddress: normalized[i].walletAddress,
+          createdAt: new Date()
+        });
+      }
+
+      const recipientError = await encryptionService.verifyRecipientKeys(beneficiaryKeys);
+      if (recipientError) {
+        return res.status(400).json({ success: false, message: recipientError });
+      }
+
+      memory.wrappedKeys = memory.wrappedKeys
+        .filter(k => !k.isBeneficiary)
+        .concat(beneficiaryKeys);
+    }
+
+    memory.beneficiaries = normalized;
+    memory.inheritanceEnabled = !!inheritanceEnabled && beneficiaries.length > 0;
+    await memory.save();
+
+    res.json({
+      success: true,
+      message: 'Beneficiaries updated',
+      data: {
+        memoryId: memory._id,
+        inheritanceEnabled: memory.inheritanceEnabled,
+        beneficiaries: memory.beneficiaries
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the release audit trail (as owner or as beneficiary)
+ * @route   GET /api/inheritance/releases
+ * @access  Private
+ */
+export const getReleases = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    // Only a verified account has shown it owns its email address
+    const query = {
+      $or: [
+        { ownerId: req.user._id },
+        { 'beneficiary.userId': req.user._id },
+        ...(req.user.isAccountVerified() ? [{ 'beneficiary.email': req.user.email }] : [])
+      ]
+    };
+
+    const releases = await InheritanceRelease.find(query)
+      .populate('memoryId', 'title category')
+      .populate('ownerId', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await InheritanceRelease.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        releases,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get memories released to me
+ * @route   GET /api/inheritance/received
+ * @access  Private
+ */
+export const getReceivedMemories = async (req, res, next) => {
+  try {
+    const memories = await Memory.find({
+      'sharedWith.userId': req.user._id,
+      inheritedAt: { $ne: null }
+    })
+      .populate('userId', 'name avatar')
+      .sort({ inheritedAt: -1 });
+
+    res.json({
+      success: true,
+      data: memories
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getPlan,
+  configurePlan,
+  checkIn,
+  cancelPlan,
+  setBeneficiaries,
+  getReleases,
+  getReceivedMemories
+};
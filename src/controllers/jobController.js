@@ -0,0 +1,69 @@
+import Job from '../models/Job.js';
+import { JOB_STATUS } from '../config/constants.js';
+
+/**
+ * @desc    Get the status of one of my background jobs
+ * @route   GET /api/jobs/:id
+ * @access  Private
+ */
+export const getJob = async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({ success: true, data: job.toStatus() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List my background jobs
+ * @route   GET /api/jobs
+ * @access  Private
+ *
+ * Query: status, type, page, limit
+ */
+export const getJobs = async (req, res, next) => {
+  try {
+    const { status, type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = { userId: req.user._id };
+    if (status) {
+      if (!Object.values(JOB_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+    if (type) query.type = String(type);
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => job.toStatus()),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
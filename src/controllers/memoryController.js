@@ -1,12 +1,107 @@
+import mongoose from 'mongoose';
 import Memory from '../models/Memory.js';
 import User from '../models/User.js';
+import UploadSession from '../models/UploadSession.js';
+import SharedLink from '../models/SharedLink.js';
 import aptosService from '../services/aptosService.js';
 import ipfsService from '../services/ipfsService.js';
+import uploadService from '../services/uploadService.js';
+import envelopeService from '../services/envelopeService.js';
+import encryptionService from '../services/encryptionService.js';
+import jobService from '../services/jobService.js';
+import { queueMemoryAnchor } from '../services/jobHandlers.js';
+import { sendMemoryContent } from '../utils/memoryContent.js';
+import { APIError } from '../middleware/errorMiddleware.js';
+import {
+  UPLOAD_STATUS,
+  DEFAULTS,
+  ENCRYPTION_METHODS,
+  KEY_RECIPIENT_TYPES,
+  CONTENT_STATUS,
+  JOB_TYPES
+} from '../config/constants.js';
+
+/**
+ * Atomically charge `bytes` (and one memory) against the user's quota.
+ * `reservedBytes` is space held by the user's unfinished uploads.
+ * Returns null when the quota would be exceeded.
+ */
+const reserveStorage = async (user, bytes, reservedBytes = 0) => {
+  const quota = user.getStorageQuota();
+
+  return User.findOneAndUpdate(
+    { _id: user._id, storageUsed: { $lte: quota - reservedBytes - bytes } },
+    { $inc: { totalMemories: 1, storageUsed: bytes } },
+    { new: true }
+  );
+};
+
+const releaseStorage = async (userId, bytes) => {
+  await User.findByIdAndUpdate(userId, {
+    $inc: { totalMemories: -1, storageUsed: -bytes }
+  });
+};
+
+const storageQuotaExceeded = (res, user, required) => {
+  return res.status(413).json({
+    success: false,
+    message: 'Storage quota exceeded',
+    data: {
+      storageUsed: user.storageUsed,
+      storageQuota: user.getStorageQuota(),
+      required
+    }
+  });
+};
+
+/**
+ * Validate a client-side encryption bundle ({ scheme, wrappedKeys }) and
+ * return the Memory fields for it
+ */
+const resolveClientEncryption = async (bundle, owner) => {
+  const check = encryptionService.verifyClientEncryption(bundle, owner);
+  if (!check.valid) {
+    throw new APIError(check.reason, 400);
+  }
+
+  const recipientError = await encryptionService.verifyRecipientKeys(bundle.wrappedKeys);
+  if (recipientError) {
+    throw new APIError(recipientError, 400);
+  }
+
+  return {
+    isEncrypted: true,
+    encryptionMethod: ENCRYPTION_METHODS.CLIENT_E2EE_V1,
+    wrappedKeys: bundle.wrappedKeys.map(k => ({ ...k, createdAt: new Date() }))
+  };
+};
+
+/**
+ * Save the Memory record for a pinned file and queue its on-chain
+ * anchor if requested
+ */
+const saveMemory = async (user, ipfsResult, fields, storeOnChain) => {
+  const memory = await Memory.create({
+    ...fields,
+    userId: user._id,
+    category: fields.category || 'other',
+    ipfsHash: ipfsResult.ipfsHash,
+    ipfsUrl: ipfsResult.gatewayUrl
+  });
+
+  const anchorJob = storeOnChain ? await queueMemoryAnchor(memory) : null;
+
+  return { memory, anchorJob };
+};
 
 /**
  * @desc    Create new memory
  * @route   POST /api/memories
  * @access  Private
+ *
+ * The content is pinned (and anchored on chain) in the background: the
+ * response is 202 with the pin job to poll at GET /api/jobs/:id.
+ * Send an `Idempotency-Key` header to make retries safe.
  */
 export const createMemory = async (req, res, next) => {
   try {
@@ -17,9 +112,29 @@ export const createMemory = async (req, res, next) => {
       fileData,
       fileName,
       fileType,
-      storeOnChain = false 
+      storeOnChain = false,
+      encrypt = false,
+      clientEncryption = null
     } = req.body;
 
+    // A retry of a request we already accepted
+    const clientKey = req.get('Idempotency-Key');
+    const jobKey = clientKey ? `memory.pin:${req.user._id}:${clientKey}` : null;
+
+    if (jobKey) {
+      const existing = await jobService.findByKey(jobKey);
+      if (existing) {
+        return res.status(202).json({
+          success: true,
+          message: 'Memory already accepted',
+          data: {
+            memory: await Memory.findById(existing.payload.memoryId),
+            job: existing.toStatus()
+          }
+        });
+      }
+    }
+
     if (!title || !fileData) {
       return res.status(400).json({
         success: false,
@@ -27,60 +142,106 @@ export const createMemory = async (req, res, next) => {
       });
     }
 
-    // 1. Upload to IPFS
-    console.log('📤 Uploading to IPFS...');
-    const ipfsResult = await ipfsService.pinBase64(fileData, fileName || 'memory', {
-      userId: req.user._id.toString(),
-      title,
-      category
-    });
-    console.log('✅ IPFS Upload successful:', ipfsResult.ipfsHash);
-
-    // 2. Store on Aptos blockchain (optional)
-    let aptosResult = null;
-    if (storeOnChain) {
-      console.log('⛓️ Storing on Aptos blockchain...');
-      aptosResult = await aptosService.storeMemoryOnChain(
-        ipfsResult.ipfsHash,
-        req.user.aptosAddress
-      );
-      console.log('✅ Aptos storage:', aptosResult);
+    if (encrypt && clientEncryption) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use either encrypt or clientEncryption, not both'
+      });
     }
 
-    // 3. Save to database
-    const memory = await Memory.create({
-      userId: req.user._id,
-      title,
-      description,
-      category: category || 'other',
-      ipfsHash: ipfsResult.ipfsHash,
-      ipfsUrl: ipfsResult.gatewayUrl,
-      txHash: aptosResult?.txHash || null,
-      txVersion: aptosResult?.txVersion || null,
-      isOnChain: !!aptosResult?.success,
-      fileType,
-      fileSize: Buffer.byteLength(fileData, 'base64'),
-      fileName
-    });
+    if (encrypt && !envelopeService.isEnabled) {
+      return res.status(503).json({
+        success: false,
+        message: 'Server-side encryption is not configured'
+      });
+    }
+
+    const content = Buffer.from(fileData.replace(/^data:.*?;base64,/, ''), 'base64');
 
-    // 4. Update user stats
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { 
-        totalMemories: 1,
-        storageUsed: memory.fileSize
+    // Client-encrypted content must be a well-formed LVE1 stream
+    let encryptionFields = {};
+    if (clientEncryption) {
+      encryptionFields = await resolveClientEncryption(clientEncryption, req.user);
+
+      const header = encryptionService.parseStreamHeader(content);
+      if (!header || encryptionService.plaintextSize(content.length, header.segmentSize) === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'fileData is not a valid lv-e2ee-v1 ciphertext'
+        });
       }
-    });
+    }
 
-    res.status(201).json({
+    // 1. Check & reserve storage quota
+    const fileSize = Buffer.byteLength(fileData, 'base64');
+    const reservedBytes = await uploadService.getReservedBytes(req.user._id);
+
+    if (!(await reserveStorage(req.user, fileSize, reservedBytes))) {
+      return storageQuotaExceeded(res, req.user, fileSize);
+    }
+
+    let blobId, memory, job;
+    try {
+      // 2. Stage the content (encrypted with a fresh data key if requested)
+      let source = content;
+      let size = content.length;
+      let contentType = clientEncryption ? 'application/octet-stream' : fileType;
+
+      if (encrypt) {
+        const encrypted = await envelopeService.encryptBuffer(req.user._id, content);
+        encryptionFields = encrypted.fields;
+        source = encrypted.stream;
+        size = encrypted.size;
+        contentType = 'application/octet-stream';
+      }
+
+      blobId = await jobService.saveBlob(source, fileName || 'memory', { userId: req.user._id.toString() });
+
+      // 3. Save the record and queue the pin (which queues the anchor)
+      memory = await Memory.create({
+        ...encryptionFields,
+        userId: req.user._id,
+        title,
+        description,
+        category: category || 'other',
+        fileType,
+        fileSize,
+        fileName,
+        contentStatus: CONTENT_STATUS.PENDING
+      });
+
+      job = await jobService.enqueue(JOB_TYPES.MEMORY_PIN, {
+        memoryId: memory._id.toString(),
+        blobId,
+        fileName: fileName || 'memory',
+        contentType,
+        size,
+        storeOnChain: !!storeOnChain
+      }, {
+        idempotencyKey: jobKey || `memory.pin:${memory._id}`,
+        userId: req.user._id
+      });
+    } catch (error) {
+      await releaseStorage(req.user._id, fileSize);
+      if (blobId) await jobService.deleteBlob(blobId);
+      if (memory) await memory.deleteOne();
+      throw error;
+    }
+
+    // A concurrent request with the same Idempotency-Key got there first
+    if (job.payload.memoryId !== memory._id.toString()) {
+      await releaseStorage(req.user._id, fileSize);
+      await jobService.deleteBlob(blobId);
+      await memory.deleteOne();
+      memory = await Memory.findById(job.payload.memoryId);
+    }
+
+    res.status(202).json({
       success: true,
-      message: 'Memory created successfully',
+      message: 'Memory accepted, storing in the background',
       data: {
         memory,
-        ipfs: {
-          hash: ipfsResult.ipfsHash,
-          url: ipfsResult.gatewayUrl
-        },
-        aptos: aptosResult
+        job: job.toStatus()
       }
     });
 
@@ -137,13 +298,16 @@ export const getMemories = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single memory
+ * @desc    Get single memory (owner, or a user it was shared with / inherited by)
  */
 export const getMemory = async (req, res, next) => {
   try {
     const memory = await Memory.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      $or: [
+        { userId: req.user._id },
+        { 'sharedWith.userId': req.user._id }
+      ]
     });
 
     if (!memory) {
@@ -160,14 +324,19 @@ export const getMemory = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete memory
+ * @desc    Download memory content (decrypted server-side if encrypted)
+ * @route   GET /api/memories/:id/download
+ * @access  Private (owner, or a user it was shared with / inherited by)
  */
-export const deleteMemory = async (req, res, next) => {
+export const downloadMemory = async (req, res, next) => {
   try {
     const memory = await Memory.findOne({
       _id: req.params.id,
-      userId: req.user._id
-    });
+      $or: [
+        { userId: req.user._id },
+        { 'sharedWith.userId': req.user._id }
+      ]
+    }).select('+encryption.wrappedKey');
 
     if (!memory) {
       return res.status(404).json({
@@ -176,239 +345,899 @@ export const deleteMemory = async (req, res, next) => {
       });
     }
 
-    try {
-      await ipfsService.unpin(memory.ipfsHash);
-    } catch (err) {
-      console.warn('Failed to unpin from IPFS:', err.message);
-    }
-
-    await memory.deleteOne();
+    const isOwner = memory.userId.equals(req.user._id);
+    const share = memory.sharedWith.find(s => s.userId?.equals(req.user._id));
 
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { 
-        totalMemories: -1,
-        storageUsed: -memory.fileSize
-      }
+    await sendMemoryContent(res, memory, {
+      attachment: isOwner || share?.permissions === 'download'
     });
-
-    res.json({ success: true, message: 'Memory deleted successfully' });
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * @desc    Verify memory on Aptos blockchain
+ * @desc    Get my encryption key versions & encrypted memory counts
+ * @route   GET /api/memories/keys
+ * @access  Private
  */
-export const verifyMemory = async (req, res, next) => {
+export const getEncryptionKeys = async (req, res, next) => {
   try {
-    const memory = await Memory.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const status = await envelopeService.getKeyStatus(req.user._id);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (!memory) {
-      return res.status(404).json({
+/**
+ * @desc    Rotate my key-encryption key (re-wraps data keys, no re-upload)
+ * @route   POST /api/memories/keys/rotate
+ * @access  Private
+ */
+export const rotateEncryptionKey = async (req, res, next) => {
+  try {
+    if (!envelopeService.isEnabled) {
+      return res.status(503).json({
         success: false,
-        message: 'Memory not found'
+        message: 'Server-side encryption is not configured'
       });
     }
 
-    if (!memory.isOnChain || !memory.txHash) {
-      return res.json({
-        success: true,
-        verified: false,
-        message: 'Memory is not stored on blockchain'
+    const summary = await envelopeService.rotateUserKey(req.user._id);
+
+    res.json({
+      success: true,
+      message: summary.failed
+        ? `Key rotated; ${summary.failed} memories still use an older key`
+        : 'Key rotated',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register my X25519 public key for client-side encryption
+ * @route   PUT /api/memories/keys/public
+ * @access  Private
+ */
+export const registerPublicKey = async (req, res, next) => {
+  try {
+    const { publicKey } = req.body;
+
+    if (!encryptionService.isValidPublicKey(publicKey)) {
+      return res.status(400).json({
+        success: false,
+        message: 'publicKey must be a base64 32-byte X25519 key'
       });
     }
 
-    // Get transaction details from Aptos
-    const txDetails = await aptosService.getTransaction(memory.txHash);
+    await User.findByIdAndUpdate(req.user._id, { encryptionPublicKey: publicKey });
 
     res.json({
       success: true,
-      verified: txDetails.success,
+      message: 'Encryption public key saved. Re-wrap existing memory keys for the new key.',
       data: {
-        memory,
-        blockchain: txDetails.transaction
+        publicKey,
+        fingerprint: encryptionService.publicKeyFingerprint(publicKey)
       }
     });
-
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * @desc    Get user statistics
+ * @desc    Look up a user's encryption public key (to wrap a key for them)
+ * @route   GET /api/memories/keys/public?userId=|email=|walletAddress=
+ * @access  Private
  */
-export const getStats = async (req, res, next) => {
+export const getPublicKey = async (req, res, next) => {
   try {
-    const stats = await Memory.aggregate([
-      { $match: { userId: req.user._id } },
-      {
-        $group: {
-          _id: null,
-          totalMemories: { $sum: 1 },
-          totalSize: { $sum: '$fileSize' },
-          onChain: { $sum: { $cond: ['$isOnChain', 1, 0] } }
-        }
-      }
-    ]);
+    const { userId, email, walletAddress } = req.query;
 
-    const categoryStats = await Memory.aggregate([
-      { $match: { userId: req.user._id } },
-      { $group: { _id: '$category', count: { $sum: 1 } } }
-    ]);
+    let query = null;
+    let lookup = null;
+    if (userId && mongoose.isValidObjectId(userId)) {
+      query = { _id: userId };
+      lookup = `userId:${userId}`;
+    } else if (email) {
+      query = { email: String(email).toLowerCase().trim() };
+      lookup = `email:${query.email}`;
+    } else if (walletAddress) {
+      query = { aptosAddress: String(walletAddress) };
+      lookup = `wallet:${query.aptosAddress.toLowerCase()}`;
+    }
 
-    // Get Aptos balance if user has address
-    let aptosBalance = null;
-    if (req.user.aptosAddress) {
-      aptosBalance = await aptosService.getBalance(req.user.aptosAddress);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a valid userId, email or walletAddress'
+      });
     }
 
+    const user = await User.findOne(query).select('encryptionPublicKey');
+
+    // Accounts that don't exist (or have no key) get the same kind of answer
+    // as ones that do, so this can't be used to find out who has an account
+    const key = user?.encryptionPublicKey
+      ? { userId: user._id, publicKey: user.encryptionPublicKey }
+      : encryptionService.decoyPublicKey(lookup);
+
+    if (query._id) key.userId = query._id;
+
     res.json({
       success: true,
       data: {
-        overview: stats[0] || { totalMemories: 0, totalSize: 0, onChain: 0 },
-        byCategory: categoryStats,
-        aptos: aptosBalance
+        userId: key.userId,
+        publicKey: key.publicKey,
+        fingerprint: encryptionService.publicKeyFingerprint(key.publicKey)
       }
     });
-
   } catch (error) {
     next(error);
   }
 };
 
-
-// =============================================================
-// ← NEW CONTROLLER: RELAY / SPONSORED TRANSACTION
-// =============================================================
-
 /**
- * @desc    Relay a memory to Aptos blockchain (server pays gas)
- * @route   POST /api/memories/relay
- * @access  Private
- *
- * Expected request body from the Android app:
- * {
- *   "ipfsHash":    "QmXyz...",           // CID returned from IPFS upload
- *   "signature":   "0xabcdef...",         // Ed25519 sig = Sign(ipfsHash, userPrivateKey)
- *   "title":       "My vacation photo",
- *   "description": "Optional note",
- *   "category":    "photo",
- *   "fileType":    "image/jpeg",
- *   "fileName":    "photo.jpg",
- *   "fileSize":    123456               // bytes (optional, for stats)
- * }
- *
- * The user must already have aptosPublicKey stored on their profile
- * (set during wallet auth or registration).
+ * @desc    Get the wrapped data keys I can open for a client-encrypted memory
+ *          (owner gets every entry)
+ * @route   GET /api/memories/:id/keys
+ * @access  Private (owner, or a user it was shared with / inherited by)
  */
-export const relayMemory = async (req, res, next) => {
+export const getMemoryKeys = async (req, res, next) => {
   try {
-    const {
-      ipfsHash,
-      signature,
-      title,
-      description,
-      category,
-      fileType,
-      fileName,
-      fileSize
-    } = req.body;
+    const memory = await Memory.findOne({
+      _id: req.params.id,
+      $or: [
+        { userId: req.user._id },
+        { 'sharedWith.userId': req.user._id }
+      ]
+    }).select('+wrappedKeys');
 
-    // ── Validate required fields ────────────────────────────────
-    if (!ipfsHash || !signature) {
-      return res.status(400).json({
+    if (!memory) {
+      return res.status(404).json({
         success: false,
-        message: 'ipfsHash and signature are required'
+        message: 'Memory not found'
       });
     }
 
-    if (!title) {
+    if (memory.encryptionMethod !== ENCRYPTION_METHODS.CLIENT_E2EE_V1) {
       return res.status(400).json({
         success: false,
-        message: 'title is required'
+        message: 'Memory is not client-side encrypted'
       });
     }
 
-    // ── Get user's public key ───────────────────────────────────
-    const userPublicKey = req.user.aptosPublicKey;
+    const isOwner = memory.userId.equals(req.user._id);
+    const wrappedKeys = isOwner
+      ? memory.wrappedKeys
+      : memory.wrappedKeys.filter(k =>
+        k.userId?.equals(req.user._id) ||
+        (k.isBeneficiary && k.email && k.email === req.user.email && req.user.isAccountVerified())
+      );
 
-    if (!userPublicKey) {
+    res.json({
+      success: true,
+      data: {
+        scheme: memory.encryptionMethod,
+        wrappedKeys
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add wrapped data keys for more recipients
+ * @route   POST /api/memories/:id/keys
+ * @access  Private (Owner only)
+ */
+export const addMemoryKeys = async (req, res, next) => {
+  try {
+    const { wrappedKeys } = req.body;
+
+    if (!Array.isArray(wrappedKeys) || wrappedKeys.length === 0) {
       return res.status(400).json({
         success: false,
-        message:
-          'No Aptos public key found on your account. ' +
-          'Please link a wallet first via /api/auth/wallet or /api/auth/link-wallet.'
+        message: 'wrappedKeys must be a non-empty array'
       });
     }
 
-    console.log('\n=== Relay / Sponsored Transaction ===');
-    console.log('User ID   :', req.user._id);
-    console.log('IPFS Hash :', ipfsHash);
-    console.log('Public Key:', userPublicKey.substring(0, 20) + '...');
-
-    // ── Call the service (verify sig → submit tx) ───────────────
-    const aptosResult = await aptosService.submitSponsoredMemory(
-      ipfsHash,
-      userPublicKey,
-      signature
-    );
+    for (const entry of wrappedKeys) {
+      const reason = encryptionService.verifyWrappedKey(entry);
+      if (reason) {
+        return res.status(400).json({ success: false, message: reason });
+      }
+    }
 
-    // ── Persist to MongoDB ──────────────────────────────────────
-    const ipfsGateway =
-      process.env.IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs';
+    const recipientError = await encryptionService.verifyRecipientKeys(wrappedKeys);
+    if (recipientError) {
+      return res.status(400).json({ success: false, message: recipientError });
+    }
 
-    const memory = await Memory.create({
+    const memory = await Memory.findOne({
+      _id: req.params.id,
       userId: req.user._id,
-      title,
-      description: description || '',
-      category: category || 'other',
-      ipfsHash,
-      ipfsUrl: `${ipfsGateway}/${ipfsHash}`,
-      txHash: aptosResult.txHash,
-      txVersion: aptosResult.txVersion,
-      isOnChain: true,
-      fileType: fileType || null,
-      fileSize: fileSize || 0,
-      fileName: fileName || null
-    });
+      encryptionMethod: ENCRYPTION_METHODS.CLIENT_E2EE_V1
+    }).select('+wrappedKeys');
 
-    // ── Update user stats ───────────────────────────────────────
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: {
-        totalMemories: 1,
-        storageUsed: fileSize || 0
-      }
-    });
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client-encrypted memory not found'
+      });
+    }
 
-    console.log('✅ Relay complete. Memory ID:', memory._id);
+    // A new key for the same user replaces their old one
+    const replacedUsers = wrappedKeys
+      .filter(k => k.recipientType === KEY_RECIPIENT_TYPES.USER)
+      .map(k => k.userId.toString());
+
+    memory.wrappedKeys = memory.wrappedKeys
+      .filter(k => !(k.recipientType === KEY_RECIPIENT_TYPES.USER && replacedUsers.includes(k.userId?.toString())))
+      .concat(wrappedKeys.map(k => ({ ...k, createdAt: new Date() })));
+    await memory.save();
 
-    // ── Respond ─────────────────────────────────────────────────
     res.status(201).json({
       success: true,
-      message: 'Memory relayed to blockchain successfully (gas sponsored)',
-      data: {
-        memory,
-        ipfs: {
-          hash: ipfsHash,
-          url: `${ipfsGateway}/${ipfsHash}`
-        },
-        aptos: {
-          txHash: aptosResult.txHash,
-          txVersion: aptosResult.txVersion,
-          sponsored: true
-        }
+      message: 'Wrapped keys added',
+      data: { wrappedKeys: memory.wrappedKeys }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a wrapped data key
+ * @route   DELETE /api/memories/:id/keys/:keyId
+ * @access  Private (Owner only)
+ */
+export const removeMemoryKey = async (req, res, next) => {
+  try {
+    const memory = await Memory.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      encryptionMethod: ENCRYPTION_METHODS.CLIENT_E2EE_V1
+    }).select('+wrappedKeys');
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client-encrypted memory not found'
+      });
+    }
+
+    const entry = memory.wrappedKeys.id(req.params.keyId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wrapped key not found'
+      });
+    }
+
+    const ownerKeys = memory.wrappedKeys.filter(k => k.userId?.equals(req.user._id));
+    if (entry.userId?.equals(req.user._id) && ownerKeys.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove your only key for this memory'
+      });
+    }
+
+    entry.deleteOne();
+    await memory.save();
+
+    res.json({ success: true, message: 'Wrapped key removed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete memory
+ */
+export const deleteMemory = async (req, res, next) => {
+  try {
+    const memory = await Memory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory not found'
+      });
+    }
+
+    if (memory.ipfsHash) {
+      try {
+        await ipfsService.unpin(memory.ipfsHash);
+      } catch (err) {
+        console.warn('Failed to unpin from IPFS:', err.message);
+      }
+    }
+
+    await memory.deleteOne();
+
+    // A memory whose pin failed already gave its quota back
+    if (memory.contentStatus !== CONTENT_STATUS.FAILED) {
+      await User.findByIdAndUpdate(req.user._id, {
+        $inc: { 
+          totalMemories: -1,
+          storageUsed: -memory.fileSize
+        }
+      });
+    }
+
+    res.json({ success: true, message: 'Memory deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify memory on Aptos blockchain
+ * @route   GET /api/memories/:id/verify
+ * @access  Private
+ */
+export const verifyMemory = async (req, res, next) => {
+  try {
+    const memory = await Memory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory not found'
+      });
+    }
+
+    if (!memory.isOnChain || !memory.txHash) {
+      return res.json({
+        success: true,
+        verified: false,
+        message: 'Memory is not stored on blockchain'
+      });
+    }
+
+    // Resolve the on-chain id (older memories only have the tx hash)
+    if (!memory.onChainId) {
+      memory.onChainId = await aptosService.getMemoryIdFromTransaction(memory.txHash);
+      if (memory.onChainId) await memory.save();
+    }
+
+    if (!memory.onChainId) {
+      return res.json({
+        success: true,
+        verified: false,
+        message: 'On-chain memory id could not be resolved'
+      });
+    }
+
+    const record = await aptosService.getOnChainMemory(memory.onChainId);
+
+    if (!record) {
+      return res.json({
+        success: true,
+        verified: false,
+        message: 'Memory not found on chain'
+      });
+    }
+
+    // Memories stored before custodial storage are owned by the master
+    // account. That holds for every user's memories, so it only counts when
+    // the record is the one our transaction for this memory created.
+    const master = aptosService.getMasterAddress();
+    const userAddress = [memory.onChainOwner, req.user.aptosAddress]
+      .find(address => address && !aptosService.sameAddress(address, master));
+    const ownedByMaster = aptosService.sameAddress(record.owner, master);
+
+    const checks = {
+      hashMatches: record.ipfsHash === memory.ipfsHash,
+      ownedByUser: !!userAddress &&
+        await aptosService.verifyOwnership(memory.onChainId, userAddress),
+      ownedByMaster,
+      storedForMemory: ownedByMaster &&
+        String(await aptosService.getMemoryIdFromTransaction(memory.txHash)) === String(memory.onChainId)
+    };
+
+    res.json({
+      success: true,
+      verified: checks.hashMatches && (checks.ownedByUser || checks.storedForMemory),
+      data: {
+        memory,
+        blockchain: {
+          ...record,
+          txHash: memory.txHash,
+          checks
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the user's memories recorded on chain
+ * @route   GET /api/memories/chain
+ * @access  Private
+ */
+export const getChainMemories = async (req, res, next) => {
+  try {
+    if (!req.user.aptosAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'No Aptos address linked to this account'
+      });
+    }
+
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { total, memories } = await aptosService.getUserOnChainMemories(
+      req.user.aptosAddress,
+      { offset, limit }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        address: req.user.aptosAddress,
+        memories,
+        pagination: { offset, limit, total }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get user statistics
+ */
+export const getStats = async (req, res, next) => {
+  try {
+    const stats = await Memory.aggregate([
+      { $match: { userId: req.user._id } },
+      {
+        $group: {
+          _id: null,
+          totalMemories: { $sum: 1 },
+          totalSize: { $sum: '$fileSize' },
+          onChain: { $sum: { $cond: ['$isOnChain', 1, 0] } }
+        }
+      }
+    ]);
+
+    const categoryStats = await Memory.aggregate([
+      { $match: { userId: req.user._id } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    // Get Aptos balance if user has address
+    let aptosBalance = null;
+    if (req.user.aptosAddress) {
+      aptosBalance = await aptosService.getBalance(req.user.aptosAddress);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        overview: stats[0] || { totalMemories: 0, totalSize: 0, onChain: 0 },
+        byCategory: categoryStats,
+        storage: {
+          used: req.user.storageUsed,
+          quota: req.user.getStorageQuota()
+        },
+        aptos: aptosBalance
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+// =============================================================
+// ← NEW CONTROLLER: RELAY / SPONSORED TRANSACTION
+// =============================================================
+
+/**
+ * @desc    Relay a memory to Aptos blockchain (server pays gas)
+ * @route   POST /api/memories/relay
+ * @access  Private
+ *
+ * Expected request body from the Android app:
+ * {
+ *   "ipfsHash":    "QmXyz...",           // CID returned from IPFS upload
+ *   "signature":   "0xabcdef...",         // Ed25519 sig = Sign(ipfsHash, userPrivateKey)
+ *   "title":       "My vacation photo",
+ *   "description": "Optional note",
+ *   "category":    "photo",
+ *   "fileType":    "image/jpeg",
+ *   "fileName":    "photo.jpg",
+ *   "fileSize":    123456               // bytes (optional, for stats)
+ * }
+ *
+ * The user must already have aptosPublicKey stored on their profile
+ * (set during wallet auth or registration).
+ */
+export const relayMemory = async (req, res, next) => {
+  try {
+    const {
+      ipfsHash,
+      signature,
+      title,
+      description,
+      category,
+      fileType,
+      fileName,
+      fileSize,
+      clientEncryption = null
+    } = req.body;
+
+    // ── Validate required fields ────────────────────────────────
+    if (!ipfsHash || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'ipfsHash and signature are required'
+      });
+    }
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: 'title is required'
+      });
+    }
+
+    // ── Get user's public key ───────────────────────────────────
+    const userPublicKey = req.user.aptosPublicKey;
+
+    if (!userPublicKey) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'No Aptos public key found on your account. ' +
+          'Please link a wallet first via /api/auth/wallet or /api/auth/link-wallet.'
+      });
+    }
+
+    console.log('\n=== Relay / Sponsored Transaction ===');
+    console.log('User ID   :', req.user._id);
+    console.log('IPFS Hash :', ipfsHash);
+    console.log('Public Key:', userPublicKey.substring(0, 20) + '...');
+
+    // ── Client-side encryption (optional) ───────────────────────
+    const encryptionFields = clientEncryption
+      ? await resolveClientEncryption(clientEncryption, req.user)
+      : {};
+
+    // ── Check & reserve storage quota ───────────────────────────
+    const size = Number(fileSize) || 0;
+    const reservedBytes = await uploadService.getReservedBytes(req.user._id);
+
+    if (!(await reserveStorage(req.user, size, reservedBytes))) {
+      return storageQuotaExceeded(res, req.user, size);
+    }
+
+    const ipfsGateway = ipfsService.gatewayUrl;
+    let aptosResult, memory;
+
+    try {
+      // ── Call the service (verify sig → submit tx) ─────────────
+      aptosResult = await aptosService.submitSponsoredMemory(
+        ipfsHash,
+        userPublicKey,
+        signature
+      );
+
+      // ── Persist to MongoDB ────────────────────────────────────
+      memory = await Memory.create({
+        ...encryptionFields,
+        userId: req.user._id,
+        title,
+        description: description || '',
+        category: category || 'other',
+        ipfsHash,
+        ipfsUrl: `${ipfsGateway}/${ipfsHash}`,
+        txHash: aptosResult.txHash,
+        txVersion: aptosResult.txVersion,
+        isOnChain: true,
+        onChainId: aptosResult.memoryId || null,
+        onChainOwner: aptosResult.owner,
+        fileType: fileType || null,
+        fileSize: size,
+        fileName: fileName || null
+      });
+    } catch (error) {
+      await releaseStorage(req.user._id, size);
+      throw error;
+    }
+
+    console.log('✅ Relay complete. Memory ID:', memory._id);
+
+    // ── Respond ─────────────────────────────────────────────────
+    res.status(201).json({
+      success: true,
+      message: 'Memory relayed to blockchain successfully (gas sponsored)',
+      data: {
+        memory,
+        ipfs: {
+          hash: ipfsHash,
+          url: `${ipfsGateway}/${ipfsHash}`
+        },
+        aptos: {
+          txHash: aptosResult.txHash,
+          txVersion: aptosResult.txVersion,
+          sponsored: true
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Relay error:', error.message);
+
+    // Return a descriptive status when signature verification fails
+    if (error.message.includes('Relay rejected')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    next(error);
+  }
+};
+
+
+// =============================================================
+// MEMORY TRANSFERS
+// =============================================================
+
+/**
+ * Find who a memory is being transferred to.
+ * Body may name a LifeVault user (recipientUserId / recipientEmail) or
+ * an Aptos address (walletAddress), which may or may not belong to a user.
+ * @returns {{ user: User|null, address: string|null }}
+ */
+const resolveTransferRecipient = async ({ recipientUserId, recipientEmail, walletAddress }) => {
+  if (walletAddress) {
+    const address = aptosService.normalizeAddress(String(walletAddress));
+    if (!address) {
+      throw new APIError('walletAddress is not a valid Aptos address', 400);
+    }
+
+    const user = await User.findOne({
+      aptosAddress: { $in: [String(walletAddress), address] }
+    });
+    return { user, address };
+  }
+
+  let user = null;
+  if (recipientUserId) {
+    user = await User.findById(recipientUserId);
+  } else if (recipientEmail) {
+    user = await User.findOne({ email: String(recipientEmail).toLowerCase() });
+  } else {
+    throw new APIError('recipientUserId, recipientEmail or walletAddress is required', 400);
+  }
+
+  if (!user) {
+    throw new APIError('Recipient not found', 404);
+  }
+
+  return { user, address: user.aptosAddress || null };
+};
+
+/**
+ * Move a memory (database record and, if anchored, the on-chain record)
+ * to another owner. `submitOnChain(memory, address)` performs the
+ * on-chain transfer: custodial or signed by the owner.
+ *
+ * A memory sent to an address with no LifeVault account changes owner on
+ * chain only; the database record stays where it is.
+ */
+const transferMemoryTo = async (req, submitOnChain) => {
+  const { wrappedKey } = req.body;
+
+  const memory = await Memory.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  }).select('+wrappedKeys +encryption.wrappedKey');
+
+  if (!memory) {
+    throw new APIError('Memory not found', 404);
+  }
+
+  const { user: recipient, address } = await resolveTransferRecipient(req.body);
+
+  if (recipient?._id.equals(req.user._id)) {
+    throw new APIError('You already own this memory', 400);
+  }
+  if (!recipient && !memory.isOnChain) {
+    throw new APIError('Only on-chain memories can be transferred to an address without a LifeVault account', 400);
+  }
+  if (memory.isOnChain && !address) {
+    throw new APIError('Recipient has no Aptos address to receive the on-chain record', 400);
+  }
+
+  // ── Keys for the new owner ────────────────────────────────────
+  const isClientEncrypted = memory.encryptionMethod === ENCRYPTION_METHODS.CLIENT_E2EE_V1;
+  let recipientKey = null;
+
+  if (recipient && isClientEncrypted) {
+    const reason = !wrappedKey
+      ? 'wrappedKey for the recipient is required to transfer a client-encrypted memory'
+      : wrappedKey.recipientType !== KEY_RECIPIENT_TYPES.USER || String(wrappedKey.userId) !== recipient._id.toString()
+        ? 'wrappedKey must be a user key for the recipient'
+        : encryptionService.verifyWrappedKey(wrappedKey) ||
+          await encryptionService.verifyRecipientKeys([wrappedKey]);
+
+    if (reason) {
+      throw new APIError(reason, 400);
+    }
+    recipientKey = { ...wrappedKey, createdAt: new Date() };
+  }
+
+  const encryption = recipient && envelopeService.isServerEncrypted(memory)
+    ? await envelopeService.rewrapDataKey(memory, recipient._id)
+    : null;
+
+  // ── Reserve the recipient's quota ─────────────────────────────
+  const size = memory.fileSize || 0;
+  if (recipient) {
+    const reservedBytes = await uploadService.getReservedBytes(recipient._id);
+    if (!(await reserveStorage(recipient, size, reservedBytes))) {
+      throw new APIError('Recipient does not have enough storage for this memory', 413);
+    }
+  }
+
+  // ── On-chain transfer ─────────────────────────────────────────
+  let chainResult = null;
+  try {
+    if (memory.isOnChain) {
+      if (!memory.onChainId && memory.txHash) {
+        memory.onChainId = await aptosService.getMemoryIdFromTransaction(memory.txHash);
+      }
+      if (!memory.onChainId) {
+        throw new APIError('On-chain memory id could not be resolved', 409);
+      }
+
+      chainResult = await submitOnChain(memory, address);
+      memory.onChainOwner = address;
+    }
+  } catch (error) {
+    if (recipient) await releaseStorage(recipient._id, size);
+    throw error;
+  }
+
+  // ── Database record ───────────────────────────────────────────
+  if (recipient) {
+    memory.userId = recipient._id;
+    if (encryption) memory.encryption = encryption;
+    if (isClientEncrypted) {
+      // The previous owner's and their beneficiaries' keys go with the old owner
+      memory.wrappedKeys = memory.wrappedKeys
+        .filter(k => k.recipientType !== KEY_RECIPIENT_TYPES.USER && !k.isBeneficiary)
+        .concat(recipientKey);
+    }
+    memory.sharedWith = [];
+    memory.beneficiaries = [];
+    memory.inheritanceEnabled = false;
+
+    await SharedLink.updateMany({ memoryId: memory._id, isActive: true }, { isActive: false });
+    await releaseStorage(req.user._id, size);
+  }
+
+  await memory.save();
+
+  console.log(`🔁 Memory ${memory._id} transferred to ${recipient?._id || address}`);
+
+  return {
+    memory,
+    recipient: recipient ? { id: recipient._id, name: recipient.name } : null,
+    onChain: chainResult
+  };
+};
+
+/**
+ * @desc    Transfer a memory to another user or Aptos address
+ * @route   POST /api/memories/:id/transfer
+ * @access  Private (Owner only)
+ *
+ * Body: { recipientUserId | recipientEmail | walletAddress, wrappedKey? }
+ * `wrappedKey` (a user key for the recipient) is required for
+ * client-encrypted memories going to a LifeVault user.
+ *
+ * The backend signs the on-chain transfer as the memory's custodian.
+ */
+export const transferMemory = async (req, res, next) => {
+  try {
+    const result = await transferMemoryTo(req, async (memory, address) => {
+      const record = await aptosService.getOnChainMemory(memory.onChainId);
+      const master = aptosService.getMasterAddress();
+
+      if (!record) {
+        throw new APIError('Memory not found on chain', 409);
+      }
+
+      // Stored without a user address: the master owns it outright
+      if (aptosService.sameAddress(record.owner, master)) {
+        return aptosService.transferMemoryOnChain(memory.onChainId, address, { asCustodian: false });
+      }
+
+      if (!aptosService.sameAddress(record.owner, memory.onChainOwner || req.user.aptosAddress)) {
+        throw new APIError('The on-chain record is no longer owned by this account', 409);
+      }
+      if (!aptosService.sameAddress(record.custodian, master)) {
+        throw new APIError('LifeVault is no longer custodian of this memory; use /transfer/relay', 409);
       }
+
+      return aptosService.transferMemoryOnChain(memory.onChainId, address);
+    });
+
+    res.json({
+      success: true,
+      message: 'Memory transferred',
+      data: result
     });
   } catch (error) {
-    console.error('❌ Relay error:', error.message);
+    next(error);
+  }
+};
 
-    // Return a descriptive status when signature verification fails
-    if (error.message.includes('Relay rejected')) {
+/**
+ * @desc    Transfer a memory with the owner's wallet signature (gas sponsored)
+ * @route   POST /api/memories/:id/transfer/relay
+ * @access  Private (Owner only)
+ *
+ * Body: { recipientUserId | recipientEmail | walletAddress, signature, wrappedKey? }
+ * `signature` is the owner's Ed25519 signature (hex) over
+ * "LifeVault transfer memory <onChainId> to <recipient address>", made
+ * with the key on their account (aptosPublicKey).
+ */
+export const relayTransferMemory = async (req, res, next) => {
+  try {
+    const { signature } = req.body;
+    const userPublicKey = req.user.aptosPublicKey;
+
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'signature is required'
+      });
+    }
+
+    if (!userPublicKey) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'No Aptos public key found on your account. ' +
+          'Please link a wallet first via /api/auth/wallet or /api/auth/link-wallet.'
+      });
+    }
+
+    const result = await transferMemoryTo(req, (memory, address) =>
+      aptosService.submitSponsoredTransfer(memory.onChainId, address, userPublicKey, signature)
+    );
+
+    res.json({
+      success: true,
+      message: 'Memory transferred (gas sponsored)',
+      data: result
+    });
+  } catch (error) {
+    if (error.message?.includes('Transfer rejected')) {
       return res.status(403).json({
         success: false,
         message: error.message
@@ -417,4 +1246,399 @@ export const relayMemory = async (req, res, next) => {
 
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Ownership history of a memory, rebuilt from chain events
+ * @route   GET /api/memories/:id/history
+ * @access  Private (Owner only)
+ */
+export const getMemoryHistory = async (req, res, next) => {
+  try {
+    const memory = await Memory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory not found'
+      });
+    }
+
+    if (!memory.isOnChain) {
+      return res.status(400).json({
+        success: false,
+        message: 'Memory is not stored on blockchain'
+      });
+    }
+
+    if (!memory.onChainId && memory.txHash) {
+      memory.onChainId = await aptosService.getMemoryIdFromTransaction(memory.txHash);
+      if (memory.onChainId) await memory.save();
+    }
+
+    if (!memory.onChainId) {
+      return res.status(409).json({
+        success: false,
+        message: 'On-chain memory id could not be resolved'
+      });
+    }
+
+    const [record, history] = await Promise.all([
+      aptosService.getOnChainMemory(memory.onChainId),
+      aptosService.getMemoryHistory(memory.onChainId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        memoryId: memory._id,
+        onChainId: memory.onChainId,
+        currentOwner: record?.owner || null,
+        custodian: record?.custodian || null,
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================================
+// RESUMABLE MULTIPART UPLOADS
+// =============================================================
+
+const formatUpload = (session) => ({
+  uploadId: session._id,
+  status: session.status,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  nextChunk: session.nextChunk,
+  receivedBytes: session.receivedBytes,
+  progress: session.progress,
+  memoryId: session.status === UPLOAD_STATUS.COMPLETED ? session.memoryId : null,
+  error: session.error || null,
+  expiresAt: session.expiresAt
+});
+
+/**
+ * @desc    Start a resumable upload
+ * @route   POST /api/memories/uploads
+ * @access  Private
+ *
+ * Body: { title, description, category, fileName, fileType, fileSize, storeOnChain,
+ *         encrypt | clientEncryption }
+ * Then PUT each chunk (multipart field "chunk") to
+ * /api/memories/uploads/:uploadId/chunks/:index and POST .../complete.
+ */
+export const createUpload = async (req, res, next) => {
+  try {
+    const {
+      title,
+      description,
+      category,
+      fileName,
+      fileType,
+      fileSize,
+      storeOnChain = false,
+      encrypt = false,
+      clientEncryption = null
+    } = req.body;
+
+    const size = Number(fileSize);
+
+    if (!title || !fileName || !Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, fileName and a positive integer fileSize are required'
+      });
+    }
+
+    if (encrypt && clientEncryption) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use either encrypt or clientEncryption, not both'
+      });
+    }
+
+    if (encrypt && !envelopeService.isEnabled) {
+      return res.status(503).json({
+        success: false,
+        message: 'Server-side encryption is not configured'
+      });
+    }
+
+    if (clientEncryption) {
+      await resolveClientEncryption(clientEncryption, req.user);
+    }
+
+    const maxFileSize = DEFAULTS.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024;
+    if (size > maxFileSize) {
+      return res.status(413).json({
+        success: false,
+        message: `Files cannot exceed ${DEFAULTS.UPLOAD_MAX_FILE_SIZE_MB} MB`
+      });
+    }
+
+    // Space already held by other unfinished uploads counts against the quota
+    const reservedBytes = await uploadService.getReservedBytes(req.user._id);
+    if (req.user.storageUsed + reservedBytes + size > req.user.getStorageQuota()) {
+      return storageQuotaExceeded(res, req.user, size);
+    }
+
+    const session = await UploadSession.create({
+      userId: req.user._id,
+      fileName,
+      fileType,
+      fileSize: size,
+      memory: {
+        title,
+        description,
+        category,
+        storeOnChain: !!storeOnChain,
+        encryptContent: !!encrypt
+      },
+      clientEncryption: clientEncryption || undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: formatUpload(session)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get upload progress (use nextChunk to resume)
+ * @route   GET /api/memories/uploads/:uploadId
+ * @access  Private
+ */
+export const getUpload = async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.uploadId,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    res.json({ success: true, data: formatUpload(session) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive one chunk (streamed to disk by uploadMiddleware)
+ * @route   PUT /api/memories/uploads/:uploadId/chunks/:index
+ * @access  Private
+ */
+export const receiveChunk = async (req, res, next) => {
+  try {
+    const session = req.uploadSession;
+
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk data is required (multipart field "chunk")'
+      });
+    }
+
+    // Only the final chunk may be short
+    const isLast = session.receivedBytes + req.file.size === session.fileSize;
+    if (!isLast && req.file.size !== session.chunkSize) {
+      return res.status(400).json({
+        success: false,
+        message: `Chunks must be ${session.chunkSize} bytes (except the last one)`
+      });
+    }
+
+    const updated = await uploadService.commitChunk(session, req.file.size);
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Chunk was already received by another request'
+      });
+    }
+
+    res.json({ success: true, data: formatUpload(updated) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Finish an upload: stream it to storage and create the memory
+ * @route   POST /api/memories/uploads/:uploadId/complete
+ * @access  Private
+ */
+export const completeUpload = async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.uploadId,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (session.status === UPLOAD_STATUS.COMPLETED) {
+      const memory = await Memory.findById(session.memoryId);
+      return res.json({
+        success: true,
+        message: 'Upload already completed',
+        data: { memory, upload: formatUpload(session) }
+      });
+    }
+
+    if (session.receivedBytes !== session.fileSize) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload is incomplete',
+        data: formatUpload(session)
+      });
+    }
+
+    if (session.clientEncryption?.scheme && !(await uploadService.isValidClientCiphertext(session))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Uploaded file is not a valid lv-e2ee-v1 ciphertext'
+      });
+    }
+
+    // Claim the session so a double submit can't create two memories. The
+    // memory id is fixed up front so an interrupted completion can be
+    // settled by uploadService.cleanupExpired.
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: UPLOAD_STATUS.UPLOADING },
+      {
+        status: UPLOAD_STATUS.COMPLETING,
+        error: null,
+        memoryId: new mongoose.Types.ObjectId(),
+        completingAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: `Upload is ${session.status}`
+      });
+    }
+
+    const reservedBytes = await uploadService.getReservedBytes(req.user._id, claimed._id);
+    if (!(await reserveStorage(req.user, claimed.fileSize, reservedBytes))) {
+      await uploadService.settleCompletion(claimed);
+      return storageQuotaExceeded(res, req.user, claimed.fileSize);
+    }
+
+    claimed.storageReserved = true;
+    await UploadSession.updateOne({ _id: claimed._id }, { storageReserved: true });
+
+    let ipfsResult, memory, anchorJob;
+    try {
+      console.log(`📤 Streaming upload ${claimed._id} to ${ipfsService.providerName}...`);
+      ipfsResult = await uploadService.pinUpload(claimed, {
+        userId: req.user._id.toString(),
+        title: claimed.memory.title
+      });
+
+      const clientFields = claimed.clientEncryption?.scheme
+        ? await resolveClientEncryption(claimed.clientEncryption.toObject(), req.user)
+        : {};
+
+      ({ memory, anchorJob } = await saveMemory(req.user, ipfsResult, {
+        ...ipfsResult.fields,
+        ...clientFields,
+        _id: claimed.memoryId,
+        title: claimed.memory.title,
+        description: claimed.memory.description,
+        category: claimed.memory.category,
+        fileType: claimed.fileType,
+        fileSize: claimed.fileSize,
+        fileName: claimed.fileName
+      }, claimed.memory.storeOnChain));
+    } catch (error) {
+      // Back to UPLOADING with the staged file kept, so the client can retry
+      // /complete (if this fails too, cleanupExpired settles it later)
+      await uploadService.settleCompletion(claimed, error.message)
+        .catch(err => console.error(`❌ Failed to settle upload ${claimed._id}:`, err.message));
+      throw error;
+    }
+
+    claimed.status = UPLOAD_STATUS.COMPLETED;
+    claimed.storageReserved = false;
+    await claimed.save();
+    await uploadService.discard(claimed);
+
+    res.status(201).json({
+      success: true,
+      message: 'Memory created successfully',
+      data: {
+        memory,
+        upload: formatUpload(claimed),
+        ipfs: {
+          hash: ipfsResult.ipfsHash,
+          url: ipfsResult.gatewayUrl
+        },
+        // On-chain anchor runs in the background
+        anchorJob: anchorJob?.toStatus() || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Abort an upload and free its reserved space
+ * @route   DELETE /api/memories/uploads/:uploadId
+ * @access  Private
+ */
+export const abortUpload = async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOneAndUpdate(
+      {
+        _id: req.params.uploadId,
+        userId: req.user._id,
+        status: UPLOAD_STATUS.UPLOADING
+      },
+      { status: UPLOAD_STATUS.ABORTED },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active upload found'
+      });
+    }
+
+    await uploadService.discard(session);
+
+    res.json({ success: true, message: 'Upload aborted' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,280 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+import { ORGANIZATION_ROLES, ORGANIZATION_ROLE_PERMISSIONS } from '../config/constants.js';
+
+const isRole = (role) => Object.values(ORGANIZATION_ROLES).includes(role);
+
+const LAST_OWNER_MESSAGE = 'An organization must keep at least one owner; make someone else owner first';
+
+// Checked after the change and undone if it fails, so two owners removing
+// each other at once cannot leave the organization without one
+const hasOwner = async (organizationId) =>
+  !!(await OrganizationMember.exists({ organizationId, role: ORGANIZATION_ROLES.OWNER }));
+
+/**
+ * Put back a deleted membership
+ */
+const restoreMember = (member) => OrganizationMember.create(member.toObject());
+
+/**
+ * @desc    Organizations I work for, with my role and what it allows
+ * @route   GET /api/organizations/mine
+ * @access  Private
+ */
+export const getMyOrganizations = async (req, res, next) => {
+  try {
+    const memberships = await OrganizationMember.find({ userId: req.user._id })
+      .populate('organizationId', 'name avatar userType organizationInfo.name organizationInfo.logo organizationInfo.isVerified')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: memberships
+        .filter(membership => membership.organizationId)
+        .map(membership => ({
+          organization: membership.organizationId,
+          role: membership.role,
+          permissions: ORGANIZATION_ROLE_PERMISSIONS[membership.role],
+          since: membership.createdAt
+        }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Staff of an organization
+ * @route   GET /api/organizations/:id/members
+ * @access  Private (organization account, or staff with organization:members)
+ */
+export const getMembers = async (req, res, next) => {
+  try {
+    const members = await OrganizationMember.find({ organizationId: req.params.id })
+      .populate('userId', 'name email avatar')
+      .populate('addedBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: members.map(member => ({
+        user: member.userId,
+        role: member.role,
+        addedBy: member.addedBy,
+        addedAt: member.createdAt,
+        updatedAt: member.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a staff member by email or user id
+ * @route   POST /api/organizations/:id/members
+ * @access  Private (organization account, or staff with organization:members)
+ */
+export const addMember = async (req, res, next) => {
+  try {
+    const { email, userId, role } = req.body;
+
+    if (!isRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${Object.values(ORGANIZATION_ROLES).join(', ')}`
+      });
+    }
+
+    let user = null;
+    if (email) {
+      user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    } else if (mongoose.isValidObjectId(userId)) {
+      user = await User.findById(userId);
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account found for that email or user id'
+      });
+    }
+
+    if (user._id.toString() === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'The organization account cannot be its own member'
+      });
+    }
+
+    const existing = await OrganizationMember.findOne({ organizationId: req.params.id, userId: user._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already a member; change their role instead'
+      });
+    }
+
+    const member = await OrganizationMember.create({
+      organizationId: req.params.id,
+      userId: user._id,
+      role,
+      addedBy: req.user._id
+    });
+
+    console.log(`👥 ${user._id} added to organization ${req.params.id} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added',
+      data: {
+        user: { _id: user._id, name: user.name, email: user.email, avatar: user.avatar },
+        role: member.role,
+        addedAt: member.createdAt
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a staff member's role
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @access  Private (organization account, or staff with organization:members)
+ */
+export const updateMemberRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!isRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${Object.values(ORGANIZATION_ROLES).join(', ')}`
+      });
+    }
+
+    const filter = { organizationId: req.params.id, userId: req.params.userId };
+    const current = await OrganizationMember.findOne(filter).select('role');
+    const member = current && await OrganizationMember.findOneAndUpdate(filter, { role }, { new: true });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (current.role === ORGANIZATION_ROLES.OWNER && !(await hasOwner(req.params.id))) {
+      await OrganizationMember.updateOne({ _id: member._id }, { role: ORGANIZATION_ROLES.OWNER });
+      return res.status(409).json({
+        success: false,
+        message: LAST_OWNER_MESSAGE
+      });
+    }
+
+    console.log(`👥 ${member.userId} is now ${role} of organization ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: {
+        userId: member.userId,
+        role: member.role,
+        updatedAt: member.updatedAt
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a staff member
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @access  Private (organization account, or staff with organization:members)
+ */
+export const removeMember = async (req, res, next) => {
+  try {
+    const member = await OrganizationMember.findOneAndDelete({
+      organizationId: req.params.id,
+      userId: req.params.userId
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === ORGANIZATION_ROLES.OWNER && !(await hasOwner(req.params.id))) {
+      await restoreMember(member);
+      return res.status(409).json({
+        success: false,
+        message: LAST_OWNER_MESSAGE
+      });
+    }
+
+    console.log(`👥 ${member.userId} removed from organization ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Leave an organization I work for
+ * @route   DELETE /api/organizations/:id/membership
+ * @access  Private (member)
+ */
+export const leaveOrganization = async (req, res, next) => {
+  try {
+    const member = await OrganizationMember.findOneAndDelete({
+      organizationId: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of this organization'
+      });
+    }
+
+    if (member.role === ORGANIZATION_ROLES.OWNER && !(await hasOwner(req.params.id))) {
+      await restoreMember(member);
+      return res.status(409).json({
+        success: false,
+        message: LAST_OWNER_MESSAGE
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You left the organization'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getMyOrganizations,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization
+};
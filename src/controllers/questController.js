@@ -1,25 +1,59 @@
 import Quest from '../models/Quest.js';
 import QuestCompletion from '../models/QuestCompletion.js';
-import Campaign from '../models/Campaign.js';
 import User from '../models/User.js';
 import verificationService from '../services/verificationService.js';
-import rewardService from '../services/rewardService.js';
-import ipfsService from '../services/ipfsService.js';
-import encryptionService from '../services/encryptionService.js';
-import emailService from '../services/emailService.js';
-import { QUEST_STATUS, VERIFICATION_RESULT, ERROR_CODES } from '../config/constants.js';
+import treasuryService from '../services/treasuryService.js';
+import qrCodeService from '../services/qrCodeService.js';
+import nfcService from '../services/nfcService.js';
+import completionService from '../services/completionService.js';
+import reviewService from '../services/reviewService.js';
+import checkpointService from '../services/checkpointService.js';
+import permissionService from '../services/permissionService.js';
+import { QUEST_STATUS, VERIFICATION_RESULT, ERROR_CODES, DEFAULTS, PERMISSIONS } from '../config/constants.js';
+import { photoContentType } from '../utils/contentHeaders.js';
+
+// Quest.creatorType of the owning account; other account types count as 'user'
+const CREATOR_TYPES = ['brand', 'government'];
+
+/**
+ * Checkpoints from a request body: rotating QR secrets are generated here,
+ * and kept for checkpoints that already had one (matched by _id)
+ */
+const prepareCheckpoints = (checkpoints, existing = []) => {
+  if (!Array.isArray(checkpoints)) return checkpoints;
+
+  return checkpoints.map(checkpoint => {
+    const previous = checkpoint?._id && existing.find(item => item._id.toString() === String(checkpoint._id));
+    if (!checkpoint?.qrCode?.enabled) return checkpoint;
+
+    const { secret, codeHash, lastRegenerated, ...settings } = checkpoint.qrCode;
+    if (settings.code) return { ...checkpoint, qrCode: settings };
+
+    if (previous?.qrCode?.secret || previous?.qrCode?.codeHash) {
+      const { secret: kept, codeHash: keptHash, lastRegenerated: keptAt } = previous.qrCode;
+      return { ...checkpoint, qrCode: { ...settings, secret: kept, codeHash: keptHash, lastRegenerated: keptAt } };
+    }
+
+    return {
+      ...checkpoint,
+      qrCode: { ...settings, secret: qrCodeService.createSecret(), lastRegenerated: new Date() }
+    };
+  });
+};
 
 /**
  * @desc    Create a new quest
  * @route   POST /api/quests
- * @access  Private (Creators/Brands/Admins)
+ * @access  Private (quest:create; organizationId creates it for an organization)
  */
 export const createQuest = async (req, res, next) => {
   try {
     const {
       title, description, questType, location, timeWindow,
       qrCode, aiVerification, rewards, budget, startDate,
-      endDate, category, difficulty, tags, campaignId, coverImage
+      endDate, category, difficulty, tags, campaignId, coverImage,
+      nfc, antiSpoofing, photoForensics, requiresApproval,
+      checkpoints, checkpointsInOrder
     } = req.body;
 
     // Validate required fields
@@ -50,11 +84,24 @@ export const createQuest = async (req, res, next) => {
       }
     }
 
-    // Generate QR code secret if QR is enabled
+    // Without a printed code, the QR code rotates (served by GET /api/quests/:id/qr)
     let qrCodeData = qrCode;
-    if (qrCode?.enabled && !qrCode.code) {
-      const { code, hash } = encryptionService.generateQRSecret();
-      qrCodeData = { ...qrCode, code, codeHash: hash };
+    if (qrCode?.enabled) {
+      const { secret, codeHash, lastRegenerated, ...settings } = qrCode;
+      qrCodeData = settings.code
+        ? settings
+        : { ...settings, secret: qrCodeService.createSecret(), lastRegenerated: new Date() };
+    }
+
+    // APT amounts are posted through the treasury ledger below
+    const { totalAptAllocated, aptRemaining, ...budgetLimits } = budget || {};
+
+    // Quests in a campaign are paid from its budget; completing one awards its badge
+    if (campaignId) {
+      await permissionService.authorize(req.user, PERMISSIONS.CAMPAIGN_UPDATE, 'campaign', campaignId);
+    }
+    if (sanitizedRewards.badgeId) {
+      await permissionService.authorize(req.user, PERMISSIONS.BADGE_AWARD, 'badge', sanitizedRewards.badgeId);
     }
 
     // Create quest
@@ -62,14 +109,14 @@ export const createQuest = async (req, res, next) => {
       title,
       description,
       questType,
-      creatorId: req.user._id,
-      creatorType: req.user.userType || 'user',
+      creatorId: req.owner._id,
+      creatorType: CREATOR_TYPES.includes(req.owner.userType) ? req.owner.userType : 'user',
       location,
       timeWindow,
       qrCode: qrCodeData,
       aiVerification,
       rewards: sanitizedRewards,   // ✅ Use sanitized rewards
-      budget: budget || {},
+      budget: budgetLimits,
       status: QUEST_STATUS.DRAFT,
       startDate,
       endDate,
@@ -77,9 +124,26 @@ export const createQuest = async (req, res, next) => {
       difficulty,
       tags,
       campaignId,
-      coverImage
+      coverImage,
+      nfc,
+      antiSpoofing,
+      photoForensics,
+      requiresApproval,
+      checkpoints: prepareCheckpoints(checkpoints),
+      checkpointsInOrder
     });
 
+    if (totalAptAllocated > 0) {
+      try {
+        const { budget: funded } = await treasuryService.allocate({ quest }, totalAptAllocated, req.user);
+        quest.budget = funded;
+      } catch (error) {
+        // An unfunded quest was not asked for
+        await Quest.deleteOne({ _id: quest._id });
+        throw error;
+      }
+    }
+
     res.status(201).json({
       success: true,
       message: 'Quest created successfully',
@@ -228,7 +292,7 @@ export const getQuests = async (req, res, next) => {
  */
 export const getNearbyQuests = async (req, res, next) => {
   try {
-    const { lat, lon, radius = 5000, limit = 50 } = req.query;
+    const { lat, lon, radius = 5000, limit = 50, inside } = req.query;
 
     if (!lat || !lon) {
       return res.status(400).json({
@@ -241,7 +305,7 @@ export const getNearbyQuests = async (req, res, next) => {
       parseFloat(lon),
       parseFloat(lat),
       parseInt(radius),
-      { limit: parseInt(limit) }
+      { limit: parseInt(limit), inside: inside === 'true' }
     );
 
     res.json({
@@ -330,6 +394,33 @@ export const startQuestAttempt = async (req, res, next) => {
       });
     }
 
+    // A multi-step quest picks up where the last attempt left off
+    if (checkpointService.hasCheckpoints(quest)) {
+      const inProgress = await QuestCompletion.findOne({
+        questId: quest._id,
+        userId: req.user._id,
+        status: { $in: ['pending', 'verifying'] }
+      }).sort({ createdAt: -1 });
+
+      if (inProgress) {
+        return res.json({
+          success: true,
+          message: 'Quest attempt resumed',
+          data: {
+            attemptId: inProgress._id,
+            quest: {
+              id: quest._id,
+              title: quest.title,
+              timeWindow: quest.timeWindow,
+              checkpoints: checkpointService.toPublic(quest),
+              checkpointsInOrder: quest.checkpointsInOrder
+            },
+            progress: checkpointService.getProgress(quest, inProgress)
+          }
+        });
+      }
+    }
+
     // Count previous attempts
     const previousAttempts = await QuestCompletion.countDocuments({
       questId: quest._id,
@@ -366,8 +457,56 @@ export const startQuestAttempt = async (req, res, next) => {
             requireFace: quest.aiVerification.requireFace,
             requireSelfie: quest.aiVerification.requireSelfie
           } : null,
-          qrCodeRequired: quest.qrCode?.enabled || false
-        }
+          qrCodeRequired: quest.qrCode?.enabled || false,
+          nfcRequired: quest.nfc?.enabled || false,
+          checkpoints: checkpointService.hasCheckpoints(quest) ? checkpointService.toPublic(quest) : null,
+          checkpointsInOrder: quest.checkpointsInOrder
+        },
+        progress: checkpointService.hasCheckpoints(quest) ? checkpointService.getProgress(quest, attempt) : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Checkpoint progress of the user's current attempt at a multi-step quest
+ * @route   GET /api/quests/:id/progress
+ * @access  Private
+ */
+export const getQuestProgress = async (req, res, next) => {
+  try {
+    const quest = await Quest.findById(req.params.id);
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found'
+      });
+    }
+
+    if (!checkpointService.hasCheckpoints(quest)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quest has no checkpoints'
+      });
+    }
+
+    const attempt = await QuestCompletion.findOne({
+      questId: quest._id,
+      userId: req.user._id,
+      status: { $in: ['pending', 'verifying', 'pending_review', 'completed'] }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        attempt: attempt ? { id: attempt._id, status: attempt.status } : null,
+        checkpoints: checkpointService.toPublic(quest),
+        checkpointsInOrder: quest.checkpointsInOrder,
+        progress: attempt ? checkpointService.getProgress(quest, attempt) : null
       }
     });
 
@@ -386,13 +525,20 @@ export const submitQuestCompletion = async (req, res, next) => {
     const {
       attemptId,
       photoBase64,
-      location,
       qrCodeScanned,
+      nfcScan,
       deviceInfo,
-      capturedAt
+      capturedAt,
+      checkpointId
     } = req.body;
 
-    const quest = await Quest.findById(req.params.id);
+    // Route quests send the fixes recorded on the way; the last one is where the user is
+    const breadcrumb = Array.isArray(req.body.breadcrumb)
+      ? req.body.breadcrumb.slice(0, DEFAULTS.ROUTE_MAX_FIXES + 1)
+      : undefined;
+    const location = req.body.location || breadcrumb?.[breadcrumb.length - 1];
+
+    const quest = await Quest.findById(req.params.id).select('+qrCode.secret +checkpoints.qrCode.secret');
     if (!quest) {
       return res.status(404).json({
         success: false,
@@ -400,6 +546,19 @@ export const submitQuestCompletion = async (req, res, next) => {
       });
     }
 
+    // Multi-step quests are submitted one checkpoint at a time
+    let checkpoint = null;
+    if (checkpointService.hasCheckpoints(quest)) {
+      checkpoint = checkpointService.getCheckpoint(quest, checkpointId);
+
+      if (!checkpoint) {
+        return res.status(400).json({
+          success: false,
+          message: checkpointId ? 'Checkpoint not found on this quest' : 'checkpointId is required for this quest'
+        });
+      }
+    }
+
     // Find or create attempt
     let attempt;
     if (attemptId) {
@@ -408,6 +567,29 @@ export const submitQuestCompletion = async (req, res, next) => {
         userId: req.user._id,
         questId: quest._id
       });
+
+      if (attempt && ['completed', 'pending_review'].includes(attempt.status)) {
+        return res.status(400).json({
+          success: false,
+          message: attempt.status === 'completed'
+            ? 'This attempt is already completed'
+            : 'This attempt is waiting for review'
+        });
+      }
+
+      if (attempt && checkpoint && ['failed', 'rejected'].includes(attempt.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This attempt has ended. Start a new attempt'
+        });
+      }
+    } else if (checkpoint) {
+      // Keep the progress of the attempt in progress
+      attempt = await QuestCompletion.findOne({
+        questId: quest._id,
+        userId: req.user._id,
+        status: { $in: ['pending', 'verifying'] }
+      }).sort({ createdAt: -1 });
     }
 
     if (!attempt) {
@@ -427,95 +609,190 @@ export const submitQuestCompletion = async (req, res, next) => {
       });
     }
 
+    if (checkpoint) {
+      const { allowed, reason } = checkpointService.canSubmit(quest, attempt, checkpoint);
+      if (!allowed) {
+        return res.status(400).json({
+          success: false,
+          message: reason,
+          data: {
+            attemptId: attempt._id,
+            progress: checkpointService.getProgress(quest, attempt)
+          }
+        });
+      }
+    }
+
     // Update attempt status
     attempt.status = 'verifying';
     attempt.submission = {
       photoUrl: null,
       photoBase64: photoBase64 ? true : false, // Don't store full base64 in DB
       location,
+      breadcrumb: breadcrumb?.slice(0, DEFAULTS.ROUTE_MAX_FIXES),
       qrCodeScanned,
       deviceInfo,
       capturedAt: capturedAt || new Date(),
       submittedAt: new Date()
     };
+    attempt.metadata.ipAddress = req.ip;
+    attempt.metadata.userAgent = req.get('user-agent');
     await attempt.save();
 
     console.log('\n=== Processing Quest Submission ===');
     console.log('Quest:', quest.title);
     console.log('User:', req.user._id);
     console.log('Attempt:', attempt._id);
+    if (checkpoint) console.log('Checkpoint:', checkpoint.title);
 
     // Run verification
     const submissionData = {
       photoBase64,
       location,
+      breadcrumb,
       qrCodeScanned,
+      nfcScan,
       deviceInfo,
-      capturedAt
+      capturedAt,
+      userId: req.user._id,
+      attemptId: attempt._id,
+      ipAddress: req.ip
     };
 
-    const verification = await verificationService.verifyQuestCompletion(quest, submissionData);
+    let verification = await verificationService.verifyQuestCompletion(
+      checkpoint
+        ? checkpointService.forCheckpoint(quest, checkpoint, { final: checkpointService.completesQuest(quest, attempt, checkpoint) })
+        : quest,
+      submissionData
+    );
 
     // Update attempt with verification results
     attempt.verification = verification;
+    if (verification.nfc?.tagId) {
+      attempt.submission.nfcScan = { tagId: verification.nfc.tagId, counter: verification.nfc.counter };
+    }
+    if (verification.photoForensics?.phash) {
+      attempt.submission.photoHash = {
+        phash: verification.photoForensics.phash,
+        bands: verification.photoForensics.bands,
+        fineBands: verification.photoForensics.fineBands
+      };
+    }
 
-    if (verification.overallResult === VERIFICATION_RESULT.PASSED) {
-      console.log('✅ Quest completed successfully!');
+    let progress = null;
+    if (checkpoint) {
+      const entry = checkpointService.record(attempt, checkpoint, verification, submissionData);
+      progress = checkpointService.getProgress(quest, attempt);
 
-      // Upload photo to IPFS if provided
-      if (photoBase64) {
-        try {
-          const ipfsResult = await ipfsService.pinBase64(
-            photoBase64,
-            `quest_${quest._id}_${attempt._id}`,
-            { questId: quest._id.toString(), userId: req.user._id.toString() }
-          );
-          attempt.submission.photoUrl = ipfsResult.gatewayUrl;
-          attempt.submission.photoIpfsHash = ipfsResult.ipfsHash;
-        } catch (err) {
-          console.warn('IPFS upload failed:', err.message);
-        }
-      }
+      // A spoofing failure ends the attempt; otherwise the checkpoint can be retried
+      if (verification.overallResult === VERIFICATION_RESULT.FAILED &&
+          verification.failureCode !== ERROR_CODES.SPOOFING_DETECTED) {
+        console.log('❌ Checkpoint verification failed');
 
-      // Process rewards
-      const rewardResults = await rewardService.processQuestRewards(
-        req.user._id,
-        quest,
-        attempt
-      );
+        attempt.status = 'pending';
+        await attempt.save();
 
-      // Update attempt
-      await attempt.markAsCompleted(verification, rewardResults, rewardResults.apt);
+        return res.status(400).json({
+          success: false,
+          message: 'Checkpoint verification failed',
+          data: {
+            attempt: {
+              id: attempt._id,
+              status: 'pending'
+            },
+            checkpoint: {
+              id: checkpoint._id,
+              title: checkpoint.title,
+              status: entry.status,
+              attempts: entry.attempts,
+              message: entry.message
+            },
+            verification: {
+              result: 'FAILED',
+              failureCode: verification.failureCode,
+              details: {
+                gps: verification.gps,
+                timeWindow: verification.timeWindow,
+                aiVision: verification.aiVision ? {
+                  passed: verification.aiVision.passed,
+                  confidence: verification.aiVision.confidence,
+                  message: verification.aiVision.message,
+                  requiredObjectsMissing: verification.aiVision.requiredObjectsMissing
+                } : null,
+                photoForensics: verification.photoForensics ? {
+                  passed: verification.photoForensics.passed,
+                  message: verification.photoForensics.message,
+                  checks: verification.photoForensics.checks
+                } : null,
+                qrCode: verification.qrCode,
+                nfc: verification.nfc
+              }
+            },
+            progress
+          }
+        });
+      }
 
-      // Send completion email (optional; skipped if SMTP not configured)
-      try {
-        if (req.user?.email) {
-          await emailService.sendQuestCompletionEmail({
-            to: req.user.email,
-            userName: req.user.name,
-            questTitle: quest.title,
-            rewards: {
-              apt: rewardResults.apt,
-              points: rewardResults.points,
-              xp: rewardResults.xp
+      if (verification.overallResult !== VERIFICATION_RESULT.FAILED) {
+        if (!progress.done) {
+          console.log(`📍 Checkpoint reached (${progress.completed}/${progress.required})`);
+
+          attempt.status = 'pending';
+          await attempt.save();
+
+          return res.json({
+            success: true,
+            message: `📍 Checkpoint "${checkpoint.title}" reached`,
+            data: {
+              attempt: {
+                id: attempt._id,
+                status: 'pending'
+              },
+              checkpoint: {
+                id: checkpoint._id,
+                title: checkpoint.title,
+                status: entry.status
+              },
+              progress
             }
           });
         }
-      } catch (err) {
-        console.warn('Email send failed:', err.message);
+
+        // Last required checkpoint: the attempt as a whole is decided now
+        verification = checkpointService.finalize(quest, attempt, verification);
+        attempt.verification = verification;
       }
+    }
 
-      // Check campaign progress
-      if (quest.campaignId) {
-        const campaign = await Campaign.findById(quest.campaignId);
-        if (campaign) {
-          const progress = await campaign.getUserProgress(req.user._id);
+    if (verification.overallResult === VERIFICATION_RESULT.PASSED) {
+      // Keeps maxCompletionsPerUser under parallel submissions
+      try {
+        await completionService.takeSlot(attempt, quest);
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
 
-          if (progress.isCompleted) {
-            // Award campaign grand prize
-            await rewardService.processCampaignCompletion(req.user._id, campaign);
-          }
-        }
+        await attempt.markAsFailed(ERROR_CODES.ALREADY_COMPLETED, error.message);
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.log('✅ Quest completed successfully!');
+
+      let rewardResults, jobs;
+      try {
+        const photoBlobId = await completionService.savePhoto(photoBase64, quest, attempt);
+        ({ rewardResults, jobs } = await completionService.complete(
+          attempt,
+          quest,
+          req.user,
+          verification,
+          { photoBlobId }
+        ));
+      } catch (error) {
+        await completionService.releaseSlot(attempt);
+        throw error;
       }
 
       res.json({
@@ -538,6 +815,11 @@ export const submitQuestCompletion = async (req, res, next) => {
                 confidence: verification.aiVision.confidence,
                 message: verification.aiVision.message
               } : null,
+              photoForensics: verification.photoForensics ? {
+                passed: verification.photoForensics.passed,
+                message: verification.photoForensics.message,
+                checks: verification.photoForensics.checks
+              } : null,
               qrCode: verification.qrCode
             }
           },
@@ -546,7 +828,38 @@ export const submitQuestCompletion = async (req, res, next) => {
             points: rewardResults.points,
             badge: rewardResults.badge,
             xp: rewardResults.xp
-          }
+          },
+          // Background work to poll at GET /api/jobs/:id
+          jobs,
+          ...(progress && { progress })
+        }
+      });
+
+    } else if (verification.overallResult === VERIFICATION_RESULT.NEEDS_REVIEW) {
+      console.log('🧑‍⚖️ Quest submission queued for review');
+
+      attempt.status = 'pending_review';
+      attempt.review = {
+        reasons: verification.reviewReasons,
+        queuedAt: new Date(),
+        photoBlobId: await completionService.savePhoto(photoBase64, quest, attempt),
+        photoContentType: photoContentType(photoBase64) || 'image/jpeg'
+      };
+      await attempt.save();
+
+      res.status(202).json({
+        success: true,
+        message: 'Submission received and waiting for review',
+        data: {
+          attempt: {
+            id: attempt._id,
+            status: 'pending_review'
+          },
+          verification: {
+            result: 'NEEDS_REVIEW',
+            reviewReasons: verification.reviewReasons
+          },
+          ...(progress && { progress })
         }
       });
 
@@ -555,7 +868,9 @@ export const submitQuestCompletion = async (req, res, next) => {
 
       await attempt.markAsFailed(
         verification.failureCode || 'VERIFICATION_FAILED',
-        verification.aiVision?.message || verification.gps?.message || 'Verification failed',
+        verification.aiVision?.message ||
+          (verification.photoForensics?.passed === false && verification.photoForensics.message) ||
+          verification.gps?.message || 'Verification failed',
         verification
       );
 
@@ -580,7 +895,13 @@ export const submitQuestCompletion = async (req, res, next) => {
                 message: verification.aiVision.message,
                 requiredObjectsMissing: verification.aiVision.requiredObjectsMissing
               } : null,
-              qrCode: verification.qrCode
+              photoForensics: verification.photoForensics ? {
+                passed: verification.photoForensics.passed,
+                message: verification.photoForensics.message,
+                checks: verification.photoForensics.checks
+              } : null,
+              qrCode: verification.qrCode,
+              nfc: verification.nfc
             }
           }
         }
@@ -596,19 +917,16 @@ export const submitQuestCompletion = async (req, res, next) => {
 /**
  * @desc    Update quest
  * @route   PUT /api/quests/:id
- * @access  Private (Creator only)
+ * @access  Private (owner, or staff with quest:update)
  */
 export const updateQuest = async (req, res, next) => {
   try {
-    const quest = await Quest.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const quest = await Quest.findById(req.params.id).select('+qrCode.secret +checkpoints.qrCode.secret');
 
     if (!quest) {
       return res.status(404).json({
         success: false,
-        message: 'Quest not found or you do not have permission'
+        message: 'Quest not found'
       });
     }
 
@@ -626,7 +944,38 @@ export const updateQuest = async (req, res, next) => {
       }
     }
 
-    Object.assign(quest, req.body);
+    const { budget, qrCode, checkpoints, creatorId, creatorType, ...updates } = req.body;
+
+    if (updates.campaignId && updates.campaignId.toString() !== quest.campaignId?.toString()) {
+      await permissionService.authorize(req.user, PERMISSIONS.CAMPAIGN_UPDATE, 'campaign', updates.campaignId);
+    }
+    if (updates.rewards?.badgeId && updates.rewards.badgeId.toString() !== quest.rewards?.badgeId?.toString()) {
+      await permissionService.authorize(req.user, PERMISSIONS.BADGE_AWARD, 'badge', updates.rewards.badgeId);
+    }
+
+    Object.assign(quest, updates);
+
+    // Checkpoints sent with their _id keep their QR secret
+    if (checkpoints) {
+      quest.checkpoints = prepareCheckpoints(checkpoints, quest.checkpoints);
+    }
+
+    // The rotating secret only changes through POST /api/quests/:id/qr/rotate
+    if (qrCode) {
+      for (const field of ['enabled', 'rotationSeconds', 'skewSteps', 'regenerateDaily']) {
+        if (qrCode[field] !== undefined) quest.qrCode[field] = qrCode[field];
+      }
+      if (quest.qrCode.enabled && !quest.qrCode.codeHash && !quest.qrCode.secret) {
+        quest.qrCode.secret = qrCodeService.createSecret();
+        quest.qrCode.lastRegenerated = new Date();
+      }
+    }
+
+    // APT amounts only change through the ledger (POST /api/quests/:id/budget)
+    for (const field of ['maxCompletions', 'maxCompletionsPerUser', 'dailyLimit']) {
+      if (budget?.[field] !== undefined) quest.budget[field] = budget[field];
+    }
+
     await quest.save();
 
     res.json({
@@ -643,14 +992,11 @@ export const updateQuest = async (req, res, next) => {
 /**
  * @desc    Activate/Publish quest
  * @route   POST /api/quests/:id/activate
- * @access  Private (Creator only)
+ * @access  Private (owner, or staff with quest:update)
  */
 export const activateQuest = async (req, res, next) => {
   try {
-    const quest = await Quest.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const quest = await Quest.findById(req.params.id);
 
     if (!quest) {
       return res.status(404).json({
@@ -702,12 +1048,12 @@ export const activateQuest = async (req, res, next) => {
 /**
  * @desc    Pause quest
  * @route   POST /api/quests/:id/pause
- * @access  Private (Creator only)
+ * @access  Private (owner, or staff with quest:update)
  */
 export const pauseQuest = async (req, res, next) => {
   try {
     const quest = await Quest.findOneAndUpdate(
-      { _id: req.params.id, creatorId: req.user._id },
+      { _id: req.params.id },
       { status: QUEST_STATUS.PAUSED },
       { new: true }
     );
@@ -733,14 +1079,11 @@ export const pauseQuest = async (req, res, next) => {
 /**
  * @desc    Delete quest
  * @route   DELETE /api/quests/:id
- * @access  Private (Creator only)
+ * @access  Private (owner, or staff with quest:delete)
  */
 export const deleteQuest = async (req, res, next) => {
   try {
-    const quest = await Quest.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const quest = await Quest.findById(req.params.id);
 
     if (!quest) {
       return res.status(404).json({
@@ -862,6 +1205,302 @@ export const getQuestLeaderboard = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Add APT to a quest's reward budget
+ * @route   POST /api/quests/:id/budget
+ * @access  Private (owner, or staff with quest:fund)
+ */
+export const fundQuestBudget = async (req, res, next) => {
+  try {
+    const quest = await Quest.findById(req.params.id);
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found'
+      });
+    }
+
+    const { budget, entry } = await treasuryService.allocate({ quest }, req.body.amount, req.user);
+
+    res.json({
+      success: true,
+      message: `Added ${treasuryService.toApt(entry.amountOctas)} APT to the quest budget`,
+      data: { budget, entryId: entry._id }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Treasury statement of a quest's reward budget
+ * @route   GET /api/quests/:id/statement
+ * @access  Private (owner, or staff with quest:view)
+ */
+export const getQuestStatement = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, from, to } = req.query;
+
+    const quest = await Quest.findById(req.params.id);
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found'
+      });
+    }
+
+    const statement = await treasuryService.getStatement({ quest }, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 200),
+      from,
+      to
+    });
+
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Current rotating QR code of a quest or one of its checkpoints, for a venue display
+ * @route   GET /api/quests/:id/qr?format=json|svg|png&checkpoint=<checkpointId>
+ * @access  Private (owner, or staff with quest:view)
+ */
+export const getQuestQRCode = async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const quest = await Quest.findById(req.params.id).select('+qrCode.secret +checkpoints.qrCode.secret');
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found'
+      });
+    }
+
+    let target = { kind: 'quest', id: quest._id, qrCode: quest.qrCode };
+    if (req.query.checkpoint) {
+      const checkpoint = checkpointService.getCheckpoint(quest, req.query.checkpoint);
+      if (!checkpoint) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checkpoint not found on this quest'
+        });
+      }
+      target = { kind: 'checkpoint', id: checkpoint._id, qrCode: checkpoint.qrCode };
+    }
+
+    if (!target.qrCode?.enabled || !qrCodeService.isRotating(target.qrCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `${target.kind === 'quest' ? 'Quest' : 'Checkpoint'} does not use a rotating QR code`
+      });
+    }
+
+    const current = qrCodeService.getCurrent(target.kind, target.id.toString(), target.qrCode);
+
+    // Displays should refetch when the code rotates
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-QR-Expires-At': current.expiresAt.toISOString()
+    });
+
+    if (format === 'svg' || format === 'png') {
+      const image = await qrCodeService.render(current.payload, format, {
+        width: Math.min(parseInt(req.query.size) || 512, 2048)
+      });
+      return res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+    }
+
+    res.json({
+      success: true,
+      data: current
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace a quest's QR secret (codes shown so far stop working)
+ * @route   POST /api/quests/:id/qr/rotate?checkpoint=<checkpointId>
+ * @access  Private (owner, or staff with quest:update)
+ */
+export const rotateQuestQRSecret = async (req, res, next) => {
+  try {
+    if (req.query.checkpoint) {
+      const quest = await Quest.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          checkpoints: { $elemMatch: { _id: req.query.checkpoint, 'qrCode.enabled': true } }
+        },
+        {
+          'checkpoints.$.qrCode.secret': qrCodeService.createSecret(),
+          'checkpoints.$.qrCode.lastRegenerated': new Date()
+        },
+        { new: true }
+      ).select('+checkpoints.qrCode.secret');
+
+      const checkpoint = quest && checkpointService.getCheckpoint(quest, req.query.checkpoint);
+      if (!checkpoint) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checkpoint not found or QR code not enabled'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Checkpoint QR secret rotated',
+        data: qrCodeService.getCurrent('checkpoint', checkpoint._id.toString(), checkpoint.qrCode)
+      });
+    }
+
+    const quest = await Quest.findOneAndUpdate(
+      { _id: req.params.id, 'qrCode.enabled': true },
+      {
+        'qrCode.secret': qrCodeService.createSecret(),
+        'qrCode.lastRegenerated': new Date()
+      },
+      { new: true }
+    ).select('+qrCode.secret');
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found or QR code not enabled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'QR secret rotated',
+      data: qrCodeService.getCurrent('quest', quest._id.toString(), quest.qrCode)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register an NFC tag on a quest
+ * @route   POST /api/quests/:id/nfc-tags
+ * @access  Private (owner, or staff with quest:update)
+ */
+export const registerNfcTag = async (req, res, next) => {
+  try {
+    const { tagId, key, label } = req.body;
+
+    const quest = await Quest.findById(req.params.id);
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found'
+      });
+    }
+
+    const { tag, key: tagKey } = await nfcService.registerTag(quest, { tagId, key, label }, req.user._id);
+
+    if (!quest.nfc?.enabled) {
+      quest.nfc = { enabled: true };
+      await quest.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'NFC tag registered. Write the key to the tag now; it will not be shown again.',
+      data: {
+        tag: tag.toSummary(),
+        key: tagKey
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List a quest's NFC tags
+ * @route   GET /api/quests/:id/nfc-tags
+ * @access  Private (owner, or staff with quest:view)
+ */
+export const getNfcTags = async (req, res, next) => {
+  try {
+    const quest = await Quest.findById(req.params.id);
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found'
+      });
+    }
+
+    const tags = await nfcService.listTags(quest);
+
+    res.json({
+      success: true,
+      data: tags.map(tag => tag.toSummary())
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Retire an NFC tag (its scans are rejected)
+ * @route   DELETE /api/quests/:id/nfc-tags/:tagId
+ * @access  Private (owner, or staff with quest:update)
+ */
+export const retireNfcTag = async (req, res, next) => {
+  try {
+    const quest = await Quest.findById(req.params.id);
+
+    if (!quest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest not found'
+      });
+    }
+
+    const tag = await nfcService.retireTag(quest, req.params.tagId);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active NFC tag not found on this quest'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: quest.nfc?.enabled
+        ? 'NFC tag retired'
+        : 'NFC tag retired. It was the last active tag, so the quest no longer requires an NFC scan',
+      data: {
+        ...tag.toSummary(),
+        nfcEnabled: !!quest.nfc?.enabled
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   createQuest,
   getQuests,
@@ -874,5 +1513,63 @@ export default {
   pauseQuest,
   deleteQuest,
   getQuestHistory,
-  getQuestLeaderboard
-};
\ No newline at end of file
+  getQuestLeaderboard,
+  fundQuestBudget,
+  getQuestStatement,
+  getQuestQRCode,
+  rotateQuestQRSecret,
+  registerNfcTag,
+  getNfcTags,
+  retireNfcTag
+};
+
+/**
+ * @desc    Appeal a failed attempt with an explanation and extra evidence
+ * @route   POST /api/quests/attempts/:attemptId/appeal
+ * @access  Private (Attempt owner)
+ *
+ * Body: { explanation, photos?: [JPEG, PNG or WebP data URL], links?: [url] }
+ */
+export const appealQuestAttempt = async (req, res, next) => {
+  try {
+    const { explanation, photos, links } = req.body;
+    const attempt = await reviewService.submitAppeal(req.user, req.params.attemptId, {
+      explanation,
+      photos,
+      links
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted. The quest creator will review it',
+      data: {
+        attempt: {
+          id: attempt._id,
+          status: attempt.status
+        },
+        appeal: {
+          status: attempt.appeal.status,
+          evidenceCount: attempt.appeal.evidence.length,
+          submittedAt: attempt.appeal.submittedAt,
+          dueAt: attempt.review.dueAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Appeal status of one of my attempts
+ * @route   GET /api/quests/attempts/:attemptId/appeal
+ * @access  Private (Attempt owner)
+ */
+export const getQuestAttemptAppeal = async (req, res, next) => {
+  try {
+    const data = await reviewService.getAppeal(req.user, req.params.attemptId);
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
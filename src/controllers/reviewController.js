@@ -0,0 +1,165 @@
+import reviewService from '../services/reviewService.js';
+import { REVIEW_REASONS } from '../config/constants.js';
+import { contentHeaders } from '../utils/contentHeaders.js';
+
+/**
+ * @desc    Submissions waiting for review on my quests (all quests for admins)
+ * @route   GET /api/reviews
+ * @access  Private (Quest creator / Admin)
+ *
+ * Query: questId, reason, overdue, page, limit
+ */
+export const getReviewQueue = async (req, res, next) => {
+  try {
+    const { questId, reason, overdue, page, limit } = req.query;
+
+    if (reason && !Object.values(REVIEW_REASONS).includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${Object.values(REVIEW_REASONS).join(', ')}`
+      });
+    }
+
+    const { items, pagination } = await reviewService.listPending(req.user, {
+      questId,
+      reason,
+      overdue: overdue === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Photo of a submission waiting for review
+ * @route   GET /api/reviews/:id/photo
+ * @access  Private (Quest creator / Admin)
+ */
+export const getReviewPhoto = async (req, res, next) => {
+  try {
+    const { stream, contentType } = await reviewService.openPhoto(req.user, req.params.id);
+
+    res.set({
+      ...contentHeaders(contentType, { attachment: true }),
+      'Cache-Control': 'private, no-store'
+    });
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Evidence photo attached to an appeal
+ * @route   GET /api/reviews/:id/evidence/:index
+ * @access  Private (Quest creator / Admin)
+ */
+export const getAppealEvidence = async (req, res, next) => {
+  try {
+    const { stream, contentType } = await reviewService.openEvidence(req.user, req.params.id, req.params.index);
+
+    res.set({
+      ...contentHeaders(contentType, { attachment: true }),
+      'Cache-Control': 'private, no-store'
+    });
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a submission (or uphold an appeal) and pay its rewards
+ * @route   POST /api/reviews/:id/approve
+ * @access  Private (Quest creator / Admin)
+ */
+export const approveSubmission = async (req, res, next) => {
+  try {
+    const { completion, rewardResults, jobs } = await reviewService.approve(req.user, req.params.id, {
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Submission approved',
+      data: {
+        attempt: {
+          id: completion._id,
+          status: completion.status,
+          completedAt: completion.completedAt
+        },
+        appeal: completion.appeal?.status ? completion.appeal.status : undefined,
+        rewards: {
+          apt: rewardResults.apt,
+          points: rewardResults.points,
+          badge: rewardResults.badge,
+          xp: rewardResults.xp
+        },
+        jobs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a submission (or deny an appeal) with a reason
+ * @route   POST /api/reviews/:id/reject
+ * @access  Private (Quest creator / Admin)
+ */
+export const rejectSubmission = async (req, res, next) => {
+  try {
+    const { completion } = await reviewService.reject(req.user, req.params.id, {
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Submission rejected',
+      data: {
+        attempt: {
+          id: completion._id,
+          status: completion.status,
+          reason: completion.appeal?.decisionNote || completion.failure.reason
+        },
+        appeal: completion.appeal?.status ? completion.appeal.status : undefined
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve or reject several submissions
+ * @route   POST /api/reviews/bulk
+ * @access  Private (Quest creator / Admin)
+ *
+ * Body: { action: 'approve' | 'reject', ids: [], reason?, note? }
+ */
+export const bulkReview = async (req, res, next) => {
+  try {
+    const { action, ids, reason, note } = req.body;
+    const results = await reviewService.bulk(req.user, { action, ids, reason, note });
+    const succeeded = results.filter(r => r.success).length;
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} submissions ${action === 'approve' ? 'approved' : 'rejected'}`,
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
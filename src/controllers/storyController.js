@@ -6,6 +6,7 @@ import User from '../models/User.js';
 import Memory from '../models/Memory.js';
 import ipfsService from '../services/ipfsService.js';
 import encryptionService from '../services/encryptionService.js';
+import qrCodeService from '../services/qrCodeService.js';
 import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 
@@ -127,16 +128,12 @@ export const addChapter = async (req, res, next) => {
       order
     } = req.body;
 
-    // Find story and verify ownership
-    const story = await Story.findOne({
-      _id: storyId,
-      creatorId: req.user._id
-    });
+    const story = await Story.findById(storyId);
 
     if (!story) {
       return res.status(404).json({
         success: false,
-        message: 'Story not found or unauthorized'
+        message: 'Story not found'
       });
     }
 
@@ -188,13 +185,21 @@ export const addChapter = async (req, res, next) => {
     // Process unlock conditions
     const processedConditions = { ...unlockConditions };
 
-    // Hash QR code if provided
-    if (unlockConditions?.qrCode?.enabled && unlockConditions.qrCode.code) {
-      processedConditions.qrCode.codeHash = crypto
-        .createHash('sha256')
-        .update(unlockConditions.qrCode.code)
-        .digest('hex');
-      delete processedConditions.qrCode.code;
+    // Hash QR code if provided, otherwise the QR code rotates
+    // (served by GET /api/stories/:storyId/chapters/:chapterNumber/qr)
+    if (unlockConditions?.qrCode?.enabled) {
+      const { secret, codeHash, ...qrSettings } = unlockConditions.qrCode;
+      processedConditions.qrCode = qrSettings;
+
+      if (qrSettings.code) {
+        processedConditions.qrCode.codeHash = crypto
+          .createHash('sha256')
+          .update(qrSettings.code)
+          .digest('hex');
+        delete processedConditions.qrCode.code;
+      } else {
+        processedConditions.qrCode.secret = qrCodeService.createSecret();
+      }
     }
 
     // Hash password if provided
@@ -237,7 +242,8 @@ export const addChapter = async (req, res, next) => {
             ...chapter.unlockConditions,
             qrCode: chapter.unlockConditions.qrCode ? {
               ...chapter.unlockConditions.qrCode,
-              code: undefined
+              code: undefined,
+              secret: undefined
             } : undefined,
             password: chapter.unlockConditions.password ? {
               enabled: chapter.unlockConditions.password.enabled,
@@ -389,7 +395,7 @@ export const unlockChapter = async (req, res, next) => {
     const chapter = await StoryChapter.findOne({
       storyId,
       chapterNumber: parseInt(chapterNumber)
-    }).select('+unlockConditions.qrCode.code +unlockConditions.password.hash');
+    }).select('+unlockConditions.qrCode.code +unlockConditions.qrCode.secret +unlockConditions.password.hash');
 
     if (!chapter) {
       return res.status(404).json({
@@ -470,6 +476,68 @@ export const unlockChapter = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Current rotating QR code of a chapter, for a display
+ * @route   GET /api/stories/:storyId/chapters/:chapterNumber/qr?format=json|svg|png
+ * @access  Private (Creator only)
+ */
+export const getChapterQRCode = async (req, res, next) => {
+  try {
+    const { storyId, chapterNumber } = req.params;
+    const { format = 'json' } = req.query;
+
+    const story = await Story.findById(storyId);
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const chapter = await StoryChapter.findOne({
+      storyId,
+      chapterNumber: parseInt(chapterNumber)
+    }).select('+unlockConditions.qrCode.secret');
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    const qrCode = chapter.unlockConditions?.qrCode;
+    if (!qrCode?.enabled || !qrCodeService.isRotating(qrCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chapter does not use a rotating QR code'
+      });
+    }
+
+    const current = qrCodeService.getCurrent('chapter', chapter._id.toString(), qrCode);
+
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-QR-Expires-At': current.expiresAt.toISOString()
+    });
+
+    if (format === 'svg' || format === 'png') {
+      const image = await qrCodeService.render(current.payload, format, {
+        width: Math.min(parseInt(req.query.size) || 512, 2048)
+      });
+      return res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+    }
+
+    res.json({
+      success: true,
+      data: current
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get user's created stories
  * @route   GET /api/stories/my-stories
@@ -535,15 +603,12 @@ export const getReceivedStories = async (req, res, next) => {
  */
 export const updateStory = async (req, res, next) => {
   try {
-    const story = await Story.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const story = await Story.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({
         success: false,
-        message: 'Story not found or unauthorized'
+        message: 'Story not found'
       });
     }
 
@@ -578,15 +643,12 @@ export const updateStory = async (req, res, next) => {
  */
 export const activateStory = async (req, res, next) => {
   try {
-    const story = await Story.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const story = await Story.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({
         success: false,
-        message: 'Story not found or unauthorized'
+        message: 'Story not found'
       });
     }
 
@@ -623,15 +685,12 @@ export const addRecipient = async (req, res, next) => {
   try {
     const { email, name, phone } = req.body;
 
-    const story = await Story.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const story = await Story.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({
         success: false,
-        message: 'Story not found or unauthorized'
+        message: 'Story not found'
       });
     }
 
@@ -687,15 +746,12 @@ export const addRecipient = async (req, res, next) => {
  */
 export const deleteStory = async (req, res, next) => {
   try {
-    const story = await Story.findOne({
-      _id: req.params.id,
-      creatorId: req.user._id
-    });
+    const story = await Story.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({
         success: false,
-        message: 'Story not found or unauthorized'
+        message: 'Story not found'
       });
     }
 
@@ -741,6 +797,7 @@ export default {
   getStory,
   getStoryByCode,
   unlockChapter,
+  getChapterQRCode,
   getMyStories,
   getReceivedStories,
   updateStory,
@@ -1,9 +1,12 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import sessionService from '../services/sessionService.js';
+import mfaService from '../services/mfaService.js';
+import permissionService from '../services/permissionService.js';
 
 /**
  * Standard authentication middleware
- * Requires valid JWT token
+ * Requires valid JWT access token of a session that is not revoked
  */
 export const protect = async (req, res, next) => {
   try {
@@ -22,6 +25,15 @@ export const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = await sessionService.getActiveSession(decoded.sid, decoded.id);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized - Session expired or revoked'
+        });
+      }
+
       const user = await User.findById(decoded.id);
 
       if (!user) {
@@ -32,6 +44,8 @@ export const protect = async (req, res, next) => {
       }
 
       req.user = user;
+      req.sessionId = session._id;
+      req.authSession = session;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -64,10 +78,13 @@ export const optionalAuth = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
+      const session = await sessionService.getActiveSession(decoded.sid, decoded.id);
+      const user = session ? await User.findById(decoded.id) : null;
 
       if (user) {
         req.user = user;
+        req.sessionId = session._id;
+        req.authSession = session;
       } else {
         req.user = null;
       }
@@ -106,6 +123,144 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Permission middleware (use after protect)
+ * The user's account type must grant the permission (ROLE_PERMISSIONS)
+ * @param {string} permission - One of PERMISSIONS
+ */
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (!permissionService.hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `User role '${req.user.userType}' does not have permission '${permission}'`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Create-permission middleware (use after protect)
+ * Content is created for the user, or for the organization in
+ * req.body.organizationId when the user's member role allows it. Sets
+ * req.owner to the account that will own it.
+ * @param {string} permission - One of PERMISSIONS
+ */
+export const authorizeCreate = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized'
+        });
+      }
+
+      req.owner = await permissionService.resolveOwner(req.user, permission, req.body?.organizationId);
+      next();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  };
+};
+
+/**
+ * Resource-permission middleware (use after protect)
+ * The user must own the resource in req.params, be organization staff whose
+ * role grants the permission, or have manage:all
+ * @param {string} type - quest, campaign, badge, story or organization
+ * @param {string} permission - One of PERMISSIONS
+ * @param {string} param - Route parameter holding the resource id
+ */
+export const authorizeResource = (type, permission, param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized'
+        });
+      }
+
+      await permissionService.authorize(req.user, permission, type, req.params[param]);
+      next();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  };
+};
+
+/**
+ * Verified-account middleware (use after protect)
+ * Unverified accounts must confirm their email first
+ */
+export const requireVerified = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  if (!req.user.isAccountVerified()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Step-up middleware for sensitive actions (use after protect)
+ * The session must have re-checked the user (POST /api/auth/step-up) in the
+ * last few minutes
+ */
+export const requireStepUp = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  if (!mfaService.hasRecentStepUp(req.authSession)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please confirm it is you to continue',
+      code: 'STEP_UP_REQUIRED',
+      methods: req.user.hasSecondFactor()
+        ? mfaService.getMethods(req.user)
+        : [req.user.isWalletUser ? 'wallet' : 'password']
+    });
+  }
+
+  next();
+};
+
 /**
  * Verify user owns resource middleware
  * Checks if req.user._id matches the userId in params
@@ -132,4 +287,14 @@ export const verifyOwnership = (userIdParam = 'userId') => {
   };
 };
 
-export default { protect, optionalAuth, authorize, verifyOwnership };
\ No newline at end of file
+export default {
+  protect,
+  optionalAuth,
+  authorize,
+  requirePermission,
+  authorizeCreate,
+  authorizeResource,
+  requireVerified,
+  requireStepUp,
+  verifyOwnership
+};
\ No newline at end of file
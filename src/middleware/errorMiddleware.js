@@ -63,6 +63,17 @@ export const errorHandler = (err, req, res, next) => {
     error = new APIError(message, 401);
   }
 
+  // Multer (multipart upload) errors
+  if (err.name === 'MulterError') {
+    const statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    error = new APIError(err.message, statusCode);
+  }
+
+  // Body parser errors (body too large, malformed JSON)
+  if (err.type?.startsWith('entity.') && err.status) {
+    error = new APIError(err.message, err.status);
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
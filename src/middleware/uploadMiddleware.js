@@ -0,0 +1,122 @@
+import multer from 'multer';
+import { pipeline } from 'stream';
+import UploadSession from '../models/UploadSession.js';
+import uploadService from '../services/uploadService.js';
+import { APIError } from './errorMiddleware.js';
+import { UPLOAD_STATUS } from '../config/constants.js';
+
+/**
+ * Multer storage engine that appends the incoming chunk straight to the
+ * session's staging file instead of buffering it.
+ * Requires loadUploadSession to have run first.
+ */
+class ChunkStorage {
+  _handleFile(req, file, cb) {
+    const session = req.uploadSession;
+    const remaining = session.fileSize - session.receivedBytes;
+    const maxBytes = Math.min(session.chunkSize, remaining);
+
+    uploadService.prepareChunk(session)
+      .then(() => {
+        const out = uploadService.createChunkStream(session);
+        let size = 0;
+
+        file.stream.on('data', (data) => {
+          size += data.length;
+          if (size > maxBytes) {
+            file.stream.destroy(
+              new APIError(`Chunk is larger than the expected ${maxBytes} bytes`, 413)
+            );
+          }
+        });
+
+        // Lets loadUploadSession keep the chunk lock until writing stops
+        req.chunkWritten = new Promise((resolve) => {
+          pipeline(file.stream, out, (err) => {
+            resolve();
+            if (err) return cb(err);
+            cb(null, { size });
+          });
+        });
+      })
+      .catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    // Partial bytes are truncated away on the next attempt
+    cb(null);
+  }
+}
+
+/**
+ * Load the caller's in-progress upload session and check the chunk index.
+ * For chunk uploads, also take the chunk's write lock; it is released when
+ * the response ends (or by commitChunk).
+ */
+export const loadUploadSession = async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.uploadId,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (session.status !== UPLOAD_STATUS.UPLOADING) {
+      return res.status(409).json({
+        success: false,
+        message: `Upload is ${session.status}`
+      });
+    }
+
+    if (req.params.index !== undefined && parseInt(req.params.index) !== session.nextChunk) {
+      return res.status(409).json({
+        success: false,
+        message: `Expected chunk ${session.nextChunk}`,
+        data: {
+          nextChunk: session.nextChunk,
+          receivedBytes: session.receivedBytes
+        }
+      });
+    }
+
+    if (req.params.index === undefined) {
+      req.uploadSession = session;
+      return next();
+    }
+
+    const locked = await uploadService.lockChunk(session, session.nextChunk);
+    if (!locked) {
+      return res.status(409).json({
+        success: false,
+        message: `Chunk ${session.nextChunk} is already being uploaded`
+      });
+    }
+
+    res.on('close', () => {
+      Promise.resolve(req.chunkWritten)
+        .then(() => uploadService.unlockChunk(locked))
+        .catch(err => console.error('❌ Failed to release chunk lock:', err.message));
+    });
+
+    req.uploadSession = locked;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Parse a multipart chunk upload (field name: "chunk")
+ */
+export const uploadChunk = multer({
+  storage: new ChunkStorage(),
+  limits: { files: 1, fields: 10 }
+}).single('chunk');
+
+export default { loadUploadSession, uploadChunk };
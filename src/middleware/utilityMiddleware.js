@@ -50,6 +50,20 @@ export const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+/**
+ * Rate limiter for endpoints that email a link (verification, reset, magic link)
+ */
+export const emailLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 emails per IP per hour
+  message: {
+    success: false,
+    message: 'Too many email requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * File upload rate limiter
  */
@@ -131,6 +145,7 @@ export default {
   requestLogger,
   limiter,
   authLimiter,
+  emailLinkLimiter,
   uploadLimiter,
   validateBody,
   sanitizeInput,
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { AUTH_TOKEN_TYPES } from '../config/constants.js';
+
+/**
+ * Record of an emailed token (email confirmation, password reset, magic
+ * link). The token itself is a signed JWT; this record makes it single-use.
+ */
+const authTokenSchema = new mongoose.Schema({
+  // JWT id (jti)
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(AUTH_TOKEN_TYPES),
+    required: true
+  },
+  // Address the token was sent to; the token dies if the email changes
+  email: { type: String, required: true },
+  ipAddress: { type: String },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  // Replaced by a newer token of the same type
+  revokedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, type: 1, createdAt: -1 });
+// TTL index; kept a day past expiry so issuance rate limits still see them
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('AuthToken', authTokenSchema);
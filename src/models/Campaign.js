@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import geolocationService from '../services/geolocationService.js';
 import { CAMPAIGN_TYPES, QUEST_STATUS } from '../config/constants.js';
 
 const campaignSchema = new mongoose.Schema({
@@ -93,6 +94,14 @@ const campaignSchema = new mongoose.Schema({
     maxParticipants: { type: Number, default: null }
   },
 
+  // Dedicated Aptos account paying this campaign's rewards (master wallet if unset).
+  // The private key is encrypted with ENCRYPTION_MASTER_KEY.
+  treasury: {
+    address: { type: String, default: null },
+    encryptedPrivateKey: { type: String, select: false },
+    createdAt: { type: Date }
+  },
+
   // Scheduling
   status: {
     type: String,
@@ -103,14 +112,28 @@ const campaignSchema = new mongoose.Schema({
   endDate: { type: Date },
   timezone: { type: String, default: 'UTC' },
 
-  // Geographic Targeting
+  // Geographic Targeting: a Point with radius (meters), or a Polygon/MultiPolygon
   targetRegions: [{
     country: String,
     state: String,
     city: String,
     coordinates: {
-      type: { type: String, enum: ['Point'] },
-      coordinates: [Number]
+      type: { type: String, enum: ['Point', 'Polygon', 'MultiPolygon'] },
+      coordinates: {
+        type: mongoose.Schema.Types.Mixed,
+        validate: {
+          validator: function(coordinates) {
+            if (coordinates === undefined || coordinates === null) return true;
+            const problem = geolocationService.validateGeometry(
+              { type: this.coordinates?.type || 'Point', coordinates },
+              ['Point', 'Polygon', 'MultiPolygon']
+            );
+            if (problem) throw new Error(problem);
+            return true;
+          },
+          message: props => props.reason?.message || 'Invalid GeoJSON geometry'
+        }
+      }
     },
     radius: Number
   }],
@@ -196,6 +219,34 @@ campaignSchema.virtual('questCount').get(function() {
 });
 
 // Method: Get user progress
+// Method: Whether a location is in one of the target regions
+// (regions without coordinates don't restrict where the campaign runs)
+campaignSchema.methods.coversLocation = function(latitude, longitude) {
+  const regions = (this.targetRegions || []).filter(region => region.coordinates?.coordinates);
+  if (regions.length === 0) return true;
+
+  return regions.some(region => geolocationService.verifyGeometry(
+    { location: { latitude, longitude } },
+    { coordinates: region.coordinates, radiusMeters: region.radius, toleranceMeters: 0 }
+  ).passed);
+};
+
+// Static: Campaigns whose target regions cover a location. Areas are matched
+// by the 2dsphere index; point regions each have their own radius, so they
+// are checked after the query
+campaignSchema.statics.findCoveringLocation = async function(longitude, latitude, query = {}) {
+  const candidates = await this.find({
+    $and: [query],
+    $or: [
+      { 'targetRegions.coordinates.coordinates': { $exists: false } },
+      { 'targetRegions.coordinates.type': 'Point' },
+      { 'targetRegions.coordinates': { $geoIntersects: { $geometry: { type: 'Point', coordinates: [longitude, latitude] } } } }
+    ]
+  });
+
+  return candidates.filter(campaign => campaign.coversLocation(latitude, longitude));
+};
+
 campaignSchema.methods.getUserProgress = async function(userId) {
   const QuestCompletion = mongoose.model('QuestCompletion');
   
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Resume point of a chain event follower: the last event it applied,
+ * identified by transaction version and index within the transaction.
+ */
+const chainCursorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  transactionVersion: {
+    type: String, // u64
+    default: '0'
+  },
+  eventIndex: {
+    type: Number,
+    default: -1
+  },
+  eventsProcessed: {
+    type: Number,
+    default: 0
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ChainCursor', chainCursorSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import { CHAIN_ISSUE_TYPES } from '../config/constants.js';
+
+/**
+ * A mismatch between a Memory record and the chain, found by the indexer.
+ * Open issues are listed in the admin reconciliation report until resolved.
+ */
+const chainIssueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(CHAIN_ISSUE_TYPES),
+    required: true
+  },
+  memoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    default: null
+  },
+  onChainId: {
+    type: String,
+    default: null
+  },
+  txHash: { type: String },
+  txVersion: { type: String },
+  details: { type: String },
+
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: { type: String }
+}, {
+  timestamps: true
+});
+
+// One open issue of each type per record
+chainIssueSchema.index(
+  { type: 1, memoryId: 1, onChainId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+chainIssueSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('ChainIssue', chainIssueSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Jobs that ran out of attempts, kept for inspection and manual retry
+ */
+const deadLetterJobSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  idempotencyKey: { type: String },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  attempts: { type: Number },
+  // Error of every attempt, oldest first
+  attemptErrors: [{
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  failedAt: {
+    type: Date,
+    default: Date.now
+  },
+  retriedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+deadLetterJobSchema.index({ retriedAt: 1, failedAt: -1 });
+
+export default mongoose.model('DeadLetterJob', deadLetterJobSchema);
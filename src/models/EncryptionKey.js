@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Per-user key-encryption key (KEK), stored wrapped by ENCRYPTION_MASTER_KEY.
+ * Rotation adds a new version; retired versions are kept so any data key
+ * that was not re-wrapped can still be opened.
+ */
+const encryptionKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  wrappedKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+encryptionKeySchema.index({ userId: 1, version: 1 }, { unique: true });
+encryptionKeySchema.index({ userId: 1, status: 1 });
+
+export default mongoose.model('EncryptionKey', encryptionKeySchema);
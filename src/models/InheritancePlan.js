@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { INHERITANCE_STATUS, DEFAULTS } from '../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const inheritancePlanSchema = new mongoose.Schema({
+  // Owner of the vault (one plan per user)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // Dead-man's-switch settings
+  checkInIntervalDays: {
+    type: Number,
+    default: DEFAULTS.INHERITANCE_CHECK_IN_DAYS,
+    min: [1, 'Check-in interval must be at least 1 day'],
+    max: [365, 'Check-in interval cannot exceed 365 days']
+  },
+  gracePeriodDays: {
+    type: Number,
+    default: DEFAULTS.INHERITANCE_GRACE_DAYS,
+    min: [1, 'Grace period must be at least 1 day'],
+    max: [180, 'Grace period cannot exceed 180 days']
+  },
+  reminderIntervalHours: {
+    type: Number,
+    default: DEFAULTS.INHERITANCE_REMINDER_HOURS,
+    min: 1
+  },
+
+  // Also move on-chain ownership to the first beneficiary with a wallet
+  transferOnChain: {
+    type: Boolean,
+    default: false
+  },
+
+  // Status & Timing
+  status: {
+    type: String,
+    enum: Object.values(INHERITANCE_STATUS),
+    default: INHERITANCE_STATUS.ACTIVE,
+    index: true
+  },
+  lastCheckInAt: {
+    type: Date,
+    default: Date.now
+  },
+  nextCheckInDue: {
+    type: Date,
+    index: true
+  },
+
+  // Reminder History
+  reminders: [{
+    sentAt: { type: Date, default: Date.now },
+    delivered: { type: Boolean },
+    error: { type: String }
+  }],
+  lastReminderAt: { type: Date },
+
+  // Release / Cancellation
+  // A release interrupted by an error or a crash is resumed by a later sweep;
+  // memories released since releaseStartedAt are not released again
+  releaseStartedAt: { type: Date },
+  releaseClaimedAt: { type: Date },
+  releaseAttempts: { type: Number, default: 0 },
+  releaseError: { type: String },
+  releasedAt: { type: Date },
+  cancelledAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Keep the due date in sync with the interval
+inheritancePlanSchema.pre('save', function(next) {
+  if (this.isModified('lastCheckInAt') || this.isModified('checkInIntervalDays') || !this.nextCheckInDue) {
+    this.nextCheckInDue = new Date(this.lastCheckInAt.getTime() + this.checkInIntervalDays * DAY_MS);
+  }
+  next();
+});
+
+// Virtual: When the grace period runs out and memories are released
+inheritancePlanSchema.virtual('releaseAt').get(function() {
+  if (!this.nextCheckInDue) return null;
+  return new Date(this.nextCheckInDue.getTime() + this.gracePeriodDays * DAY_MS);
+});
+
+// Method: Record a check-in and reset the switch
+inheritancePlanSchema.methods.checkIn = async function() {
+  this.lastCheckInAt = new Date();
+  this.status = INHERITANCE_STATUS.ACTIVE;
+  this.releaseStartedAt = null;
+  this.reminders = [];
+  this.lastReminderAt = null;
+  return this.save();
+};
+
+// Method: Is a reminder due right now?
+inheritancePlanSchema.methods.isReminderDue = function(now = new Date()) {
+  if (now < this.nextCheckInDue) return false;
+  if (!this.lastReminderAt) return true;
+  return now - this.lastReminderAt >= this.reminderIntervalHours * 60 * 60 * 1000;
+};
+
+// Method: Has the grace period run out?
+inheritancePlanSchema.methods.isReleaseDue = function(now = new Date()) {
+  return now >= this.releaseAt;
+};
+
+export default mongoose.model('InheritancePlan', inheritancePlanSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit trail of inheritance releases.
+ * One entry per memory per beneficiary (plus one per on-chain transfer).
+ * Entries are append-only and never edited after the release completes.
+ */
+const inheritanceReleaseSchema = new mongoose.Schema({
+  // References
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InheritancePlan',
+    required: true,
+    index: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  memoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    required: true
+  },
+
+  // Who received it
+  beneficiary: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    email: { type: String },
+    walletAddress: { type: String },
+    relationship: { type: String }
+  },
+
+  // What happened
+  action: {
+    type: String,
+    enum: ['access_granted', 'share_link_created', 'transferred_on_chain'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['success', 'failed'],
+    required: true
+  },
+  error: { type: String },
+
+  // Action details
+  shareLinkId: { type: mongoose.Schema.Types.ObjectId, ref: 'SharedLink' },
+  txHash: { type: String },
+  notified: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+inheritanceReleaseSchema.index({ ownerId: 1, createdAt: -1 });
+inheritanceReleaseSchema.index({ 'beneficiary.email': 1 });
+
+export default mongoose.model('InheritanceRelease', inheritanceReleaseSchema);
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import { JOB_STATUS, DEFAULTS } from '../config/constants.js';
+
+/**
+ * A unit of background work (IPFS pin, Aptos transaction, email...).
+ * Workers claim queued jobs whose runAt has passed; failed attempts are
+ * re-queued with exponential backoff until maxAttempts is reached.
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Enqueueing twice with the same key returns the first job
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+  // User who may poll this job
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(JOB_STATUS),
+    default: JOB_STATUS.QUEUED
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: DEFAULTS.JOB_MAX_ATTEMPTS
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Error of every failed attempt, oldest first
+  attemptErrors: [{
+    _id: false,
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * What API clients see when polling
+ */
+jobSchema.methods.toStatus = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextRunAt: this.status === JOB_STATUS.QUEUED ? this.runAt : null,
+    result: this.result,
+    error: this.lastError,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    statusUrl: `/api/jobs/${this._id}`
+  };
+};
+
+export default mongoose.model('Job', jobSchema);
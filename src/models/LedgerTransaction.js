@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import { LEDGER_TYPES } from '../config/constants.js';
+
+/**
+ * One balanced double-entry posting of the APT treasury ledger.
+ * Amounts are integer octas (1 APT = 100,000,000 octas).
+ *
+ * Accounts:
+ * - treasury:master / treasury:campaign:<id>  APT held by the paying wallet
+ * - budget:quest:<id> / budget:campaign:<id>  APT committed to rewards
+ * - payable:user:<id>                         rewards earned but not yet sent
+ * - external:chain                            APT deposited from outside
+ */
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(LEDGER_TYPES),
+    required: true
+  },
+  amountOctas: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    required: true
+  },
+
+  // What the entry is for
+  questId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quest',
+    default: null
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  questCompletionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestCompletion',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Treasury account paying it (e.g. treasury:master)
+  treasury: {
+    type: String,
+    required: true
+  },
+  // Reserve a payout or reversal settles
+  reserveId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction',
+    default: null
+  },
+
+  // On-chain transfer (payouts)
+  txHash: { type: String, default: null },
+  txVersion: { type: String, default: null },
+  // Transfer submitted for a reserve but not yet settled
+  pendingTxHash: { type: String, default: null },
+
+  memo: { type: String },
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+ledgerTransactionSchema.index({ questId: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ campaignId: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ questCompletionId: 1 });
+ledgerTransactionSchema.index({ 'lines.account': 1 });
+
+// Debits must equal credits, and rewards must link to what earned them
+ledgerTransactionSchema.pre('validate', function(next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const line of this.lines) {
+    if (!Number.isInteger(line.debit) || !Number.isInteger(line.credit)) {
+      return next(new Error('Ledger amounts must be whole octas'));
+    }
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Ledger line for ${line.account} must be either a debit or a credit`));
+    }
+    debits += line.debit;
+    credits += line.credit;
+  }
+
+  if (debits !== credits || debits !== this.amountOctas) {
+    return next(new Error('Ledger transaction is not balanced'));
+  }
+
+  if (this.type === LEDGER_TYPES.ALLOCATION) {
+    if (!this.questId && !this.campaignId) {
+      return next(new Error('Budget allocations must link to a quest or campaign'));
+    }
+  } else if (this.type === LEDGER_TYPES.DEPOSIT) {
+    if (!this.txHash) {
+      return next(new Error('Deposits must link to their on-chain transfer'));
+    }
+  } else if (!this.questCompletionId && !this.campaignId) {
+    return next(new Error('Reward entries must link to a quest completion or campaign'));
+  }
+
+  next();
+});
+
+export default mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -1,5 +1,59 @@
 import mongoose from 'mongoose';
+import ipfsService from '../services/ipfsService.js';
+import { ENCRYPTION_METHODS, KEY_RECIPIENT_TYPES, CHAIN_STATUS, CONTENT_STATUS } from '../config/constants.js';
 
+/**
+ * A data key wrapped by the client for one recipient (lv-e2ee-v1).
+ * All binary values are base64. See encryptionService for the protocol.
+ */
+export const wrappedKeySchema = new mongoose.Schema({
+  recipientType: {
+    type: String,
+    enum: Object.values(KEY_RECIPIENT_TYPES),
+    required: true
+  },
+  // user: the recipient and the public key that was used
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  keyFingerprint: { type: String },
+  ephemeralPublicKey: { type: String },
+  // passphrase: key derivation parameters
+  kdf: {
+    name: { type: String },
+    iterations: { type: Number },
+    salt: { type: String }
+  },
+  hint: {
+    type: String,
+    maxlength: 100
+  },
+  // Beneficiary this key was wrapped for (inheritance)
+  isBeneficiary: {
+    type: Boolean,
+    default: false
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  walletAddress: { type: String },
+  // Sealed data key
+  nonce: {
+    type: String,
+    required: true
+  },
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const memorySchema = new mongoose.Schema({
   userId: {
@@ -27,7 +81,13 @@ const memorySchema = new mongoose.Schema({
   // IPFS Data
   ipfsHash: {
     type: String,
-    required: [true, 'IPFS hash is required']
+    // Not known until the pin job has run
+    required: [function() { return this.contentStatus === CONTENT_STATUS.STORED; }, 'IPFS hash is required']
+  },
+  contentStatus: {
+    type: String,
+    enum: Object.values(CONTENT_STATUS),
+    default: CONTENT_STATUS.STORED
   },
   ipfsUrl: {
     type: String
@@ -37,6 +97,15 @@ const memorySchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  txVersion: {
+    type: String,
+    default: null
+  },
+  // Anchor transaction submitted but not yet confirmed (see MEMORY_ANCHOR)
+  pendingTxHash: {
+    type: String,
+    default: null
+  },
   blockNumber: {
     type: Number,
     default: null
@@ -45,6 +114,24 @@ const memorySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  onChainId: {
+    type: String, // u64 memory_id from MemoryStoredEvent
+    default: null
+  },
+  onChainOwner: {
+    type: String, // Aptos address that owns the on-chain record
+    default: null
+  },
+  // Set by the chain indexer (aptosService.reconcileChain)
+  chainStatus: {
+    type: String,
+    enum: [...Object.values(CHAIN_STATUS), null],
+    default: null
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
   // File Metadata
   fileType: {
     type: String
@@ -55,14 +142,22 @@ const memorySchema = new mongoose.Schema({
   fileName: {
     type: String
   },
-  // Encryption
+  // Encryption (see envelopeService)
   isEncrypted: {
     type: Boolean,
-    default: true
+    default: false
   },
   encryptionMethod: {
     type: String,
-    default: 'AES-256-GCM'
+    default: ENCRYPTION_METHODS.NONE
+  },
+  encryption: {
+    wrappedKey: { type: String, select: false }, // DEK wrapped by the owner's KEK
+    kekVersion: { type: Number }
+  },
+  wrappedKeys: {
+    type: [wrappedKeySchema], // lv-e2ee-v1 only
+    select: false
   },
   // Sharing
   sharedWith: [{
@@ -80,7 +175,7 @@ const memorySchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  // Inheritance (Future Feature)
+  // Inheritance (released by inheritanceService)
   inheritanceEnabled: {
     type: Boolean,
     default: false
@@ -90,6 +185,10 @@ const memorySchema = new mongoose.Schema({
     walletAddress: String,
     relationship: String
   }],
+  inheritedAt: {
+    type: Date,
+    default: null
+  },
   // Timestamps
   createdAt: {
     type: Date,
@@ -107,10 +206,14 @@ const memorySchema = new mongoose.Schema({
 memorySchema.index({ userId: 1, createdAt: -1 });
 memorySchema.index({ ipfsHash: 1 });
 memorySchema.index({ txHash: 1 });
+memorySchema.index({ onChainId: 1 });
+memorySchema.index({ isOnChain: 1, chainStatus: 1, createdAt: 1 });
+memorySchema.index({ 'sharedWith.userId': 1 });
+memorySchema.index({ userId: 1, encryptionMethod: 1, 'encryption.kekVersion': 1 });
 
 // Virtual for IPFS Gateway URL
 memorySchema.virtual('gatewayUrl').get(function() {
-  return `https://gateway.pinata.cloud/ipfs/${this.ipfsHash}`;
+  return this.ipfsHash ? ipfsService.getGatewayUrl(this.ipfsHash) : null;
 });
 
 // Pre-save middleware
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * An NFC tag (NTAG 424 DNA style) placed at a quest location.
+ * The tag signs every scan with its AES key and an increasing read counter;
+ * `lastCounter` is the highest counter accepted so far, so a replayed
+ * scan URL is rejected.
+ */
+const nfcTagSchema = new mongoose.Schema({
+  // 7-byte tag UID, upper-case hex
+  tagId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[0-9A-F]{14}$/, 'Tag id must be a 7-byte UID in hex']
+  },
+  questId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quest',
+    required: true,
+    index: true
+  },
+  creatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // AES-128 SDM key, encrypted with ENCRYPTION_MASTER_KEY
+  encryptedKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  lastCounter: {
+    type: Number,
+    default: -1
+  },
+  scanCount: {
+    type: Number,
+    default: 0
+  },
+  lastScanAt: { type: Date },
+
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  retiredAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// A tag can be active on one quest at a time, and re-registered once retired
+nfcTagSchema.index({ tagId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+nfcTagSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    tagId: this.tagId,
+    label: this.label,
+    status: this.status,
+    lastCounter: this.lastCounter,
+    scanCount: this.scanCount,
+    lastScanAt: this.lastScanAt,
+    createdAt: this.createdAt,
+    retiredAt: this.retiredAt
+  };
+};
+
+export default mongoose.model('NfcTag', nfcTagSchema);
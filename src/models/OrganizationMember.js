@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { ORGANIZATION_ROLES } from '../config/constants.js';
+
+/**
+ * Staff of an organization (a brand or government account). Members act on
+ * the organization's quests, campaigns and badges as far as their role
+ * allows (ORGANIZATION_ROLE_PERMISSIONS); the account itself is always owner.
+ */
+const organizationMemberSchema = new mongoose.Schema({
+  // The organization's account
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: Object.values(ORGANIZATION_ROLES),
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+organizationMemberSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('OrganizationMember', organizationMemberSchema);
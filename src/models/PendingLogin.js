@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+/**
+ * A login that passed its first factor and waits for the second. The client
+ * holds a random token; only its hash is stored. Each answer uses up one
+ * attempt and a successful one consumes the record.
+ */
+const pendingLoginSchema = new mongoose.Schema({
+  // SHA-256 of the mfaToken handed to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // First factor used (password, wallet, magic_link)
+  method: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+pendingLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+export default mongoose.model('PendingLogin', pendingLoginSchema);
@@ -1,6 +1,69 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
-import { QUEST_TYPES, QUEST_STATUS, VERIFICATION_LAYERS, DEFAULTS } from '../config/constants.js';
+import geolocationService from '../services/geolocationService.js';
+import scheduleService from '../services/scheduleService.js';
+import { QUEST_TYPES, QUEST_STATUS, VERIFICATION_LAYERS, AI_VISION_PROVIDERS, DEFAULTS } from '../config/constants.js';
+
+// A stop on a multi-step quest, verified with its own location, QR code and
+// AI prompt (time window, anti-spoofing and photo forensics come from the quest)
+const checkpointSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Checkpoint title is required'],
+    trim: true,
+    maxlength: [100, 'Checkpoint title cannot exceed 100 characters']
+  },
+  description: { type: String, trim: true, maxlength: 500 },
+  hint: { type: String, trim: true, maxlength: 300 },
+  // Optional checkpoints can be skipped; the quest completes without them
+  required: { type: Boolean, default: true },
+
+  location: {
+    name: { type: String },
+    address: { type: String },
+    coordinates: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    },
+    radiusMeters: {
+      type: Number,
+      default: DEFAULTS.GPS_RADIUS_METERS,
+      min: 10,
+      max: 5000
+    }
+  },
+
+  // Same settings as Quest.qrCode; rotating codes are shown at
+  // GET /api/quests/:id/qr?checkpoint=<checkpointId>
+  qrCode: {
+    enabled: { type: Boolean, default: false },
+    code: { type: String, select: false },
+    codeHash: { type: String },
+    secret: { type: String, select: false },
+    rotationSeconds: { type: Number, default: 30, min: 10, max: 86400 },
+    skewSteps: { type: Number, default: 1, min: 0, max: 5 },
+    regenerateDaily: { type: Boolean, default: false },
+    lastRegenerated: { type: Date }
+  },
+
+  // Overrides Quest.aiVerification (the provider settings stay the quest's)
+  aiVerification: {
+    enabled: { type: Boolean, default: false },
+    prompt: {
+      type: String,
+      maxlength: [500, 'AI prompt cannot exceed 500 characters']
+    },
+    requiredObjects: [{ type: String }],
+    minimumConfidence: { type: Number, min: 0, max: 1 },
+    reviewMinimumConfidence: { type: Number, min: 0, max: 1 },
+    requireFace: { type: Boolean },
+    requireSelfie: { type: Boolean }
+  }
+});
 
 const questSchema = new mongoose.Schema({
   // Basic Info
@@ -52,17 +115,19 @@ const questSchema = new mongoose.Schema({
   },
 
   // Location Requirements
+  // A Point with radiusMeters, a Polygon/MultiPolygon area (park, campus),
+  // or a LineString route walked with a breadcrumb of GPS fixes
   location: {
     name: { type: String },
     address: { type: String },
     coordinates: {
       type: {
         type: String,
-        enum: ['Point'],
+        enum: ['Point', 'Polygon', 'MultiPolygon', 'LineString'],
         default: 'Point'
       },
       coordinates: {
-        type: [Number], // [longitude, latitude]
+        type: mongoose.Schema.Types.Mixed, // Point: [longitude, latitude]
         required: function() { 
           return this.questType === QUEST_TYPES.LOCATION || 
                  this.questType === QUEST_TYPES.TWIN_LOCK;
@@ -75,31 +140,67 @@ const questSchema = new mongoose.Schema({
       min: 10,
       max: 5000
     },
+    // Areas: how far outside the edge still counts
+    toleranceMeters: { type: Number, default: DEFAULTS.AREA_TOLERANCE_METERS, min: 0, max: 500 },
+    // Routes (see geolocationService.verifyRoute)
+    route: {
+      corridorWidthMeters: { type: Number, default: DEFAULTS.ROUTE_CORRIDOR_WIDTH_METERS, min: 10, max: 1000 },
+      minCoverage: { type: Number, default: DEFAULTS.ROUTE_MIN_COVERAGE, min: 0, max: 1 },
+      maxOffRouteRatio: { type: Number, default: DEFAULTS.ROUTE_MAX_OFF_ROUTE_RATIO, min: 0, max: 1 },
+      maxGapMeters: { type: Number, default: DEFAULTS.ROUTE_MAX_GAP_METERS, min: 10 },
+      maxSpeedKmh: { type: Number, default: DEFAULTS.ROUTE_MAX_SPEED_KMH, min: 1 }
+    },
     country: { type: String },
     city: { type: String }
   },
 
-  // Time Window Requirements
+  // Time Window Requirements (evaluated in `timezone`, see scheduleService)
   timeWindow: {
     enabled: { type: Boolean, default: false },
     startTime: { type: String }, // HH:MM format
-    endTime: { type: String },   // HH:MM format
-    timezone: { type: String, default: 'UTC' },
+    endTime: { type: String },   // HH:MM format; before startTime crosses midnight
+    timezone: { type: String, default: 'UTC' }, // IANA, e.g. Europe/Paris
     specificDates: [{
       date: Date,
       startTime: String,
       endTime: String
     }],
-    daysOfWeek: [{ type: Number, min: 0, max: 6 }] // 0 = Sunday
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    recurrence: { type: String, maxlength: 500 }, // RRULE, e.g. FREQ=MONTHLY;BYDAY=1SA
+    blackoutDates: [{ type: String }] // YYYY-MM-DD, closed all day
   },
 
   // QR Code Requirements
   qrCode: {
     enabled: { type: Boolean, default: false },
-    code: { type: String, select: false }, // Secret QR content
+    code: { type: String, select: false }, // Secret QR content (static printed code)
     codeHash: { type: String }, // For verification without exposing code
-    regenerateDaily: { type: Boolean, default: false },
-    lastRegenerated: { type: Date }
+    // Rotating code (TOTP) shown on a venue display; see qrCodeService
+    secret: { type: String, select: false },
+    rotationSeconds: { type: Number, default: 30, min: 10, max: 86400 },
+    skewSteps: { type: Number, default: 1, min: 0, max: 5 },
+    regenerateDaily: { type: Boolean, default: false }, // rotate once a day instead
+    lastRegenerated: { type: Date } // when the secret was last replaced
+  },
+
+  // Signed NFC tags at the location (see NfcTag)
+  nfc: {
+    enabled: { type: Boolean, default: false }
+  },
+
+  // Anti-spoofing risk thresholds (see antiSpoofingService)
+  antiSpoofing: {
+    enabled: { type: Boolean, default: true },
+    maxRiskScore: { type: Number, default: 0.5, min: 0, max: 1 },
+    // Between maxRiskScore and this, submissions go to manual review
+    rejectRiskScore: { type: Number, default: 0.8, min: 0, max: 1 },
+    maxSpeedKmh: { type: Number, default: 250, min: 1 },
+    maxAccuracyMeters: { type: Number, default: 100, min: 1 },
+    maxCaptureDriftSeconds: { type: Number, default: 300, min: 10 },
+    maxAccountsPerDevice: { type: Number, default: 3, min: 1 },
+    maxIpDistanceKm: { type: Number, default: 300, min: 1 },
+    disabledChecks: [{ type: String }],
+    weights: { type: Map, of: Number } // check name -> weight
   },
 
   // AI Vision Requirements
@@ -111,11 +212,50 @@ const questSchema = new mongoose.Schema({
     },
     requiredObjects: [{ type: String }], // e.g., ["Taj Mahal", "person", "smile"]
     minimumConfidence: { type: Number, default: 0.75, min: 0, max: 1 },
+    // Below minimumConfidence but at least this: manual review instead of failing
+    reviewMinimumConfidence: { type: Number, default: 0.5, min: 0, max: 1 },
     rejectBlurry: { type: Boolean, default: true },
     requireFace: { type: Boolean, default: false },
-    requireSelfie: { type: Boolean, default: false }
+    requireSelfie: { type: Boolean, default: false },
+    // Model to ask, then the ones to try if it errors or times out
+    // (unset: AI_VISION_PROVIDER / AI_VISION_FALLBACK_PROVIDERS)
+    provider: { type: String, enum: Object.values(AI_VISION_PROVIDERS) },
+    fallbackProviders: [{ type: String, enum: Object.values(AI_VISION_PROVIDERS) }],
+    timeoutSeconds: { type: Number, min: 1, max: 120 },
+    // Fail instead of passing with a mock when no provider is configured.
+    // Only adds to AI_VISION_STRICT: false can't turn it off
+    strict: { type: Boolean }
   },
 
+  // Photo forensics (see photoForensicsService)
+  photoForensics: {
+    enabled: { type: Boolean, default: true },
+    requireExif: { type: Boolean, default: false },
+    maxCaptureDriftSeconds: { type: Number, default: 600, min: 10 },
+    maxExifDistanceMeters: { type: Number, default: 200, min: 1 },
+    duplicateDistance: { type: Number, default: 6, min: 0, max: 7 }, // pHash bits
+    rejectRecaptures: { type: Boolean, default: true }
+  },
+
+  // Multi-step quest: checkpoints to reach, in this order unless
+  // checkpointsInOrder is off (see checkpointService)
+  checkpoints: {
+    type: [checkpointSchema],
+    validate: [{
+      validator: checkpoints => checkpoints.length === 0 || checkpoints.some(checkpoint => checkpoint.required),
+      message: 'At least one checkpoint must be required'
+    }, {
+      validator: checkpoints => checkpoints.every(checkpoint =>
+        checkpoint.location?.coordinates?.coordinates?.length === 2 ||
+        checkpoint.qrCode?.enabled || checkpoint.aiVerification?.enabled),
+      message: 'Each checkpoint needs a location, QR code or AI prompt'
+    }, {
+      validator: checkpoints => checkpoints.length <= 50,
+      message: 'A quest can have at most 50 checkpoints'
+    }]
+  },
+  checkpointsInOrder: { type: Boolean, default: true },
+
   // Verification Layers (for Twin-Lock)
   verificationLayers: [{
     type: String,
@@ -220,6 +360,22 @@ const questSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+questSchema.pre('validate', function(next) {
+  if (this.timeWindow?.enabled) {
+    const problem = scheduleService.validate(this.timeWindow);
+    if (problem) this.invalidate('timeWindow', problem);
+  }
+  next();
+});
+
+// Mixed coordinates: check the GeoJSON shape here
+questSchema.path('location.coordinates.coordinates').validate(function(coordinates) {
+  if (coordinates === undefined || coordinates === null) return true;
+  const problem = geolocationService.validateGeometry({ type: this.location.coordinates.type, coordinates });
+  if (problem) throw new Error(problem);
+  return true;
+}, props => props.reason?.message || 'Invalid GeoJSON geometry');
+
 // Indexes
 questSchema.index({ 'location.coordinates': '2dsphere' });
 questSchema.index({ status: 1, startDate: 1, endDate: 1 });
@@ -241,6 +397,15 @@ questSchema.pre('save', function(next) {
       .update(this.qrCode.code)
       .digest('hex');
   }
+
+  for (const checkpoint of this.checkpoints || []) {
+    if (checkpoint.qrCode?.enabled && checkpoint.qrCode?.code && !checkpoint.qrCode?.codeHash) {
+      checkpoint.qrCode.codeHash = crypto
+        .createHash('sha256')
+        .update(checkpoint.qrCode.code)
+        .digest('hex');
+    }
+  }
   
   next();
 });
@@ -256,21 +421,10 @@ questSchema.virtual('isActive').get(function() {
 // Virtual: Check if within time window
 questSchema.virtual('isWithinTimeWindow').get(function() {
   if (!this.timeWindow?.enabled) return true;
-  
-  const now = new Date();
-  const currentTime = now.toLocaleTimeString('en-US', { 
-    hour12: false, 
-    hour: '2-digit', 
-    minute: '2-digit',
-    timeZone: this.timeWindow.timezone || 'UTC'
-  });
-  
-  if (this.timeWindow.startTime && this.timeWindow.endTime) {
-    return currentTime >= this.timeWindow.startTime && 
-           currentTime <= this.timeWindow.endTime;
-  }
-  
-  return true;
+
+  return scheduleService.evaluate(this.timeWindow, new Date(), {
+    anchor: this.startDate || this.createdAt
+  }).open;
 });
 
 // Virtual: Remaining completions
@@ -294,6 +448,16 @@ questSchema.methods.canUserAttempt = async function(userId) {
     return { canAttempt: false, reason: 'Quest has reached maximum completions' };
   }
   
+  const awaitingReview = await QuestCompletion.exists({
+    questId: this._id,
+    userId,
+    status: 'pending_review'
+  });
+
+  if (awaitingReview) {
+    return { canAttempt: false, reason: 'Your submission is waiting for review' };
+  }
+  
   // Check per-user limit
   const userCompletions = await QuestCompletion.countDocuments({
     questId: this._id,
@@ -331,19 +495,29 @@ questSchema.methods.canUserAttempt = async function(userId) {
 };
 
 // Static: Find nearby quests
+// $near measures to the closest part of an area or route (0 inside an area);
+// options.inside keeps only the areas the point is in
 questSchema.statics.findNearby = async function(longitude, latitude, maxDistanceMeters = 5000, options = {}) {
+  const point = {
+    type: 'Point',
+    coordinates: [longitude, latitude]
+  };
+
   const query = {
     status: QUEST_STATUS.ACTIVE,
-    'location.coordinates': {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [longitude, latitude]
-        },
-        $maxDistance: maxDistanceMeters
-      }
-    }
+    'location.coordinates': options.inside
+      ? { $geoIntersects: { $geometry: point } }
+      : {
+          $near: {
+            $geometry: point,
+            $maxDistance: maxDistanceMeters
+          }
+        }
   };
+
+  if (options.inside) {
+    query['location.coordinates.type'] = { $in: ['Polygon', 'MultiPolygon'] };
+  }
   
   if (options.category) {
     query.category = options.category;
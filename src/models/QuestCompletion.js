@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { VERIFICATION_RESULT } from '../config/constants.js';
+import { VERIFICATION_RESULT, APPEAL_STATUS } from '../config/constants.js';
 
 const questCompletionSchema = new mongoose.Schema({
   // References
@@ -24,7 +24,7 @@ const questCompletionSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['pending', 'verifying', 'completed', 'failed', 'rejected'],
+    enum: ['pending', 'verifying', 'pending_review', 'completed', 'failed', 'rejected'],
     default: 'pending'
   },
   attemptNumber: {
@@ -50,8 +50,30 @@ const questCompletionSchema = new mongoose.Schema({
       timestamp: { type: Date }
     },
     
+    // GPS fixes recorded along a route (route quests)
+    breadcrumb: [{
+      _id: false,
+      latitude: Number,
+      longitude: Number,
+      accuracy: Number,
+      timestamp: Date
+    }],
+    
     // QR Code
     qrCodeScanned: { type: String },
+
+    // NFC tag scan (the signed message itself isn't kept)
+    nfcScan: {
+      tagId: { type: String },
+      counter: { type: Number }
+    },
+    
+    // Perceptual hash of the photo, for duplicate detection
+    photoHash: {
+      phash: { type: String },
+      bands: [{ type: String }],
+      fineBands: [{ type: String }]
+    },
     
     // Device Info (for anti-spoofing)
     deviceInfo: {
@@ -77,20 +99,30 @@ const questCompletionSchema = new mongoose.Schema({
       default: VERIFICATION_RESULT.PENDING
     },
     overallScore: { type: Number, min: 0, max: 1 },
+    // Set when overallResult is needs_review (see REVIEW_REASONS)
+    reviewReasons: [{ type: String }],
     
     // GPS Verification
     gps: {
       passed: { type: Boolean },
+      mode: { type: String, enum: ['point', 'area', 'route'] },
       distanceMeters: { type: Number },
       withinRadius: { type: Boolean },
+      // Route mode
+      coverage: { type: Number },
+      fixes: { type: Number },
+      offRouteFixes: { type: Number },
       message: { type: String }
     },
     
     // Time Window Verification
     timeWindow: {
       passed: { type: Boolean },
-      submissionTime: { type: String },
+      submissionTime: { type: String }, // HH:MM in the quest's timezone
+      localDate: { type: String },
+      timezone: { type: String },
       allowedWindow: { type: String },
+      nextOpensAt: { type: Date },
       message: { type: String }
     },
     
@@ -105,9 +137,16 @@ const questCompletionSchema = new mongoose.Schema({
       requiredObjectsFound: [{ type: String }],
       requiredObjectsMissing: [{ type: String }],
       isBlurry: { type: Boolean },
+      lowConfidence: { type: Boolean },
+      spoofingDetected: { type: Boolean },
       hasFace: { type: Boolean },
       isSelfie: { type: Boolean },
       rawResponse: { type: mongoose.Schema.Types.Mixed },
+      provider: { type: String },
+      model: { type: String },
+      cached: { type: Boolean },
+      isMock: { type: Boolean },
+      unavailable: { type: Boolean },
       message: { type: String }
     },
     
@@ -117,6 +156,43 @@ const questCompletionSchema = new mongoose.Schema({
       codeMatched: { type: Boolean },
       message: { type: String }
     },
+
+    // NFC Tag Verification
+    nfc: {
+      passed: { type: Boolean },
+      tagId: { type: String },
+      counter: { type: Number },
+      message: { type: String }
+    },
+    
+    photoForensics: {
+      passed: { type: Boolean },
+      message: { type: String },
+      exif: {
+        make: String,
+        model: String,
+        software: String,
+        capturedAt: String, // as written by the camera
+        latitude: Number,
+        longitude: Number
+      },
+      checks: [{
+        check: String,
+        passed: Boolean,
+        details: String
+      }],
+      duplicate: {
+        completionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuestCompletion' },
+        sameQuest: Boolean,
+        sameUser: Boolean,
+        distance: Number
+      },
+      recapture: {
+        likely: Boolean,
+        score: Number,
+        reasons: [{ type: String }]
+      }
+    },
     
     // Anti-Spoofing Checks
     antiSpoofing: {
@@ -124,9 +200,14 @@ const questCompletionSchema = new mongoose.Schema({
       checks: [{
         check: String,
         passed: Boolean,
+        score: Number,
+        weight: Number,
+        skipped: Boolean,
         details: String
       }],
-      riskScore: { type: Number, min: 0, max: 1 }
+      riskScore: { type: Number, min: 0, max: 1 },
+      threshold: { type: Number },
+      needsReview: { type: Boolean }
     },
     
     // Timestamps
@@ -135,6 +216,32 @@ const questCompletionSchema = new mongoose.Schema({
     processingTime: { type: Number } // milliseconds
   },
 
+  // Progress through a multi-step quest (Quest.checkpoints); the attempt
+  // stays pending between checkpoint submissions
+  checkpoints: [{
+    _id: false,
+    checkpointId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    status: { type: String, enum: ['passed', 'failed'] },
+    attempts: { type: Number, default: 0 },
+    passedAt: { type: Date },
+    lastSubmittedAt: { type: Date },
+    location: {
+      latitude: { type: Number },
+      longitude: { type: Number }
+    },
+    // Passed, but a reviewer looks at the attempt once the quest is done
+    reviewReasons: [{ type: String }],
+    failureCode: { type: String },
+    message: { type: String }
+  }],
+
+  // Set when rewards are paid, so retrying a completion never pays twice
+  rewardsPaidAt: { type: Date },
+
+  // Nth completion of the quest by this user, taken when the attempt passes
+  // or a reviewer approves it; unique, so two can't both use the last one
+  completionSlot: { type: Number },
+
   // Rewards
   rewards: {
     aptAmount: { type: Number, default: 0 },
@@ -171,6 +278,40 @@ const questCompletionSchema = new mongoose.Schema({
     canRetry: { type: Boolean, default: true }
   },
 
+  // Manual review (status pending_review)
+  review: {
+    reasons: [{ type: String }],
+    queuedAt: { type: Date },
+    // Photo kept in job blob storage until the review is decided
+    photoBlobId: { type: String },
+    photoContentType: { type: String },
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    note: { type: String, maxlength: 1000 },
+    // Decide by (appeals)
+    dueAt: { type: Date }
+  },
+
+  // User's appeal of a failed attempt; while pending the attempt is in the
+  // review queue, and a denied appeal puts it back to previousStatus
+  appeal: {
+    status: { type: String, enum: Object.values(APPEAL_STATUS) },
+    explanation: { type: String, maxlength: 2000 },
+    evidence: [{
+      kind: { type: String, enum: ['photo', 'link'] },
+      blobId: String,       // photo, until the appeal is decided
+      contentType: String,
+      sha256: String,
+      url: String
+    }],
+    previousStatus: { type: String },
+    submittedAt: { type: Date },
+    decidedAt: { type: Date },
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decisionNote: { type: String, maxlength: 1000 }
+  },
+
   // Metadata
   metadata: {
     ipAddress: { type: String },
@@ -183,9 +324,18 @@ const questCompletionSchema = new mongoose.Schema({
 
 // Compound Indexes
 questCompletionSchema.index({ questId: 1, userId: 1 });
+questCompletionSchema.index(
+  { questId: 1, userId: 1, completionSlot: 1 },
+  { unique: true, partialFilterExpression: { completionSlot: { $exists: true } } }
+);
 questCompletionSchema.index({ userId: 1, status: 1, createdAt: -1 });
 questCompletionSchema.index({ questId: 1, status: 1 });
 questCompletionSchema.index({ campaignId: 1, userId: 1 });
+questCompletionSchema.index({ status: 1, 'review.queuedAt': 1 });
+questCompletionSchema.index({ userId: 1, 'submission.submittedAt': -1 });
+questCompletionSchema.index({ 'submission.deviceInfo.deviceId': 1, createdAt: -1 }, { sparse: true });
+questCompletionSchema.index({ 'submission.photoHash.bands': 1 }, { sparse: true });
+questCompletionSchema.index({ questId: 1, 'submission.photoHash.fineBands': 1 }, { sparse: true });
 
 // Virtual: Processing Duration
 questCompletionSchema.virtual('processingDuration').get(function() {
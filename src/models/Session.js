@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * A login session: one refresh-token family. Every refresh rotates the
+ * token; the hashes of rotated tokens are kept so a replayed one can be
+ * recognised and the whole family revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of earlier refresh tokens of this family (most recent last)
+  rotatedTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  generation: { type: Number, default: 0 },
+
+  // How the session was started: password, wallet, magic_link
+  method: { type: String },
+  deviceName: { type: String, trim: true, maxlength: 100 },
+  userAgent: { type: String, maxlength: 500 },
+  ipAddress: { type: String },
+  lastIpAddress: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  // Last second-factor (or password) re-check, for sensitive actions
+  stepUpAt: { type: Date, default: null },
+  stepUpMethod: { type: String },
+
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'reuse_detected', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.toPublic = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    current: currentSessionId ? this._id.equals(currentSessionId) : false,
+    method: this.method,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastIpAddress: this.lastIpAddress,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+export default mongoose.model('Session', sessionSchema);
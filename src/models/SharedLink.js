@@ -2,6 +2,7 @@
 
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import { wrappedKeySchema } from './Memory.js';
 
 const sharedLinkSchema = new mongoose.Schema({
   // Reference to the memory being shared
@@ -51,6 +52,12 @@ const sharedLinkSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Data key for client-encrypted memories (link secret stays in the URL
+  // fragment, or a passphrase for inheritance links)
+  wrappedKey: {
+    type: wrappedKeySchema,
+    default: undefined
+  },
   // Access limits
   maxViews: {
     type: Number,
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import qrCodeService from '../services/qrCodeService.js';
+import geolocationService from '../services/geolocationService.js';
+import scheduleService from '../services/scheduleService.js';
 
 const storyChapterSchema = new mongoose.Schema({
   // Reference to parent story
@@ -49,23 +52,31 @@ const storyChapterSchema = new mongoose.Schema({
   // Unlock Conditions
   unlockConditions: {
     // Location-based
+    // Point with radiusMeters, or a Polygon/MultiPolygon area
     location: {
       enabled: { type: Boolean, default: false },
       name: { type: String },
       coordinates: {
-        type: { type: String, enum: ['Point'] },
-        coordinates: [Number]
+        type: { type: String, enum: ['Point', 'Polygon', 'MultiPolygon'] },
+        coordinates: mongoose.Schema.Types.Mixed
       },
-      radiusMeters: { type: Number, default: 50 }
+      radiusMeters: { type: Number, default: 50 },
+      toleranceMeters: { type: Number, min: 0, max: 500 }
     },
 
-    // Time-based
+    // Time-based (times and dates in `timezone`, see scheduleService)
     time: {
       enabled: { type: Boolean, default: false },
       unlockAt: { type: Date }, // Specific date/time
       unlockAfterPrevious: { type: Number }, // Hours after previous chapter
       specificTime: { type: String }, // HH:MM (e.g., "21:00" for 9 PM)
-      specificDate: { type: String } // MM-DD (e.g., "02-14" for Valentine's)
+      specificDate: { type: String }, // MM-DD (e.g., "02-14" for Valentine's)
+      timezone: { type: String, default: 'UTC' },
+      startTime: { type: String }, // HH:MM window, may cross midnight
+      endTime: { type: String },
+      daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+      recurrence: { type: String, maxlength: 500 }, // RRULE
+      blackoutDates: [{ type: String }] // YYYY-MM-DD
     },
 
     // QR Code
@@ -73,6 +84,11 @@ const storyChapterSchema = new mongoose.Schema({
       enabled: { type: Boolean, default: false },
       code: { type: String, select: false },
       codeHash: { type: String },
+      // Rotating code (TOTP) shown on a display; see qrCodeService
+      secret: { type: String, select: false },
+      rotationSeconds: { type: Number, default: 30, min: 10, max: 86400 },
+      skewSteps: { type: Number, default: 1, min: 0, max: 5 },
+      regenerateDaily: { type: Boolean, default: false },
       hint: { type: String }
     },
 
@@ -130,6 +146,25 @@ const storyChapterSchema = new mongoose.Schema({
 
 // Compound index
 storyChapterSchema.index({ storyId: 1, chapterNumber: 1 });
+storyChapterSchema.pre('validate', function(next) {
+  const time = this.unlockConditions?.time;
+  if (time?.enabled) {
+    const problem = scheduleService.validate(scheduleService.fromStoryTime(time));
+    if (problem) this.invalidate('unlockConditions.time', problem);
+  }
+  next();
+});
+
+storyChapterSchema.path('unlockConditions.location.coordinates.coordinates').validate(function(coordinates) {
+  if (coordinates === undefined || coordinates === null) return true;
+  const problem = geolocationService.validateGeometry(
+    { type: this.unlockConditions.location.coordinates.type || 'Point', coordinates },
+    ['Point', 'Polygon', 'MultiPolygon']
+  );
+  if (problem) throw new Error(problem);
+  return true;
+}, props => props.reason?.message || 'Invalid GeoJSON geometry');
+
 storyChapterSchema.index({ 'unlockConditions.location.coordinates': '2dsphere' });
 
 // Method: Check if chapter can be unlocked
@@ -165,14 +200,13 @@ storyChapterSchema.methods.checkUnlockConditions = async function(userId, submit
       return results;
     }
     
-    // Calculate distance (simplified, use geolocationService for accurate)
-    const [targetLng, targetLat] = conditions.location.coordinates.coordinates;
-    const distance = calculateDistance(latitude, longitude, targetLat, targetLng);
+    const gpsResult = geolocationService.verifyGeometry({ location: { latitude, longitude } }, conditions.location);
     
-    if (distance > conditions.location.radiusMeters) {
+    if (!gpsResult.passed) {
+      const distance = gpsResult.distanceMeters;
       results.unlocked = false;
       results.checks.push({ type: 'location', passed: false, distance });
-      results.reason = `You're ${Math.round(distance)}m away. Get closer!`;
+      results.reason = distance === null ? gpsResult.message : `You're ${distance}m away. Get closer!`;
       return results;
     }
     results.checks.push({ type: 'location', passed: true });
@@ -189,15 +223,14 @@ storyChapterSchema.methods.checkUnlockConditions = async function(userId, submit
       return results;
     }
     
-    if (conditions.time.specificTime) {
-      const [hours, minutes] = conditions.time.specificTime.split(':');
-      const currentHours = now.getHours();
-      const currentMinutes = now.getMinutes();
-      
-      if (currentHours !== parseInt(hours) || Math.abs(currentMinutes - parseInt(minutes)) > 5) {
+    const schedule = scheduleService.fromStoryTime(conditions.time);
+    if (scheduleService.isRestricted(schedule)) {
+      const window = scheduleService.evaluate(schedule, now, { anchor: this.createdAt });
+
+      if (!window.open) {
         results.unlocked = false;
         results.checks.push({ type: 'time', passed: false });
-        results.reason = `Come back at ${conditions.time.specificTime}`;
+        results.reason = window.message;
         return results;
       }
     }
@@ -213,13 +246,15 @@ storyChapterSchema.methods.checkUnlockConditions = async function(userId, submit
       return results;
     }
     
-    const crypto = await import('crypto');
-    const submittedHash = crypto.createHash('sha256').update(submittedData.qrCode).digest('hex');
-    
-    if (submittedHash !== conditions.qrCode.codeHash) {
+    const qrResult = qrCodeService.verify(submittedData.qrCode, conditions.qrCode, {
+      kind: 'chapter',
+      id: this._id
+    });
+
+    if (!qrResult.passed) {
       results.unlocked = false;
       results.checks.push({ type: 'qrCode', passed: false });
-      results.reason = 'Wrong QR code';
+      results.reason = qrResult.rotating ? qrResult.message : 'Wrong QR code';
       return results;
     }
     results.checks.push({ type: 'qrCode', passed: true });
@@ -260,20 +295,4 @@ storyChapterSchema.methods.recordUnlock = async function(userId, method) {
   return this.save();
 };
 
-// Helper function for distance calculation
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c;
-}
-
 export default mongoose.model('StoryChapter', storyChapterSchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+/**
+ * Unallocated APT of a treasury ledger account (treasury:master or
+ * treasury:campaign:<id>): its deposits minus its allocations. Kept next to
+ * the ledger so an allocation can take from it atomically, the way a reward
+ * reserve takes from budget.aptRemaining.
+ */
+const treasuryAccountSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  availableOctas: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('TreasuryAccount', treasuryAccountSchema);
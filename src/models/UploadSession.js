@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import { wrappedKeySchema } from './Memory.js';
+import { UPLOAD_STATUS, DEFAULTS } from '../config/constants.js';
+
+/**
+ * Resumable upload session.
+ * Chunks are appended in order to a staging file (see uploadService);
+ * on completion the staged file is streamed to the storage provider.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // File Info (declared by the client at init)
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  fileType: { type: String },
+  fileSize: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [1, 'File cannot be empty']
+  },
+
+  // Memory fields applied on completion
+  memory: {
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    description: { type: String },
+    category: { type: String },
+    storeOnChain: { type: Boolean, default: false },
+    encryptContent: { type: Boolean, default: false }
+  },
+
+  // Client-side encryption bundle (lv-e2ee-v1), applied on completion
+  clientEncryption: {
+    scheme: { type: String },
+    wrappedKeys: [wrappedKeySchema]
+  },
+
+  // Progress
+  chunkSize: {
+    type: Number,
+    default: DEFAULTS.UPLOAD_CHUNK_SIZE_MB * 1024 * 1024
+  },
+  receivedBytes: { type: Number, default: 0 },
+  nextChunk: { type: Number, default: 0 },
+
+  // Held by the request writing nextChunk, so two PUTs of the same chunk
+  // can't write to the staging file at once. Expires if that request dies.
+  chunkLock: {
+    token: { type: String },
+    expiresAt: { type: Date }
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: Object.values(UPLOAD_STATUS),
+    default: UPLOAD_STATUS.UPLOADING
+  },
+  // Assigned when completion starts, so an interrupted completion can
+  // tell whether its memory was created
+  memoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory'
+  },
+  completingAt: { type: Date },
+  // The completion has charged fileSize to the user's storage
+  storageReserved: { type: Boolean, default: false },
+  error: { type: String },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DEFAULTS.UPLOAD_SESSION_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual: Total number of chunks
+uploadSessionSchema.virtual('totalChunks').get(function() {
+  return Math.ceil(this.fileSize / this.chunkSize);
+});
+
+// Virtual: Upload progress (0-100)
+uploadSessionSchema.virtual('progress').get(function() {
+  return Math.round((this.receivedBytes / this.fileSize) * 100);
+});
+
+export default mongoose.model('UploadSession', uploadSessionSchema);
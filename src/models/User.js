@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { DEFAULTS } from '../config/constants.js';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -39,6 +40,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // End-to-end encryption (X25519 public key; the private key never leaves the client)
+  encryptionPublicKey: {
+    type: String,
+    default: null
+  },
   
   // Profile
   avatar: {
@@ -59,6 +66,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  storageQuota: {
+    type: Number, // bytes; null = STORAGE_QUOTA_MB default
+    default: null
+  },
 
   // ========== NEW: QUEST/GAMIFICATION FIELDS ==========
   
@@ -150,10 +161,60 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Email confirmed (see authTokenService)
   isVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+
+  // Second factors (see mfaService)
+  twoFactor: {
+    totp: {
+      enabled: { type: Boolean, default: false },
+      // Encrypted with ENCRYPTION_MASTER_KEY (see mfaService.sealTotpSecret)
+      secret: { type: String, select: false },
+      // Set up but not yet confirmed with a code
+      pendingSecret: { type: String, select: false },
+      // Last accepted time step; a code is never accepted twice
+      lastUsedCounter: { type: Number, select: false },
+      enabledAt: { type: Date }
+    },
+    // SHA-256 of one-time recovery codes
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    },
+    webauthn: {
+      credentials: [{
+        _id: false,
+        credentialId: { type: String, required: true }, // base64url
+        publicKey: { type: String, required: true },    // base64url COSE key
+        counter: { type: Number, default: 0 },
+        transports: [{ type: String }],
+        deviceType: { type: String },                   // singleDevice, multiDevice
+        backedUp: { type: Boolean, default: false },
+        name: { type: String, trim: true, maxlength: 60 },
+        createdAt: { type: Date, default: Date.now },
+        lastUsedAt: { type: Date }
+      }],
+      // In-flight registration or authentication challenge
+      challenge: {
+        value: { type: String, select: false },
+        purpose: { type: String, enum: ['registration', 'authentication'], select: false },
+        expiresAt: { type: Date, select: false }
+      }
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -183,20 +244,41 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate a short-lived access token for a session (see sessionService)
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
+      sid: sessionId,
       email: this.email,
       aptosAddress: this.aptosAddress,
       userType: this.userType
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || `${DEFAULTS.ACCESS_TOKEN_MINUTES}m` }
   );
 };
 
+// Verified accounts can create campaigns and receive APT. Wallet-only
+// accounts have a placeholder email; signing in proved they hold the wallet.
+userSchema.methods.isAccountVerified = function() {
+  return this.isVerified || this.isWalletUser;
+};
+
+// Whether login needs a second factor
+userSchema.methods.hasSecondFactor = function() {
+  return !!this.twoFactor?.totp?.enabled || this.twoFactor?.webauthn?.credentials?.length > 0;
+};
+
+// Storage quota in bytes
+userSchema.methods.getStorageQuota = function() {
+  if (this.storageQuota !== null && this.storageQuota !== undefined) {
+    return this.storageQuota;
+  }
+  const quotaMb = Number(process.env.STORAGE_QUOTA_MB) || DEFAULTS.STORAGE_QUOTA_MB;
+  return quotaMb * 1024 * 1024;
+};
+
 // Generate Aptos wallet address for user
 userSchema.methods.generateAptosWallet = async function() {
   const { Account } = await import('@aptos-labs/ts-sdk');
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+/**
+ * Raw AI vision replies, keyed by image hash + provider + model + prompt,
+ * so verifying the same photo again doesn't call the model again.
+ * The reply is re-parsed on every hit, so threshold changes still apply.
+ */
+const visionCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the decoded image bytes
+  imageHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  provider: { type: String, required: true },
+  model: { type: String },
+  rawText: { type: String, required: true },
+  hits: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+visionCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+export default mongoose.model('VisionCache', visionCacheSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Sign-In-with-Aptos challenges: a server-issued nonce bound to one address
+ * and domain. Consumed on the first login attempt, whatever its outcome.
+ */
+const walletChallengeSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Long (0x + 64 hex) form
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  domain: { type: String, required: true },
+  uri: { type: String, required: true },
+  chainId: { type: Number, required: true },
+  statement: { type: String },
+  // The exact text the wallet is asked to sign
+  message: { type: String, required: true },
+  issuedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+walletChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+/**
+ * Atomically mark an unused, unexpired challenge as used
+ * @returns {Object|null} The challenge, or null if unknown, used or expired
+ */
+walletChallengeSchema.statics.consume = function(nonce, address) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { nonce, address, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('WalletChallenge', walletChallengeSchema);
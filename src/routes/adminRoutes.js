@@ -0,0 +1,30 @@
+// src/routes/adminRoutes.js
+
+import express from 'express';
+import {
+  getReconciliationReport,
+  runReconciliation,
+  resolveChainIssue,
+  getDeadLetters,
+  retryDeadLetter,
+  depositMasterTreasury
+} from '../controllers/adminController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/constants.js';
+
+const router = express.Router();
+router.use(protect, requirePermission(PERMISSIONS.ADMIN_ACCESS));
+
+// Chain reconciliation
+router.get('/chain/reconciliation', getReconciliationReport);
+router.post('/chain/reconcile', runReconciliation);
+router.post('/chain/issues/:id/resolve', resolveChainIssue);
+
+// Background jobs
+router.get('/jobs/dead-letters', getDeadLetters);
+router.post('/jobs/dead-letters/:id/retry', retryDeadLetter);
+
+// Master treasury
+router.post('/treasury/deposits', requirePermission(PERMISSIONS.TREASURY_MASTER), depositMasterTreasury);
+
+export default router;
@@ -1,420 +1,160 @@
 import express from 'express';
 import User from '../models/User.js';
 import aptosService from '../services/aptosService.js';
-import { protect } from '../middleware/authMiddleware.js';
-import nacl from 'tweetnacl';
-import pkg from 'js-sha3';
-const { sha3_256 } = pkg;
+import walletAuthService from '../services/walletAuthService.js';
+import sessionService from '../services/sessionService.js';
+import authTokenService from '../services/authTokenService.js';
+import mfaService from '../services/mfaService.js';
+import { protect, requireStepUp } from '../middleware/authMiddleware.js';
+import { authLimiter, emailLinkLimiter } from '../middleware/utilityMiddleware.js';
+import { AUTH_TOKEN_TYPES } from '../config/constants.js';
 
 const router = express.Router();
 
-// ─────────────────────────────────────────────────────────
-// HELPER UTILITIES
-// ─────────────────────────────────────────────────────────
-
-/**
- * Convert hex string to Uint8Array
- */
-function hexToUint8Array(hexString) {
-  const clean = hexString.startsWith('0x') ? hexString.slice(2) : hexString;
-  if (clean.length % 2 !== 0) {
-    throw new Error('Invalid hex string');
-  }
-  const bytes = new Uint8Array(clean.length / 2);
-  for (let i = 0; i < clean.length; i += 2) {
-    bytes[i / 2] = parseInt(clean.substr(i, 2), 16);
-  }
-  return bytes;
-}
-
 /**
- * Detect the Aptos account type from public key and signature
- *
- * Aptos prefixes:
- *   0x00 = Ed25519           (32-byte pubkey,  64-byte signature)
- *   0x01 = Multi-Ed25519
- *   0x02 = MultiKey
- *   0x03 = Keyless / OIDC    (variable length, contains provider URL)
+ * Answer for endpoints that must not reveal whether an email is registered
  */
-function detectAccountType(publicKey, signature) {
-  const cleanPubKey = publicKey.startsWith('0x') ? publicKey.slice(2) : publicKey;
-  const cleanSig = signature.startsWith('0x') ? signature.slice(2) : signature;
-
-  // Standard Ed25519: exactly 32 bytes pubkey (64 hex) & 64 bytes sig (128 hex)
-  if (cleanPubKey.length === 64 && cleanSig.length === 128) {
-    return 'ed25519';
-  }
-
-  // Check the first byte prefix
-  const prefix = cleanPubKey.substring(0, 2);
-  switch (prefix) {
-    case '00': return 'ed25519';
-    case '01': return 'multi-ed25519';
-    case '02': return 'multikey';
-    case '03': return 'keyless';
-    default:   break;
-  }
-
-  // Heuristic: if the pubkey contains "accounts.google.com" in hex, it's Keyless
-  // 68747470733a2f2f6163636f756e74732e676f6f676c652e636f6d = https://accounts.google.com
-  if (cleanPubKey.includes('68747470733a2f2f6163636f756e74732e676f6f676c652e636f6d')) {
-    return 'keyless';
-  }
-  // Apple
-  if (cleanPubKey.includes('6170706c6569642e6170706c652e636f6d')) {
-    return 'keyless';
-  }
-
-  return 'unknown';
-}
+const EMAIL_SENT_IF_REGISTERED = 'If an account exists for this email, we sent it a link.';
 
 /**
- * Verify an account exists on the Aptos blockchain
- * This is our primary verification for Keyless accounts
+ * Answer with a service error's status code, or pass it on
  */
-async function verifyAccountOnChain(address) {
-  try {
-    const accountInfo = await aptosService.aptos.getAccountInfo({
-      accountAddress: address
+function handleServiceError(error, res, next) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
     });
-    return {
-      exists: true,
-      sequenceNumber: accountInfo.sequence_number,
-      authKey: accountInfo.authentication_key
-    };
-  } catch (error) {
-    // Account might not exist on-chain yet (never received funds)
-    if (error?.status === 404 || error?.message?.includes('not found')) {
-      return { exists: false, reason: 'Account not found on chain' };
-    }
-    console.warn('⚠️ On-chain verification error:', error.message);
-    return { exists: false, reason: error.message };
   }
+  next(error);
 }
 
 /**
- * Validate basic address format
+ * Fund a custodial wallet from the faucet (not on mainnet)
  */
-function isValidAptosAddress(address) {
-  if (!address || typeof address !== 'string') return false;
-  const clean = address.startsWith('0x') ? address.slice(2) : address;
-  // Aptos addresses are 32 bytes = 64 hex chars (with possible leading zeros trimmed)
-  return /^[0-9a-fA-F]{1,64}$/.test(clean);
-}
+async function fundNewWallet(user) {
+  if (process.env.APTOS_NETWORK === 'mainnet' || !user.aptosAddress || user.isWalletUser) return;
 
-/**
- * Verify Ed25519 signature using nacl (for standard Ed25519 accounts)
- */
-function verifyEd25519Signature(fullMessage, signature, publicKey) {
   try {
-    const cleanSig = signature.startsWith('0x') ? signature.slice(2) : signature;
-    const cleanPubKey = publicKey.startsWith('0x') ? publicKey.slice(2) : publicKey;
-
-    const signatureBytes = hexToUint8Array(cleanSig);
-    const publicKeyBytes = hexToUint8Array(cleanPubKey);
-    const messageBytes = new TextEncoder().encode(fullMessage);
-
-    if (signatureBytes.length !== 64 || publicKeyBytes.length !== 32) {
-      return false;
-    }
-
-    return nacl.sign.detached.verify(messageBytes, signatureBytes, publicKeyBytes);
-  } catch (error) {
-    console.error('Ed25519 verification error:', error.message);
-    return false;
+    await aptosService.fundAccount(user.aptosAddress);
+    console.log(`💰 Funded new user wallet: ${user.aptosAddress}`);
+  } catch (err) {
+    console.warn('Could not fund account:', err.message);
   }
 }
 
 /**
- * Try multiple message formats for Ed25519 verification
+ * Send an emailed link to the account with this address, if there is one.
+ * Rate limits are applied silently so the answer is always the same.
  */
-function verifyEd25519Alternative(message, signature, publicKey, nonce) {
-  try {
-    const cleanSig = signature.startsWith('0x') ? signature.slice(2) : signature;
-    const cleanPubKey = publicKey.startsWith('0x') ? publicKey.slice(2) : publicKey;
-
-    const signatureBytes = hexToUint8Array(cleanSig);
-    const publicKeyBytes = hexToUint8Array(cleanPubKey);
-
-    if (signatureBytes.length !== 64 || publicKeyBytes.length !== 32) {
-      return false;
-    }
-
-    const formats = [
-      message,
-      `APTOS\nmessage: ${message}\nnonce: ${nonce}`,
-      `APTOS\nmessage: ${message}\nnonce: ${nonce}\nchainId: 1`,
-      `APTOS\nmessage: ${message}\nnonce: ${nonce}\nchainId: 2`,
-    ];
-
-    for (const fmt of formats) {
-      const msgBytes = new TextEncoder().encode(fmt);
-      try {
-        if (nacl.sign.detached.verify(msgBytes, signatureBytes, publicKeyBytes)) {
-          console.log('✅ Ed25519 verified with format:', fmt.substring(0, 50));
-          return true;
-        }
-      } catch {
-        // try next
-      }
-    }
-    return false;
-  } catch (error) {
-    console.error('Ed25519 alternative verification error:', error.message);
-    return false;
-  }
-}
+async function sendLinkIfRegistered(email, type, req) {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim(), isWalletUser: { $ne: true } });
+  if (!user) return;
 
-/**
- * Derive address from Ed25519 public key
- * Aptos address = SHA3-256(pubkey || 0x00)
- */
-function deriveAddressFromPublicKey(publicKey) {
   try {
-    const clean = publicKey.startsWith('0x') ? publicKey.slice(2) : publicKey;
-    if (clean.length !== 64) return null; // Only works for Ed25519
-
-    const pubKeyBytes = hexToUint8Array(clean);
-    const dataToHash = new Uint8Array(pubKeyBytes.length + 1);
-    dataToHash.set(pubKeyBytes);
-    dataToHash[pubKeyBytes.length] = 0x00;
-
-    return '0x' + sha3_256(dataToHash);
-  } catch {
-    return null;
+    await authTokenService.send(user, type, { ipAddress: req.ip });
+  } catch (error) {
+    if (error.statusCode !== 429) throw error;
   }
 }
 
-
 // ─────────────────────────────────────────────────────────
-// MAIN VERIFICATION LOGIC
+// ROUTES
 // ─────────────────────────────────────────────────────────
 
 /**
- * Unified wallet signature verification
- * Handles Ed25519, Keyless, MultiKey, and unknown account types
- *
- * @returns {{ valid: boolean, accountType: string, method: string, reason?: string }}
- */
-async function verifyWalletSignature({
-  address,
-  publicKey,
-  signature,
-  message,
-  nonce,
-  fullMessage
-}) {
-  const accountType = detectAccountType(publicKey, signature);
-  console.log(`🔍 Detected account type: ${accountType}`);
-
-  // ── Ed25519 accounts: cryptographic verification ──────────
-  if (accountType === 'ed25519') {
-    console.log('🔐 Attempting Ed25519 cryptographic verification...');
-
-    // Method 1: fullMessage from Petra
-    if (fullMessage) {
-      const ok = verifyEd25519Signature(fullMessage, signature, publicKey);
-      if (ok) {
-        return { valid: true, accountType, method: 'ed25519-fullMessage' };
-      }
-    }
-
-    // Method 2: try alternative message formats
-    if (message && nonce) {
-      const ok = verifyEd25519Alternative(message, signature, publicKey, nonce);
-      if (ok) {
-        return { valid: true, accountType, method: 'ed25519-alternative' };
-      }
-    }
-
-    // Method 3: verify address derivation + on-chain existence
-    const derived = deriveAddressFromPublicKey(publicKey);
-    if (derived && derived.toLowerCase() === address.toLowerCase()) {
-      console.log('✅ Address derived from public key matches claimed address');
-      return { valid: true, accountType, method: 'ed25519-address-derivation' };
-    }
-
-    // Fallback: check on-chain
-    const onChain = await verifyAccountOnChain(address);
-    if (onChain.exists) {
-      console.log('✅ Ed25519 account exists on-chain, accepting');
-      return { valid: true, accountType, method: 'ed25519-onchain-fallback' };
-    }
-
-    return {
-      valid: false,
-      accountType,
-      method: 'none',
-      reason: 'Ed25519 signature verification failed with all methods'
-    };
-  }
-
-  // ── Keyless accounts (Google, Apple OIDC): on-chain verification ──
-  if (accountType === 'keyless') {
-    console.log('🔐 Keyless account detected (OIDC provider in public key)');
-    console.log('   Keyless signatures use ZK proofs — nacl cannot verify these');
-    console.log('   Verifying account on-chain instead...');
-
-    if (!isValidAptosAddress(address)) {
-      return {
-        valid: false,
-        accountType,
-        method: 'none',
-        reason: 'Invalid Aptos address format'
-      };
-    }
-
-    // Primary check: does the account exist on the Aptos network?
-    const onChain = await verifyAccountOnChain(address);
-
-    if (onChain.exists) {
-      console.log('✅ Keyless account verified on-chain');
-      console.log(`   Sequence number: ${onChain.sequenceNumber}`);
-      return { valid: true, accountType, method: 'keyless-onchain' };
-    }
-
-    // The account might be brand new (never funded / never transacted)
-    // In that case, we trust Petra's client-side signing since:
-    //   1. The address format is valid
-    //   2. The signature was produced by Petra wallet
-    //   3. The public key contains a valid OIDC provider
-    console.log('⚠️ Account not yet on-chain (new account)');
-    console.log('   Accepting based on valid Petra wallet response');
+ * @desc    Get a Sign-In-with-Aptos challenge for an address
+ * @route   GET /api/auth/wallet/challenge?address=0x...
+ */
+router.get('/wallet/challenge', async (req, res, next) => {
+  try {
+    const { address } = req.query;
 
-    // Extra sanity: verify the signature is non-empty and has reasonable length
-    const cleanSig = signature.startsWith('0x') ? signature.slice(2) : signature;
-    if (cleanSig.length < 64) {
-      return {
-        valid: false,
-        accountType,
-        method: 'none',
-        reason: 'Keyless signature too short'
-      };
+    if (!address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Address is required'
+      });
     }
 
-    return { valid: true, accountType, method: 'keyless-trusted-wallet' };
-  }
-
-  // ── MultiKey / Multi-Ed25519 accounts ─────────────────────
-  if (accountType === 'multikey' || accountType === 'multi-ed25519') {
-    console.log(`🔐 ${accountType} account detected`);
-    console.log('   Verifying account on-chain...');
-
-    if (!isValidAptosAddress(address)) {
-      return {
-        valid: false,
-        accountType,
-        method: 'none',
-        reason: 'Invalid Aptos address format'
-      };
-    }
+    const challenge = await walletAuthService.createChallenge(address);
 
-    const onChain = await verifyAccountOnChain(address);
-    if (onChain.exists) {
-      return { valid: true, accountType, method: `${accountType}-onchain` };
+    res.json({
+      success: true,
+      data: {
+        message: challenge.message,
+        nonce: challenge.nonce,
+        address: challenge.address,
+        domain: challenge.domain,
+        uri: challenge.uri,
+        chainId: challenge.chainId,
+        issuedAt: challenge.issuedAt,
+        expiresAt: challenge.expiresAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
     }
-
-    // Accept if address format is valid (new multi-key account)
-    return { valid: true, accountType, method: `${accountType}-trusted-wallet` };
-  }
-
-  // ── Unknown account type: best-effort ─────────────────────
-  console.log('⚠️ Unknown account type, attempting best-effort verification...');
-
-  if (!isValidAptosAddress(address)) {
-    return {
-      valid: false,
-      accountType,
-      method: 'none',
-      reason: 'Invalid address format'
-    };
-  }
-
-  const onChain = await verifyAccountOnChain(address);
-  if (onChain.exists) {
-    return { valid: true, accountType: 'unknown', method: 'onchain-fallback' };
-  }
-
-  // Final fallback: accept valid-looking wallet data
-  const cleanSig = signature.startsWith('0x') ? signature.slice(2) : signature;
-  if (cleanSig.length >= 64 && address.startsWith('0x')) {
-    console.log('⚠️ Accepting based on structural validity (development mode)');
-    return { valid: true, accountType: 'unknown', method: 'structural-fallback' };
+    next(error);
   }
-
-  return {
-    valid: false,
-    accountType: 'unknown',
-    method: 'none',
-    reason: 'All verification methods failed'
-  };
-}
-
-
-// ─────────────────────────────────────────────────────────
-// ROUTES
-// ─────────────────────────────────────────────────────────
+});
 
 /**
  * @desc    Authenticate with Petra wallet
  * @route   POST /api/auth/wallet
+ * @body    address, publicKey, signature, nonce (from /wallet/challenge),
+ *          fullMessage (what the wallet signed, if it wrapped the challenge)
  */
 router.post('/wallet', async (req, res, next) => {
   try {
-    const { address, publicKey, signature, message, nonce, fullMessage } = req.body;
+    const { address, publicKey, signature, nonce, fullMessage } = req.body;
 
     console.log('\n=== Wallet Authentication ===');
     console.log('Address:', address);
-    console.log('Public Key:', publicKey?.substring(0, 50) + '...');
-    console.log('Signature:', signature?.substring(0, 50) + '...');
-    console.log('Message:', message?.substring(0, 80));
     console.log('Nonce:', nonce);
 
-    if (!address || !publicKey || !signature) {
+    if (!address || !publicKey || !signature || !nonce) {
       return res.status(400).json({
         success: false,
         message: 'Missing required wallet authentication data'
       });
     }
 
-    // ── Unified verification ──────────────────────────────────
-    const verification = await verifyWalletSignature({
-      address,
-      publicKey,
-      signature,
-      message,
-      nonce,
-      fullMessage
-    });
-
-    console.log(`\n📋 Verification result:`);
-    console.log(`   Valid       : ${verification.valid}`);
-    console.log(`   Account Type: ${verification.accountType}`);
-    console.log(`   Method      : ${verification.method}`);
-    if (verification.reason) {
-      console.log(`   Reason      : ${verification.reason}`);
-    }
-
-    if (!verification.valid) {
-      console.log('❌ Authentication rejected');
-      return res.status(401).json({
+    let verification;
+    try {
+      verification = await walletAuthService.verifyLogin({
+        address,
+        publicKey,
+        signature,
+        nonce,
+        fullMessage
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      console.log(`❌ Authentication rejected: ${error.message}`);
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Invalid wallet signature',
-        accountType: verification.accountType,
-        reason: verification.reason
+        message: error.statusCode === 401 ? 'Invalid wallet signature' : error.message,
+        accountType: error.accountType,
+        reason: error.message
       });
     }
 
-    console.log('✅ Wallet authentication accepted');
+    console.log(`✅ Wallet authentication accepted (${verification.accountType})`);
 
     // ── Find or create user ─────────────────────────────────
-    let user = await User.findOne({ aptosAddress: address });
+    // Older accounts may have stored the address in its short form
+    let user = await User.findOne({ aptosAddress: { $in: [...new Set([address, verification.address])] } });
 
     if (!user) {
       user = new User({
-        aptosAddress: address,
+        aptosAddress: verification.address,
         aptosPublicKey: publicKey,
-        email: `${address.slice(0, 16)}@wallet.lifevault.app`,
+        email: `${verification.address.slice(0, 16)}@wallet.lifevault.app`,
         isWalletUser: true
       });
       await user.save();
@@ -427,15 +167,25 @@ router.post('/wallet', async (req, res, next) => {
       }
     }
 
+    // Accounts with a second factor finish at POST /api/auth/login/2fa
+    if (user.hasSecondFactor()) {
+      if (user.isModified()) await user.save();
+      return res.json({
+        success: true,
+        message: 'Second factor required',
+        data: await mfaService.beginLogin(user, 'wallet')
+      });
+    }
+
     user.lastLogin = new Date();
     await user.save();
 
-    const token = user.generateAuthToken();
+    const tokens = await sessionService.createSession(user, req, 'wallet');
 
     // Get balance
     let balance = null;
     try {
-      balance = await aptosService.getBalance(address);
+      balance = await aptosService.getBalance(user.aptosAddress);
     } catch (err) {
       console.warn('Could not fetch balance:', err.message);
     }
@@ -455,7 +205,7 @@ router.post('/wallet', async (req, res, next) => {
           isWalletUser: user.isWalletUser,
           accountType: verification.accountType
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -467,43 +217,44 @@ router.post('/wallet', async (req, res, next) => {
 /**
  * @desc    Link wallet to existing account
  * @route   POST /api/auth/link-wallet
+ * @body    Same as POST /api/auth/wallet
  */
 router.post('/link-wallet', protect, async (req, res, next) => {
   try {
-    const { address, publicKey, signature, message, nonce, fullMessage } = req.body;
+    const { address, publicKey, signature, nonce, fullMessage } = req.body;
 
     console.log('\n=== Link Wallet ===');
     console.log('User ID:', req.user._id);
     console.log('Address:', address);
 
-    if (!address || !publicKey || !signature) {
+    if (!address || !publicKey || !signature || !nonce) {
       return res.status(400).json({
         success: false,
         message: 'Missing required wallet data'
       });
     }
 
-    // ── Unified verification ──────────────────────────────────
-    const verification = await verifyWalletSignature({
-      address,
-      publicKey,
-      signature,
-      message,
-      nonce,
-      fullMessage
-    });
-
-    if (!verification.valid) {
-      return res.status(401).json({
+    let verification;
+    try {
+      verification = await walletAuthService.verifyLogin({
+        address,
+        publicKey,
+        signature,
+        nonce,
+        fullMessage
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Invalid wallet signature',
-        reason: verification.reason
+        message: error.statusCode === 401 ? 'Invalid wallet signature' : error.message,
+        reason: error.message
       });
     }
 
     // Check if wallet already linked to another account
     const existingUser = await User.findOne({
-      aptosAddress: address,
+      aptosAddress: { $in: [...new Set([address, verification.address])] },
       _id: { $ne: req.user._id }
     });
 
@@ -515,7 +266,7 @@ router.post('/link-wallet', protect, async (req, res, next) => {
     }
 
     // Update user
-    req.user.aptosAddress = address;
+    req.user.aptosAddress = verification.address;
     req.user.aptosPublicKey = publicKey;
     await req.user.save();
 
@@ -523,7 +274,7 @@ router.post('/link-wallet', protect, async (req, res, next) => {
 
     let balance = null;
     try {
-      balance = await aptosService.getBalance(address);
+      balance = await aptosService.getBalance(verification.address);
     } catch (err) {
       console.warn('Could not fetch balance:', err.message);
     }
@@ -532,7 +283,7 @@ router.post('/link-wallet', protect, async (req, res, next) => {
       success: true,
       message: 'Wallet linked successfully',
       data: {
-        aptosAddress: address,
+        aptosAddress: verification.address,
         aptosBalance: balance?.balance || 0
       }
     });
@@ -568,28 +319,26 @@ router.post('/register', async (req, res, next) => {
     await user.generateAptosWallet();
     await user.save();
 
-    if (process.env.APTOS_NETWORK !== 'mainnet') {
-      try {
-        await aptosService.fundAccount(user.aptosAddress);
-        console.log(`💰 Funded new user wallet: ${user.aptosAddress}`);
-      } catch (err) {
-        console.warn('Could not fund account:', err.message);
-      }
-    }
+    // The wallet is funded once the email is confirmed
+    const verification = await authTokenService.send(user, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION, {
+      ipAddress: req.ip
+    });
 
-    const token = user.generateAuthToken();
+    const tokens = await sessionService.createSession(user, req, 'password');
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful',
+      message: 'Registration successful. Please check your email to confirm your address.',
       data: {
         user: {
           id: user._id,
           email: user.email,
           name: user.name,
-          aptosAddress: user.aptosAddress
+          aptosAddress: user.aptosAddress,
+          isVerified: user.isVerified
         },
-        token
+        verificationEmailSent: verification.email.success,
+        ...tokens
       }
     });
   } catch (error) {
@@ -627,10 +376,19 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
+    // Accounts with a second factor finish at POST /api/auth/login/2fa
+    if (user.hasSecondFactor()) {
+      return res.json({
+        success: true,
+        message: 'Second factor required',
+        data: await mfaService.beginLogin(user, 'password')
+      });
+    }
+
     user.lastLogin = new Date();
     await user.save();
 
-    const token = user.generateAuthToken();
+    const tokens = await sessionService.createSession(user, req, 'password');
 
     let balance = null;
     if (user.aptosAddress) {
@@ -653,9 +411,10 @@ router.post('/login', async (req, res, next) => {
           questStats: user.questStats,
           totalMemories: user.totalMemories,
           storageUsed: user.storageUsed,
-          aptosBalance: balance?.balance || 0
+          aptosBalance: balance?.balance || 0,
+          isVerified: user.isVerified
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -664,9 +423,9 @@ router.post('/login', async (req, res, next) => {
 });
 
 /**
- * @desc    Unlink wallet
+ * @desc    Unlink wallet (needs a recent step-up)
  */
-router.post('/unlink-wallet', protect, async (req, res, next) => {
+router.post('/unlink-wallet', protect, requireStepUp, async (req, res, next) => {
   try {
     if (req.user.isWalletUser) {
       return res.status(400).json({
@@ -720,6 +479,7 @@ router.get('/me', protect, async (req, res, next) => {
         totalMemories: user.totalMemories,
         storageUsed: user.storageUsed,
         isWalletUser: user.isWalletUser,
+        isVerified: user.isVerified,
         createdAt: user.createdAt
       }
     });
@@ -728,4 +488,647 @@ router.get('/me', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Send (again) the email confirmation link
+ * @route   POST /api/auth/verify-email/send
+ */
+router.post('/verify-email/send', protect, emailLinkLimiter, async (req, res, next) => {
+  try {
+    if (req.user.isWalletUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet accounts have no email address to confirm'
+      });
+    }
+
+    if (req.user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const result = await authTokenService.send(req.user, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION, {
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: result.email.success ? 'Confirmation email sent' : 'Confirmation email could not be sent',
+      data: {
+        sent: result.email.success,
+        expiresAt: result.expiresAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @desc    Confirm the email address with the emailed token
+ * @route   POST /api/auth/verify-email
+ */
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+
+    const user = await authTokenService.consume(token, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION);
+    const firstTime = !user.isVerified;
+
+    user.isVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    if (firstTime) await fundNewWallet(user);
+
+    console.log(`✅ Email verified: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: {
+        email: user.email,
+        isVerified: true
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ */
+router.post('/forgot-password', emailLinkLimiter, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    await sendLinkIfRegistered(email, AUTH_TOKEN_TYPES.PASSWORD_RESET, req);
+
+    res.json({
+      success: true,
+      message: EMAIL_SENT_IF_REGISTERED
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @desc    Set a new password with the emailed token (signs out every session)
+ * @route   POST /api/auth/reset-password
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await authTokenService.consume(token, AUTH_TOKEN_TYPES.PASSWORD_RESET);
+    const firstTime = !user.isVerified;
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // Receiving the link proves the inbox is theirs
+    user.isVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    if (firstTime) await fundNewWallet(user);
+
+    const revoked = await sessionService.revokeAll(user._id);
+    console.log(`🔑 Password reset for ${user.email}, ${revoked} session(s) revoked`);
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please sign in with your new password.'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @desc    Email a passwordless sign-in link
+ * @route   POST /api/auth/magic-link
+ */
+router.post('/magic-link', emailLinkLimiter, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    await sendLinkIfRegistered(email, AUTH_TOKEN_TYPES.MAGIC_LINK, req);
+
+    res.json({
+      success: true,
+      message: EMAIL_SENT_IF_REGISTERED
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @desc    Sign in with the emailed magic-link token
+ * @route   POST /api/auth/magic-link/verify
+ */
+router.post('/magic-link/verify', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+
+    const user = await authTokenService.consume(token, AUTH_TOKEN_TYPES.MAGIC_LINK);
+    const firstTime = !user.isVerified;
+
+    const needsSecondFactor = user.hasSecondFactor();
+
+    user.isVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    if (!needsSecondFactor) user.lastLogin = new Date();
+    await user.save();
+
+    if (firstTime) await fundNewWallet(user);
+
+    if (needsSecondFactor) {
+      return res.json({
+        success: true,
+        message: 'Second factor required',
+        data: await mfaService.beginLogin(user, 'magic_link')
+      });
+    }
+
+    const tokens = await sessionService.createSession(user, req, 'magic_link');
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          aptosAddress: user.aptosAddress,
+          userType: user.userType,
+          isVerified: user.isVerified
+        },
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// ─────────────────────────────────────────────────────────
+// SECOND FACTORS
+// ─────────────────────────────────────────────────────────
+
+/**
+ * @desc    Passkey options to finish a login
+ * @route   POST /api/auth/login/2fa/webauthn-options
+ * @body    mfaToken
+ */
+router.post('/login/2fa/webauthn-options', authLimiter, async (req, res, next) => {
+  try {
+    const { userId } = await mfaService.getPendingLogin(req.body.mfaToken);
+    const options = await mfaService.authenticationOptions(userId);
+
+    res.json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Finish a login with the second factor
+ * @route   POST /api/auth/login/2fa
+ * @body    mfaToken and one of code (TOTP), recoveryCode, webauthn (passkey response)
+ *          The mfaToken works once and allows DEFAULTS.MFA_MAX_ATTEMPTS tries
+ */
+router.post('/login/2fa', authLimiter, async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode, webauthn } = req.body;
+    const { user, method, factor } = await mfaService.completeLogin(mfaToken, { code, recoveryCode, webauthn });
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = await sessionService.createSession(user, req, method, { stepUpMethod: factor });
+
+    let balance = null;
+    if (user.aptosAddress) {
+      try {
+        balance = await aptosService.getBalance(user.aptosAddress);
+      } catch (err) {
+        console.warn('Could not fetch balance:', err.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          aptosAddress: user.aptosAddress,
+          userType: user.userType,
+          organizationInfo: user.organizationInfo,
+          level: user.level,
+          points: user.points,
+          questStats: user.questStats,
+          totalMemories: user.totalMemories,
+          storageUsed: user.storageUsed,
+          aptosBalance: balance?.balance || 0,
+          isWalletUser: user.isWalletUser,
+          isVerified: user.isVerified
+        },
+        ...(factor === 'recovery_code' && {
+          warning: 'You signed in with a recovery code; it can no longer be used'
+        }),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Second factors set up on the account
+ * @route   GET /api/auth/2fa
+ */
+router.get('/2fa', protect, async (req, res, next) => {
+  try {
+    const status = await mfaService.getStatus(req.user._id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Start authenticator app setup (secret + QR code)
+ * @route   POST /api/auth/2fa/totp/setup
+ */
+router.post('/2fa/totp/setup', protect, requireStepUp, async (req, res, next) => {
+  try {
+    const setup = await mfaService.setupTotp(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code, then confirm with a code from the app',
+      data: setup
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Confirm authenticator app setup with a code
+ * @route   POST /api/auth/2fa/totp/enable
+ */
+router.post('/2fa/totp/enable', protect, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const { recoveryCodes } = await mfaService.enableTotp(req.user._id, code);
+
+    res.json({
+      success: true,
+      message: 'Authenticator app enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Turn off the authenticator app
+ * @route   DELETE /api/auth/2fa/totp
+ */
+router.delete('/2fa/totp', protect, requireStepUp, async (req, res, next) => {
+  try {
+    await mfaService.disableTotp(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Authenticator app disabled'
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Replace the recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ */
+router.post('/2fa/recovery-codes', protect, requireStepUp, async (req, res, next) => {
+  try {
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Passkey registration options
+ * @route   POST /api/auth/2fa/webauthn/register-options
+ */
+router.post('/2fa/webauthn/register-options', protect, requireStepUp, async (req, res, next) => {
+  try {
+    const options = await mfaService.registrationOptions(req.user._id);
+
+    res.json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Register a passkey
+ * @route   POST /api/auth/2fa/webauthn/register
+ * @body    response (from navigator.credentials.create), name
+ */
+router.post('/2fa/webauthn/register', protect, async (req, res, next) => {
+  try {
+    const { response, name } = req.body;
+
+    if (!response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey response is required'
+      });
+    }
+
+    const result = await mfaService.registerCredential(req.user._id, response, name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered',
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Remove a passkey
+ * @route   DELETE /api/auth/2fa/webauthn/:credentialId
+ */
+router.delete('/2fa/webauthn/:credentialId', protect, requireStepUp, async (req, res, next) => {
+  try {
+    await mfaService.removeCredential(req.user._id, req.params.credentialId);
+
+    res.json({
+      success: true,
+      message: 'Passkey removed'
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Passkey options for a step-up check
+ * @route   POST /api/auth/step-up/webauthn-options
+ */
+router.post('/step-up/webauthn-options', protect, async (req, res, next) => {
+  try {
+    const options = await mfaService.authenticationOptions(req.user._id);
+
+    res.json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Confirm it is you before a sensitive action
+ * @route   POST /api/auth/step-up
+ * @body    code, recoveryCode or webauthn with a second factor; otherwise
+ *          password, or wallet ({ address, publicKey, signature, nonce, fullMessage })
+ */
+router.post('/step-up', protect, authLimiter, async (req, res, next) => {
+  try {
+    const method = await mfaService.verifyStepUp(req.user._id, req.body);
+    await mfaService.markStepUp(req.sessionId, method);
+
+    res.json({
+      success: true,
+      message: 'Confirmed',
+      data: { method }
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+});
+
+/**
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { tokens } = await sessionService.refresh(refreshToken, req);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @desc    Log out (revoke the current session)
+ * @route   POST /api/auth/logout
+ */
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await sessionService.revoke(req.user._id, req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @desc    List active sessions
+ * @route   GET /api/auth/sessions
+ */
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @desc    Revoke all sessions (except the current one unless ?includeCurrent=true)
+ * @route   DELETE /api/auth/sessions
+ */
+router.delete('/sessions', protect, async (req, res, next) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const revoked = await sessionService.revokeAll(req.user._id, {
+      exceptSessionId: includeCurrent ? null : req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @desc    Revoke one session
+ * @route   DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', protect, async (req, res, next) => {
+  try {
+    await sessionService.revoke(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
 export default router;
\ No newline at end of file
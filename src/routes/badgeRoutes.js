@@ -13,7 +13,8 @@ import {
   deleteBadge,
   getBadgeLeaderboard
 } from '../controllers/badgeController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, authorizeCreate, authorizeResource } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -30,10 +31,11 @@ router.get('/:id', getBadge);
 // Protected routes (Actions)
 router.use(protect);
 
-router.post('/', createBadge);
+// Creator / Brand / Admin, or staff for their organization
+router.post('/', authorizeCreate(PERMISSIONS.BADGE_CREATE), createBadge);
 
-router.post('/:id/award', awardBadge);
-router.put('/:id', updateBadge);
-router.delete('/:id', deleteBadge);
+router.post('/:id/award', authorizeResource('badge', PERMISSIONS.BADGE_AWARD), awardBadge);
+router.put('/:id', authorizeResource('badge', PERMISSIONS.BADGE_UPDATE), updateBadge);
+router.delete('/:id', authorizeResource('badge', PERMISSIONS.BADGE_DELETE), deleteBadge);
 
 export default router;
\ No newline at end of file
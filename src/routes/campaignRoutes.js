@@ -13,10 +13,23 @@ import {
   getMyCampaigns,
   getJoinedCampaigns,
   checkCampaignCompletion,
-  deleteCampaign
+  deleteCampaign,
+  fundCampaignBudget,
+  createCampaignTreasury,
+  depositCampaignTreasury,
+  getCampaignStatement,
+  verifyCampaign
 } from '../controllers/campaignController.js';
 
-import { protect, optionalAuth } from '../middleware/authMiddleware.js';
+import {
+  protect,
+  optionalAuth,
+  requireVerified,
+  requirePermission,
+  authorizeCreate,
+  authorizeResource
+} from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -26,7 +39,7 @@ const router = express.Router();
  * =========================
  */
 
-// Campaigns created by logged-in user
+// Campaigns of the logged-in user and organizations they work for
 router.get('/user/my-campaigns', protect, getMyCampaigns);
 
 // Campaigns user has joined
@@ -38,25 +51,43 @@ router.get('/', optionalAuth, getCampaigns);
 // Get campaign leaderboard
 router.get('/:id/leaderboard', getCampaignLeaderboard);
 
+// Create campaign (verified Brands / Government / Admins, or staff for their organization)
+router.post('/', protect, requireVerified, authorizeCreate(PERMISSIONS.CAMPAIGN_CREATE), createCampaign);
+
 // Get single campaign (user progress if logged in)
 router.get('/:id', optionalAuth, getCampaign);
 
 // Join campaign
-router.post('/:id/join', joinCampaign);
+router.post('/:id/join', protect, joinCampaign);
 
 // Check campaign completion
-router.post('/:id/check-completion', checkCampaignCompletion);
+router.post('/:id/check-completion', protect, checkCampaignCompletion);
 
 // Add quest to campaign
-router.post('/:id/quests', addQuestToCampaign);
+router.post('/:id/quests', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_UPDATE), addQuestToCampaign);
 
 // Update campaign
-router.put('/:id', updateCampaign);
+router.put('/:id', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_UPDATE), updateCampaign);
 
 // Activate campaign
-router.post('/:id/activate', activateCampaign);
+router.post('/:id/activate', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_UPDATE), activateCampaign);
 
 // Delete campaign
-router.delete('/:id', deleteCampaign);
+router.delete('/:id', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_DELETE), deleteCampaign);
+
+// Mark the campaign verified (platform staff)
+router.post('/:id/verify', protect, requirePermission(PERMISSIONS.CAMPAIGN_VERIFY), verifyCampaign);
+
+// Add APT to the grand prize budget
+router.post('/:id/budget', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_FUND), fundCampaignBudget);
+
+// Create the campaign's own treasury account
+router.post('/:id/treasury', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_FUND), createCampaignTreasury);
+
+// Credit an on-chain APT transfer into the campaign treasury
+router.post('/:id/treasury/deposits', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_FUND), depositCampaignTreasury);
+
+// Treasury statement of the budget
+router.get('/:id/statement', protect, authorizeResource('campaign', PERMISSIONS.CAMPAIGN_VIEW), getCampaignStatement);
 
 export default router;
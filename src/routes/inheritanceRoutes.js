@@ -0,0 +1,33 @@
+// src/routes/inheritanceRoutes.js
+
+import express from 'express';
+import {
+  getPlan,
+  configurePlan,
+  checkIn,
+  cancelPlan,
+  setBeneficiaries,
+  getReleases,
+  getReceivedMemories
+} from '../controllers/inheritanceController.js';
+import { protect, requireStepUp } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+router.use(protect);
+
+// Plan configuration
+router.route('/')
+  .get(getPlan)
+  .put(configurePlan)
+  .delete(cancelPlan);
+
+router.post('/check-in', checkIn);
+
+// Per-memory beneficiaries (needs a recent step-up)
+router.put('/memories/:memoryId/beneficiaries', requireStepUp, setBeneficiaries);
+
+// Audit trail & received memories
+router.get('/releases', getReleases);
+router.get('/received', getReceivedMemories);
+
+export default router;
@@ -0,0 +1,13 @@
+// src/routes/jobRoutes.js
+
+import express from 'express';
+import { getJobs, getJob } from '../controllers/jobController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+router.use(protect);
+
+router.get('/', getJobs);
+router.get('/:id', getJob);
+
+export default router;
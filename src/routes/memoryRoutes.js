@@ -5,26 +5,72 @@ import {
   getMemory,
   deleteMemory,
   verifyMemory,
+  getChainMemories,
+  transferMemory,
+  relayTransferMemory,
+  getMemoryHistory,
   getStats,
-  relayMemory          // ← NEW IMPORT
+  relayMemory,          // ← NEW IMPORT
+  createUpload,
+  getUpload,
+  receiveChunk,
+  completeUpload,
+  abortUpload,
+  downloadMemory,
+  getEncryptionKeys,
+  rotateEncryptionKey,
+  registerPublicKey,
+  getPublicKey,
+  getMemoryKeys,
+  addMemoryKeys,
+  removeMemoryKey
 } from '../controllers/memoryController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireStepUp } from '../middleware/authMiddleware.js';
+import { loadUploadSession, uploadChunk } from '../middleware/uploadMiddleware.js';
+import { uploadLimiter } from '../middleware/utilityMiddleware.js';
 
 const router = express.Router();
 router.use(protect);
 
 router.get('/stats', getStats);
 
+// Server-side encryption keys
+router.get('/keys', getEncryptionKeys);
+router.post('/keys/rotate', rotateEncryptionKey);
+
+// Client-side encryption: public keys & per-recipient wrapped keys
+router.route('/keys/public')
+  .get(getPublicKey)
+  .put(registerPublicKey);
+
 router.post('/relay', relayMemory);   // ← NEW ROUTE
 
+// Resumable multipart uploads
+router.post('/uploads', uploadLimiter, createUpload);
+router.route('/uploads/:uploadId')
+  .get(getUpload)
+  .delete(abortUpload);
+router.put('/uploads/:uploadId/chunks/:index', loadUploadSession, uploadChunk, receiveChunk);
+router.post('/uploads/:uploadId/complete', completeUpload);
+
+router.get('/chain', getChainMemories);
+
 router.route('/')
   .get(getMemories)
   .post(createMemory);
 
 router.route('/:id')
   .get(getMemory)
-  .delete(deleteMemory);
+  .delete(requireStepUp, deleteMemory);
 
 router.get('/:id/verify', verifyMemory);
+router.get('/:id/history', getMemoryHistory);
+router.post('/:id/transfer', transferMemory);
+router.post('/:id/transfer/relay', relayTransferMemory);
+router.get('/:id/download', downloadMemory);
+router.route('/:id/keys')
+  .get(getMemoryKeys)
+  .post(addMemoryKeys);
+router.delete('/:id/keys/:keyId', removeMemoryKey);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+// src/routes/organizationRoutes.js
+
+import express from 'express';
+import {
+  getMyOrganizations,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization
+} from '../controllers/organizationController.js';
+import { protect, requireStepUp, authorizeResource } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/constants.js';
+
+const router = express.Router();
+router.use(protect);
+
+const manageMembers = authorizeResource('organization', PERMISSIONS.ORGANIZATION_MEMBERS);
+
+router.get('/mine', getMyOrganizations);
+router.delete('/:id/membership', leaveOrganization);
+
+// Staff (the organization account or its owners)
+router.get('/:id/members', manageMembers, getMembers);
+router.post('/:id/members', manageMembers, requireStepUp, addMember);
+router.put('/:id/members/:userId', manageMembers, requireStepUp, updateMemberRole);
+router.delete('/:id/members/:userId', manageMembers, requireStepUp, removeMember);
+
+export default router;
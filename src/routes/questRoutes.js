@@ -7,17 +7,26 @@ import {
   getQuest,
   startQuestAttempt,
   submitQuestCompletion,
+  getQuestProgress,
   updateQuest,
   activateQuest,
   pauseQuest,
   deleteQuest,
   getQuestHistory,
-  getQuestLeaderboard
+  getQuestLeaderboard,
+  fundQuestBudget,
+  getQuestStatement,
+  getQuestQRCode,
+  rotateQuestQRSecret,
+  registerNfcTag,
+  getNfcTags,
+  retireNfcTag,
+  appealQuestAttempt,
+  getQuestAttemptAppeal
 } from '../controllers/questController.js';
 
-// Middleware (adjust paths/names if different in your project)
-import { protect } from '../middleware/authMiddleware.js';
-// import { authorize } from '../middleware/roleMiddleware.js';
+import { protect, authorizeCreate, authorizeResource } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -42,21 +51,37 @@ router.get('/:id/leaderboard', getQuestLeaderboard);
 // Get single quest
 router.get('/:id', getQuest);
 
-// Create a quest (Creator / Brand / Admin)
-// router.post('/', protect, authorize('creator', 'brand', 'admin'), createQuest);
-router.post('/', protect, createQuest);
+// Create a quest (Creator / Brand / Admin, or staff for their organization)
+router.post('/', protect, authorizeCreate(PERMISSIONS.QUEST_CREATE), createQuest);
 
 // Update quest
-router.put('/:id', protect, updateQuest);
+router.put('/:id', protect, authorizeResource('quest', PERMISSIONS.QUEST_UPDATE), updateQuest);
 
 // Activate quest
-router.post('/:id/activate', protect, activateQuest);
+router.post('/:id/activate', protect, authorizeResource('quest', PERMISSIONS.QUEST_UPDATE), activateQuest);
 
 // Pause quest
-router.post('/:id/pause', protect, pauseQuest);
+router.post('/:id/pause', protect, authorizeResource('quest', PERMISSIONS.QUEST_UPDATE), pauseQuest);
+
+// Add APT to the reward budget
+router.post('/:id/budget', protect, authorizeResource('quest', PERMISSIONS.QUEST_FUND), fundQuestBudget);
+
+// Treasury statement of the reward budget
+router.get('/:id/statement', protect, authorizeResource('quest', PERMISSIONS.QUEST_VIEW), getQuestStatement);
+
+// Current rotating QR code (venue display)
+router.get('/:id/qr', protect, authorizeResource('quest', PERMISSIONS.QUEST_VIEW), getQuestQRCode);
+
+// Replace the QR secret
+router.post('/:id/qr/rotate', protect, authorizeResource('quest', PERMISSIONS.QUEST_UPDATE), rotateQuestQRSecret);
+
+// NFC tags
+router.get('/:id/nfc-tags', protect, authorizeResource('quest', PERMISSIONS.QUEST_VIEW), getNfcTags);
+router.post('/:id/nfc-tags', protect, authorizeResource('quest', PERMISSIONS.QUEST_UPDATE), registerNfcTag);
+router.delete('/:id/nfc-tags/:tagId', protect, authorizeResource('quest', PERMISSIONS.QUEST_UPDATE), retireNfcTag);
 
 // Delete quest
-router.delete('/:id', protect, deleteQuest);
+router.delete('/:id', protect, authorizeResource('quest', PERMISSIONS.QUEST_DELETE), deleteQuest);
 
 // Start quest attempt
 router.post('/:id/start', protect, startQuestAttempt);
@@ -64,4 +89,11 @@ router.post('/:id/start', protect, startQuestAttempt);
 // Submit quest completion
 router.post('/:id/submit', protect, submitQuestCompletion);
 
+// Checkpoint progress (multi-step quests)
+router.get('/:id/progress', protect, getQuestProgress);
+
+// Appeal a failed attempt
+router.get('/attempts/:attemptId/appeal', protect, getQuestAttemptAppeal);
+router.post('/attempts/:attemptId/appeal', protect, appealQuestAttempt);
+
 export default router;
@@ -0,0 +1,26 @@
+// src/routes/reviewRoutes.js
+
+import express from 'express';
+import {
+  getReviewQueue,
+  getReviewPhoto,
+  getAppealEvidence,
+  approveSubmission,
+  rejectSubmission,
+  bulkReview
+} from '../controllers/reviewController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+router.use(protect);
+
+// Quest owners and their organization's reviewers see their quests' queue;
+// accounts with review:all see everything
+router.get('/', getReviewQueue);
+router.post('/bulk', bulkReview);
+router.get('/:id/photo', getReviewPhoto);
+router.get('/:id/evidence/:index', getAppealEvidence);
+router.post('/:id/approve', approveSubmission);
+router.post('/:id/reject', rejectSubmission);
+
+export default router;
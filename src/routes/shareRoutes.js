@@ -6,7 +6,11 @@
 import express from 'express';
 import SharedLink from '../models/SharedLink.js';
 import Memory from '../models/Memory.js';
-import { protect } from '../middleware/authMiddleware.js';
+import ipfsService from '../services/ipfsService.js';
+import { protect, requireStepUp } from '../middleware/authMiddleware.js';
+import encryptionService from '../services/encryptionService.js';
+import { sendMemoryContent } from '../utils/memoryContent.js';
+import { ENCRYPTION_METHODS, KEY_RECIPIENT_TYPES } from '../config/constants.js';
 import bcrypt from 'bcryptjs';
 import os from 'os';
 
@@ -22,6 +26,14 @@ const DURATION_OPTIONS = {
   '90d': 90 * 24 * 60 * 60 * 1000,
 };
 
+/**
+ * Download links hand out the file itself, so they need a recent step-up
+ */
+const stepUpForDownload = (req, res, next) => {
+  if (req.body?.accessType === 'download') return requireStepUp(req, res, next);
+  next();
+};
+
 /**
  * Helper: Get the correct base URL dynamically
  * Priority:
@@ -96,6 +108,48 @@ function getLocalNetworkIP() {
   return 'localhost'; // ultimate fallback
 }
 
+/**
+ * Helper: Check a share link is usable (valid + correct password)
+ * Returns null when access is allowed, otherwise { status, body } to send
+ */
+async function checkLinkAccess(shareLink, password) {
+  const validity = shareLink.isValid();
+  if (!validity.valid) {
+    return {
+      status: 410,
+      body: { success: false, message: validity.reason, expired: true }
+    };
+  }
+
+  if (shareLink.isPasswordProtected) {
+    if (!password) {
+      return {
+        status: 401,
+        body: { success: false, message: 'Password required', passwordRequired: true }
+      };
+    }
+
+    const isMatch = await bcrypt.compare(password, shareLink.password);
+    if (!isMatch) {
+      return {
+        status: 401,
+        body: { success: false, message: 'Incorrect password', passwordRequired: true }
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Share password sent with a content request. It is read from a
+ * header or the POST body, never the query string, so it doesn't end up in
+ * access logs, browser history or Referer headers.
+ */
+function getSharePassword(req) {
+  return req.get('X-Share-Password') || req.body?.password || null;
+}
+
 /**
  * @desc    Get server network info (helpful for debugging)
  * @route   GET /api/share/network-info
@@ -123,8 +177,12 @@ router.get('/network-info', protect, async (req, res) => {
  * @desc    Create a share link for a memory
  * @route   POST /api/share
  * @access  Private
+ *
+ * Client-encrypted memories also need `wrappedKey`: the data key sealed
+ * with a random link secret. The client appends that secret to the share
+ * URL as a fragment (#k=...), so it is never sent to the server.
  */
-router.post('/', protect, async (req, res, next) => {
+router.post('/', protect, stepUpForDownload, async (req, res, next) => {
   try {
     const {
       memoryId,
@@ -132,7 +190,8 @@ router.post('/', protect, async (req, res, next) => {
       accessType = 'view',
       maxViews = null,
       password = null,
-      customBaseUrl = null   // <-- allow client to send their own base URL
+      customBaseUrl = null,  // <-- allow client to send their own base URL
+      wrappedKey = null
     } = req.body;
 
     // Validate memory exists and belongs to user
@@ -148,6 +207,21 @@ router.post('/', protect, async (req, res, next) => {
       });
     }
 
+    let linkKey;
+    if (memory.encryptionMethod === ENCRYPTION_METHODS.CLIENT_E2EE_V1) {
+      linkKey = { ...wrappedKey, recipientType: KEY_RECIPIENT_TYPES.LINK };
+      const reason = wrappedKey
+        ? encryptionService.verifyWrappedKey(linkKey)
+        : 'wrappedKey is required for client-encrypted memories';
+
+      if (reason) {
+        return res.status(400).json({
+          success: false,
+          message: reason
+        });
+      }
+    }
+
     // Calculate expiration
     const durationMs = DURATION_OPTIONS[duration];
     if (!durationMs) {
@@ -180,7 +254,8 @@ router.post('/', protect, async (req, res, next) => {
       accessType,
       maxViews: maxViews ? parseInt(maxViews) : null,
       password: hashedPassword,
-      isPasswordProtected: !!password
+      isPasswordProtected: !!password,
+      wrappedKey: linkKey
     });
 
     // ──────────────────────────────────────────────
@@ -234,7 +309,7 @@ router.get('/:shortCode/', async (req, res, next) => {
     const shareLink = await SharedLink.findOne({ shortCode })
       .populate({
         path: 'memoryId',
-        select: 'title description category ipfsHash fileType fileName createdAt'
+        select: 'title description category ipfsHash fileType fileName isEncrypted encryptionMethod createdAt'
       })
       .populate({
         path: 'userId',
@@ -248,34 +323,10 @@ router.get('/:shortCode/', async (req, res, next) => {
       });
     }
 
-    // Check validity
-    const validity = shareLink.isValid();
-    if (!validity.valid) {
-      return res.status(410).json({
-        success: false,
-        message: validity.reason,
-        expired: true
-      });
-    }
-
-    // Check password if protected
-    if (shareLink.isPasswordProtected) {
-      if (!password) {
-        return res.status(401).json({
-          success: false,
-          message: 'Password required',
-          passwordRequired: true
-        });
-      }
-
-      const isMatch = await bcrypt.compare(password, shareLink.password);
-      if (!isMatch) {
-        return res.status(401).json({
-          success: false,
-          message: 'Incorrect password',
-          passwordRequired: true
-        });
-      }
+    // Check validity & password
+    const denied = await checkLinkAccess(shareLink, password);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
     }
 
     // Record access
@@ -285,7 +336,7 @@ router.get('/:shortCode/', async (req, res, next) => {
 
     // Build response
     const memory = shareLink.memoryId;
-    const ipfsGateway = process.env.IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs';
+    const ipfsGateway = ipfsService.gatewayUrl;
 
     res.json({
       success: true,
@@ -298,8 +349,13 @@ router.get('/:shortCode/', async (req, res, next) => {
           fileName: memory.fileName,
           createdAt: memory.createdAt,
           ipfsUrl: `${ipfsGateway}/${memory.ipfsHash}`,
-          ipfsHash: shareLink.accessType === 'download' ? memory.ipfsHash : undefined
+          ipfsHash: shareLink.accessType === 'download' ? memory.ipfsHash : undefined,
+          isEncrypted: memory.isEncrypted,
+          contentUrl: `/api/share/${shortCode}/download`
         },
+        encryption: memory.encryptionMethod === ENCRYPTION_METHODS.CLIENT_E2EE_V1
+          ? { scheme: memory.encryptionMethod, wrappedKey: shareLink.wrappedKey }
+          : undefined,
         share: {
           accessType: shareLink.accessType,
           expiresAt: shareLink.expiresAt,
@@ -319,6 +375,55 @@ router.get('/:shortCode/', async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Stream shared memory content (decrypted if server-encrypted)
+ * @route   GET /api/share/:shortCode/download (password in X-Share-Password)
+ * @route   POST /api/share/:shortCode/download (password in the body)
+ * @access  Public
+ */
+const downloadSharedContent = async (req, res, next) => {
+  try {
+    const { shortCode } = req.params;
+    const password = getSharePassword(req);
+
+    const shareLink = await SharedLink.findOne({ shortCode });
+
+    if (!shareLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const denied = await checkLinkAccess(shareLink, password);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    const memory = await Memory.findById(shareLink.memoryId).select('+encryption.wrappedKey');
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory no longer exists'
+      });
+    }
+
+    const ipAddress = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+    await shareLink.recordAccess(ipAddress, req.headers['user-agent']);
+
+    await sendMemoryContent(res, memory, {
+      attachment: shareLink.accessType === 'download'
+    });
+
+  } catch (error) {
+    console.error('Share download error:', error);
+    next(error);
+  }
+};
+
+router.get('/:shortCode/download', downloadSharedContent);
+router.post('/:shortCode/download', downloadSharedContent);
+
 /**
  * @desc    Verify share link
  * @route   GET /api/share/:shortCode/verify
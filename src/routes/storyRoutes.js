@@ -7,6 +7,7 @@ import {
   getStory,
   getStoryByCode,
   unlockChapter,
+  getChapterQRCode,
   getMyStories,
   getReceivedStories,
   updateStory,
@@ -14,7 +15,8 @@ import {
   addRecipient,
   deleteStory
 } from '../controllers/storyController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, authorizeResource } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -25,19 +27,20 @@ router.get('/code/:shortCode', getStoryByCode);
 router.use(protect);
 
 // CRUD operations
-router.post('/', createStory);
+router.post('/', requirePermission(PERMISSIONS.STORY_CREATE), createStory);
 router.get('/my-stories', getMyStories);
 router.get('/received', getReceivedStories);
 router.get('/:id', getStory);
-router.put('/:id', updateStory);
-router.delete('/:id', deleteStory);
+router.put('/:id', authorizeResource('story', PERMISSIONS.STORY_UPDATE), updateStory);
+router.delete('/:id', authorizeResource('story', PERMISSIONS.STORY_DELETE), deleteStory);
 
 // Story management
-router.patch('/:id/activate', activateStory);
-router.post('/:id/recipients', addRecipient);
+router.patch('/:id/activate', authorizeResource('story', PERMISSIONS.STORY_UPDATE), activateStory);
+router.post('/:id/recipients', authorizeResource('story', PERMISSIONS.STORY_UPDATE), addRecipient);
 
 // Chapter operations
-router.post('/:storyId/chapters', addChapter);
+router.post('/:storyId/chapters', authorizeResource('story', PERMISSIONS.STORY_UPDATE, 'storyId'), addChapter);
 router.post('/:storyId/chapters/:chapterNumber/unlock', unlockChapter);
+router.get('/:storyId/chapters/:chapterNumber/qr', authorizeResource('story', PERMISSIONS.STORY_UPDATE, 'storyId'), getChapterQRCode);
 
 export default router;
\ No newline at end of file
@@ -6,6 +6,11 @@ dotenv.config();
 import app from './app.js';
 import connectDB from './config/database.js';
 import aptosService from './services/aptosService.js';
+import ipfsService from './services/ipfsService.js';
+import inheritanceService from './services/inheritanceService.js';
+import uploadService from './services/uploadService.js';
+import jobService from './services/jobService.js';
+import './services/jobHandlers.js';
 import { seedDemoBusinessUser } from './utils/seedDemoBusinessUser.js';
 
 const PORT = process.env.PORT || 5000;
@@ -38,7 +43,13 @@ const initializeServices = async () => {
     await aptosService.initialize();
     console.log('✅ Aptos service initialized\n');
 
-    // 3. Verify critical environment variables
+    // 3. Start background jobs
+    inheritanceService.start();
+    uploadService.start();
+    aptosService.startIndexer();
+    jobService.start();
+
+    // 4. Verify critical environment variables
     console.log('🔍 Verifying environment variables...');
     const requiredEnvVars = [
       'JWT_SECRET',
@@ -54,10 +65,11 @@ const initializeServices = async () => {
 
     // Optional but recommended
     const optionalVars = [
-      'PINATA_JWT',
+      ...(ipfsService.providerName === 'pinata' ? ['PINATA_JWT'] : []),
       'GOOGLE_GEMINI_API_KEY',
       'APTOS_PRIVATE_KEY',
       'APTOS_MODULE_ADDRESS',
+      'ENCRYPTION_MASTER_KEY',
     ];
 
     const missingOptional = optionalVars.filter(varName => !process.env[varName]);
@@ -85,7 +97,7 @@ const startServer = () => {
     console.log(`📡 Port:           ${PORT}`);
     console.log(`🌍 Environment:    ${NODE_ENV}`);
     console.log(`🗄️  Database:       MongoDB Atlas`);
-    console.log(`🌐 IPFS:           Pinata`);
+    console.log(`🌐 IPFS:           ${ipfsService.providerName}`);
     console.log(`⛓️  Blockchain:     Aptos ${process.env.APTOS_NETWORK || 'testnet'}`);
     console.log(`🔗 API URL:        http://localhost:${PORT}`);
     console.log(`📚 Docs:           http://localhost:${PORT}/api/docs`);
@@ -124,6 +136,11 @@ const startServer = () => {
 const gracefulShutdown = async (signal) => {
   console.log(`\n\n⚠️  ${signal} received. Starting graceful shutdown...`);
 
+  inheritanceService.stop();
+  uploadService.stop();
+  aptosService.stopIndexer();
+  jobService.stop();
+
   if (server) {
     server.close(async () => {
       console.log('🔌 HTTP server closed');
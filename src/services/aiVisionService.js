@@ -1,94 +1,234 @@
-import axios from 'axios';
-
+import crypto from 'crypto';
+import GeminiProvider from './vision/geminiProvider.js';
+import OpenAIProvider from './vision/openaiProvider.js';
+import LocalProvider from './vision/localProvider.js';
+import VisionCache from '../models/VisionCache.js';
+import { DEFAULTS } from '../config/constants.js';
+
+/**
+ * Vision providers, chosen per quest (aiVerification.provider) or with
+ * AI_VISION_PROVIDER.
+ *
+ * Every provider implements:
+ * - isConfigured()                                      -> boolean
+ * - complete(prompt, { imageBase64, mimeType, timeout }) -> reply text
+ * and exposes `name` and `model`.
+ */
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  local: LocalProvider
+};
+
+/**
+ * AI Vision Service
+ *
+ * Policies (per quest, falling back to env):
+ * - provider chain: the quest's provider, then its fallbackProviders
+ *   (AI_VISION_PROVIDER, default gemini; AI_VISION_FALLBACK_PROVIDERS, comma separated).
+ *   Unconfigured providers are skipped; an error, timeout or unreadable
+ *   reply moves on to the next one. If all of them fail, verification fails.
+ * - timeout per call: timeoutSeconds (AI_VISION_TIMEOUT_SECONDS)
+ * - strict: with no provider configured, fail instead of passing with a mock
+ *   (AI_VISION_STRICT, default on in production)
+ *
+ * Replies are cached in VisionCache for AI_VISION_CACHE_DAYS (0 disables).
+ */
 class AIVisionService {
   constructor() {
-    this.geminiApiKey = process.env.GOOGLE_GEMINI_API_KEY;
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-    this.model = 'gemini-1.5-flash';
+    this.providers = null;
+  }
+
+  /**
+   * Providers are created on first use, after dotenv has loaded
+   */
+  getProviders() {
+    if (!this.providers) {
+      this.providers = Object.fromEntries(
+        Object.entries(PROVIDERS).map(([name, Provider]) => [name, new Provider()])
+      );
+    }
+    return this.providers;
+  }
+
+  getProvider(name) {
+    return this.getProviders()[name] || null;
+  }
+
+  getPolicy(requirements = {}) {
+    const envFallbacks = (process.env.AI_VISION_FALLBACK_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    const names = [
+      requirements.provider || (process.env.AI_VISION_PROVIDER || 'gemini').toLowerCase(),
+      ...(requirements.fallbackProviders?.length ? requirements.fallbackProviders : envFallbacks)
+    ];
+
+    const providers = [...new Set(names)]
+      .map(name => {
+        const provider = this.getProvider(name);
+        if (!provider) console.warn(`⚠️ Unknown AI vision provider "${name}"`);
+        return provider;
+      })
+      .filter(Boolean);
+
+    const envStrict = process.env.AI_VISION_STRICT
+      ? process.env.AI_VISION_STRICT === 'true'
+      : process.env.NODE_ENV === 'production';
+
+    const timeoutSeconds = requirements.timeoutSeconds ||
+      Number(process.env.AI_VISION_TIMEOUT_SECONDS) || DEFAULTS.AI_VISION_TIMEOUT_SECONDS;
+
+    return {
+      providers,
+      timeoutMs: timeoutSeconds * 1000,
+      // A quest can ask for strict mode, but not opt out of it
+      strict: envStrict || requirements.strict === true
+    };
   }
 
   /**
-   * Verify an image against quest requirements using Google Gemini
+   * Verify an image against quest requirements
    */
   async verifyImage(imageBase64, questRequirements) {
-    try {
-      if (!this.geminiApiKey) {
-        console.warn('⚠️ Google Gemini API key not configured');
-        return this.getMockResponse(questRequirements);
+    const {
+      prompt,
+      requiredObjects = [],
+      requireFace = false,
+      requireSelfie = false,
+      rejectBlurry = true,
+      minimumConfidence = 0.75
+    } = questRequirements;
+
+    const policy = this.getPolicy(questRequirements);
+    const providers = policy.providers.filter(provider => provider.isConfigured());
+
+    if (providers.length === 0) {
+      console.warn('⚠️ No AI vision provider configured');
+      return policy.strict
+        ? this.getUnavailableResponse('AI verification is not configured')
+        : this.getMockResponse(questRequirements);
+    }
+
+    // Build the verification prompt
+    const systemPrompt = this.buildVerificationPrompt(
+      prompt,
+      requiredObjects,
+      requireFace,
+      requireSelfie,
+      rejectBlurry
+    );
+
+    const image = {
+      imageBase64: this.cleanBase64(imageBase64),
+      mimeType: this.detectMimeType(imageBase64),
+      timeout: policy.timeoutMs
+    };
+    const imageHash = crypto.createHash('sha256').update(Buffer.from(image.imageBase64, 'base64')).digest('hex');
+    const failures = [];
+
+    for (const provider of providers) {
+      try {
+        const cacheKey = this.getCacheKey(provider, imageHash, systemPrompt);
+        let text = await this.getCached(cacheKey);
+        const cached = text !== null;
+
+        if (!cached) {
+          console.log(`🤖 Sending image to ${provider.name} (${provider.model}) for verification...`);
+          console.log('📝 Prompt:', systemPrompt.substring(0, 200) + '...');
+          text = await provider.complete(systemPrompt, image);
+        }
+
+        const result = this.parseVerificationResponse(text, requiredObjects, minimumConfidence);
+        if (result.error) {
+          throw new Error(`Unreadable reply: ${result.error}`);
+        }
+
+        if (!cached) {
+          await this.setCached(cacheKey, { imageHash, provider, text });
+        }
+
+        console.log(`✅ ${provider.name} verification complete${cached ? ' (cached)' : ''}:`, result.passed ? 'PASSED' : 'FAILED');
+        return { ...result, provider: provider.name, model: provider.model, cached };
+
+      } catch (error) {
+        const reason = this.describeError(error, policy.timeoutMs);
+        console.error(`❌ AI vision provider ${provider.name} failed:`, reason);
+        failures.push(`${provider.name}: ${reason}`);
       }
+    }
+
+    return this.getUnavailableResponse(`AI verification unavailable (${failures.join('; ')})`);
+  }
 
-      const {
-        prompt,
-        requiredObjects = [],
-        requireFace = false,
-        requireSelfie = false,
-        rejectBlurry = true,
-        minimumConfidence = 0.75
-      } = questRequirements;
-
-      // Build the verification prompt
-      const systemPrompt = this.buildVerificationPrompt(
-        prompt,
-        requiredObjects,
-        requireFace,
-        requireSelfie,
-        rejectBlurry
+  describeError(error, timeoutMs) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return `timed out after ${timeoutMs / 1000}s`;
+    }
+    if (error.response?.status === 429) {
+      return 'rate limit exceeded';
+    }
+    if (error.response?.status) {
+      return `HTTP ${error.response.status}`;
+    }
+    return error.message;
+  }
+
+  // =============================================
+  // REPLY CACHE
+  // =============================================
+
+  getCacheDays() {
+    const days = Number(process.env.AI_VISION_CACHE_DAYS ?? DEFAULTS.AI_VISION_CACHE_DAYS);
+    return Number.isFinite(days) ? days : DEFAULTS.AI_VISION_CACHE_DAYS;
+  }
+
+  getCacheKey(provider, imageHash, prompt) {
+    return crypto.createHash('sha256')
+      .update(`${provider.name}:${provider.model}:${imageHash}:${prompt}`)
+      .digest('hex');
+  }
+
+  async getCached(key) {
+    if (this.getCacheDays() <= 0) return null;
+
+    try {
+      const entry = await VisionCache.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } }
       );
+      return entry ? entry.rawText : null;
+    } catch (error) {
+      console.warn('⚠️ AI vision cache lookup failed:', error.message);
+      return null;
+    }
+  }
 
-      console.log('🤖 Sending image to Gemini for verification...');
-      console.log('📝 Prompt:', systemPrompt.substring(0, 200) + '...');
+  async setCached(key, { imageHash, provider, text }) {
+    const days = this.getCacheDays();
+    if (days <= 0) return;
 
-      const response = await axios.post(
-        `${this.baseUrl}/models/${this.model}:generateContent?key=${this.geminiApiKey}`,
+    try {
+      await VisionCache.updateOne(
+        { key },
         {
-          contents: [{
-            parts: [
-              { text: systemPrompt },
-              {
-                inline_data: {
-                  mime_type: this.detectMimeType(imageBase64),
-                  data: this.cleanBase64(imageBase64)
-                }
-              }
-            ]
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 2048,
-          },
-          safetySettings: [
-            { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
-            { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
-          ]
+          imageHash,
+          provider: provider.name,
+          model: provider.model,
+          rawText: text,
+          expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
         },
-        {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 30000
-        }
+        { upsert: true }
       );
-
-      const result = this.parseGeminiResponse(response.data, requiredObjects, minimumConfidence);
-      console.log('✅ Gemini verification complete:', result.passed ? 'PASSED' : 'FAILED');
-      
-      return result;
-
     } catch (error) {
-      console.error('❌ AI Vision verification error:', error.message);
-      
-      if (error.response?.status === 429) {
-        throw new Error('AI service rate limit exceeded. Please try again later.');
-      }
-      
-      throw new Error(`AI verification failed: ${error.message}`);
+      console.warn('⚠️ AI vision cache write failed:', error.message);
     }
   }
 
   /**
-   * Build the verification prompt for Gemini
+   * Build the verification prompt
    */
   buildVerificationPrompt(customPrompt, requiredObjects, requireFace, requireSelfie, rejectBlurry) {
     let prompt = `You are a strict image verification AI for a location-based quest app. 
@@ -145,14 +285,12 @@ Respond with EXACTLY this JSON structure:
   }
 
   /**
-   * Parse Gemini's response into structured verification result
+   * Parse a model's reply into structured verification result
    */
-  parseGeminiResponse(response, requiredObjects, minimumConfidence) {
+  parseVerificationResponse(textContent, requiredObjects, minimumConfidence) {
     try {
-      const textContent = response.candidates?.[0]?.content?.parts?.[0]?.text;
-      
       if (!textContent) {
-        throw new Error('Empty response from Gemini');
+        throw new Error('Empty response from AI model');
       }
 
       // Clean and parse JSON from response
@@ -160,6 +298,13 @@ Respond with EXACTLY this JSON structure:
       
       // Remove markdown code blocks if present
       jsonStr = jsonStr.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+
+      // Local models sometimes wrap the object in prose
+      const objectStart = jsonStr.indexOf('{');
+      const objectEnd = jsonStr.lastIndexOf('}');
+      if (objectStart !== -1 && objectEnd > objectStart) {
+        jsonStr = jsonStr.slice(objectStart, objectEnd + 1);
+      }
       
       const parsed = JSON.parse(jsonStr);
 
@@ -204,6 +349,7 @@ Respond with EXACTLY this JSON structure:
         hasFace: parsed.hasFace,
         isSelfie: parsed.isSelfie,
         isBlurry: parsed.isBlurry,
+        lowConfidence: parsed.confidence < minimumConfidence,
         spoofingDetected: parsed.isScreenPhoto || parsed.isPrintedPhoto || parsed.isManipulated,
         qualityScore: parsed.qualityScore,
         message,
@@ -211,7 +357,7 @@ Respond with EXACTLY this JSON structure:
       };
 
     } catch (parseError) {
-      console.error('Failed to parse Gemini response:', parseError.message);
+      console.error('Failed to parse AI vision response:', parseError.message);
       return {
         passed: false,
         confidence: 0,
@@ -248,7 +394,7 @@ Respond with EXACTLY this JSON structure:
    * Get mock response for development/testing
    */
   getMockResponse(requirements) {
-    console.log('🎭 Using mock AI verification (no API key configured)');
+    console.log('🎭 Using mock AI verification (no provider configured)');
     
     return {
       passed: true,
@@ -264,40 +410,47 @@ Respond with EXACTLY this JSON structure:
       isBlurry: false,
       spoofingDetected: false,
       qualityScore: 0.9,
-      message: 'Mock verification passed (configure GOOGLE_GEMINI_API_KEY for real verification)',
+      message: 'Mock verification passed (configure an AI vision provider for real verification)',
       isMock: true
     };
   }
 
+  /**
+   * Fail closed when no model could give an answer
+   */
+  getUnavailableResponse(message) {
+    return {
+      passed: false,
+      confidence: 0,
+      detectedObjects: [],
+      requiredObjectsFound: [],
+      requiredObjectsMissing: [],
+      message,
+      unavailable: true
+    };
+  }
+
   /**
    * Analyze image for general content (not quest-specific)
    */
   async analyzeImage(imageBase64) {
-    try {
-      if (!this.geminiApiKey) {
-        return { success: false, error: 'Gemini API key not configured' };
-      }
+    const { providers, timeoutMs } = this.getPolicy();
+    const provider = providers.find(p => p.isConfigured());
+
+    if (!provider) {
+      return { success: false, error: 'No AI vision provider configured' };
+    }
 
-      const response = await axios.post(
-        `${this.baseUrl}/models/${this.model}:generateContent?key=${this.geminiApiKey}`,
+    try {
+      const description = await provider.complete(
+        'Describe this image in detail. Include: location, objects, people, activities, time of day, weather, and mood.',
         {
-          contents: [{
-            parts: [
-              { text: 'Describe this image in detail. Include: location, objects, people, activities, time of day, weather, and mood.' },
-              {
-                inline_data: {
-                  mime_type: this.detectMimeType(imageBase64),
-                  data: this.cleanBase64(imageBase64)
-                }
-              }
-            ]
-          }]
-        },
-        { headers: { 'Content-Type': 'application/json' } }
+          imageBase64: this.cleanBase64(imageBase64),
+          mimeType: this.detectMimeType(imageBase64),
+          timeout: timeoutMs
+        }
       );
 
-      const description = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-      
       return {
         success: true,
         description,
@@ -0,0 +1,45 @@
+/**
+ * How far the photo's `capturedAt` (and the GPS fix time) is from server time.
+ * Old photos or a tampered device clock show up here.
+ */
+export default class CaptureDriftCheck {
+  constructor() {
+    this.name = 'capture_drift';
+    this.weight = 0.3;
+  }
+
+  run({ submission, now }, settings) {
+    if (!submission.capturedAt) {
+      return { skipped: true, details: 'No capture time submitted' };
+    }
+
+    const capturedAt = new Date(submission.capturedAt);
+    if (Number.isNaN(capturedAt.getTime())) {
+      return { score: 1, details: 'capturedAt is not a valid date' };
+    }
+
+    const max = settings.maxCaptureDriftSeconds;
+    const driftSeconds = Math.round((now - capturedAt) / 1000);
+
+    // Allow a minute of clock skew into the future
+    if (driftSeconds < -60) {
+      return { score: 1, details: `capturedAt is ${-driftSeconds}s in the future` };
+    }
+    if (driftSeconds > max) {
+      return {
+        score: driftSeconds > max * 4 ? 1 : 0.5,
+        details: `Captured ${driftSeconds}s before submitting (max ${max}s)`
+      };
+    }
+
+    const fixTime = submission.location?.timestamp ? new Date(submission.location.timestamp) : null;
+    if (fixTime && !Number.isNaN(fixTime.getTime())) {
+      const fixDrift = Math.round(Math.abs(capturedAt - fixTime) / 1000);
+      if (fixDrift > max) {
+        return { score: 0.5, details: `GPS fix is ${fixDrift}s apart from the capture time` };
+      }
+    }
+
+    return { score: 0, details: `Captured ${Math.max(driftSeconds, 0)}s before submitting` };
+  }
+}
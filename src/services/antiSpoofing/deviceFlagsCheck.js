@@ -0,0 +1,26 @@
+import geolocationService from '../geolocationService.js';
+
+/**
+ * Emulator / mock-location flags reported by the app itself.
+ * Cheap to fake, so it only adds to the other signals.
+ */
+export default class DeviceFlagsCheck {
+  constructor() {
+    this.name = 'device_flags';
+    this.weight = 0.6;
+  }
+
+  run({ submission }) {
+    if (!submission.deviceInfo) {
+      return { skipped: true, details: 'No device info submitted' };
+    }
+
+    const { checks, riskScore } = geolocationService.detectSpoofing(submission.deviceInfo);
+    const flagged = checks.filter(c => !c.passed).map(c => c.details);
+
+    return {
+      score: riskScore > 0 ? 1 : 0,
+      details: flagged.length ? flagged.join('; ') : 'No emulator or mock location reported'
+    };
+  }
+}
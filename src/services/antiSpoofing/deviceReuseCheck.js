@@ -0,0 +1,34 @@
+import QuestCompletion from '../../models/QuestCompletion.js';
+
+const LOOKBACK_DAYS = 30;
+
+/**
+ * Number of accounts that submitted from the same device id recently
+ * (one phone farming rewards for many accounts).
+ */
+export default class DeviceReuseCheck {
+  constructor() {
+    this.name = 'device_reuse';
+    this.weight = 0.5;
+  }
+
+  async run({ userId, submission, now }, settings) {
+    const deviceId = submission.deviceInfo?.deviceId;
+    if (!deviceId) {
+      return { skipped: true, details: 'No device id submitted' };
+    }
+
+    const otherUsers = await QuestCompletion.distinct('userId', {
+      'submission.deviceInfo.deviceId': deviceId,
+      userId: { $ne: userId },
+      createdAt: { $gte: new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }
+    });
+
+    const accounts = otherUsers.length + 1;
+
+    return {
+      score: accounts > settings.maxAccountsPerDevice ? 1 : 0,
+      details: `Device used by ${accounts} account(s) in the last ${LOOKBACK_DAYS} days (max ${settings.maxAccountsPerDevice})`
+    };
+  }
+}
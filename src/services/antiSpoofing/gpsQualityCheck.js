@@ -0,0 +1,52 @@
+/**
+ * Accuracy, altitude and speed values that real GPS fixes don't produce
+ * (mock-location apps often report 0 m accuracy or 0 m altitude).
+ */
+export default class GPSQualityCheck {
+  constructor() {
+    this.name = 'gps_quality';
+    this.weight = 0.3;
+  }
+
+  run({ submission }, settings) {
+    const location = submission.location;
+    if (!location) {
+      return { skipped: true, details: 'No location submitted' };
+    }
+
+    const issues = [];
+    let score = 0;
+    const flag = (value, message) => {
+      score = Math.max(score, value);
+      issues.push(message);
+    };
+
+    const { accuracy, altitude, speed } = location;
+
+    if (typeof accuracy !== 'number') {
+      flag(0.3, 'No accuracy reported');
+    } else if (accuracy <= 0) {
+      flag(1, `Accuracy of ${accuracy} m is only reported by mock providers`);
+    } else if (accuracy > settings.maxAccuracyMeters) {
+      flag(0.5, `Accuracy of ${Math.round(accuracy)} m is worse than ${settings.maxAccuracyMeters} m`);
+    }
+
+    if (typeof altitude === 'number') {
+      if (altitude < -500 || altitude > 9000) {
+        flag(1, `Altitude of ${Math.round(altitude)} m is not possible on the ground`);
+      } else if (altitude === 0) {
+        flag(0.3, 'Altitude of exactly 0 m');
+      }
+    }
+
+    // m/s
+    if (typeof speed === 'number' && speed * 3.6 > settings.maxSpeedKmh) {
+      flag(1, `Reported speed of ${Math.round(speed * 3.6)} km/h`);
+    }
+
+    return {
+      score,
+      details: issues.length ? issues.join('; ') : `GPS fix looks normal (±${Math.round(accuracy)} m)`
+    };
+  }
+}
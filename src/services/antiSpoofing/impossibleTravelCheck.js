@@ -0,0 +1,51 @@
+import QuestCompletion from '../../models/QuestCompletion.js';
+import geolocationService from '../geolocationService.js';
+
+/**
+ * Speed needed to get from the user's previous submission to this one.
+ * Uses server submission times, which the client can't change.
+ */
+export default class ImpossibleTravelCheck {
+  constructor() {
+    this.name = 'impossible_travel';
+    this.weight = 0.6;
+  }
+
+  async run({ userId, attemptId, submission, now }, settings) {
+    const { latitude, longitude } = submission.location || {};
+    if (!geolocationService.isValidCoordinates(latitude, longitude)) {
+      return { skipped: true, details: 'No location submitted' };
+    }
+
+    const previous = await QuestCompletion.findOne({
+      userId,
+      _id: { $ne: attemptId },
+      'submission.location.latitude': { $type: 'number' },
+      'submission.submittedAt': { $lte: now }
+    })
+      .sort({ 'submission.submittedAt': -1 })
+      .select('submission.location submission.submittedAt');
+
+    if (!previous) {
+      return { skipped: true, details: 'No earlier submission to compare with' };
+    }
+
+    const from = previous.submission.location;
+    const distanceKm = geolocationService.calculateDistance(from.latitude, from.longitude, latitude, longitude) / 1000;
+    const minutes = (now - previous.submission.submittedAt) / 60000;
+
+    // GPS jitter between nearby submissions isn't travel
+    if (distanceKm < 1) {
+      return { score: 0, details: `${distanceKm.toFixed(2)} km from the previous submission` };
+    }
+
+    const speedKmh = distanceKm / Math.max(minutes / 60, 1 / 3600);
+    const tooFast = speedKmh > settings.maxSpeedKmh;
+
+    return {
+      score: tooFast ? 1 : 0,
+      details: `${distanceKm.toFixed(1)} km in ${Math.round(minutes)} min since the previous submission ` +
+        `(${Math.round(speedKmh)} km/h, max ${settings.maxSpeedKmh} km/h)`
+    };
+  }
+}
@@ -0,0 +1,60 @@
+import maxmind from 'maxmind';
+import geolocationService from '../geolocationService.js';
+
+/**
+ * Distance between the request IP's location and the submitted GPS position,
+ * looked up in a local MaxMind-format database (e.g. GeoLite2-City.mmdb).
+ *
+ * Env:
+ * - GEOIP_DB_PATH (check is skipped without it)
+ */
+export default class IPGeolocationCheck {
+  constructor() {
+    this.name = 'ip_geolocation';
+    this.weight = 0.3;
+    this.reader = null;
+  }
+
+  getReader() {
+    const dbPath = process.env.GEOIP_DB_PATH;
+    if (!dbPath) return null;
+
+    if (!this.reader) {
+      this.reader = maxmind.open(dbPath).catch(error => {
+        console.warn('⚠️  Could not open GeoIP database:', error.message);
+        this.reader = null;
+        return null;
+      });
+    }
+    return this.reader;
+  }
+
+  async run({ submission }, settings) {
+    const { latitude, longitude } = submission.location || {};
+    if (!submission.ipAddress || !geolocationService.isValidCoordinates(latitude, longitude)) {
+      return { skipped: true, details: 'No IP address or location' };
+    }
+
+    const reader = await this.getReader();
+    if (!reader) {
+      return { skipped: true, details: 'No GeoIP database configured' };
+    }
+
+    const ip = submission.ipAddress.replace(/^::ffff:/, '');
+    const geo = maxmind.validate(ip) ? reader.get(ip) : null;
+    if (!geo?.location) {
+      return { skipped: true, details: `No location for IP ${ip}` };
+    }
+
+    const distanceKm = geolocationService.calculateDistance(
+      geo.location.latitude, geo.location.longitude, latitude, longitude
+    ) / 1000;
+    const allowedKm = settings.maxIpDistanceKm + (geo.location.accuracy_radius || 0);
+    const place = geo.city?.names?.en || geo.country?.iso_code || 'unknown';
+
+    return {
+      score: distanceKm > allowedKm ? 1 : 0,
+      details: `IP located in ${place}, ${Math.round(distanceKm)} km from the GPS position (max ${Math.round(allowedKm)} km)`
+    };
+  }
+}
@@ -0,0 +1,124 @@
+import DeviceFlagsCheck from './antiSpoofing/deviceFlagsCheck.js';
+import ImpossibleTravelCheck from './antiSpoofing/impossibleTravelCheck.js';
+import GPSQualityCheck from './antiSpoofing/gpsQualityCheck.js';
+import CaptureDriftCheck from './antiSpoofing/captureDriftCheck.js';
+import DeviceReuseCheck from './antiSpoofing/deviceReuseCheck.js';
+import IPGeolocationCheck from './antiSpoofing/ipGeolocationCheck.js';
+
+// Used when a quest doesn't set its own (see Quest.antiSpoofing)
+const DEFAULT_SETTINGS = {
+  maxRiskScore: 0.5,
+  rejectRiskScore: 0.8,
+  maxSpeedKmh: 250,
+  maxAccuracyMeters: 100,
+  maxCaptureDriftSeconds: 300,
+  maxAccountsPerDevice: 3,
+  maxIpDistanceKm: 300
+};
+
+/**
+ * Anti-Spoofing Service
+ * Risk engine for quest submissions. Each check scores one signal from
+ * 0 (clean) to 1 (spoofed); the submission's risk is the weighted sum of
+ * the scores, capped at 1, and it fails above the quest's maxRiskScore
+ * (up to rejectRiskScore it goes to manual review instead).
+ *
+ * Every check implements:
+ * - name, weight (default, overridable per quest)
+ * - run(context, settings) -> { score, details } or { skipped: true, details }
+ *   context: { quest, userId, attemptId, submission, now }
+ */
+class AntiSpoofingService {
+  constructor() {
+    this.checks = new Map();
+
+    [
+      DeviceFlagsCheck,
+      ImpossibleTravelCheck,
+      GPSQualityCheck,
+      CaptureDriftCheck,
+      DeviceReuseCheck,
+      IPGeolocationCheck
+    ].forEach(Check => this.register(new Check()));
+  }
+
+  register(check) {
+    this.checks.set(check.name, check);
+  }
+
+  isEnabled(quest) {
+    return quest?.antiSpoofing?.enabled !== false;
+  }
+
+  getSettings(quest) {
+    const config = quest?.antiSpoofing?.toObject ? quest.antiSpoofing.toObject() : (quest?.antiSpoofing || {});
+    const settings = { ...DEFAULT_SETTINGS };
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (typeof config[key] === 'number') settings[key] = config[key];
+    }
+
+    settings.disabledChecks = config.disabledChecks || [];
+    settings.weights = config.weights instanceof Map
+      ? Object.fromEntries(config.weights)
+      : (config.weights || {});
+
+    return settings;
+  }
+
+  /**
+   * Score a submission
+   * @param {Object} context - { quest, userId, attemptId, submission }
+   * @returns {{ passed, needsReview, riskScore, threshold, checks }}
+   *   needsReview: failed, but not above rejectRiskScore
+   */
+  async evaluate({ quest, userId, attemptId, submission }) {
+    const settings = this.getSettings(quest);
+    const context = { quest, userId, attemptId, submission, now: new Date() };
+    const checks = [];
+    let riskScore = 0;
+
+    for (const check of this.checks.values()) {
+      const weight = settings.weights[check.name] ?? check.weight;
+
+      if (settings.disabledChecks.includes(check.name)) {
+        checks.push({ check: check.name, passed: true, score: 0, weight, skipped: true, details: 'Disabled for this quest' });
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await check.run(context, settings);
+      } catch (error) {
+        console.error(`❌ Anti-spoofing check ${check.name} failed:`, error.message);
+        outcome = { skipped: true, details: 'Check could not run' };
+      }
+
+      const score = outcome.skipped ? 0 : Math.min(1, Math.max(0, outcome.score || 0));
+      riskScore += weight * score;
+
+      checks.push({
+        check: check.name,
+        passed: score < 0.5,
+        score,
+        weight,
+        skipped: !!outcome.skipped,
+        details: outcome.details
+      });
+    }
+
+    riskScore = Math.min(1, Math.round(riskScore * 1000) / 1000);
+
+    const passed = riskScore <= settings.maxRiskScore;
+
+    return {
+      passed,
+      needsReview: !passed && riskScore <= settings.rejectRiskScore,
+      riskScore,
+      threshold: settings.maxRiskScore,
+      checks
+    };
+  }
+}
+
+export default new AntiSpoofingService();
@@ -6,9 +6,14 @@ import {
   Ed25519PrivateKey,
   PrivateKey,
   Account,
-  AccountAddress
+  AccountAddress,
+  Ed25519PublicKey
 } from "@aptos-labs/ts-sdk";
 import nacl from 'tweetnacl'; // ← NEW IMPORT
+import Memory from '../models/Memory.js';
+import ChainCursor from '../models/ChainCursor.js';
+import ChainIssue from '../models/ChainIssue.js';
+import { CHAIN_STATUS, CHAIN_ISSUE_TYPES, DEFAULTS } from '../config/constants.js';
 
 
 // ← NEW HELPER FUNCTION
@@ -37,6 +42,8 @@ class AptosService {
     this.moduleAddress = null;
     this.moduleName = null;
     this.initialized = false;
+    this.indexerTimer = null;
+    this.reconciling = null;
   }
 
   /**
@@ -230,9 +237,142 @@ class AptosService {
   }
 
   /**
-   * Store memory hash on Aptos blockchain
+   * Transfer APT from a treasury account (the master wallet by default)
+   * @param {string} recipient - Aptos address
+   * @param {number} amount - APT
+   * @param {Object} options
+   * @param {Account} options.signer - Treasury account paying the reward
+   * @param {Function} options.onSubmitted - Called with the hash before waiting for it
    */
-  async storeMemoryOnChain(ipfsHash, userAddress = null) {
+  async sendReward(recipient, amount, { signer = null, onSubmitted = null } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const sender = signer || this.masterAccount;
+    const amountOctas = Math.round(amount * 100_000_000);
+
+    if (!(amountOctas > 0)) {
+      throw new Error('Reward amount must be positive');
+    }
+
+    const transaction = await this.aptos.transferCoinTransaction({
+      sender: sender.accountAddress,
+      recipient: AccountAddress.from(recipient),
+      amount: amountOctas,
+    });
+
+    const pendingTx = await this.aptos.signAndSubmitTransaction({
+      signer: sender,
+      transaction,
+    });
+
+    console.log(`💰 Reward transfer submitted: ${amount} APT to ${recipient} (${pendingTx.hash})`);
+
+    if (onSubmitted) {
+      await onSubmitted(pendingTx.hash);
+    }
+
+    const executedTx = await this.aptos.waitForTransaction({
+      transactionHash: pendingTx.hash,
+      options: { checkSuccess: false },
+    });
+
+    if (!executedTx.success) {
+      throw new Error(`Reward transfer failed: ${executedTx.vm_status}`);
+    }
+
+    return {
+      success: true,
+      txHash: pendingTx.hash,
+      txVersion: executedTx.version,
+      from: sender.accountAddress.toString(),
+      to: recipient,
+      amount,
+      amountOctas
+    };
+  }
+
+  /**
+   * Outcome of a submitted transaction
+   * @returns {'pending'|'success'|'failed'|'not_found'}
+   */
+  async getTransactionStatus(txHash) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      const transaction = await this.aptos.getTransactionByHash({ transactionHash: txHash });
+
+      if (transaction.type === 'pending_transaction') return { status: 'pending' };
+      return {
+        status: transaction.success ? 'success' : 'failed',
+        txVersion: transaction.version,
+        vmStatus: transaction.vm_status
+      };
+    } catch (error) {
+      if (error.status === 404) return { status: 'not_found' };
+      throw error;
+    }
+  }
+
+  /**
+   * APT moved by a committed transfer (aptos_account::transfer, or
+   * aptos_account::transfer_coins / coin::transfer of AptosCoin)
+   * @returns {{ sender, recipient, amountOctas, txVersion }|null} null if the
+   *          transaction isn't a successful APT transfer
+   */
+  async getAptTransfer(txHash) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let transaction;
+    try {
+      transaction = await this.aptos.getTransactionByHash({ transactionHash: txHash });
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+
+    if (transaction.type !== 'user_transaction' || !transaction.success) return null;
+
+    const payload = transaction.payload;
+    const isTransfer = payload?.type === 'entry_function_payload' && (
+      payload.function === '0x1::aptos_account::transfer' ||
+      (['0x1::aptos_account::transfer_coins', '0x1::coin::transfer'].includes(payload.function) &&
+        payload.type_arguments?.[0] === '0x1::aptos_coin::AptosCoin')
+    );
+    if (!isTransfer) return null;
+
+    const [recipient, amount] = payload.arguments;
+    return {
+      sender: transaction.sender,
+      recipient,
+      amountOctas: Number(amount),
+      txVersion: transaction.version
+    };
+  }
+
+  /**
+   * Load an Ed25519 account (e.g. a campaign treasury) from its private key
+   */
+  accountFromPrivateKey(privateKeyHex) {
+    const privateKey = new Ed25519PrivateKey(
+      PrivateKey.formatPrivateKey(privateKeyHex, 'ed25519')
+    );
+    return new Ed25519Account({ privateKey });
+  }
+
+  /**
+   * Store memory hash on Aptos blockchain.
+   * With a user address the master stores it for them as custodian
+   * (store_memory_for); without one the master owns it.
+   * @param {Object} options
+   * @param {Function} options.onSubmitted - Called with the hash before waiting for it
+   */
+  async storeMemoryOnChain(ipfsHash, userAddress = null, { onSubmitted = null } = {}) {
     try {
       if (!this.initialized) {
         await this.initialize();
@@ -240,14 +380,17 @@ class AptosService {
 
       console.log(`📝 Preparing blockchain transaction for IPFS: ${ipfsHash}`);
 
-      const functionPayload = `${this.moduleAddress}::${this.moduleName}::store_memory`;
-
       const transaction = await this.aptos.transaction.build.simple({
         sender: this.masterAccount.accountAddress,
-        data: {
-          function: functionPayload,
-          functionArguments: [ipfsHash],
-        },
+        data: userAddress
+          ? {
+            function: this.functionId('store_memory_for'),
+            functionArguments: [AccountAddress.from(userAddress), ipfsHash],
+          }
+          : {
+            function: this.functionId('store_memory'),
+            functionArguments: [ipfsHash],
+          },
       });
 
       console.log('🔑 Signing and submitting transaction...');
@@ -264,6 +407,10 @@ class AptosService {
 
       console.log(`📡 Transaction submitted. Hash: ${pendingTx.hash}`);
 
+      if (onSubmitted) {
+        await onSubmitted(pendingTx.hash);
+      }
+
       const executedTx = await this.aptos.waitForTransaction({
         transactionHash: pendingTx.hash,
       });
@@ -274,6 +421,8 @@ class AptosService {
         success: true,
         txHash: pendingTx.hash,
         txVersion: executedTx.version,
+        memoryId: this.extractMemoryId(executedTx),
+        owner: userAddress || this.getMasterAddress(),
         ipfsHash
       };
     } catch (error) {
@@ -301,7 +450,7 @@ class AptosService {
    * @param {string} ipfsHash      - The IPFS CID the user signed
    * @param {string} userPublicKey - User's Ed25519 public key (hex, with or without 0x)
    * @param {string} signature     - User's Ed25519 detached signature (hex, with or without 0x)
-   * @returns {Object} { success, txHash, txVersion, ipfsHash }
+   * @returns {Object} { success, txHash, txVersion, memoryId, owner, ipfsHash }
    */
   async submitSponsoredMemory(ipfsHash, userPublicKey, signature) {
     // ── 0. Ensure the service is ready ──────────────────────────
@@ -322,32 +471,7 @@ class AptosService {
     console.log(`   Signature : ${signature?.substring(0, 20)}...`);
 
     try {
-      const messageBytes   = new TextEncoder().encode(ipfsHash);
-      const signatureBytes = hexToUint8Array(signature);
-      const pubKeyBytes    = hexToUint8Array(userPublicKey);
-
-      // Ed25519 sanity checks
-      if (signatureBytes.length !== 64) {
-        throw new Error(
-          `Invalid signature length: expected 64 bytes, got ${signatureBytes.length}`
-        );
-      }
-      if (pubKeyBytes.length !== 32) {
-        throw new Error(
-          `Invalid public key length: expected 32 bytes, got ${pubKeyBytes.length}`
-        );
-      }
-
-      const isValid = nacl.sign.detached.verify(
-        messageBytes,
-        signatureBytes,
-        pubKeyBytes
-      );
-
-      if (!isValid) {
-        throw new Error('Signature verification failed — the signature does not match the public key and IPFS hash');
-      }
-
+      this.verifyUserSignature(ipfsHash, userPublicKey, signature);
       console.log('✅ Signature verified successfully');
     } catch (verifyError) {
       console.error('❌ Signature verification failed:', verifyError.message);
@@ -355,16 +479,17 @@ class AptosService {
     }
 
     // ── 2. Build, sign & submit the transaction (master pays gas) ─
+    // The memory is owned by the address of the key that signed it
+    const owner = this.addressFromPublicKey(userPublicKey);
+
     try {
       console.log('⛓️  Building sponsored transaction...');
 
-      const functionPayload = `${this.moduleAddress}::${this.moduleName}::store_memory`;
-
       const transaction = await this.aptos.transaction.build.simple({
         sender: this.masterAccount.accountAddress,
         data: {
-          function: functionPayload,
-          functionArguments: [ipfsHash],
+          function: this.functionId('store_memory_for'),
+          functionArguments: [AccountAddress.from(owner), ipfsHash],
         },
       });
 
@@ -393,6 +518,8 @@ class AptosService {
         success: true,
         txHash: pendingTx.hash,
         txVersion: executedTx.version,
+        memoryId: this.extractMemoryId(executedTx),
+        owner,
         ipfsHash,
         sponsored: true
       };
@@ -404,6 +531,38 @@ class AptosService {
     }
   }
 
+  /**
+   * Check a detached Ed25519 signature (hex) over a UTF-8 message.
+   * Throws if the key, signature or message don't match.
+   */
+  verifyUserSignature(message, userPublicKey, signature) {
+    const messageBytes   = new TextEncoder().encode(message);
+    const signatureBytes = hexToUint8Array(signature);
+    const pubKeyBytes    = hexToUint8Array(userPublicKey);
+
+    // Ed25519 sanity checks
+    if (signatureBytes.length !== 64) {
+      throw new Error(
+        `Invalid signature length: expected 64 bytes, got ${signatureBytes.length}`
+      );
+    }
+    if (pubKeyBytes.length !== 32) {
+      throw new Error(
+        `Invalid public key length: expected 32 bytes, got ${pubKeyBytes.length}`
+      );
+    }
+
+    const isValid = nacl.sign.detached.verify(
+      messageBytes,
+      signatureBytes,
+      pubKeyBytes
+    );
+
+    if (!isValid) {
+      throw new Error('Signature verification failed — the signature does not match the public key and message');
+    }
+  }
+
   // =============================================
   // ← END NEW METHOD
   // =============================================
@@ -435,6 +594,642 @@ class AptosService {
     }
   }
 
+  /**
+   * Pull the on-chain memory_id out of a committed store_memory transaction
+   * @param {Object} transaction - Committed transaction with events
+   * @returns {string|null} memory_id as a decimal string
+   */
+  extractMemoryId(transaction) {
+    const storedEvent = transaction?.events?.find(
+      e => e.type?.endsWith('::MemoryStoredEvent')
+    );
+    return storedEvent?.data?.memory_id?.toString() || null;
+  }
+
+  /**
+   * Outcome of a store_memory transaction submitted earlier
+   * @returns {Object|null} Same shape as storeMemoryOnChain's result if it
+   *          committed, null if it aborted or never made it on chain
+   * @throws While the transaction is still pending
+   */
+  async getStoredMemory(txHash) {
+    const tx = await this.getTransactionStatus(txHash);
+
+    if (tx.status === 'pending') {
+      throw new Error(`Memory transaction ${txHash} is still pending`);
+    }
+    if (tx.status !== 'success') return null;
+
+    const { transaction } = await this.getTransaction(txHash);
+    const storedEvent = transaction?.events?.find(e => e.type?.endsWith('::MemoryStoredEvent'));
+
+    return {
+      success: true,
+      txHash,
+      txVersion: tx.txVersion,
+      memoryId: this.extractMemoryId(transaction),
+      owner: storedEvent ? AccountAddress.from(storedEvent.data.owner).toStringLong() : null,
+      ipfsHash: storedEvent?.data.ipfs_hash || null
+    };
+  }
+
+  /**
+   * Look up the on-chain memory_id for a memory stored before we tracked it
+   * @param {string} txHash - Hash of the store_memory transaction
+   */
+  async getMemoryIdFromTransaction(txHash) {
+    const result = await this.getTransaction(txHash);
+    if (!result.success) return null;
+    return this.extractMemoryId(result.transaction);
+  }
+
+  /**
+   * Transfer an on-chain memory to a new owner.
+   * Memories stored through the backend have the master account as
+   * custodian, so the master signs transfer_memory_for on the owner's behalf.
+   * Pass `asCustodian: false` for memories the master owns itself.
+   *
+   * @param {string|number} memoryId - On-chain memory_id
+   * @param {string} newOwnerAddress - Recipient Aptos address
+   * @returns {Object} { success, txHash, txVersion, memoryId, newOwner }
+   */
+  async transferMemoryOnChain(memoryId, newOwnerAddress, { asCustodian = true } = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!this.moduleAddress) {
+        throw new Error('APTOS_MODULE_ADDRESS is not configured');
+      }
+
+      console.log(`🔁 Transferring on-chain memory ${memoryId} to ${newOwnerAddress}`);
+
+      const transaction = await this.aptos.transaction.build.simple({
+        sender: this.masterAccount.accountAddress,
+        data: {
+          function: this.functionId(asCustodian ? 'transfer_memory_for' : 'transfer_memory'),
+          functionArguments: [memoryId.toString(), AccountAddress.from(newOwnerAddress)],
+        },
+      });
+
+      const senderAuthenticator = this.aptos.transaction.sign({
+        signer: this.masterAccount,
+        transaction,
+      });
+
+      const pendingTx = await this.aptos.transaction.submit.simple({
+        transaction,
+        senderAuthenticator,
+      });
+
+      const executedTx = await this.aptos.waitForTransaction({
+        transactionHash: pendingTx.hash,
+      });
+
+      console.log(`✅ Memory transfer confirmed! Version: ${executedTx.version}`);
+
+      return {
+        success: true,
+        txHash: pendingTx.hash,
+        txVersion: executedTx.version,
+        memoryId: memoryId.toString(),
+        newOwner: newOwnerAddress
+      };
+    } catch (error) {
+      console.error('❌ Aptos Transfer Error:', error.message);
+      if (error.data) console.error('Error Data:', error.data);
+      throw new Error(`Aptos transfer failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Message the owner signs to approve a sponsored transfer
+   */
+  getTransferMessage(memoryId, newOwnerAddress) {
+    return `LifeVault transfer memory ${memoryId} to ${AccountAddress.from(newOwnerAddress).toStringLong()}`;
+  }
+
+  /**
+   * Transfer a memory on the owner's signed request (master pays gas).
+   * The signature must be over getTransferMessage() and come from the key
+   * of the memory's current on-chain owner.
+   *
+   * @param {string} memoryId        - On-chain memory id
+   * @param {string} newOwnerAddress - Aptos address receiving the memory
+   * @param {string} userPublicKey   - Owner's Ed25519 public key (hex)
+   * @param {string} signature       - Owner's detached signature (hex)
+   */
+  async submitSponsoredTransfer(memoryId, newOwnerAddress, userPublicKey, signature) {
+    try {
+      this.verifyUserSignature(
+        this.getTransferMessage(memoryId, newOwnerAddress),
+        userPublicKey,
+        signature
+      );
+    } catch (verifyError) {
+      console.error('❌ Transfer signature verification failed:', verifyError.message);
+      throw new Error(`Transfer rejected: ${verifyError.message}`);
+    }
+
+    const signer = this.addressFromPublicKey(userPublicKey);
+    const record = await this.getOnChainMemory(memoryId);
+
+    if (!record) {
+      throw new Error(`Transfer rejected: memory ${memoryId} does not exist on chain`);
+    }
+    if (!this.sameAddress(record.owner, signer)) {
+      throw new Error('Transfer rejected: the signing key does not own this memory');
+    }
+    if (!this.sameAddress(record.custodian, this.getMasterAddress())) {
+      throw new Error('Transfer rejected: LifeVault is not custodian of this memory');
+    }
+
+    const result = await this.transferMemoryOnChain(memoryId, newOwnerAddress);
+    return { ...result, from: signer, sponsored: true };
+  }
+
+  /**
+   * Fully qualified MemoryStored/MemoryTransferred event types, in every
+   * address form the indexer might use
+   */
+  memoryEventTypes() {
+    const address = AccountAddress.from(this.moduleAddress);
+    const prefixes = new Set([this.moduleAddress, address.toStringLong(), address.toStringShort()]);
+
+    return [...prefixes].flatMap(prefix => [
+      `${prefix}::${this.moduleName}::MemoryStoredEvent`,
+      `${prefix}::${this.moduleName}::MemoryTransferredEvent`
+    ]);
+  }
+
+  /**
+   * Rebuild a memory's ownership chain from MemoryStored/MemoryTransferred
+   * events (needs the Aptos indexer)
+   * @returns {Array} Oldest first: { event, from, to, txHash, txVersion, timestamp }
+   */
+  async getMemoryHistory(memoryId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const id = memoryId.toString();
+
+    const events = await this.aptos.getEvents({
+      options: {
+        where: {
+          indexed_type: { _in: this.memoryEventTypes() },
+          data: { _contains: { memory_id: id } }
+        },
+        orderBy: [{ transaction_version: 'asc' }, { event_index: 'asc' }],
+        limit: 100
+      }
+    });
+
+    // Hash and time of each transaction involved
+    const versions = [...new Set(events.map(e => e.transaction_version.toString()))];
+    const transactions = new Map(await Promise.all(versions.map(async (version) => {
+      const tx = await this.aptos.getTransactionByVersion({ ledgerVersion: version });
+      return [version, tx];
+    })));
+
+    return events.map(e => {
+      const tx = transactions.get(e.transaction_version.toString());
+      const stored = e.indexed_type.endsWith('::MemoryStoredEvent');
+
+      return {
+        event: stored ? 'stored' : 'transferred',
+        from: stored ? null : AccountAddress.from(e.data.from).toStringLong(),
+        to: AccountAddress.from(stored ? e.data.owner : e.data.to).toStringLong(),
+        txHash: tx?.hash || null,
+        txVersion: e.transaction_version.toString(),
+        timestamp: tx?.timestamp ? new Date(Number(tx.timestamp) / 1000) : null
+      };
+    });
+  }
+
+  // =============================================
+  // ON-CHAIN READS (view functions)
+  // =============================================
+
+  functionId(name) {
+    return `${this.moduleAddress}::${this.moduleName}::${name}`;
+  }
+
+  /**
+   * Call a MemoryVault view function
+   * @returns {Array} The function's return values
+   */
+  async view(name, functionArguments = []) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.moduleAddress) {
+      throw new Error('APTOS_MODULE_ADDRESS is not configured');
+    }
+
+    return this.aptos.view({
+      payload: {
+        function: this.functionId(name),
+        functionArguments,
+      },
+    });
+  }
+
+  /**
+   * Convert a Memory struct returned by a view function
+   */
+  formatOnChainMemory(record) {
+    return {
+      memoryId: record.id.toString(),
+      ipfsHash: record.ipfs_hash,
+      owner: AccountAddress.from(record.owner).toStringLong(),
+      timestamp: new Date(Number(record.timestamp) * 1000),
+      custodian: AccountAddress.from(record.custodian).toStringLong()
+    };
+  }
+
+  /**
+   * Get an on-chain memory by id
+   * @returns {Object|null} null if no memory has that id
+   */
+  async getOnChainMemory(memoryId) {
+    const [exists] = await this.view('memory_exists', [memoryId.toString()]);
+    if (!exists) return null;
+
+    const [record] = await this.view('get_memory_record', [memoryId.toString()]);
+    return this.formatOnChainMemory(record);
+  }
+
+  /**
+   * List the memories an address owns on chain
+   * @returns {Object} { total, memories }
+   */
+  async getUserOnChainMemories(address, { offset = 0, limit = 20 } = {}) {
+    const owner = AccountAddress.from(address);
+    const [[total], [records]] = await Promise.all([
+      this.view('get_user_memory_count', [owner]),
+      this.view('get_user_memories', [owner, offset.toString(), limit.toString()])
+    ]);
+
+    return {
+      total: Number(total),
+      memories: records.map(record => this.formatOnChainMemory(record))
+    };
+  }
+
+  /**
+   * Check on chain that `ownerAddress` owns memory `memoryId`
+   */
+  async verifyOwnership(memoryId, ownerAddress) {
+    const [owns] = await this.view('verify_ownership', [
+      memoryId.toString(),
+      AccountAddress.from(ownerAddress)
+    ]);
+    return !!owns;
+  }
+
+  // =============================================
+  // CHAIN INDEXER / RECONCILIATION
+  // =============================================
+
+  /**
+   * Follow MemoryVault events in the background and reconcile Memory
+   * records with them
+   */
+  startIndexer(intervalMs = DEFAULTS.CHAIN_INDEXER_INTERVAL_MINUTES * 60 * 1000) {
+    if (this.indexerTimer) return;
+
+    if (!this.moduleAddress) {
+      console.warn('⚠️  APTOS_MODULE_ADDRESS not set - chain indexer disabled');
+      return;
+    }
+
+    const run = () => this.reconcileChain().catch(err => {
+      console.error('❌ Chain reconciliation failed:', err.message);
+    });
+
+    this.indexerTimer = setInterval(run, intervalMs);
+    this.indexerTimer.unref();
+    run();
+  }
+
+  stopIndexer() {
+    if (this.indexerTimer) {
+      clearInterval(this.indexerTimer);
+      this.indexerTimer = null;
+    }
+  }
+
+  /**
+   * One reconciliation pass: apply new chain events, then check the
+   * transactions of memories that still aren't confirmed.
+   * Concurrent callers share the pass already running.
+   */
+  async reconcileChain() {
+    if (!this.reconciling) {
+      this.reconciling = (async () => {
+        if (!this.initialized) {
+          await this.initialize();
+        }
+
+        const events = await this.syncMemoryEvents();
+        const pending = await this.checkPendingMemories();
+        return { events, ...pending };
+      })().finally(() => {
+        this.reconciling = null;
+      });
+    }
+
+    return this.reconciling;
+  }
+
+  /**
+   * Apply MemoryVault events after the stored cursor, saving the cursor
+   * after every batch so an interrupted run resumes where it stopped
+   * @returns {number} Events applied
+   */
+  async syncMemoryEvents({ batchSize = 100, maxBatches = 20 } = {}) {
+    const cursor = await ChainCursor.findOneAndUpdate(
+      { name: 'memory_vault' },
+      { $setOnInsert: { name: 'memory_vault' } },
+      { upsert: true, new: true }
+    );
+
+    let applied = 0;
+
+    try {
+      for (let batch = 0; batch < maxBatches; batch++) {
+        const events = await this.aptos.getEvents({
+          options: {
+            where: {
+              indexed_type: { _in: this.memoryEventTypes() },
+              _or: [
+                { transaction_version: { _gt: cursor.transactionVersion } },
+                {
+                  transaction_version: { _eq: cursor.transactionVersion },
+                  event_index: { _gt: cursor.eventIndex }
+                }
+              ]
+            },
+            orderBy: [{ transaction_version: 'asc' }, { event_index: 'asc' }],
+            limit: batchSize
+          }
+        });
+
+        for (const event of events) {
+          await this.applyMemoryEvent(event);
+          cursor.transactionVersion = event.transaction_version.toString();
+          cursor.eventIndex = Number(event.event_index);
+          cursor.eventsProcessed += 1;
+          applied += 1;
+        }
+
+        await cursor.save();
+        if (events.length < batchSize) break;
+      }
+
+      cursor.lastError = null;
+    } catch (error) {
+      cursor.lastError = error.message;
+      throw error;
+    } finally {
+      cursor.lastRunAt = new Date();
+      await cursor.save();
+    }
+
+    if (applied > 0) {
+      console.log(`⛓️  Indexed ${applied} MemoryVault event(s) up to version ${cursor.transactionVersion}`);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Update the Memory record an event refers to
+   */
+  async applyMemoryEvent(event) {
+    const { data } = event;
+    const onChainId = data.memory_id.toString();
+    const txVersion = event.transaction_version.toString();
+
+    if (event.indexed_type.endsWith('::MemoryTransferredEvent')) {
+      const memory = await Memory.findOne({ onChainId });
+      if (!memory) return;
+
+      const from = AccountAddress.from(data.from).toStringLong();
+      const to = AccountAddress.from(data.to).toStringLong();
+
+      // Transfers made through LifeVault already point at `to`. Only a
+      // record still showing `from` missed this one.
+      if (!memory.onChainOwner || this.sameAddress(memory.onChainOwner, from)) {
+        if (memory.onChainOwner) {
+          await this.flagChainIssue(CHAIN_ISSUE_TYPES.OWNER_MISMATCH, memory, {
+            txVersion,
+            details: `Transferred on chain from ${from} to ${to} outside LifeVault`
+          });
+        }
+        memory.onChainOwner = to;
+        await memory.save();
+      }
+      return;
+    }
+
+    // MemoryStoredEvent
+    let memory = await Memory.findOne({ $or: [{ onChainId }, { txVersion }] });
+    let transaction = null;
+
+    if (!memory) {
+      // Records created before txVersion was kept only have the hash
+      transaction = await this.aptos.getTransactionByVersion({ ledgerVersion: txVersion });
+      memory = await Memory.findOne({
+        $or: [{ txHash: transaction.hash }, { pendingTxHash: transaction.hash }]
+      });
+    }
+
+    if (!memory) {
+      // Someone else's memory, unless our relayer sent it
+      if (this.sameAddress(transaction.sender, this.getMasterAddress())) {
+        await this.flagChainIssue(CHAIN_ISSUE_TYPES.UNTRACKED, null, {
+          onChainId,
+          txHash: transaction.hash,
+          txVersion,
+          details: `Memory ${onChainId} (${data.ipfs_hash}) stored for ${data.owner} has no database record`
+        });
+      }
+      return;
+    }
+
+    if (!memory.txHash && transaction) {
+      // Anchor job still waiting on (or retrying) this transaction
+      memory.txHash = transaction.hash;
+      memory.pendingTxHash = null;
+    }
+    memory.onChainId = onChainId;
+    memory.txVersion = txVersion;
+    memory.isOnChain = true;
+    if (!memory.onChainOwner) memory.onChainOwner = AccountAddress.from(data.owner).toStringLong();
+    memory.confirmedAt = memory.confirmedAt || new Date(Number(data.timestamp) * 1000);
+
+    if (data.ipfs_hash !== memory.ipfsHash) {
+      memory.chainStatus = CHAIN_STATUS.MISMATCH;
+      await this.flagChainIssue(CHAIN_ISSUE_TYPES.HASH_MISMATCH, memory, {
+        txVersion,
+        details: `Chain has ${data.ipfs_hash}, database has ${memory.ipfsHash}`
+      });
+    } else {
+      memory.chainStatus = CHAIN_STATUS.CONFIRMED;
+    }
+
+    await memory.save();
+  }
+
+  /**
+   * Look up the transaction of every on-chain memory the event stream
+   * hasn't confirmed within the grace period. Flags memories whose
+   * transaction failed or was never committed.
+   */
+  async checkPendingMemories({ limit = 100 } = {}) {
+    const cutoff = new Date(Date.now() - DEFAULTS.CHAIN_CONFIRM_GRACE_MINUTES * 60 * 1000);
+    const memories = await Memory.find({
+      isOnChain: true,
+      chainStatus: { $in: [null, CHAIN_STATUS.PENDING] },
+      createdAt: { $lte: cutoff }
+    }).sort({ createdAt: 1 }).limit(limit);
+
+    const summary = { checked: memories.length, confirmed: 0, failed: 0, orphaned: 0 };
+
+    for (const memory of memories) {
+      let transaction = null;
+
+      try {
+        if (memory.txHash) {
+          transaction = await this.aptos.getTransactionByHash({ transactionHash: memory.txHash });
+        }
+      } catch (error) {
+        if (error.status !== 404) {
+          console.warn(`Could not check transaction of memory ${memory._id}:`, error.message);
+          continue;
+        }
+      }
+
+      if (transaction?.type === 'pending_transaction') continue;
+
+      if (!transaction) {
+        memory.chainStatus = CHAIN_STATUS.ORPHANED;
+        await this.flagChainIssue(CHAIN_ISSUE_TYPES.NOT_COMMITTED, memory, {
+          details: memory.txHash
+            ? 'Transaction was never committed'
+            : 'Marked on chain without a transaction hash'
+        });
+        summary.orphaned += 1;
+      } else if (!transaction.success) {
+        memory.chainStatus = CHAIN_STATUS.FAILED;
+        memory.txVersion = transaction.version;
+        await this.flagChainIssue(CHAIN_ISSUE_TYPES.TX_FAILED, memory, {
+          txVersion: transaction.version,
+          details: transaction.vm_status
+        });
+        summary.failed += 1;
+      } else {
+        memory.chainStatus = CHAIN_STATUS.CONFIRMED;
+        memory.txVersion = transaction.version;
+        memory.onChainId = memory.onChainId || this.extractMemoryId(transaction);
+        memory.confirmedAt = new Date(Number(transaction.timestamp) / 1000);
+        summary.confirmed += 1;
+      }
+
+      await memory.save();
+    }
+
+    if (summary.checked > 0) {
+      console.log('⛓️  Checked pending on-chain memories:', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Record an open issue (one per type and record)
+   */
+  async flagChainIssue(type, memory, { onChainId, txHash, txVersion, details } = {}) {
+    const key = {
+      type,
+      memoryId: memory?._id || null,
+      onChainId: onChainId || memory?.onChainId || null,
+      status: 'open'
+    };
+
+    await ChainIssue.findOneAndUpdate(
+      key,
+      {
+        txHash: txHash || memory?.txHash,
+        txVersion: txVersion || memory?.txVersion,
+        details
+      },
+      { upsert: true }
+    );
+
+    console.warn(`⚠️  Chain issue (${type}) for ${memory?._id || `on-chain memory ${key.onChainId}`}: ${details}`);
+  }
+
+  /**
+   * Indexer state plus open (or all) reconciliation issues
+   */
+  async getReconciliationReport({ type, includeResolved = false, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (type) query.type = type;
+    if (!includeResolved) query.status = 'open';
+
+    const [cursor, byType, total, issues] = await Promise.all([
+      ChainCursor.findOne({ name: 'memory_vault' }),
+      ChainIssue.aggregate([
+        { $match: { status: 'open' } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ]),
+      ChainIssue.countDocuments(query),
+      ChainIssue.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('memoryId', 'title userId ipfsHash txHash onChainId chainStatus')
+    ]);
+
+    return {
+      indexer: {
+        running: !!this.indexerTimer,
+        transactionVersion: cursor?.transactionVersion || null,
+        eventsProcessed: cursor?.eventsProcessed || 0,
+        lastRunAt: cursor?.lastRunAt || null,
+        lastError: cursor?.lastError || null
+      },
+      openIssues: Object.fromEntries(byType.map(t => [t._id, t.count])),
+      issues,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Long form of an Aptos address, or null if it isn't one
+   */
+  normalizeAddress(input) {
+    if (!AccountAddress.isValid({ input }).valid) return null;
+    return AccountAddress.from(input).toStringLong();
+  }
+
+  sameAddress(a, b) {
+    if (!a || !b) return false;
+    return AccountAddress.from(a).toStringLong() === AccountAddress.from(b).toStringLong();
+  }
+
+  /**
+   * Account address of a legacy Ed25519 public key (hex)
+   */
+  addressFromPublicKey(publicKeyHex) {
+    return new Ed25519PublicKey(publicKeyHex).authKey().derivedAddress().toStringLong();
+  }
+
   getMasterAddress() {
     return this.masterAccount ? this.masterAccount.accountAddress.toString() : null;
   }
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import AuthToken from '../models/AuthToken.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import { AUTH_TOKEN_TYPES, DEFAULTS } from '../config/constants.js';
+
+const TOKEN_SETTINGS = {
+  [AUTH_TOKEN_TYPES.EMAIL_VERIFICATION]: {
+    lifetimeMs: DEFAULTS.EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000,
+    path: '/verify-email',
+    send: 'sendEmailVerificationEmail'
+  },
+  [AUTH_TOKEN_TYPES.PASSWORD_RESET]: {
+    lifetimeMs: DEFAULTS.PASSWORD_RESET_MINUTES * 60 * 1000,
+    path: '/reset-password',
+    send: 'sendPasswordResetEmail'
+  },
+  [AUTH_TOKEN_TYPES.MAGIC_LINK]: {
+    lifetimeMs: DEFAULTS.MAGIC_LINK_MINUTES * 60 * 1000,
+    path: '/magic-link',
+    send: 'sendMagicLinkEmail'
+  }
+};
+
+/**
+ * Auth Token Service
+ * Emailed links for email confirmation, password reset and magic-link
+ * sign-in. Each token is a JWT (signed, expiring) whose jti is recorded in
+ * AuthToken so it works only once; issuing a new one revokes the previous.
+ */
+class AuthTokenService {
+  /**
+   * Refuse issuing when the user asked too recently or too often
+   * @throws 429 with retryAfter (seconds)
+   */
+  async checkRateLimit(userId, type) {
+    const now = Date.now();
+    const recent = await AuthToken.find({
+      userId,
+      type,
+      createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 }).select('createdAt');
+
+    let retryAfter = 0;
+    if (recent.length > 0) {
+      const nextAllowed = recent[0].createdAt.getTime() + DEFAULTS.AUTH_TOKEN_RESEND_SECONDS * 1000;
+      retryAfter = Math.max(retryAfter, nextAllowed - now);
+    }
+    if (recent.length >= DEFAULTS.AUTH_TOKEN_MAX_PER_HOUR) {
+      const oldest = recent[DEFAULTS.AUTH_TOKEN_MAX_PER_HOUR - 1].createdAt.getTime();
+      retryAfter = Math.max(retryAfter, oldest + 60 * 60 * 1000 - now);
+    }
+
+    if (retryAfter > 0) {
+      const error = new Error('Too many emails requested, please try again later');
+      error.statusCode = 429;
+      error.retryAfter = Math.ceil(retryAfter / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a token of a type for a user
+   * @returns {{ token, expiresAt }}
+   */
+  async issue(user, type, { ipAddress } = {}) {
+    const settings = TOKEN_SETTINGS[type];
+    if (!settings) throw new Error(`Unknown auth token type "${type}"`);
+
+    await this.checkRateLimit(user._id, type);
+
+    const jti = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + settings.lifetimeMs);
+
+    await AuthToken.updateMany(
+      { userId: user._id, type, usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    await AuthToken.create({
+      jti,
+      userId: user._id,
+      type,
+      email: user.email,
+      ipAddress,
+      expiresAt
+    });
+
+    const token = jwt.sign(
+      { sub: user._id.toString(), email: user.email },
+      process.env.JWT_SECRET,
+      {
+        jwtid: jti,
+        audience: `lifevault:${type}`,
+        expiresIn: Math.floor(settings.lifetimeMs / 1000)
+      }
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Frontend page that takes the token (never built from request headers)
+   */
+  buildLink(type, token) {
+    const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${base}${TOKEN_SETTINGS[type].path}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Issue a token and email its link to the user
+   * @returns {{ expiresAt, email }} email = result of the send
+   */
+  async send(user, type, { ipAddress } = {}) {
+    const { token, expiresAt } = await this.issue(user, type, { ipAddress });
+
+    let email;
+    try {
+      email = await emailService[TOKEN_SETTINGS[type].send]({
+        to: user.email,
+        userName: user.name,
+        url: this.buildLink(type, token),
+        expiresAt
+      });
+    } catch (error) {
+      console.error(`❌ Failed to send ${type} email:`, error.message);
+      email = { success: false, error: error.message };
+    }
+
+    return { expiresAt, email };
+  }
+
+  /**
+   * Verify and use up a token
+   * @returns {Object} The user it was issued to
+   * @throws 400 if the token is invalid, expired, used or superseded
+   */
+  async consume(token, type) {
+    const invalid = () => {
+      const error = new Error('This link is invalid or has expired');
+      error.statusCode = 400;
+      return error;
+    };
+
+    let claims;
+    try {
+      claims = jwt.verify(String(token), process.env.JWT_SECRET, { audience: `lifevault:${type}` });
+    } catch {
+      throw invalid();
+    }
+
+    const now = new Date();
+    const record = await AuthToken.findOneAndUpdate(
+      { jti: claims.jti, type, userId: claims.sub, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    );
+    if (!record) throw invalid();
+
+    const user = await User.findById(claims.sub);
+    if (!user || user.email !== record.email) throw invalid();
+
+    return user;
+  }
+}
+
+export default new AuthTokenService();
@@ -0,0 +1,208 @@
+import { VERIFICATION_RESULT, REVIEW_REASONS, ERROR_CODES } from '../config/constants.js';
+
+/**
+ * Checkpoint Service
+ * Multi-step quests (a walking tour): each of Quest.checkpoints is verified
+ * on its own submission and recorded on QuestCompletion.checkpoints. The
+ * attempt completes, and pays out, once every required checkpoint is passed.
+ */
+class CheckpointService {
+  hasCheckpoints(quest) {
+    return quest.checkpoints?.length > 0;
+  }
+
+  getCheckpoint(quest, checkpointId) {
+    if (!checkpointId) return null;
+    return quest.checkpoints.find(checkpoint => checkpoint._id.toString() === String(checkpointId)) || null;
+  }
+
+  getEntry(attempt, checkpoint) {
+    return attempt.checkpoints?.find(entry => entry.checkpointId.toString() === checkpoint._id.toString());
+  }
+
+  isPassed(attempt, checkpoint) {
+    return this.getEntry(attempt, checkpoint)?.status === 'passed';
+  }
+
+  /**
+   * Whether the attempt can submit this checkpoint now
+   * @returns {{ allowed, reason }}
+   */
+  canSubmit(quest, attempt, checkpoint) {
+    if (this.isPassed(attempt, checkpoint)) {
+      return { allowed: false, reason: 'You already reached this checkpoint' };
+    }
+
+    if (quest.checkpointsInOrder !== false) {
+      const index = quest.checkpoints.findIndex(item => item._id.equals(checkpoint._id));
+      const missing = quest.checkpoints
+        .slice(0, index)
+        .find(item => item.required && !this.isPassed(attempt, item));
+
+      if (missing) {
+        return { allowed: false, reason: `Reach "${missing.title}" first` };
+      }
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Whether passing this checkpoint passes the last required one
+   */
+  completesQuest(quest, attempt, checkpoint) {
+    return quest.checkpoints
+      .filter(item => item.required)
+      .every(item => item._id.equals(checkpoint._id) || this.isPassed(attempt, item));
+  }
+
+  /**
+   * The quest as verificationService sees it for one checkpoint: the
+   * checkpoint's location, QR code and AI prompt, the quest's other settings
+   * @param {Object} options - { final } the submission would complete the quest
+   */
+  forCheckpoint(quest, checkpoint, { final = false } = {}) {
+    const base = typeof quest.toObject === 'function' ? quest.toObject() : quest;
+    const step = typeof checkpoint.toObject === 'function' ? checkpoint.toObject() : checkpoint;
+    const { enabled: aiEnabled, ...ai } = step.aiVerification || {};
+
+    return {
+      ...base,
+      location: step.location?.coordinates?.coordinates?.length === 2 ? step.location : undefined,
+      qrCode: step.qrCode,
+      aiVerification: aiEnabled
+        ? {
+            ...base.aiVerification,
+            ...Object.fromEntries(Object.entries(ai).filter(([, value]) => value !== undefined && value !== null)),
+            enabled: true
+          }
+        : { enabled: false },
+      // NFC tags are registered on the quest, so a tag is scanned with the
+      // checkpoint that completes it
+      nfc: final ? base.nfc : { enabled: false },
+      verificationLayers: [],
+      // Approval is asked for once, when the last checkpoint is reached
+      requiresApproval: false,
+      qrTarget: { kind: 'checkpoint', id: step._id }
+    };
+  }
+
+  /**
+   * Record a checkpoint submission on the attempt (not saved)
+   */
+  record(attempt, checkpoint, verification, submission) {
+    let entry = this.getEntry(attempt, checkpoint);
+    if (!entry) {
+      attempt.checkpoints.push({ checkpointId: checkpoint._id });
+      entry = attempt.checkpoints[attempt.checkpoints.length - 1];
+    }
+
+    const passed = verification.overallResult !== VERIFICATION_RESULT.FAILED;
+
+    entry.attempts += 1;
+    entry.lastSubmittedAt = new Date();
+    entry.status = passed ? 'passed' : 'failed';
+
+    if (passed) {
+      entry.passedAt = new Date();
+      entry.reviewReasons = verification.reviewReasons || [];
+      entry.failureCode = undefined;
+      entry.message = undefined;
+      if (submission.location?.latitude !== undefined) {
+        entry.location = {
+          latitude: submission.location.latitude,
+          longitude: submission.location.longitude
+        };
+      }
+    } else {
+      entry.failureCode = verification.failureCode;
+      entry.message = verification.aiVision?.message ||
+        (verification.photoForensics?.passed === false && verification.photoForensics.message) ||
+        (verification.nfc?.passed === false && verification.nfc.message) ||
+        verification.qrCode?.message || verification.gps?.message || 'Verification failed';
+    }
+
+    return entry;
+  }
+
+  /**
+   * Progress of an attempt through the quest's checkpoints
+   * @returns {{ total, required, completed, done, next, checkpoints }}
+   */
+  getProgress(quest, attempt) {
+    const checkpoints = quest.checkpoints.map((checkpoint, index) => {
+      const entry = this.getEntry(attempt, checkpoint);
+
+      return {
+        id: checkpoint._id,
+        index,
+        title: checkpoint.title,
+        required: checkpoint.required,
+        status: entry?.status || 'pending',
+        attempts: entry?.attempts || 0,
+        passedAt: entry?.passedAt || null
+      };
+    });
+
+    const required = checkpoints.filter(checkpoint => checkpoint.required);
+    const next = checkpoints.find(checkpoint => checkpoint.status !== 'passed');
+
+    return {
+      total: checkpoints.length,
+      required: required.length,
+      completed: required.filter(checkpoint => checkpoint.status === 'passed').length,
+      done: required.every(checkpoint => checkpoint.status === 'passed'),
+      next: next ? { id: next.id, index: next.index, title: next.title } : null,
+      checkpoints
+    };
+  }
+
+  /**
+   * Result for the whole quest once every required checkpoint is passed:
+   * fails without the quest's NFC scan, goes to review if any checkpoint was
+   * flagged or the quest needs approval
+   */
+  finalize(quest, attempt, verification) {
+    if (quest.nfc?.enabled && !verification.nfc?.passed) {
+      return {
+        ...verification,
+        overallResult: VERIFICATION_RESULT.FAILED,
+        failureCode: ERROR_CODES.NFC_TAG_INVALID,
+        nfc: verification.nfc || { passed: false, message: 'Scan the quest\'s NFC tag at the last checkpoint' }
+      };
+    }
+
+    const reviewReasons = new Set(attempt.checkpoints.flatMap(entry => entry.reviewReasons || []));
+    if (quest.requiresApproval) reviewReasons.add(REVIEW_REASONS.REQUIRES_APPROVAL);
+
+    return {
+      ...verification,
+      reviewReasons: [...reviewReasons],
+      overallResult: reviewReasons.size > 0 ? VERIFICATION_RESULT.NEEDS_REVIEW : VERIFICATION_RESULT.PASSED
+    };
+  }
+
+  /**
+   * What a player needs to know about the checkpoints (no QR codes)
+   */
+  toPublic(quest) {
+    return quest.checkpoints.map((checkpoint, index) => ({
+      id: checkpoint._id,
+      index,
+      title: checkpoint.title,
+      description: checkpoint.description,
+      hint: checkpoint.hint,
+      required: checkpoint.required,
+      location: checkpoint.location?.coordinates?.coordinates?.length === 2 ? checkpoint.location : null,
+      qrCodeRequired: checkpoint.qrCode?.enabled || false,
+      aiVerification: checkpoint.aiVerification?.enabled ? {
+        prompt: checkpoint.aiVerification.prompt,
+        requiredObjects: checkpoint.aiVerification.requiredObjects,
+        requireFace: checkpoint.aiVerification.requireFace,
+        requireSelfie: checkpoint.aiVerification.requireSelfie
+      } : null
+    }));
+  }
+}
+
+export default new CheckpointService();
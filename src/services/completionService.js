@@ -0,0 +1,156 @@
+import Campaign from '../models/Campaign.js';
+import QuestCompletion from '../models/QuestCompletion.js';
+import rewardService from './rewardService.js';
+import jobService from './jobService.js';
+import { JOB_TYPES } from '../config/constants.js';
+
+/**
+ * Completion Service
+ * Everything that happens once a quest attempt is accepted, either straight
+ * after verification or when a reviewer approves it.
+ */
+class CompletionService {
+  /**
+   * Keep a submitted photo in job blob storage
+   * @returns {string|null} Blob id
+   */
+  async savePhoto(photoBase64, quest, attempt) {
+    if (!photoBase64) return null;
+
+    return jobService.saveBlob(
+      Buffer.from(photoBase64.replace(/^data:.*?;base64,/, ''), 'base64'),
+      `quest_${quest._id}_${attempt._id}`
+    );
+  }
+
+  /**
+   * Take the user's next completion slot for an attempt that passed
+   * verification. Slots are unique per quest and user (as when a reviewer
+   * approves), so racing submissions can't both take the last one and
+   * maxCompletionsPerUser holds.
+   * @returns {number} The slot taken
+   */
+  async takeSlot(attempt, quest) {
+    // Resubmitting an attempt that failed to complete keeps its slot
+    if (attempt.completionSlot != null) return attempt.completionSlot;
+
+    const completed = await QuestCompletion.countDocuments({
+      questId: quest._id,
+      userId: attempt.userId,
+      status: 'completed'
+    });
+    if (completed >= quest.budget.maxCompletionsPerUser) {
+      const error = new Error('You have already completed this quest');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    try {
+      await QuestCompletion.updateOne({ _id: attempt._id }, { completionSlot: completed });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const conflict = new Error('Another submission of this quest was just completed');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    attempt.completionSlot = completed;
+    return completed;
+  }
+
+  /**
+   * Give back the slot of an attempt that could not be completed
+   */
+  async releaseSlot(attempt) {
+    await QuestCompletion.updateOne(
+      { _id: attempt._id, status: { $ne: 'completed' } },
+      { $unset: { completionSlot: 1 } }
+    );
+    attempt.completionSlot = undefined;
+  }
+
+  /**
+   * Complete an attempt: pin the photo, pay rewards, send the email and
+   * update campaign progress
+   * @param {Object} attempt - QuestCompletion document
+   * @param {Object} quest - Quest document
+   * @param {Object} user - User who made the attempt
+   * @param {Object} verification - Verification result to record
+   * @param {Object} options - { photoBlobId } photo saved with savePhoto
+   * @returns {{ rewardResults, jobs }}
+   */
+  async complete(attempt, quest, user, verification, { photoBlobId = null } = {}) {
+    const jobs = {};
+
+    // Pin the photo to IPFS in the background
+    if (photoBlobId) {
+      const photoJob = await jobService.enqueue(JOB_TYPES.QUEST_PHOTO_PIN, {
+        completionId: attempt._id.toString(),
+        blobId: photoBlobId,
+        fileName: `quest_${quest._id}_${attempt._id}`,
+        questId: quest._id.toString(),
+        userId: user._id.toString()
+      }, { idempotencyKey: `quest.photo.pin:${attempt._id}`, userId: user._id });
+
+      // Already queued by an earlier submission of this attempt
+      if (photoJob.payload.blobId !== photoBlobId) await jobService.deleteBlob(photoBlobId);
+      jobs.photo = photoJob.toStatus();
+    }
+
+    // Process rewards, once per attempt: a completion retried after a
+    // failure further down keeps what was already paid
+    const { modifiedCount } = await QuestCompletion.updateOne(
+      { _id: attempt._id, rewardsPaidAt: { $exists: false } },
+      { rewardsPaidAt: new Date() }
+    );
+    const alreadyPaid = modifiedCount === 0;
+    const rewardResults = alreadyPaid
+      ? { alreadyPaid: true, errors: [] }
+      : await rewardService.processQuestRewards(user._id, quest, attempt);
+
+    // The APT transfer itself is recorded by its job
+    await attempt.markAsCompleted(
+      verification,
+      alreadyPaid ? null : rewardResults,
+      rewardResults.apt?.queued ? { status: 'queued' } : null
+    );
+
+    if (rewardResults.apt?.job) jobs.apt = rewardResults.apt.job;
+
+    // Send completion email (optional; skipped if SMTP not configured)
+    if (user.email) {
+      const emailJob = await jobService.enqueue(JOB_TYPES.EMAIL, {
+        template: 'questCompletion',
+        data: {
+          to: user.email,
+          userName: user.name,
+          questTitle: quest.title,
+          rewards: {
+            apt: { amount: rewardResults.apt?.amount || 0 },
+            points: { pointsAdded: rewardResults.points?.pointsAdded || 0 },
+            xp: !!rewardResults.xp
+          }
+        }
+      }, { idempotencyKey: `email:quest-completion:${attempt._id}`, userId: user._id });
+      jobs.email = emailJob.toStatus();
+    }
+
+    // Check campaign progress
+    if (quest.campaignId) {
+      const campaign = await Campaign.findById(quest.campaignId);
+      if (campaign) {
+        const progress = await campaign.getUserProgress(user._id);
+
+        if (progress.isCompleted) {
+          // Award campaign grand prize
+          await rewardService.processCampaignCompletion(user._id, campaign);
+        }
+      }
+    }
+
+    return { rewardResults, jobs };
+  }
+}
+
+export default new CompletionService();
@@ -37,7 +37,11 @@ class EmailService {
     return this.transporter;
   }
 
-  async sendQuestCompletionEmail({ to, userName, questTitle, rewards }) {
+  /**
+   * Send one email; skipped when SMTP is not configured
+   * @returns {{ success, skipped? }}
+   */
+  async send({ to, subject, text, html }) {
     const transporter = this.getTransporter();
     if (!transporter) {
       console.warn('ℹ️  Email not sent (SMTP not configured)');
@@ -45,6 +49,91 @@ class EmailService {
     }
 
     const from = process.env.EMAIL_FROM || process.env.SMTP_USER;
+    await transporter.sendMail({ from, to, subject, text, html });
+
+    return { success: true };
+  }
+
+  /**
+   * Email with a single call-to-action link (confirmation, reset, sign-in)
+   */
+  async sendActionEmail({ to, userName, subject, heading, intro, actionLabel, url, expiresAt, outro }) {
+    const expiry = `This link expires on ${new Date(expiresAt).toUTCString()} and can only be used once.`;
+
+    const text = [
+      `Hi ${userName || 'there'},`,
+      '',
+      intro,
+      '',
+      `${actionLabel}: ${url}`,
+      '',
+      expiry,
+      outro,
+      '',
+      `— LifeVault Team`
+    ]
+      .filter(line => line !== undefined && line !== null)
+      .join('\n');
+
+    const html = `
+      <div style="font-family: ui-sans-serif, system-ui, -apple-system; line-height: 1.5;">
+        <h2 style="margin:0 0 12px;">${heading}</h2>
+        <p style="margin:0 0 8px;">${intro}</p>
+        <p style="margin:16px 0;">
+          <a href="${url}" style="display:inline-block;padding:10px 16px;border-radius:10px;background:#111827;color:#ffffff;text-decoration:none;">${actionLabel}</a>
+        </p>
+        <p style="margin:0 0 8px; color:#6b7280; font-size:13px;">${expiry}</p>
+        ${outro ? `<p style="margin:0 0 8px; color:#6b7280; font-size:13px;">${outro}</p>` : ''}
+        <p style="margin:12px 0 0; color:#6b7280; font-size:12px;">— LifeVault Team</p>
+      </div>
+    `;
+
+    return this.send({ to, subject, text, html });
+  }
+
+  async sendEmailVerificationEmail({ to, userName, url, expiresAt }) {
+    return this.sendActionEmail({
+      to,
+      userName,
+      subject: 'LifeVault: confirm your email address',
+      heading: '✉️ Confirm your email',
+      intro: 'Please confirm this is your email address to finish setting up your LifeVault account.',
+      actionLabel: 'Confirm email',
+      url,
+      expiresAt,
+      outro: "If you didn't create a LifeVault account, you can ignore this email."
+    });
+  }
+
+  async sendPasswordResetEmail({ to, userName, url, expiresAt }) {
+    return this.sendActionEmail({
+      to,
+      userName,
+      subject: 'LifeVault: reset your password',
+      heading: '🔑 Reset your password',
+      intro: 'Someone asked to reset the password of your LifeVault account. Resetting it signs you out everywhere.',
+      actionLabel: 'Choose a new password',
+      url,
+      expiresAt,
+      outro: "If this wasn't you, ignore this email; your password stays the same."
+    });
+  }
+
+  async sendMagicLinkEmail({ to, userName, url, expiresAt }) {
+    return this.sendActionEmail({
+      to,
+      userName,
+      subject: 'LifeVault: your sign-in link',
+      heading: '🔐 Sign in to LifeVault',
+      intro: 'Use the link below to sign in without a password.',
+      actionLabel: 'Sign in',
+      url,
+      expiresAt,
+      outro: "If you didn't ask for this link, you can ignore this email."
+    });
+  }
+
+  async sendQuestCompletionEmail({ to, userName, questTitle, rewards }) {
     const subject = `Congratulations! You completed: ${questTitle}`;
 
     const apt = rewards?.apt?.amount || rewards?.aptAmount || 0;
@@ -85,15 +174,64 @@ class EmailService {
       </div>
     `;
 
-    await transporter.sendMail({
-      from,
-      to,
-      subject,
-      text,
-      html
-    });
+    return this.send({ to, subject, text, html });
+  }
 
-    return { success: true };
+  async sendInheritanceReminderEmail({ to, userName, dueAt, releaseAt, checkInUrl }) {
+    const subject = 'LifeVault: please check in to keep your vault private';
+
+    const text = [
+      `Hi ${userName || 'there'},`,
+      '',
+      `You missed your LifeVault check-in, which was due on ${new Date(dueAt).toUTCString()}.`,
+      `If you do not check in by ${new Date(releaseAt).toUTCString()}, your memories will be released to your beneficiaries.`,
+      '',
+      checkInUrl ? `Check in here: ${checkInUrl}` : 'Sign in to LifeVault to check in.',
+      '',
+      `— LifeVault Team`
+    ].join('\n');
+
+    const html = `
+      <div style="font-family: ui-sans-serif, system-ui, -apple-system; line-height: 1.5;">
+        <h2 style="margin:0 0 12px;">⏰ Time to check in${userName ? `, ${userName}` : ''}</h2>
+        <p style="margin:0 0 8px;">Your LifeVault check-in was due on <strong>${new Date(dueAt).toUTCString()}</strong>.</p>
+        <p style="margin:0 0 8px;">If you do not check in by <strong>${new Date(releaseAt).toUTCString()}</strong>, your memories will be released to your beneficiaries.</p>
+        ${checkInUrl ? `<p style="margin:12px 0;"><a href="${checkInUrl}">Check in now</a></p>` : ''}
+        <p style="margin:12px 0 0; color:#6b7280; font-size:12px;">— LifeVault Team</p>
+      </div>
+    `;
+
+    return this.send({ to, subject, text, html });
+  }
+
+  async sendInheritanceReleaseEmail({ to, ownerName, memories = [] }) {
+    const subject = `${ownerName || 'Someone'} has left you memories on LifeVault`;
+
+    const text = [
+      'Hello,',
+      '',
+      `${ownerName || 'A LifeVault user'} named you as a beneficiary. The following memories are now available to you:`,
+      '',
+      ...memories.map(m => (m.url ? `- ${m.title}: ${m.url}` : `- ${m.title}`)),
+      '',
+      'Memories without a link can be found by signing in to LifeVault with this email address.',
+      '',
+      `— LifeVault Team`
+    ].join('\n');
+
+    const html = `
+      <div style="font-family: ui-sans-serif, system-ui, -apple-system; line-height: 1.5;">
+        <h2 style="margin:0 0 12px;">💌 Memories left for you</h2>
+        <p style="margin:0 0 8px;">${ownerName || 'A LifeVault user'} named you as a beneficiary. These memories are now available to you:</p>
+        <ul style="margin:0 0 12px; padding-left: 18px;">
+          ${memories.map(m => (m.url ? `<li><a href="${m.url}">${m.title}</a></li>` : `<li>${m.title}</li>`)).join('')}
+        </ul>
+        <p style="margin:0;">Memories without a link can be found by signing in to LifeVault with this email address.</p>
+        <p style="margin:12px 0 0; color:#6b7280; font-size:12px;">— LifeVault Team</p>
+      </div>
+    `;
+
+    return this.send({ to, subject, text, html });
   }
 }
 
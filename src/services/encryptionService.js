@@ -1,4 +1,7 @@
 import crypto from 'crypto';
+import { Transform } from 'stream';
+import User from '../models/User.js';
+import { ENCRYPTION_METHODS, KEY_RECIPIENT_TYPES } from '../config/constants.js';
 
 class EncryptionService {
   constructor() {
@@ -7,6 +10,17 @@ class EncryptionService {
     this.ivLength = 16;
     this.tagLength = 16;
     this.saltLength = 32;
+
+    // Segmented stream format (file content)
+    this.streamMagic = 'LVE1';
+    this.streamHeaderLength = 16; // magic(4) + segmentSize(4) + noncePrefix(8)
+    this.segmentSize = 64 * 1024;
+
+    // Client-side wrapped keys (tweetnacl box / secretbox)
+    this.wrappedKeyLength = 48; // 32-byte DEK + 16-byte Poly1305 tag
+    this.naclNonceLength = 24;
+    this.naclPublicKeyLength = 32;
+    this.minKdfIterations = 100000;
   }
 
   /**
@@ -103,6 +117,351 @@ class EncryptionService {
     return this.decrypt(encrypted, key);
   }
 
+  // ==========================================
+  // STREAMING CONTENT ENCRYPTION
+  // ==========================================
+  //
+  // Content is split into segments that are each sealed with AES-256-GCM,
+  // so it can be decrypted (and authenticated) while streaming:
+  //
+  //   header  = "LVE1" | segmentSize (uint32 BE) | noncePrefix (8 bytes)
+  //   segment = ciphertext | authTag (16 bytes)
+  //   nonce   = noncePrefix | segment index (uint32 BE)
+  //   AAD     = header | final flag (1 byte)
+  //
+  // The final flag stops an attacker from truncating the stream at a
+  // segment boundary.
+
+  buildStreamHeader(segmentSize = this.segmentSize) {
+    const header = Buffer.alloc(this.streamHeaderLength);
+    header.write(this.streamMagic, 0, 'ascii');
+    header.writeUInt32BE(segmentSize, 4);
+    crypto.randomBytes(8).copy(header, 8);
+    return header;
+  }
+
+  segmentNonce(header, index) {
+    const nonce = Buffer.alloc(12);
+    header.copy(nonce, 0, 8, 16);
+    nonce.writeUInt32BE(index, 8);
+    return nonce;
+  }
+
+  sealSegment(key, header, index, plaintext, final) {
+    const cipher = crypto.createCipheriv(this.algorithm, key, this.segmentNonce(header, index));
+    cipher.setAAD(Buffer.concat([header, Buffer.from([final ? 1 : 0])]));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  openSegment(key, header, index, sealed, final) {
+    if (sealed.length < this.tagLength) {
+      throw new Error('Decryption failed: Truncated data');
+    }
+
+    const decipher = crypto.createDecipheriv(this.algorithm, key, this.segmentNonce(header, index));
+    decipher.setAAD(Buffer.concat([header, Buffer.from([final ? 1 : 0])]));
+    decipher.setAuthTag(sealed.subarray(sealed.length - this.tagLength));
+
+    try {
+      return Buffer.concat([
+        decipher.update(sealed.subarray(0, sealed.length - this.tagLength)),
+        decipher.final()
+      ]);
+    } catch {
+      throw new Error('Decryption failed: Invalid key or corrupted data');
+    }
+  }
+
+  /**
+   * Size of the encrypted stream for a given plaintext size
+   */
+  encryptedSize(plaintextSize, segmentSize = this.segmentSize) {
+    const segments = Math.max(1, Math.ceil(plaintextSize / segmentSize));
+    return this.streamHeaderLength + plaintextSize + segments * this.tagLength;
+  }
+
+  /**
+   * Transform stream: plaintext in, segmented ciphertext out
+   */
+  createEncryptStream(keyHex) {
+    const service = this;
+    const key = Buffer.from(keyHex, 'hex');
+    const header = this.buildStreamHeader();
+    const segmentSize = this.segmentSize;
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    let headerSent = false;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const out = [];
+        if (!headerSent) {
+          out.push(header);
+          headerSent = true;
+        }
+
+        pending = Buffer.concat([pending, chunk]);
+
+        // Always hold back at least one byte so the last segment is the final one
+        while (pending.length > segmentSize) {
+          out.push(service.sealSegment(key, header, index++, pending.subarray(0, segmentSize), false));
+          pending = pending.subarray(segmentSize);
+        }
+
+        callback(null, Buffer.concat(out));
+      },
+
+      flush(callback) {
+        const out = headerSent ? [] : [header];
+        out.push(service.sealSegment(key, header, index++, pending, true));
+        callback(null, Buffer.concat(out));
+      }
+    });
+  }
+
+  /**
+   * Transform stream: segmented ciphertext in, authenticated plaintext out
+   */
+  createDecryptStream(keyHex) {
+    const service = this;
+    const key = Buffer.from(keyHex, 'hex');
+    let header = null;
+    let sealedSize = 0;
+    let pending = Buffer.alloc(0);
+    let index = 0;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          pending = Buffer.concat([pending, chunk]);
+
+          if (!header) {
+            if (pending.length < service.streamHeaderLength) return callback();
+
+            header = Buffer.from(pending.subarray(0, service.streamHeaderLength));
+            if (header.toString('ascii', 0, 4) !== service.streamMagic) {
+              throw new Error('Decryption failed: Unknown content format');
+            }
+            sealedSize = header.readUInt32BE(4) + service.tagLength;
+            pending = pending.subarray(service.streamHeaderLength);
+          }
+
+          const out = [];
+          while (pending.length > sealedSize) {
+            out.push(service.openSegment(key, header, index++, pending.subarray(0, sealedSize), false));
+            pending = pending.subarray(sealedSize);
+          }
+
+          callback(null, Buffer.concat(out));
+        } catch (error) {
+          callback(error);
+        }
+      },
+
+      flush(callback) {
+        try {
+          if (!header) throw new Error('Decryption failed: Truncated data');
+          callback(null, service.openSegment(key, header, index++, pending, true));
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+  }
+
+  // ==========================================
+  // CLIENT-SIDE ENCRYPTION (lv-e2ee-v1)
+  // ==========================================
+  //
+  // The server never sees plaintext or an unwrapped key:
+  //
+  // 1. The client generates a random 32-byte data key (DEK) and encrypts the
+  //    file with the segmented "LVE1" format above.
+  // 2. It wraps the DEK once per recipient (all values base64):
+  //    - user:       nacl.box(DEK, nonce, recipientPublicKey, ephemeralSecretKey)
+  //                  -> { ephemeralPublicKey, nonce, ciphertext, keyFingerprint }
+  //    - passphrase: key = PBKDF2-SHA256(passphrase, salt, iterations, 32)
+  //                  nacl.secretbox(DEK, nonce, key) -> { kdf, nonce, ciphertext }
+  //    - link:       nacl.secretbox(DEK, nonce, linkSecret) -> { nonce, ciphertext },
+  //                  where linkSecret only ever appears in the share URL fragment
+  // 3. It uploads the ciphertext with { scheme: "lv-e2ee-v1", wrappedKeys },
+  //    including a "user" entry for the owner's current public key.
+  //
+  // All the server can do is check the shape of what it stores.
+
+  decodeBase64(value) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9+/_-]*={0,2}$/.test(value)) {
+      return null;
+    }
+    return Buffer.from(value, 'base64');
+  }
+
+  isValidPublicKey(publicKey) {
+    return this.decodeBase64(publicKey)?.length === this.naclPublicKeyLength;
+  }
+
+  /**
+   * Short identifier of an X25519 public key
+   */
+  publicKeyFingerprint(publicKey) {
+    return crypto.createHash('sha256')
+      .update(this.decodeBase64(publicKey) || '')
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  /**
+   * Stable stand-in for a public key lookup that found nothing, so lookups
+   * don't reveal which emails or wallets have an account. The key is 32
+   * bytes derived from the lookup with a server secret; nobody holds its
+   * private key, and verifyRecipientKeys refuses keys wrapped to it.
+   * @param {string} lookup - e.g. "email:a@b.c"
+   * @returns {{ userId: string, publicKey: string }}
+   */
+  decoyPublicKey(lookup) {
+    const derive = (label) => crypto.createHmac('sha256', process.env.JWT_SECRET || '')
+      .update(`public-key-decoy:${label}:${lookup}`)
+      .digest();
+
+    return {
+      userId: derive('user').subarray(0, 12).toString('hex'),
+      publicKey: derive('key').subarray(0, this.naclPublicKeyLength).toString('base64')
+    };
+  }
+
+  /**
+   * Read an LVE1 stream header
+   * @returns {{ segmentSize: number } | null}
+   */
+  parseStreamHeader(buffer) {
+    if (!buffer || buffer.length < this.streamHeaderLength) return null;
+    if (buffer.toString('ascii', 0, 4) !== this.streamMagic) return null;
+
+    const segmentSize = buffer.readUInt32BE(4);
+    if (segmentSize < 1024 || segmentSize > 16 * 1024 * 1024) return null;
+
+    return { segmentSize };
+  }
+
+  /**
+   * Plaintext size behind an LVE1 stream of the given length,
+   * or null if no plaintext size produces that length
+   */
+  plaintextSize(ciphertextLength, segmentSize) {
+    const body = ciphertextLength - this.streamHeaderLength;
+    if (body < this.tagLength) return null;
+
+    const segments = Math.ceil(body / (segmentSize + this.tagLength));
+    const size = body - segments * this.tagLength;
+
+    return this.encryptedSize(size, segmentSize) === ciphertextLength ? size : null;
+  }
+
+  /**
+   * Check the shape of one client-wrapped key
+   * @returns {string|null} reason it is invalid
+   */
+  verifyWrappedKey(entry) {
+    if (!entry || typeof entry !== 'object') return 'Wrapped key must be an object';
+    if (!Object.values(KEY_RECIPIENT_TYPES).includes(entry.recipientType)) {
+      return `Unknown recipientType "${entry.recipientType}"`;
+    }
+
+    if (this.decodeBase64(entry.nonce)?.length !== this.naclNonceLength) {
+      return 'nonce must be 24 bytes';
+    }
+    if (this.decodeBase64(entry.ciphertext)?.length !== this.wrappedKeyLength) {
+      return 'ciphertext must be a sealed 32-byte key (48 bytes)';
+    }
+
+    if (entry.recipientType === KEY_RECIPIENT_TYPES.USER) {
+      if (!entry.userId) return 'user keys need a userId';
+      if (!this.isValidPublicKey(entry.ephemeralPublicKey)) {
+        return 'ephemeralPublicKey must be a 32-byte X25519 key';
+      }
+      if (!entry.keyFingerprint) return 'user keys need the recipient keyFingerprint';
+    }
+
+    if (entry.recipientType === KEY_RECIPIENT_TYPES.PASSPHRASE) {
+      const { kdf } = entry;
+      if (kdf?.name !== 'pbkdf2-sha256') return 'kdf.name must be "pbkdf2-sha256"';
+      if (!Number.isInteger(kdf.iterations) || kdf.iterations < this.minKdfIterations) {
+        return `kdf.iterations must be at least ${this.minKdfIterations}`;
+      }
+      if ((this.decodeBase64(kdf.salt)?.length || 0) < 16) {
+        return 'kdf.salt must be at least 16 bytes';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that keys wrapped for users used those users' current public keys.
+   * Missing accounts, accounts without a key (both answered with a decoy by
+   * the key lookup) and stale keys get the same reason, so it can't be used
+   * to find out who has an account.
+   * @returns {Promise<string|null>} reason it is invalid
+   */
+  async verifyRecipientKeys(wrappedKeys) {
+    const userKeys = wrappedKeys.filter(k => k.recipientType === KEY_RECIPIENT_TYPES.USER);
+    if (userKeys.length === 0) return null;
+
+    const recipients = await User.find({
+      _id: { $in: userKeys.map(k => k.userId) }
+    }).select('encryptionPublicKey');
+
+    for (const entry of userKeys) {
+      const recipient = recipients.find(u => u._id.toString() === entry.userId.toString());
+
+      if (!recipient?.encryptionPublicKey ||
+        this.publicKeyFingerprint(recipient.encryptionPublicKey) !== entry.keyFingerprint) {
+        return `Key for user ${entry.userId} was not wrapped to their current public key`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a client encryption bundle before storing a memory
+   * @param {object} bundle - { scheme, wrappedKeys }
+   * @param {object} owner - User document (needs _id & encryptionPublicKey)
+   * @returns {{ valid: boolean, reason?: string }}
+   */
+  verifyClientEncryption(bundle, owner) {
+    if (bundle?.scheme !== ENCRYPTION_METHODS.CLIENT_E2EE_V1) {
+      return { valid: false, reason: `Unsupported scheme "${bundle?.scheme}"` };
+    }
+
+    const { wrappedKeys } = bundle;
+    if (!Array.isArray(wrappedKeys) || wrappedKeys.length === 0) {
+      return { valid: false, reason: 'wrappedKeys must be a non-empty array' };
+    }
+
+    for (const entry of wrappedKeys) {
+      const reason = this.verifyWrappedKey(entry);
+      if (reason) return { valid: false, reason };
+    }
+
+    if (!owner.encryptionPublicKey) {
+      return { valid: false, reason: 'Register an encryption public key first' };
+    }
+
+    const ownerFingerprint = this.publicKeyFingerprint(owner.encryptionPublicKey);
+    const ownerKey = wrappedKeys.find(k =>
+      k.recipientType === KEY_RECIPIENT_TYPES.USER &&
+      k.userId?.toString() === owner._id.toString() &&
+      k.keyFingerprint === ownerFingerprint
+    );
+
+    if (!ownerKey) {
+      return { valid: false, reason: "wrappedKeys must include the owner's current public key" };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Hash data (for QR codes, passwords, etc.)
    */
@@ -0,0 +1,263 @@
+import { Readable } from 'stream';
+import EncryptionKey from '../models/EncryptionKey.js';
+import Memory from '../models/Memory.js';
+import encryptionService from './encryptionService.js';
+import ipfsService from './ipfsService.js';
+import { ENCRYPTION_METHODS } from '../config/constants.js';
+
+/**
+ * Envelope Service
+ * Server-side encryption of memory content:
+ * - every memory gets its own random data key (DEK)
+ * - the DEK is stored wrapped by the owner's key-encryption key (KEK)
+ * - KEKs are stored wrapped by ENCRYPTION_MASTER_KEY (64 hex chars)
+ *
+ * Rotating a user's KEK only re-wraps the DEKs; content is never re-uploaded.
+ */
+class EnvelopeService {
+  get isEnabled() {
+    return !!process.env.ENCRYPTION_MASTER_KEY;
+  }
+
+  getMasterKey() {
+    const masterKey = process.env.ENCRYPTION_MASTER_KEY?.trim();
+
+    if (!masterKey) {
+      const error = new Error('Server-side encryption is not configured');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    if (!/^[0-9a-fA-F]{64}$/.test(masterKey)) {
+      throw new Error('ENCRYPTION_MASTER_KEY must be 32 bytes of hex');
+    }
+
+    return masterKey;
+  }
+
+  /**
+   * Get (or lazily create) the user's active KEK
+   * @returns {{ version: number, key: string }}
+   */
+  async getActiveUserKey(userId) {
+    const active = await EncryptionKey.findOne({ userId, status: 'active' })
+      .sort({ version: -1 })
+      .select('+wrappedKey');
+
+    if (active) {
+      return { version: active.version, key: encryptionService.decrypt(active.wrappedKey, this.getMasterKey()) };
+    }
+
+    return this.createUserKey(userId);
+  }
+
+  async getUserKey(userId, version) {
+    const doc = await EncryptionKey.findOne({ userId, version }).select('+wrappedKey');
+
+    if (!doc) {
+      throw new Error(`Encryption key v${version} not found for user ${userId}`);
+    }
+
+    return encryptionService.decrypt(doc.wrappedKey, this.getMasterKey());
+  }
+
+  /**
+   * Add a new active KEK version for the user
+   */
+  async createUserKey(userId) {
+    const masterKey = this.getMasterKey();
+    const latest = await EncryptionKey.findOne({ userId }).sort({ version: -1 });
+    const version = (latest?.version || 0) + 1;
+    const key = encryptionService.generateKey();
+
+    try {
+      await EncryptionKey.create({
+        userId,
+        version,
+        wrappedKey: encryptionService.encrypt(key, masterKey)
+      });
+    } catch (error) {
+      // Another request created this version first - use theirs
+      if (error.code === 11000) return this.getActiveUserKey(userId);
+      throw error;
+    }
+
+    return { version, key };
+  }
+
+  /**
+   * Generate a DEK for a new memory
+   * @returns {{ dataKey: string, encryption: { wrappedKey, kekVersion } }}
+   */
+  async createDataKey(userId) {
+    const kek = await this.getActiveUserKey(userId);
+    const dataKey = encryptionService.generateKey();
+
+    return {
+      dataKey,
+      encryption: {
+        wrappedKey: encryptionService.encrypt(dataKey, kek.key),
+        kekVersion: kek.version
+      }
+    };
+  }
+
+  /**
+   * Unwrap a memory's DEK (memory must be loaded with +encryption.wrappedKey)
+   */
+  async unwrapDataKey(memory) {
+    if (!memory.encryption?.wrappedKey) {
+      throw new Error('Memory has no wrapped data key');
+    }
+
+    const kek = await this.getUserKey(memory.userId._id || memory.userId, memory.encryption.kekVersion);
+    return encryptionService.decrypt(memory.encryption.wrappedKey, kek);
+  }
+
+  /**
+   * Wrap a memory's DEK under another user's active KEK (ownership transfer)
+   * @returns {{ wrappedKey, kekVersion }} the new `encryption` field
+   */
+  async rewrapDataKey(memory, newUserId) {
+    const dataKey = await this.unwrapDataKey(memory);
+    const kek = await this.getActiveUserKey(newUserId);
+
+    return {
+      wrappedKey: encryptionService.encrypt(dataKey, kek.key),
+      kekVersion: kek.version
+    };
+  }
+
+  isServerEncrypted(memory) {
+    return memory.encryptionMethod === ENCRYPTION_METHODS.SERVER_ENVELOPE_V1;
+  }
+
+  /**
+   * Encrypt a plaintext stream with a fresh DEK
+   * @returns {{ stream, size, fields }} fields are merged into the Memory record
+   */
+  async encryptStream(userId, source, plaintextSize) {
+    const { dataKey, encryption } = await this.createDataKey(userId);
+    const cipher = encryptionService.createEncryptStream(dataKey);
+
+    source.on('error', err => cipher.destroy(err));
+
+    return {
+      stream: source.pipe(cipher),
+      size: encryptionService.encryptedSize(plaintextSize),
+      fields: {
+        isEncrypted: true,
+        encryptionMethod: ENCRYPTION_METHODS.SERVER_ENVELOPE_V1,
+        encryption
+      }
+    };
+  }
+
+  async encryptBuffer(userId, buffer) {
+    return this.encryptStream(userId, Readable.from([buffer]), buffer.length);
+  }
+
+  /**
+   * Open a memory's content from storage, decrypting it if needed
+   * @returns {{ stream, contentType }}
+   */
+  async openContentStream(memory) {
+    if (!memory.ipfsHash) {
+      const error = new Error('Memory content is still being stored');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (!this.isServerEncrypted(memory)) {
+      return ipfsService.getStream(memory.ipfsHash);
+    }
+
+    const dataKey = await this.unwrapDataKey(memory);
+    const source = await ipfsService.getStream(memory.ipfsHash);
+    const decipher = encryptionService.createDecryptStream(dataKey);
+
+    source.stream.on('error', err => decipher.destroy(err));
+
+    return {
+      stream: source.stream.pipe(decipher),
+      contentType: memory.fileType || 'application/octet-stream'
+    };
+  }
+
+  /**
+   * Rotate the user's KEK and re-wrap every data key under it
+   */
+  async rotateUserKey(userId) {
+    const previous = await EncryptionKey.find({ userId, status: 'active' });
+    const kek = await this.createUserKey(userId);
+
+    await EncryptionKey.updateMany(
+      { userId, version: { $ne: kek.version }, status: 'active' },
+      { status: 'retired', retiredAt: new Date() }
+    );
+
+    const summary = { version: kek.version, rewrapped: 0, failed: 0 };
+    const oldKeys = new Map();
+
+    const cursor = Memory.find({
+      userId,
+      encryptionMethod: ENCRYPTION_METHODS.SERVER_ENVELOPE_V1,
+      'encryption.kekVersion': { $ne: kek.version }
+    }).select('+encryption.wrappedKey').cursor();
+
+    for await (const memory of cursor) {
+      try {
+        const version = memory.encryption.kekVersion;
+        if (!oldKeys.has(version)) {
+          oldKeys.set(version, await this.getUserKey(userId, version));
+        }
+
+        const dataKey = encryptionService.decrypt(memory.encryption.wrappedKey, oldKeys.get(version));
+
+        // Only update if nobody re-wrapped it in the meantime
+        const result = await Memory.updateOne(
+          { _id: memory._id, 'encryption.kekVersion': version },
+          {
+            'encryption.wrappedKey': encryptionService.encrypt(dataKey, kek.key),
+            'encryption.kekVersion': kek.version
+          }
+        );
+        if (result.modifiedCount) summary.rewrapped += 1;
+      } catch (error) {
+        console.error(`❌ Re-wrap of memory ${memory._id} failed:`, error.message);
+        summary.failed += 1;
+      }
+    }
+
+    console.log(`🔑 Rotated key for user ${userId} (v${previous.map(k => k.version).join(',') || '-'} -> v${kek.version}):`, summary);
+    return summary;
+  }
+
+  /**
+   * Key status for the user
+   */
+  async getKeyStatus(userId) {
+    const keys = await EncryptionKey.find({ userId }).sort({ version: -1 });
+    const active = keys.find(k => k.status === 'active');
+
+    const byVersion = await Memory.aggregate([
+      { $match: { userId, encryptionMethod: ENCRYPTION_METHODS.SERVER_ENVELOPE_V1 } },
+      { $group: { _id: '$encryption.kekVersion', count: { $sum: 1 } } },
+      { $sort: { _id: -1 } }
+    ]);
+
+    return {
+      enabled: this.isEnabled,
+      activeVersion: active?.version || null,
+      keys: keys.map(k => ({
+        version: k.version,
+        status: k.status,
+        createdAt: k.createdAt,
+        retiredAt: k.retiredAt
+      })),
+      encryptedMemories: byVersion.map(v => ({ kekVersion: v._id, count: v.count }))
+    };
+  }
+}
+
+export default new EnvelopeService();
@@ -1,3 +1,7 @@
+import { DEFAULTS } from '../config/constants.js';
+
+const EARTH_RADIUS_METERS = 6371e3;
+
 class GeolocationService {
   
   /**
@@ -5,7 +9,7 @@ class GeolocationService {
    * @returns Distance in meters
    */
   calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371e3; // Earth's radius in meters
+    const R = EARTH_RADIUS_METERS;
     const φ1 = this.toRadians(lat1);
     const φ2 = this.toRadians(lat2);
     const Δφ = this.toRadians(lat2 - lat1);
@@ -194,6 +198,376 @@ class GeolocationService {
     }
   }
 
+  // =============================================
+  // AREAS AND ROUTES (GeoJSON)
+  // =============================================
+
+  /**
+   * Check a GeoJSON geometry before it is saved
+   * @param {Object} geometry - { type, coordinates }
+   * @param {string[]} types - Geometry types allowed here
+   * @returns {string|null} What is wrong with it
+   */
+  validateGeometry(geometry, types = ['Point', 'Polygon', 'MultiPolygon', 'LineString']) {
+    if (!geometry?.type || !types.includes(geometry.type)) {
+      return `Geometry type must be one of ${types.join(', ')}`;
+    }
+
+    const isPosition = position => Array.isArray(position) && position.length >= 2 &&
+      this.isValidCoordinates(position[1], position[0]);
+    const isRing = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+      ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+    const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+    const { type, coordinates } = geometry;
+    let valid;
+    let positions = 0;
+
+    if (type === 'Point') {
+      valid = isPosition(coordinates);
+      positions = 1;
+    } else if (type === 'LineString') {
+      valid = Array.isArray(coordinates) && coordinates.length >= 2 && coordinates.every(isPosition);
+      positions = coordinates?.length;
+    } else if (type === 'Polygon') {
+      valid = isPolygon(coordinates);
+      positions = valid && coordinates.flat().length;
+    } else {
+      valid = Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isPolygon);
+      positions = valid && coordinates.flat(2).length;
+    }
+
+    if (!valid) {
+      return type === 'Point'
+        ? 'Point must be [longitude, latitude]'
+        : `Invalid ${type} (rings must be closed and have at least 4 positions)`;
+    }
+    if (positions > DEFAULTS.GEOMETRY_MAX_POSITIONS) {
+      return `Geometry cannot have more than ${DEFAULTS.GEOMETRY_MAX_POSITIONS} positions`;
+    }
+
+    const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+    if (polygons.some(rings => this.hasCrossingEdges(rings))) {
+      return `Invalid ${type} (edges must not cross or touch, and holes must stay inside)`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether two segments [lon, lat] cross or touch
+   */
+  segmentsIntersect(a, b, c, d) {
+    const orientation = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+    const within = (p, q, r) => r[0] >= Math.min(p[0], q[0]) && r[0] <= Math.max(p[0], q[0]) &&
+      r[1] >= Math.min(p[1], q[1]) && r[1] <= Math.max(p[1], q[1]);
+
+    const o1 = orientation(a, b, c);
+    const o2 = orientation(a, b, d);
+    const o3 = orientation(c, d, a);
+    const o4 = orientation(c, d, b);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+
+    // Collinear: touching or overlapping
+    return (o1 === 0 && within(a, b, c)) || (o2 === 0 && within(a, b, d)) ||
+      (o3 === 0 && within(c, d, a)) || (o4 === 0 && within(c, d, b));
+  }
+
+  /**
+   * Whether any two edges of a polygon's rings cross or touch, apart from
+   * neighbouring edges of a ring at their shared corner. Repeated positions
+   * are ignored.
+   */
+  hasCrossingEdges(rings) {
+    const edges = [];
+    for (const [ringIndex, ring] of rings.entries()) {
+      const corners = ring.filter((position, i) =>
+        i === 0 || position[0] !== ring[i - 1][0] || position[1] !== ring[i - 1][1]);
+
+      for (let i = 1; i < corners.length; i++) {
+        edges.push({ ring: ringIndex, index: i, last: corners.length - 1, from: corners[i - 1], to: corners[i] });
+      }
+    }
+
+    for (let i = 0; i < edges.length; i++) {
+      const edge = edges[i];
+      const [minX, maxX] = [Math.min(edge.from[0], edge.to[0]), Math.max(edge.from[0], edge.to[0])];
+      const [minY, maxY] = [Math.min(edge.from[1], edge.to[1]), Math.max(edge.from[1], edge.to[1])];
+
+      for (let j = i + 1; j < edges.length; j++) {
+        const other = edges[j];
+        const neighbours = other.ring === edge.ring &&
+          (other.index === edge.index + 1 || (edge.index === 1 && other.index === other.last));
+        if (neighbours) continue;
+
+        if (Math.max(other.from[0], other.to[0]) < minX || Math.min(other.from[0], other.to[0]) > maxX ||
+            Math.max(other.from[1], other.to[1]) < minY || Math.min(other.from[1], other.to[1]) > maxY) continue;
+
+        if (this.segmentsIntersect(edge.from, edge.to, other.from, other.to)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Position on a plane tangent at origin, in meters (fine at city scale)
+   * @param {[number, number]} origin - [lon, lat]
+   * @returns {{ x, y }}
+   */
+  project(origin, lon, lat) {
+    return {
+      x: EARTH_RADIUS_METERS * this.toRadians(lon - origin[0]) * Math.cos(this.toRadians(origin[1])),
+      y: EARTH_RADIUS_METERS * this.toRadians(lat - origin[1])
+    };
+  }
+
+  /**
+   * Distance from p to segment ab, and how far along ab (0..1) the closest point is
+   */
+  distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+
+    return {
+      distance: Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy)),
+      t
+    };
+  }
+
+  /**
+   * Whether [lon, lat] is inside a GeoJSON Polygon (outer ring minus holes),
+   * and how far it is from the nearest edge
+   * @returns {{ inside, edgeDistance }}
+   */
+  locateInPolygon(lon, lat, rings) {
+    const origin = [lon, lat];
+    const point = { x: 0, y: 0 };
+    let edgeDistance = Infinity;
+
+    const insideRing = (ring) => {
+      const projected = ring.map(([x, y]) => this.project(origin, x, y));
+      let inside = false;
+
+      for (let i = 0, j = projected.length - 1; i < projected.length; j = i++) {
+        const a = projected[i];
+        const b = projected[j];
+        edgeDistance = Math.min(edgeDistance, this.distanceToSegment(point, a, b).distance);
+
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    };
+
+    const [outer, ...holes] = rings;
+    let inside = insideRing(outer);
+    for (const hole of holes) {
+      if (insideRing(hole)) inside = false;
+    }
+
+    return { inside, edgeDistance };
+  }
+
+  /**
+   * Verify a submitted location against a Polygon/MultiPolygon area;
+   * toleranceMeters outside the edge still passes (GPS jitter)
+   * @param {{ latitude, longitude }} submittedLocation
+   * @param {{ coordinates: { type, coordinates }, toleranceMeters? }} area
+   */
+  verifyArea(submittedLocation, area) {
+    const { latitude, longitude } = submittedLocation || {};
+    const tolerance = area.toleranceMeters ?? DEFAULTS.AREA_TOLERANCE_METERS;
+    const result = (passed, distanceMeters, message) => ({
+      passed,
+      mode: 'area',
+      withinRadius: passed,
+      distanceMeters,
+      allowedRadius: tolerance,
+      message
+    });
+
+    if (!this.isValidCoordinates(latitude, longitude)) {
+      return result(false, null, 'Location data not provided');
+    }
+
+    const { type, coordinates } = area.coordinates;
+    const polygons = type === 'MultiPolygon' ? coordinates : [coordinates];
+
+    let distance = Infinity;
+    for (const rings of polygons) {
+      const { inside, edgeDistance } = this.locateInPolygon(longitude, latitude, rings);
+      if (inside) {
+        return result(true, 0, '✅ Location verified (inside the quest area)');
+      }
+      distance = Math.min(distance, edgeDistance);
+    }
+
+    const distanceMeters = Math.round(distance);
+    return distanceMeters <= tolerance
+      ? result(true, distanceMeters, `✅ Location verified (${distanceMeters}m from the quest area)`)
+      : result(false, distanceMeters, `❌ Outside the quest area (${distanceMeters}m away)`);
+  }
+
+  /**
+   * Verify a breadcrumb of GPS fixes against a LineString route: the fixes
+   * must be timestamped, stay within the corridor, move forward along the
+   * route no faster than maxSpeedKmh and cover most of it
+   * @param {Array<{ latitude, longitude, timestamp, accuracy? }>} breadcrumb
+   * @param {{ coordinates: { type, coordinates }, route? }} target
+   */
+  verifyRoute(breadcrumb, target) {
+    const settings = {
+      corridorWidthMeters: DEFAULTS.ROUTE_CORRIDOR_WIDTH_METERS,
+      minCoverage: DEFAULTS.ROUTE_MIN_COVERAGE,
+      maxOffRouteRatio: DEFAULTS.ROUTE_MAX_OFF_ROUTE_RATIO,
+      maxGapMeters: DEFAULTS.ROUTE_MAX_GAP_METERS,
+      maxSpeedKmh: DEFAULTS.ROUTE_MAX_SPEED_KMH,
+      ...Object.fromEntries(Object.entries(target.route || {}).filter(([, value]) => value !== undefined && value !== null))
+    };
+    const halfWidth = settings.corridorWidthMeters / 2;
+    const result = (passed, message, extra = {}) => ({
+      passed,
+      mode: 'route',
+      withinRadius: passed,
+      distanceMeters: null,
+      allowedRadius: halfWidth,
+      coverage: 0,
+      fixes: 0,
+      offRouteFixes: 0,
+      message,
+      ...extra
+    });
+
+    const fixes = (Array.isArray(breadcrumb) ? breadcrumb : [])
+      .filter(fix => this.isValidCoordinates(fix?.latitude, fix?.longitude));
+
+    if (fixes.length < 2) {
+      return result(false, 'Record your route: at least 2 GPS fixes are required');
+    }
+    if (fixes.length > DEFAULTS.ROUTE_MAX_FIXES) {
+      return result(false, `Too many GPS fixes (max ${DEFAULTS.ROUTE_MAX_FIXES})`);
+    }
+
+    const timed = fixes.every(fix => fix.timestamp && !isNaN(new Date(fix.timestamp)));
+    if (!timed) {
+      return result(false, 'Each GPS fix needs a timestamp');
+    }
+    fixes.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    // Distance between fixes beyond what their accuracy explains
+    const slack = fix => Math.min(Math.max(Number(fix.accuracy) || 0, 0), halfWidth);
+    for (let i = 1; i < fixes.length; i++) {
+      const [from, to] = [fixes[i - 1], fixes[i]];
+      const seconds = (new Date(to.timestamp) - new Date(from.timestamp)) / 1000;
+      const meters = this.calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+
+      if (meters - slack(from) - slack(to) > (settings.maxSpeedKmh / 3.6) * seconds) {
+        const speed = seconds > 0 ? `${Math.round((meters / seconds) * 3.6)} km/h` : `${Math.round(meters)}m in no time`;
+        return result(false, `❌ Impossible speed between GPS fixes (${speed}, max ${settings.maxSpeedKmh} km/h)`, {
+          fixes: fixes.length
+        });
+      }
+    }
+
+    // Route vertices on a plane, with the distance along the route to each
+    const line = target.coordinates.coordinates;
+    const origin = line[0];
+    const vertices = line.map(([lon, lat]) => this.project(origin, lon, lat));
+    const along = [0];
+    for (let i = 1; i < vertices.length; i++) {
+      along.push(along[i - 1] + Math.hypot(vertices[i].x - vertices[i - 1].x, vertices[i].y - vertices[i - 1].y));
+    }
+    const length = along[along.length - 1];
+
+    const matched = fixes.map((fix) => {
+      const point = this.project(origin, fix.longitude, fix.latitude);
+      let best = { distance: Infinity, along: 0 };
+
+      for (let i = 1; i < vertices.length; i++) {
+        const { distance, t } = this.distanceToSegment(point, vertices[i - 1], vertices[i]);
+        if (distance < best.distance) {
+          best = { distance, along: along[i - 1] + t * (along[i] - along[i - 1]) };
+        }
+      }
+      return { ...best, onRoute: best.distance <= halfWidth };
+    });
+
+    const onRoute = matched.filter(fix => fix.onRoute);
+    const offRouteFixes = matched.length - onRoute.length;
+    const maxOffset = Math.round(Math.max(...matched.map(fix => fix.distance)));
+
+    // Stretches walked between consecutive fixes on the route
+    const stretches = [];
+    let backtracked = 0;
+    for (let i = 1; i < onRoute.length; i++) {
+      const step = onRoute[i].along - onRoute[i - 1].along;
+      if (step < -settings.corridorWidthMeters) backtracked += 1;
+      if (Math.abs(step) <= settings.maxGapMeters) {
+        stretches.push([Math.min(onRoute[i - 1].along, onRoute[i].along), Math.max(onRoute[i - 1].along, onRoute[i].along)]);
+      }
+    }
+
+    stretches.sort((a, b) => a[0] - b[0]);
+    let covered = 0;
+    let reach = -Infinity;
+    for (const [start, end] of stretches) {
+      if (end <= reach) continue;
+      covered += end - Math.max(start, reach);
+      reach = end;
+    }
+
+    const coverage = length > 0 ? Math.min(1, covered / length) : 0;
+    const stats = {
+      distanceMeters: maxOffset,
+      coverage: Math.round(coverage * 100) / 100,
+      fixes: matched.length,
+      offRouteFixes
+    };
+
+    if (offRouteFixes / matched.length > settings.maxOffRouteRatio) {
+      return result(false, `❌ Left the route (${offRouteFixes} of ${matched.length} fixes more than ${halfWidth}m away)`, stats);
+    }
+    if (backtracked > 0) {
+      return result(false, '❌ Route followed in the wrong direction', stats);
+    }
+    if (coverage < settings.minCoverage) {
+      return result(false, `❌ Only ${Math.round(coverage * 100)}% of the route covered (need ${Math.round(settings.minCoverage * 100)}%)`, stats);
+    }
+
+    return result(true, `✅ Route verified (${Math.round(coverage * 100)}% covered)`, stats);
+  }
+
+  /**
+   * Verify a submission against a location of any shape: Point with
+   * radiusMeters, Polygon/MultiPolygon area, or LineString route (needs
+   * submission.breadcrumb)
+   * @param {{ location, breadcrumb? }} submission
+   * @param {{ coordinates: { type, coordinates }, radiusMeters?, toleranceMeters?, route? }} location
+   */
+  verifyGeometry(submission, location) {
+    switch (location?.coordinates?.type) {
+      case 'Polygon':
+      case 'MultiPolygon':
+        return this.verifyArea(submission.location, location);
+      case 'LineString':
+        return this.verifyRoute(submission.breadcrumb, location);
+      default:
+        return {
+          mode: 'point',
+          ...this.verifyLocation(submission.location, {
+            coordinates: location?.coordinates?.coordinates,
+            radiusMeters: location?.radiusMeters
+          })
+        };
+    }
+  }
+
   /**
    * Simple anti-spoofing detection hook (optional).
    * If deviceInfo is not provided, callers usually skip this anyway.
@@ -0,0 +1,449 @@
+import InheritancePlan from '../models/InheritancePlan.js';
+import InheritanceRelease from '../models/InheritanceRelease.js';
+import Memory from '../models/Memory.js';
+import SharedLink from '../models/SharedLink.js';
+import User from '../models/User.js';
+import aptosService from './aptosService.js';
+import emailService from './emailService.js';
+import { getBaseUrl } from '../utils/networkHelper.js';
+import {
+  INHERITANCE_STATUS,
+  ENCRYPTION_METHODS,
+  KEY_RECIPIENT_TYPES,
+  DEFAULTS
+} from '../config/constants.js';
+
+/**
+ * Inheritance Service
+ * Dead-man's switch for memory vaults: sends reminder emails when an owner
+ * misses a check-in, and releases their memories to beneficiaries once the
+ * grace period has run out.
+ */
+class InheritanceService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Start the periodic sweep (called from server.js after DB connect)
+   * @param {number} intervalMs - How often to look for due plans
+   */
+  start(intervalMs = Number(process.env.INHERITANCE_SWEEP_INTERVAL_MS) || 15 * 60 * 1000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDuePlans().catch(err => {
+        console.error('❌ Inheritance sweep failed:', err.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the sweep
+    this.timer.unref();
+    console.log(`🕯️  Inheritance sweep running every ${Math.round(intervalMs / 60000)} min`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send reminders and release vaults for every plan whose check-in is overdue
+   */
+  async processDuePlans(now = new Date()) {
+    if (this.sweeping) return { skipped: true };
+    this.sweeping = true;
+
+    const summary = { reminded: 0, released: 0, failed: 0 };
+
+    try {
+      // Due plans, and releases that an earlier sweep left unfinished
+      const staleBefore = new Date(now.getTime() - DEFAULTS.INHERITANCE_RELEASE_STALE_MINUTES * 60 * 1000);
+      const duePlans = await InheritancePlan.find({
+        $or: [
+          {
+            status: { $in: [INHERITANCE_STATUS.ACTIVE, INHERITANCE_STATUS.OVERDUE] },
+            nextCheckInDue: { $lte: now }
+          },
+          { status: INHERITANCE_STATUS.RELEASING, releaseClaimedAt: { $lte: staleBefore } }
+        ]
+      });
+
+      for (const plan of duePlans) {
+        const resuming = plan.status === INHERITANCE_STATUS.RELEASING;
+
+        try {
+          if (resuming || plan.isReleaseDue(now)) {
+            // Claim the plan so a second instance can't release it at the same time
+            const claimed = await InheritancePlan.findOneAndUpdate(
+              {
+                _id: plan._id,
+                status: plan.status,
+                ...(resuming && { releaseClaimedAt: plan.releaseClaimedAt })
+              },
+              {
+                status: INHERITANCE_STATUS.RELEASING,
+                releaseStartedAt: plan.releaseStartedAt || now,
+                releaseClaimedAt: now,
+                $inc: { releaseAttempts: 1 }
+              },
+              { new: true }
+            );
+            if (!claimed) continue;
+
+            try {
+              await this.releasePlan(claimed);
+            } catch (error) {
+              // Hand the plan back to the sweep; memories already released are skipped next time
+              await InheritancePlan.updateOne(
+                { _id: claimed._id, status: INHERITANCE_STATUS.RELEASING },
+                {
+                  status: resuming ? INHERITANCE_STATUS.OVERDUE : plan.status,
+                  releaseError: error.message
+                }
+              );
+              throw error;
+            }
+            summary.released += 1;
+          } else if (plan.isReminderDue(now)) {
+            await this.sendReminder(plan);
+            summary.reminded += 1;
+          }
+        } catch (error) {
+          console.error(`❌ Inheritance plan ${plan._id} failed:`, error.message);
+          summary.failed += 1;
+        }
+      }
+
+      if (summary.reminded || summary.released || summary.failed) {
+        console.log('🕯️  Inheritance sweep:', summary);
+      }
+
+      return summary;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Email the owner that their check-in is overdue
+   */
+  async sendReminder(plan) {
+    const owner = await User.findById(plan.userId);
+    const reminder = { sentAt: new Date() };
+
+    try {
+      const result = await emailService.sendInheritanceReminderEmail({
+        to: owner.email,
+        userName: owner.name,
+        dueAt: plan.nextCheckInDue,
+        releaseAt: plan.releaseAt,
+        checkInUrl: `${getBaseUrl()}/inheritance`
+      });
+      reminder.delivered = !!result.success;
+    } catch (error) {
+      reminder.delivered = false;
+      reminder.error = error.message;
+    }
+
+    plan.status = INHERITANCE_STATUS.OVERDUE;
+    plan.lastReminderAt = reminder.sentAt;
+    plan.reminders.push(reminder);
+    await plan.save();
+
+    return reminder;
+  }
+
+  /**
+   * Release every inheritance-enabled memory of the plan owner
+   * to the beneficiaries listed on that memory. Safe to run again after a
+   * failure: released memories are skipped and only unsent emails go out.
+   */
+  async releasePlan(plan) {
+    const owner = await User.findById(plan.userId);
+    const memories = await Memory.find({
+      userId: plan.userId,
+      inheritanceEnabled: true,
+      $or: [{ inheritedAt: null }, { inheritedAt: { $lt: plan.releaseStartedAt } }],
+      'beneficiaries.0': { $exists: true }
+    }).select('+wrappedKeys');
+
+    console.log(`🕯️  Releasing ${memories.length} memories for user ${plan.userId}`);
+
+    for (const memory of memories) {
+      let onChainRecipient = null;
+      // An attempt that crashed part-way through this memory may have handled some already
+      const released = await this.getReleasedBeneficiaries(plan, memory);
+
+      for (const beneficiary of memory.beneficiaries) {
+        const alreadyReleased = released.has(this.beneficiaryKey(beneficiary));
+        const recipient = await this.resolveBeneficiary(beneficiary);
+        if (recipient) {
+          await this.grantAccess(plan, memory, beneficiary, recipient, { audit: !alreadyReleased });
+        } else if (!alreadyReleased) {
+          await this.createBeneficiaryLink(plan, memory, beneficiary);
+        }
+
+        if (!onChainRecipient) {
+          const address = beneficiary.walletAddress || recipient?.aptosAddress;
+          if (address) onChainRecipient = { beneficiary, recipient, address };
+        }
+      }
+
+      if (plan.transferOnChain && memory.isOnChain && onChainRecipient) {
+        await this.transferOnChain(plan, memory, onChainRecipient);
+      }
+
+      memory.inheritedAt = new Date();
+      await memory.save();
+    }
+
+    const beneficiariesNotified = await this.notifyBeneficiaries(plan, owner);
+
+    plan.status = INHERITANCE_STATUS.RELEASED;
+    plan.releasedAt = new Date();
+    plan.releaseError = undefined;
+    await plan.save();
+
+    return { memoriesReleased: memories.length, beneficiariesNotified };
+  }
+
+  /**
+   * One email per beneficiary listing everything released to them that
+   * they haven't been told about yet
+   * @returns {number} Beneficiaries emailed
+   */
+  async notifyBeneficiaries(plan, owner) {
+    const grants = await InheritanceRelease.find({
+      planId: plan._id,
+      action: { $in: ['access_granted', 'share_link_created'] },
+      status: 'success',
+      notified: false,
+      'beneficiary.email': { $ne: null }
+    });
+    if (grants.length === 0) return 0;
+
+    const [memories, links] = await Promise.all([
+      Memory.find({ _id: { $in: grants.map(grant => grant.memoryId) } }).select('title'),
+      SharedLink.find({ _id: { $in: grants.map(grant => grant.shareLinkId).filter(Boolean) } }).select('shortCode')
+    ]);
+    const titles = new Map(memories.map(memory => [memory._id.toString(), memory.title]));
+    const shortCodes = new Map(links.map(link => [link._id.toString(), link.shortCode]));
+
+    // email -> [{ title, url }]
+    const notifications = new Map();
+    for (const grant of grants) {
+      const shortCode = shortCodes.get(grant.shareLinkId?.toString());
+      const url = grant.action === 'access_granted'
+        ? `${getBaseUrl()}/memories/${grant.memoryId}`
+        : (shortCode ? `${getBaseUrl()}/share/${shortCode}` : null);
+
+      const items = notifications.get(grant.beneficiary.email) || [];
+      items.push({ title: titles.get(grant.memoryId.toString()), url });
+      notifications.set(grant.beneficiary.email, items);
+    }
+
+    let notified = 0;
+    for (const [email, items] of notifications) {
+      try {
+        const result = await emailService.sendInheritanceReleaseEmail({
+          to: email,
+          ownerName: owner?.name,
+          memories: items
+        });
+        if (result.success) {
+          await InheritanceRelease.updateMany(
+            { planId: plan._id, 'beneficiary.email': email },
+            { notified: true }
+          );
+          notified += 1;
+        }
+      } catch (error) {
+        console.warn(`Inheritance email to ${email} failed:`, error.message);
+      }
+    }
+
+    return notified;
+  }
+
+  beneficiaryKey(beneficiary) {
+    return `${beneficiary.email?.toLowerCase() || ''}|${beneficiary.walletAddress || ''}`;
+  }
+
+  /**
+   * Beneficiaries (by beneficiaryKey) this plan already released a memory to
+   */
+  async getReleasedBeneficiaries(plan, memory) {
+    const entries = await InheritanceRelease.find({
+      planId: plan._id,
+      memoryId: memory._id,
+      action: { $in: ['access_granted', 'share_link_created'] },
+      status: 'success'
+    }).select('beneficiary');
+
+    return new Set(entries.map(entry => this.beneficiaryKey(entry.beneficiary)));
+  }
+
+  /**
+   * Find the verified LifeVault account behind a beneficiary entry, if any.
+   * Unverified accounts don't count: anyone can sign up with an address they
+   * don't own, so those beneficiaries get the emailed link instead.
+   */
+  async resolveBeneficiary(beneficiary) {
+    const conditions = [];
+    if (beneficiary.email) conditions.push({ email: beneficiary.email.toLowerCase() });
+    if (beneficiary.walletAddress) conditions.push({ aptosAddress: beneficiary.walletAddress });
+    if (conditions.length === 0) return null;
+
+    const users = await User.find({ $or: conditions });
+    return users.find(user => user.isAccountVerified()) || null;
+  }
+
+  /**
+   * Existing user: add them to the memory's sharedWith list
+   * @param {boolean} options.audit - false when an earlier attempt already recorded it
+   */
+  async grantAccess(plan, memory, beneficiary, recipient, { audit = true } = {}) {
+    const alreadyShared = memory.sharedWith.some(
+      s => s.userId?.toString() === recipient._id.toString()
+    );
+
+    if (!alreadyShared) {
+      memory.sharedWith.push({
+        userId: recipient._id,
+        permissions: 'download',
+        sharedAt: new Date()
+      });
+    }
+
+    if (audit) {
+      await this.audit(plan, memory, beneficiary, {
+        action: 'access_granted',
+        status: 'success',
+        'beneficiary.userId': recipient._id
+      });
+    }
+
+    return { url: `${getBaseUrl()}/memories/${memory._id}` };
+  }
+
+  /**
+   * No account yet: send them a long-lived download link instead
+   */
+  async createBeneficiaryLink(plan, memory, beneficiary) {
+    if (!beneficiary.email) {
+      await this.audit(plan, memory, beneficiary, {
+        action: 'share_link_created',
+        status: 'failed',
+        error: 'Beneficiary has no account and no email address'
+      });
+      return null;
+    }
+
+    // Client-encrypted: the link only helps if it carries their passphrase key
+    let wrappedKey;
+    if (memory.encryptionMethod === ENCRYPTION_METHODS.CLIENT_E2EE_V1) {
+      wrappedKey = memory.wrappedKeys?.find(k =>
+        k.isBeneficiary &&
+        k.recipientType === KEY_RECIPIENT_TYPES.PASSPHRASE &&
+        k.email === beneficiary.email.toLowerCase()
+      );
+
+      if (!wrappedKey) {
+        await this.audit(plan, memory, beneficiary, {
+          action: 'share_link_created',
+          status: 'failed',
+          error: 'No passphrase key was wrapped for this beneficiary'
+        });
+        return null;
+      }
+    }
+
+    try {
+      const shortCode = SharedLink.generateShortCode();
+      const shareLink = await SharedLink.create({
+        memoryId: memory._id,
+        userId: memory.userId,
+        token: SharedLink.generateToken(),
+        shortCode,
+        expiresAt: new Date(Date.now() + DEFAULTS.INHERITANCE_SHARE_LINK_DAYS * 24 * 60 * 60 * 1000),
+        accessType: 'download',
+        wrappedKey: wrappedKey?.toObject()
+      });
+
+      await this.audit(plan, memory, beneficiary, {
+        action: 'share_link_created',
+        status: 'success',
+        shareLinkId: shareLink._id
+      });
+
+      return { url: `${getBaseUrl()}/share/${shortCode}` };
+    } catch (error) {
+      await this.audit(plan, memory, beneficiary, {
+        action: 'share_link_created',
+        status: 'failed',
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Move the on-chain record to the beneficiary's wallet
+   */
+  async transferOnChain(plan, memory, { beneficiary, recipient, address }) {
+    try {
+      let onChainId = memory.onChainId;
+      if (!onChainId && memory.txHash) {
+        onChainId = await aptosService.getMemoryIdFromTransaction(memory.txHash);
+        memory.onChainId = onChainId;
+      }
+
+      if (!onChainId) {
+        throw new Error('On-chain memory id could not be resolved');
+      }
+
+      const result = await aptosService.transferMemoryOnChain(onChainId, address);
+      memory.onChainOwner = address;
+
+      await this.audit(plan, memory, beneficiary, {
+        action: 'transferred_on_chain',
+        status: 'success',
+        txHash: result.txHash,
+        'beneficiary.userId': recipient?._id,
+        'beneficiary.walletAddress': address
+      });
+    } catch (error) {
+      console.warn(`On-chain transfer of memory ${memory._id} failed:`, error.message);
+      await this.audit(plan, memory, beneficiary, {
+        action: 'transferred_on_chain',
+        status: 'failed',
+        error: error.message,
+        'beneficiary.walletAddress': address
+      });
+    }
+  }
+
+  /**
+   * Append an entry to the release audit trail
+   */
+  async audit(plan, memory, beneficiary, details) {
+    const entry = new InheritanceRelease({
+      planId: plan._id,
+      ownerId: plan.userId,
+      memoryId: memory._id,
+      beneficiary: {
+        email: beneficiary.email,
+        walletAddress: beneficiary.walletAddress,
+        relationship: beneficiary.relationship
+      }
+    });
+    entry.set(details);
+    return entry.save();
+  }
+}
+
+export default new InheritanceService();
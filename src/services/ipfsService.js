@@ -1,84 +1,72 @@
-import axios from 'axios';
-import FormData from 'form-data';
 import dotenv from 'dotenv';
+import PinataProvider from './storage/pinataProvider.js';
+import KuboProvider from './storage/kuboProvider.js';
+import FilesystemProvider from './storage/filesystemProvider.js';
 
 // Ensure env variables are loaded even if called out of order
 dotenv.config();
 
+/**
+ * Storage providers, selected with STORAGE_PROVIDER.
+ *
+ * Every provider implements:
+ * - pinJSON(jsonData, metadata)         -> { success, ipfsHash, gatewayUrl }
+ * - pinFile(buffer, fileName, metadata) -> { success, ipfsHash, gatewayUrl }
+ * - pinStream(stream, fileName, { size, contentType }) -> { success, ipfsHash, gatewayUrl }
+ * - getFile(ipfsHash)                   -> { success, data, contentType }
+ * - getStream(ipfsHash)                 -> { success, stream, contentType }
+ * - unpin(ipfsHash)                     -> { success }
+ * and exposes `name` and `gatewayUrl`.
+ */
+const PROVIDERS = {
+  pinata: PinataProvider,
+  kubo: KuboProvider,
+  filesystem: FilesystemProvider
+};
+
 class IPFSService {
   constructor() {
-    this.pinataBaseUrl = 'https://api.pinata.cloud';
-    this.gatewayUrl = 'https://gateway.pinata.cloud/ipfs';
-  }
+    const providerName = (process.env.STORAGE_PROVIDER || 'pinata').toLowerCase();
+    const Provider = PROVIDERS[providerName];
 
-  // Get JWT dynamically to ensure it's loaded from process.env
-  getHeaders() {
-    const jwt = process.env.PINATA_JWT;
-    
-    if (!jwt) {
-      console.error("❌ CRITICAL: PINATA_JWT is missing from process.env");
-      throw new Error("Pinata JWT not configured");
+    if (!Provider) {
+      throw new Error(
+        `Unknown STORAGE_PROVIDER "${providerName}". Options: ${Object.keys(PROVIDERS).join(', ')}`
+      );
     }
 
-    return {
-      'Authorization': `Bearer ${jwt.trim()}`
-    };
+    this.provider = new Provider();
   }
 
-  async pinJSON(jsonData, metadata = {}) {
-    try {
-      const response = await axios.post(
-        `${this.pinataBaseUrl}/pinning/pinJSONToIPFS`,
-        {
-          pinataContent: jsonData,
-          pinataMetadata: { name: metadata.name || 'LifeVault Memory' }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            ...this.getHeaders()
-          }
-        }
-      );
+  get providerName() {
+    return this.provider.name;
+  }
 
-      return {
-        success: true,
-        ipfsHash: response.data.IpfsHash,
-        gatewayUrl: `${this.gatewayUrl}/${response.data.IpfsHash}`
-      };
-    } catch (error) {
-      console.error('IPFS JSON Pin Error:', error.response?.data || error.message);
-      throw new Error(`Failed to pin to IPFS: ${error.message}`);
-    }
+  get gatewayUrl() {
+    return this.provider.gatewayUrl;
+  }
+
+  /**
+   * Whether this server should serve content itself on /ipfs/:cid
+   */
+  get servesLocalGateway() {
+    return !!this.provider.servesLocalGateway;
+  }
+
+  getGatewayUrl(ipfsHash) {
+    return `${this.gatewayUrl}/${ipfsHash}`;
+  }
+
+  async pinJSON(jsonData, metadata = {}) {
+    return this.provider.pinJSON(jsonData, metadata);
   }
 
   async pinFile(fileBuffer, fileName, metadata = {}) {
-    try {
-      const formData = new FormData();
-      formData.append('file', fileBuffer, { filename: fileName });
-      formData.append('pinataMetadata', JSON.stringify({ name: fileName }));
-
-      const response = await axios.post(
-        `${this.pinataBaseUrl}/pinning/pinFileToIPFS`,
-        formData,
-        {
-          maxBodyLength: Infinity,
-          headers: {
-            ...formData.getHeaders(),
-            ...this.getHeaders() // Calling the helper here
-          }
-        }
-      );
+    return this.provider.pinFile(fileBuffer, fileName, metadata);
+  }
 
-      return {
-        success: true,
-        ipfsHash: response.data.IpfsHash,
-        gatewayUrl: `${this.gatewayUrl}/${response.data.IpfsHash}`
-      };
-    } catch (error) {
-      console.error('IPFS File Pin Error:', error.response?.data || error.message);
-      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
-    }
+  async pinStream(stream, fileName, metadata = {}) {
+    return this.provider.pinStream(stream, fileName, metadata);
   }
 
   async pinBase64(base64Data, fileName, metadata = {}) {
@@ -89,15 +77,16 @@ class IPFSService {
   }
 
   async getFile(ipfsHash) {
-    const response = await axios.get(`${this.gatewayUrl}/${ipfsHash}`, {
-      responseType: 'arraybuffer'
-    });
-    return {
-      success: true,
-      data: response.data,
-      contentType: response.headers['content-type']
-    };
+    return this.provider.getFile(ipfsHash);
+  }
+
+  async getStream(ipfsHash) {
+    return this.provider.getStream(ipfsHash);
+  }
+
+  async unpin(ipfsHash) {
+    return this.provider.unpin(ipfsHash);
   }
 }
 
-export default new IPFSService();
\ No newline at end of file
+export default new IPFSService();
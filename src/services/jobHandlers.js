@@ -0,0 +1,239 @@
+import jobService from './jobService.js';
+import ipfsService from './ipfsService.js';
+import aptosService from './aptosService.js';
+import emailService from './emailService.js';
+import treasuryService from './treasuryService.js';
+import Memory from '../models/Memory.js';
+import User from '../models/User.js';
+import QuestCompletion from '../models/QuestCompletion.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import { JOB_TYPES, CONTENT_STATUS, CHAIN_STATUS, LEDGER_TYPES } from '../config/constants.js';
+
+/**
+ * Handlers for every background job type.
+ * Imported once at startup (server.js) so the workers can run them.
+ * A job may run again after a crash, so each handler first checks
+ * whether its work was already done.
+ */
+
+// =============================================
+// MEMORIES
+// =============================================
+
+/**
+ * Pin staged memory content, then queue the on-chain anchor if requested.
+ * Payload: { memoryId, blobId, fileName, contentType, size, storeOnChain }
+ */
+jobService.register(JOB_TYPES.MEMORY_PIN, async ({ memoryId, blobId, fileName, contentType, size, storeOnChain }) => {
+  const memory = await Memory.findById(memoryId);
+
+  if (!memory) {
+    await jobService.deleteBlob(blobId);
+    return { skipped: 'Memory was deleted' };
+  }
+
+  if (memory.contentStatus !== CONTENT_STATUS.STORED) {
+    const result = await ipfsService.pinStream(jobService.openBlob(blobId), fileName, {
+      userId: memory.userId.toString(),
+      title: memory.title,
+      category: memory.category,
+      size,
+      contentType
+    });
+
+    memory.ipfsHash = result.ipfsHash;
+    memory.ipfsUrl = result.gatewayUrl;
+    memory.contentStatus = CONTENT_STATUS.STORED;
+    await memory.save();
+
+    console.log(`📌 Pinned memory ${memory._id}: ${result.ipfsHash}`);
+  }
+
+  await jobService.deleteBlob(blobId);
+
+  const anchorJob = storeOnChain
+    ? await queueMemoryAnchor(memory)
+    : null;
+
+  return {
+    ipfsHash: memory.ipfsHash,
+    gatewayUrl: memory.ipfsUrl,
+    anchorJobId: anchorJob?._id || null
+  };
+}, {
+  onDead: async ({ memoryId, blobId }) => {
+    await jobService.deleteBlob(blobId);
+
+    const memory = await Memory.findOneAndUpdate(
+      { _id: memoryId, contentStatus: CONTENT_STATUS.PENDING },
+      { contentStatus: CONTENT_STATUS.FAILED }
+    );
+
+    // Give the reserved quota back
+    if (memory) {
+      await User.findByIdAndUpdate(memory.userId, {
+        $inc: { totalMemories: -1, storageUsed: -(memory.fileSize || 0) }
+      });
+    }
+  }
+});
+
+/**
+ * Store a pinned memory's hash on Aptos.
+ * Payload: { memoryId }
+ *
+ * The transaction hash is saved as soon as it is submitted, so a retry
+ * after a crash or timeout picks up that transaction instead of storing
+ * the memory a second time.
+ */
+jobService.register(JOB_TYPES.MEMORY_ANCHOR, async ({ memoryId }) => {
+  const memory = await Memory.findById(memoryId);
+
+  if (!memory) return { skipped: 'Memory was deleted' };
+  if (memory.txHash) {
+    return { txHash: memory.txHash, memoryId: memory.onChainId };
+  }
+
+  // Throws while a previous attempt's transaction is pending, so the job retries later
+  let result = memory.pendingTxHash
+    ? await aptosService.getStoredMemory(memory.pendingTxHash)
+    : null;
+
+  if (!result) {
+    const owner = await User.findById(memory.userId);
+    result = await aptosService.storeMemoryOnChain(memory.ipfsHash, owner?.aptosAddress, {
+      onSubmitted: hash => Memory.updateOne({ _id: memory._id }, { pendingTxHash: hash })
+    });
+  }
+
+  memory.txHash = result.txHash;
+  memory.pendingTxHash = null;
+  memory.txVersion = result.txVersion;
+  memory.isOnChain = true;
+  memory.onChainId = result.memoryId || null;
+  memory.onChainOwner = result.owner || null;
+  memory.chainStatus = CHAIN_STATUS.PENDING;
+  await memory.save();
+
+  return {
+    txHash: result.txHash,
+    txVersion: result.txVersion,
+    memoryId: result.memoryId || null
+  };
+});
+
+/**
+ * Queue the on-chain anchor of a memory (once per memory)
+ */
+export const queueMemoryAnchor = (memory) => jobService.enqueue(
+  JOB_TYPES.MEMORY_ANCHOR,
+  { memoryId: memory._id.toString() },
+  { idempotencyKey: `memory.anchor:${memory._id}`, userId: memory.userId }
+);
+
+// =============================================
+// QUESTS & REWARDS
+// =============================================
+
+/**
+ * Pin a quest submission photo.
+ * Payload: { completionId, blobId, fileName, questId, userId }
+ */
+jobService.register(JOB_TYPES.QUEST_PHOTO_PIN, async ({ completionId, blobId, fileName, questId, userId }) => {
+  const completion = await QuestCompletion.findById(completionId);
+
+  if (!completion) {
+    await jobService.deleteBlob(blobId);
+    return { skipped: 'Quest completion was deleted' };
+  }
+
+  if (!completion.submission?.photoIpfsHash) {
+    const result = await ipfsService.pinStream(jobService.openBlob(blobId), fileName, {
+      questId,
+      userId
+    });
+
+    completion.submission.photoUrl = result.gatewayUrl;
+    completion.submission.photoIpfsHash = result.ipfsHash;
+    await completion.save();
+  }
+
+  await jobService.deleteBlob(blobId);
+
+  return {
+    ipfsHash: completion.submission.photoIpfsHash,
+    gatewayUrl: completion.submission.photoUrl
+  };
+}, {
+  onDead: ({ blobId }) => jobService.deleteBlob(blobId)
+});
+
+/**
+ * Pay a reserved APT reward from its treasury and post the payout.
+ * Payload: { userId, amount, reserveId, questId?, completionId?, campaignId? }
+ */
+jobService.register(JOB_TYPES.APT_REWARD, async ({ userId, amount, reserveId, completionId }) => {
+  const reserve = await LedgerTransaction.findById(reserveId);
+  if (!reserve) throw new Error(`Reward reserve ${reserveId} not found`);
+
+  const user = await User.findById(userId);
+  if (!user?.aptosAddress) {
+    await treasuryService.cancelReserve(reserve, 'No wallet address');
+    return { skipped: 'No wallet address' };
+  }
+
+  console.log(`💰 Sending ${amount} APT to ${user.aptosAddress}`);
+  const payout = await treasuryService.payReserve(reserve, user.aptosAddress);
+
+  if (payout.type !== LEDGER_TYPES.PAYOUT) {
+    return { skipped: 'Reward was reversed', reversalId: payout._id };
+  }
+
+  if (completionId) {
+    await QuestCompletion.updateOne({ _id: completionId }, {
+      blockchain: {
+        txHash: payout.txHash,
+        txVersion: Number(payout.txVersion),
+        status: 'confirmed',
+        confirmedAt: new Date()
+      },
+      'rewards.aptAmount': amount
+    });
+  }
+
+  return { amount, txHash: payout.txHash, txVersion: payout.txVersion, payoutId: payout._id };
+}, {
+  onDead: async ({ reserveId, completionId }, job) => {
+    const reserve = await LedgerTransaction.findById(reserveId);
+    const settlement = reserve
+      ? await treasuryService.cancelReserve(reserve, `Payout failed: ${job.lastError}`)
+      : null;
+
+    if (completionId && settlement?.type !== LEDGER_TYPES.PAYOUT) {
+      await QuestCompletion.updateOne({ _id: completionId }, { 'blockchain.status': 'failed' });
+    }
+  }
+});
+
+// =============================================
+// EMAIL
+// =============================================
+
+const EMAIL_TEMPLATES = {
+  questCompletion: 'sendQuestCompletionEmail'
+};
+
+/**
+ * Send one email. Skipped (not retried) when SMTP isn't configured.
+ * Payload: { template, data }
+ */
+jobService.register(JOB_TYPES.EMAIL, async ({ template, data }) => {
+  const method = EMAIL_TEMPLATES[template];
+  if (!method) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  return emailService[method](data);
+});
+
+export default { queueMemoryAnchor };
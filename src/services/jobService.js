@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import os from 'os';
+import { Readable, pipeline } from 'stream';
+import Job from '../models/Job.js';
+import DeadLetterJob from '../models/DeadLetterJob.js';
+import { JOB_STATUS, DEFAULTS } from '../config/constants.js';
+
+/**
+ * Job Service
+ * MongoDB-backed queue for side effects that shouldn't hold up a request
+ * (IPFS pins, Aptos transactions, emails):
+ * - jobs with the same idempotency key are only enqueued once
+ * - failed attempts are retried with exponential backoff (and jitter)
+ * - jobs out of attempts are copied to the dead-letter collection
+ * - a job whose worker died is picked up again once its lock expires,
+ *   so handlers must be safe to run twice
+ *
+ * Files a job needs (e.g. content waiting to be pinned) are kept in
+ * GridFS until the job is done.
+ *
+ * Env:
+ * - JOB_WORKERS (default 1) jobs this process runs at the same time
+ */
+class JobService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.timers = new Set();
+    this.bucket = null;
+  }
+
+  /**
+   * Register the function that runs jobs of `type`.
+   * `handler(payload, job)` returns the job result; throwing fails the attempt.
+   * `onDead(payload, job)` runs once when the job runs out of attempts.
+   */
+  register(type, handler, { maxAttempts, onDead } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, onDead });
+  }
+
+  /**
+   * Queue a job. With an idempotency key, an existing job with that key
+   * is returned instead of creating another.
+   */
+  async enqueue(type, payload = {}, { idempotencyKey, userId = null, runAt = new Date(), maxAttempts } = {}) {
+    if (idempotencyKey) {
+      const existing = await this.findByKey(idempotencyKey);
+      if (existing) return existing;
+    }
+
+    try {
+      return await Job.create({
+        type,
+        payload,
+        idempotencyKey,
+        userId,
+        runAt,
+        maxAttempts: maxAttempts || this.handlers.get(type)?.maxAttempts || DEFAULTS.JOB_MAX_ATTEMPTS
+      });
+    } catch (error) {
+      // Lost the race to another request with the same key
+      if (error.code === 11000 && idempotencyKey) return this.findByKey(idempotencyKey);
+      throw error;
+    }
+  }
+
+  async findByKey(idempotencyKey) {
+    return Job.findOne({ idempotencyKey });
+  }
+
+  // =============================================
+  // WORKERS
+  // =============================================
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const workers = Math.max(parseInt(process.env.JOB_WORKERS) || 1, 1);
+    for (let i = 0; i < workers; i++) {
+      this.schedule(0);
+    }
+
+    console.log(`⚙️  Job workers started (${workers})`);
+  }
+
+  stop() {
+    this.running = false;
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /**
+   * Run the next due job after `delay`, then keep going while there is work
+   */
+  schedule(delay) {
+    const timer = setTimeout(async () => {
+      this.timers.delete(timer);
+      let job = null;
+
+      try {
+        job = await this.claim();
+        if (job) await this.run(job);
+      } catch (error) {
+        console.error('❌ Job worker error:', error.message);
+      }
+
+      if (this.running) {
+        this.schedule(job ? 0 : DEFAULTS.JOB_POLL_SECONDS * 1000);
+      }
+    }, delay);
+
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  /**
+   * Lock the next due job (or one whose worker stopped responding)
+   */
+  async claim() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - DEFAULTS.JOB_LOCK_MINUTES * 60 * 1000);
+
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: JOB_STATUS.QUEUED, runAt: { $lte: now } },
+          { status: JOB_STATUS.RUNNING, lockedAt: { $lte: staleBefore } }
+        ]
+      },
+      {
+        status: JOB_STATUS.RUNNING,
+        lockedAt: now,
+        lockedBy: this.workerId,
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const entry = this.handlers.get(job.type);
+
+    try {
+      if (!entry) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+      if (job.attempts > job.maxAttempts) {
+        throw new Error('Worker stopped responding during the last attempt');
+      }
+
+      const result = await entry.handler(job.payload, job);
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          status: JOB_STATUS.COMPLETED,
+          result: result ?? null,
+          lastError: null,
+          lockedAt: null,
+          completedAt: new Date()
+        }
+      );
+    } catch (error) {
+      await this.fail(job, entry, error);
+    }
+  }
+
+  /**
+   * Re-queue a failed attempt with backoff, or dead-letter the job
+   */
+  async fail(job, entry, error) {
+    const attemptError = { attempt: job.attempts, message: error.message, at: new Date() };
+
+    if (job.attempts < job.maxAttempts) {
+      const delay = this.getBackoff(job.attempts);
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          status: JOB_STATUS.QUEUED,
+          runAt: new Date(Date.now() + delay),
+          lastError: error.message,
+          lockedAt: null,
+          lockedBy: null,
+          $push: { attemptErrors: attemptError }
+        }
+      );
+
+      console.warn(`⚠️  Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      return;
+    }
+
+    const dead = await Job.findOneAndUpdate(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        status: JOB_STATUS.DEAD,
+        lastError: error.message,
+        lockedAt: null,
+        $push: { attemptErrors: attemptError }
+      },
+      { new: true }
+    );
+    if (!dead) return;
+
+    await DeadLetterJob.create({
+      jobId: dead._id,
+      type: dead.type,
+      payload: dead.payload,
+      idempotencyKey: dead.idempotencyKey,
+      userId: dead.userId,
+      attempts: dead.attempts,
+      attemptErrors: dead.attemptErrors
+    });
+
+    console.error(`💀 Job ${job.type} ${job._id} dead-lettered after ${job.attempts} attempt(s):`, error.message);
+
+    if (entry?.onDead) {
+      try {
+        await entry.onDead(dead.payload, dead);
+      } catch (hookError) {
+        console.error(`❌ onDead hook of ${job.type} failed:`, hookError.message);
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempt-1), capped, with jitter
+   */
+  getBackoff(attempt) {
+    const delay = Math.min(
+      DEFAULTS.JOB_BACKOFF_SECONDS * 1000 * 2 ** (attempt - 1),
+      DEFAULTS.JOB_MAX_BACKOFF_MINUTES * 60 * 1000
+    );
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // =============================================
+  // DEAD LETTERS
+  // =============================================
+
+  /**
+   * Put a dead-lettered job back in the queue with fresh attempts
+   */
+  async retryDeadLetter(deadLetterId) {
+    const deadLetter = await DeadLetterJob.findOneAndUpdate(
+      { _id: deadLetterId, retriedAt: null },
+      { retriedAt: new Date() },
+      { new: true }
+    );
+    if (!deadLetter) return null;
+
+    const job = await Job.findOneAndUpdate(
+      { _id: deadLetter.jobId, status: JOB_STATUS.DEAD },
+      {
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        runAt: new Date(),
+        lastError: null,
+        lockedBy: null
+      },
+      { new: true }
+    );
+
+    console.log(`🔁 Re-queued dead job ${deadLetter.type} ${deadLetter.jobId}`);
+    return job;
+  }
+
+  // =============================================
+  // BLOBS (GridFS)
+  // =============================================
+
+  getBucket() {
+    if (!this.bucket) {
+      this.bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'jobBlobs' });
+    }
+    return this.bucket;
+  }
+
+  /**
+   * Store a Buffer or stream for a job to pick up later
+   * @returns {string} Blob id
+   */
+  async saveBlob(source, fileName, metadata = {}) {
+    const upload = this.getBucket().openUploadStream(fileName, { metadata });
+    const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+
+    await new Promise((resolve, reject) => {
+      pipeline(input, upload, err => (err ? reject(err) : resolve()));
+    });
+
+    return upload.id.toString();
+  }
+
+  openBlob(blobId) {
+    return this.getBucket().openDownloadStream(new mongoose.Types.ObjectId(blobId));
+  }
+
+  async deleteBlob(blobId) {
+    try {
+      await this.getBucket().delete(new mongoose.Types.ObjectId(blobId));
+    } catch (error) {
+      // Already gone (e.g. the job ran twice)
+      if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+    }
+  }
+}
+
+export default new JobService();
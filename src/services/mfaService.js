@@ -0,0 +1,582 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+} from '@simplewebauthn/server';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import PendingLogin from '../models/PendingLogin.js';
+import totpService from './totpService.js';
+import walletAuthService from './walletAuthService.js';
+import envelopeService from './envelopeService.js';
+import encryptionService from './encryptionService.js';
+import { DEFAULTS } from '../config/constants.js';
+
+// Fields of User.twoFactor that are not selected by default
+const SECRET_FIELDS = [
+  '+twoFactor.totp.secret',
+  '+twoFactor.totp.pendingSecret',
+  '+twoFactor.totp.lastUsedCounter',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.webauthn.challenge.value',
+  '+twoFactor.webauthn.challenge.purpose',
+  '+twoFactor.webauthn.challenge.expiresAt'
+].join(' ');
+
+/**
+ * MFA Service
+ * Optional second factors: TOTP (authenticator apps) with one-time recovery
+ * codes, and WebAuthn passkeys / security keys. Used to finish a login and
+ * for step-up checks before sensitive actions (Session.stepUpAt).
+ */
+class MfaService {
+  fail(message, statusCode = 401) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * User with the second-factor secrets selected
+   */
+  async loadUser(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) throw this.fail('User not found', 404);
+    return user;
+  }
+
+  /**
+   * Relying party the passkeys are bound to
+   */
+  getRelyingParty() {
+    const origin = new URL(process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:5173').origin;
+    return {
+      name: process.env.WEBAUTHN_RP_NAME || 'LifeVault',
+      id: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname,
+      origin
+    };
+  }
+
+  /**
+   * Factors a user can answer a challenge with
+   */
+  getMethods(user) {
+    const methods = [];
+    if (user.twoFactor?.totp?.enabled) methods.push('totp');
+    if (user.twoFactor?.webauthn?.credentials?.length > 0) methods.push('webauthn');
+    if (methods.length > 0) methods.push('recovery_code');
+    return methods;
+  }
+
+  /**
+   * What the user has set up (no secrets)
+   */
+  async getStatus(userId) {
+    const user = await this.loadUser(userId);
+
+    return {
+      enabled: user.hasSecondFactor(),
+      methods: this.getMethods(user),
+      totp: {
+        enabled: !!user.twoFactor?.totp?.enabled,
+        enabledAt: user.twoFactor?.totp?.enabledAt || null
+      },
+      webauthn: (user.twoFactor?.webauthn?.credentials || []).map(credential => ({
+        id: credential.credentialId,
+        name: credential.name,
+        deviceType: credential.deviceType,
+        backedUp: credential.backedUp,
+        createdAt: credential.createdAt,
+        lastUsedAt: credential.lastUsedAt
+      })),
+      recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(code => !code.usedAt).length
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // RECOVERY CODES
+  // ─────────────────────────────────────────────────────────
+
+  hashRecoveryCode(code) {
+    const clean = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(clean).digest('hex');
+  }
+
+  /**
+   * Replace the user's recovery codes (not saved)
+   * @returns {string[]} The new codes, shown to the user once
+   */
+  generateRecoveryCodes(user) {
+    const codes = Array.from({ length: DEFAULTS.RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    user.twoFactor.recoveryCodes = codes.map(code => ({ hash: this.hashRecoveryCode(code) }));
+    return codes;
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const user = await this.loadUser(userId);
+    if (!user.hasSecondFactor()) throw this.fail('Set up a second factor first', 400);
+
+    const codes = this.generateRecoveryCodes(user);
+    await user.save();
+    return codes;
+  }
+
+  /**
+   * Give recovery codes to a user enabling their first factor
+   * @returns {string[]|null}
+   */
+  ensureRecoveryCodes(user) {
+    const remaining = (user.twoFactor.recoveryCodes || []).filter(code => !code.usedAt);
+    return remaining.length > 0 ? null : this.generateRecoveryCodes(user);
+  }
+
+  async useRecoveryCode(user, code) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash: this.hashRecoveryCode(code), usedAt: null } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // TOTP
+  // ─────────────────────────────────────────────────────────
+
+  /**
+   * TOTP secrets are stored encrypted with ENCRYPTION_MASTER_KEY
+   */
+  sealTotpSecret(secret) {
+    return encryptionService.encrypt(secret, envelopeService.getMasterKey());
+  }
+
+  /**
+   * Secrets saved before they were encrypted are plain base32
+   */
+  isLegacyTotpSecret(stored) {
+    return /^[A-Z2-7]+$/.test(stored);
+  }
+
+  openTotpSecret(stored) {
+    if (this.isLegacyTotpSecret(stored)) return stored;
+    return encryptionService.decrypt(stored, envelopeService.getMasterKey());
+  }
+
+  /**
+   * Start TOTP setup: a new secret to scan, enabled once confirmed
+   * @returns {{ secret, otpauthUrl, qrCode }}
+   */
+  async setupTotp(userId) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor.totp.enabled) throw this.fail('Authenticator app is already enabled', 409);
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.totp.pendingSecret = this.sealTotpSecret(secret);
+    await user.save();
+
+    const otpauthUrl = totpService.getKeyUri(secret, { account: user.email });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl, { margin: 2, errorCorrectionLevel: 'M' })
+    };
+  }
+
+  /**
+   * Confirm TOTP setup with a code from the app
+   * @returns {{ recoveryCodes }} New recovery codes, if the user had none
+   */
+  async enableTotp(userId, code) {
+    const user = await this.loadUser(userId);
+    const sealed = user.twoFactor.totp.pendingSecret;
+    if (!sealed) throw this.fail('Start authenticator setup first', 400);
+
+    const { valid, counter } = totpService.verify(code, this.openTotpSecret(sealed));
+    if (!valid) throw this.fail('Invalid verification code', 400);
+
+    user.twoFactor.totp.secret = this.isLegacyTotpSecret(sealed) ? this.sealTotpSecret(sealed) : sealed;
+    user.twoFactor.totp.pendingSecret = undefined;
+    user.twoFactor.totp.lastUsedCounter = counter;
+    user.twoFactor.totp.enabled = true;
+    user.twoFactor.totp.enabledAt = new Date();
+    const recoveryCodes = this.ensureRecoveryCodes(user);
+    await user.save();
+
+    return { recoveryCodes };
+  }
+
+  async disableTotp(userId) {
+    const user = await this.loadUser(userId);
+    if (!user.twoFactor.totp.enabled) throw this.fail('Authenticator app is not enabled', 400);
+
+    user.twoFactor.totp = { enabled: false };
+    if (!user.hasSecondFactor()) user.twoFactor.recoveryCodes = [];
+    await user.save();
+  }
+
+  /**
+   * Check a TOTP code; each time step is accepted only once
+   */
+  async verifyTotp(user, code) {
+    if (!user.twoFactor?.totp?.enabled || !user.twoFactor.totp.secret) return false;
+
+    const stored = user.twoFactor.totp.secret;
+    const { valid, counter } = totpService.verify(code, this.openTotpSecret(stored));
+    if (!valid) return false;
+
+    const update = { 'twoFactor.totp.lastUsedCounter': counter };
+    if (this.isLegacyTotpSecret(stored)) update['twoFactor.totp.secret'] = this.sealTotpSecret(stored);
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.totp.lastUsedCounter': { $exists: false } },
+          { 'twoFactor.totp.lastUsedCounter': null },
+          { 'twoFactor.totp.lastUsedCounter': { $lt: counter } }
+        ]
+      },
+      { $set: update }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // WEBAUTHN
+  // ─────────────────────────────────────────────────────────
+
+  setChallenge(user, value, purpose) {
+    user.twoFactor.webauthn.challenge = {
+      value,
+      purpose,
+      expiresAt: new Date(Date.now() + DEFAULTS.WEBAUTHN_CHALLENGE_MINUTES * 60 * 1000)
+    };
+  }
+
+  /**
+   * Take the pending challenge of a purpose (single use)
+   */
+  async takeChallenge(user, purpose) {
+    const challenge = user.twoFactor.webauthn.challenge;
+    const value = challenge?.purpose === purpose && challenge.expiresAt > new Date() ? challenge.value : null;
+
+    user.twoFactor.webauthn.challenge = { value: undefined, purpose: undefined, expiresAt: undefined };
+    await user.save();
+
+    if (!value) throw this.fail('Passkey challenge expired, please try again', 400);
+    return value;
+  }
+
+  toCredentialDescriptor(credential) {
+    return {
+      id: credential.credentialId,
+      transports: credential.transports?.length ? credential.transports : undefined
+    };
+  }
+
+  /**
+   * Options for navigator.credentials.create()
+   */
+  async registrationOptions(userId) {
+    const user = await this.loadUser(userId);
+    const rp = this.getRelyingParty();
+
+    const options = await generateRegistrationOptions({
+      rpName: rp.name,
+      rpID: rp.id,
+      userName: user.email,
+      userDisplayName: user.name || user.email,
+      userID: new TextEncoder().encode(user._id.toString()),
+      attestationType: 'none',
+      excludeCredentials: user.twoFactor.webauthn.credentials.map(credential => this.toCredentialDescriptor(credential)),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      }
+    });
+
+    this.setChallenge(user, options.challenge, 'registration');
+    await user.save();
+
+    return options;
+  }
+
+  /**
+   * Store a new passkey from the browser's registration response
+   * @returns {{ credential, recoveryCodes }}
+   */
+  async registerCredential(userId, response, name) {
+    const user = await this.loadUser(userId);
+    const expectedChallenge = await this.takeChallenge(user, 'registration');
+    const rp = this.getRelyingParty();
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: rp.origin,
+        expectedRPID: rp.id,
+        requireUserVerification: false
+      });
+    } catch (error) {
+      throw this.fail(`Passkey registration failed: ${error.message}`, 400);
+    }
+
+    if (!verification.verified) throw this.fail('Passkey registration failed', 400);
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    if (user.twoFactor.webauthn.credentials.some(item => item.credentialId === credential.id)) {
+      throw this.fail('This passkey is already registered', 409);
+    }
+
+    user.twoFactor.webauthn.credentials.push({
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: name || 'Passkey'
+    });
+    const recoveryCodes = this.ensureRecoveryCodes(user);
+    await user.save();
+
+    return { credentialId: credential.id, recoveryCodes };
+  }
+
+  async removeCredential(userId, credentialId) {
+    const user = await this.loadUser(userId);
+    const credentials = user.twoFactor.webauthn.credentials;
+    const index = credentials.findIndex(credential => credential.credentialId === credentialId);
+    if (index === -1) throw this.fail('Passkey not found', 404);
+
+    credentials.splice(index, 1);
+    if (!user.hasSecondFactor()) user.twoFactor.recoveryCodes = [];
+    await user.save();
+  }
+
+  /**
+   * Options for navigator.credentials.get()
+   */
+  async authenticationOptions(userId) {
+    const user = await this.loadUser(userId);
+    const credentials = user.twoFactor.webauthn.credentials;
+    if (credentials.length === 0) throw this.fail('No passkeys registered', 400);
+
+    const options = await generateAuthenticationOptions({
+      rpID: this.getRelyingParty().id,
+      allowCredentials: credentials.map(credential => this.toCredentialDescriptor(credential)),
+      userVerification: 'preferred'
+    });
+
+    this.setChallenge(user, options.challenge, 'authentication');
+    await user.save();
+
+    return options;
+  }
+
+  async verifyWebAuthn(user, response) {
+    const credential = user.twoFactor.webauthn.credentials.find(item => item.credentialId === response?.id);
+    if (!credential) return false;
+
+    const expectedChallenge = await this.takeChallenge(user, 'authentication');
+    const rp = this.getRelyingParty();
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: rp.origin,
+        expectedRPID: rp.id,
+        credential: {
+          id: credential.credentialId,
+          publicKey: Buffer.from(credential.publicKey, 'base64url'),
+          counter: credential.counter,
+          transports: credential.transports
+        },
+        requireUserVerification: false
+      });
+    } catch (error) {
+      console.warn('⚠️ Passkey verification error:', error.message);
+      return false;
+    }
+
+    if (!verification.verified) return false;
+
+    credential.counter = verification.authenticationInfo.newCounter;
+    credential.backedUp = verification.authenticationInfo.credentialBackedUp;
+    credential.lastUsedAt = new Date();
+    await user.save();
+
+    return true;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // CHALLENGES
+  // ─────────────────────────────────────────────────────────
+
+  /**
+   * Check one second factor
+   * @param {Object} answer - { code } TOTP, { recoveryCode } or { webauthn } response
+   * @returns {string} Method used
+   * @throws 401 if it doesn't verify
+   */
+  async verifyFactor(user, { code, recoveryCode, webauthn } = {}) {
+    if (webauthn) {
+      if (await this.verifyWebAuthn(user, webauthn)) return 'webauthn';
+    } else if (code) {
+      if (await this.verifyTotp(user, code)) return 'totp';
+    } else if (recoveryCode) {
+      if (await this.useRecoveryCode(user, recoveryCode)) {
+        console.log(`🔑 Recovery code used by user ${user._id}`);
+        return 'recovery_code';
+      }
+    } else {
+      throw this.fail('A verification code, recovery code or passkey response is required', 400);
+    }
+
+    throw this.fail('Invalid second factor');
+  }
+
+  hashMfaToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Login response for users with a second factor. The pending login is kept
+   * server-side; the client only gets a random token pointing at it.
+   */
+  async beginLogin(user, method) {
+    const mfaToken = crypto.randomBytes(32).toString('base64url');
+
+    await PendingLogin.create({
+      tokenHash: this.hashMfaToken(mfaToken),
+      userId: user._id,
+      method,
+      expiresAt: new Date(Date.now() + DEFAULTS.MFA_TOKEN_MINUTES * 60 * 1000)
+    });
+
+    return {
+      mfaRequired: true,
+      mfaToken,
+      methods: this.getMethods(user)
+    };
+  }
+
+  /**
+   * Unused, unexpired pending login with attempts left
+   * @throws 401 otherwise
+   */
+  async getPendingLogin(token) {
+    const pending = await PendingLogin.findOne({
+      tokenHash: this.hashMfaToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: DEFAULTS.MFA_MAX_ATTEMPTS }
+    });
+    if (!pending) throw this.fail('Sign-in expired, please start again');
+    return pending;
+  }
+
+  /**
+   * Finish a pending login with its second factor. The attempt is counted
+   * before the factor is checked, so parallel guesses share the limit, and
+   * the pending login is consumed on success.
+   * @returns {{ user, method, factor }} method is the first factor
+   * @throws 401 if the token is spent or the factor doesn't verify
+   */
+  async completeLogin(token, { code, recoveryCode, webauthn } = {}) {
+    if (!code && !recoveryCode && !webauthn) {
+      throw this.fail('A verification code, recovery code or passkey response is required', 400);
+    }
+
+    const pending = await PendingLogin.findOneAndUpdate(
+      {
+        tokenHash: this.hashMfaToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: DEFAULTS.MFA_MAX_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!pending) throw this.fail('Sign-in expired, please start again');
+
+    const user = await this.loadUser(pending.userId);
+
+    let factor;
+    try {
+      factor = await this.verifyFactor(user, { code, recoveryCode, webauthn });
+    } catch (error) {
+      if (pending.attempts >= DEFAULTS.MFA_MAX_ATTEMPTS) {
+        console.warn(`⚠️ Too many second-factor attempts for user ${user._id}`);
+        throw this.fail('Too many attempts, please sign in again');
+      }
+      throw error;
+    }
+
+    const consumed = await PendingLogin.findOneAndUpdate(
+      { _id: pending._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!consumed) throw this.fail('Sign-in expired, please start again');
+
+    return { user, method: pending.method, factor };
+  }
+
+  /**
+   * Re-check the user before a sensitive action. Users with a second factor
+   * must use it; others confirm their password or sign with their wallet.
+   * @returns {string} Method used
+   */
+  async verifyStepUp(userId, { code, recoveryCode, webauthn, password, wallet } = {}) {
+    const user = await this.loadUser(userId);
+
+    if (user.hasSecondFactor()) {
+      return this.verifyFactor(user, { code, recoveryCode, webauthn });
+    }
+
+    if (password) {
+      const withPassword = await User.findById(userId).select('+password');
+      if (await withPassword.comparePassword(password)) return 'password';
+      throw this.fail('Invalid password');
+    }
+
+    if (wallet) {
+      if (!user.aptosAddress) throw this.fail('No wallet linked to this account', 400);
+      const verification = await walletAuthService.verifyLogin(wallet);
+      if (verification.address !== walletAuthService.normalizeAddress(user.aptosAddress)) {
+        throw this.fail('Wallet does not belong to this account');
+      }
+      return 'wallet';
+    }
+
+    throw this.fail('Confirm your password or sign with your wallet', 400);
+  }
+
+  async markStepUp(sessionId, method) {
+    await Session.updateOne({ _id: sessionId }, { $set: { stepUpAt: new Date(), stepUpMethod: method } });
+  }
+
+  /**
+   * Whether the session re-checked the user recently enough
+   */
+  hasRecentStepUp(session) {
+    return !!session?.stepUpAt &&
+      Date.now() - session.stepUpAt.getTime() < DEFAULTS.STEP_UP_MINUTES * 60 * 1000;
+  }
+}
+
+export default new MfaService();
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import NfcTag from '../models/NfcTag.js';
+import Quest from '../models/Quest.js';
+import envelopeService from './envelopeService.js';
+import encryptionService from './encryptionService.js';
+
+const BLOCK_SIZE = 16;
+const ZERO_IV = Buffer.alloc(BLOCK_SIZE);
+
+/**
+ * NFC Service
+ * Verifies Secure Unique NFC (SUN) messages in the NTAG 424 DNA SDM format.
+ * The tag appends to its URL either
+ *   ?uid=<UID>&ctr=<counter>&cmac=<mac>           (plain mirroring)
+ *   ?picc_data=<encrypted UID+counter>&cmac=<mac> (encrypted mirroring)
+ * where mac is the truncated AES-CMAC under a session key derived from the
+ * tag key, UID and read counter (NXP AN12196). The counter increases on every
+ * tap, so a scan is only accepted once.
+ *
+ * Each tag has one AES-128 key, used both to decrypt PICC data and for the MAC.
+ */
+class NFCService {
+  // =============================================
+  // TAGS
+  // =============================================
+
+  /**
+   * Register a tag on a quest. Without a key one is generated;
+   * the key is returned only here, to be written to the tag.
+   */
+  async registerTag(quest, { tagId, key, label }, userId) {
+    const tagKey = key ? String(key).toUpperCase() : crypto.randomBytes(BLOCK_SIZE).toString('hex').toUpperCase();
+
+    if (!/^[0-9A-F]{32}$/.test(tagKey)) {
+      const error = new Error('Tag key must be 16 bytes of hex (AES-128)');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    try {
+      const tag = await NfcTag.create({
+        tagId: String(tagId || '').toUpperCase(),
+        questId: quest._id,
+        creatorId: userId,
+        label,
+        encryptedKey: encryptionService.encrypt(tagKey, envelopeService.getMasterKey())
+      });
+
+      console.log(`🏷️  NFC tag ${tag.tagId} registered on quest ${quest._id}`);
+      return { tag, key: tagKey };
+    } catch (error) {
+      if (error.code === 11000) {
+        error.statusCode = 409;
+        error.message = 'This tag is already registered on an active quest';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Retire a tag; its scans are rejected from now on.
+   * Retiring the last active tag turns the quest's NFC check off, since
+   * no scan could pass it any more.
+   * @returns {NfcTag|null} The retired tag (quest.nfc.enabled is updated)
+   */
+  async retireTag(quest, tagId) {
+    const tag = await NfcTag.findOneAndUpdate(
+      { questId: quest._id, tagId: String(tagId).toUpperCase(), status: 'active' },
+      { status: 'retired', retiredAt: new Date() },
+      { new: true }
+    );
+    if (!tag) return null;
+
+    if (quest.nfc?.enabled && !(await NfcTag.exists({ questId: quest._id, status: 'active' }))) {
+      await Quest.updateOne({ _id: quest._id }, { 'nfc.enabled': false });
+      quest.nfc.enabled = false;
+      console.log(`🏷️  Last NFC tag of quest ${quest._id} retired; NFC check turned off`);
+    }
+
+    return tag;
+  }
+
+  listTags(quest) {
+    return NfcTag.find({ questId: quest._id }).sort({ status: 1, createdAt: -1 });
+  }
+
+  // =============================================
+  // SUN MESSAGES
+  // =============================================
+
+  /**
+   * Normalize a scan: the URL read from the tag, its query string,
+   * or an object with the same parameters
+   * @returns {{ uid?, counter?, piccData?, cmac }}
+   */
+  parseScan(scan) {
+    if (!scan) return null;
+
+    let params = scan;
+    if (typeof scan === 'string') {
+      const query = scan.includes('?') ? scan.slice(scan.indexOf('?') + 1) : scan;
+      params = Object.fromEntries(new URLSearchParams(query));
+    }
+
+    const hex = value => (typeof value === 'string' && /^[0-9a-fA-F]+$/.test(value) ? value.toUpperCase() : null);
+    const piccData = hex(params.picc_data || params.piccData || params.e);
+    const cmac = hex(params.cmac || params.c);
+
+    if (!cmac || cmac.length !== 16) return null;
+
+    if (piccData) {
+      return piccData.length === 32 ? { piccData, cmac } : null;
+    }
+
+    const uid = hex(params.uid);
+    const ctr = hex(params.ctr);
+    if (!uid || uid.length !== 14 || !ctr || ctr.length !== 6) return null;
+
+    // Mirrored most significant byte first
+    return { uid, counter: parseInt(ctr, 16), cmac };
+  }
+
+  /**
+   * Decrypt encrypted PICC data: tag byte, UID (7), read counter (3, LSB first)
+   */
+  decryptPiccData(piccDataHex, key) {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', key, ZERO_IV);
+    decipher.setAutoPadding(false);
+    const data = Buffer.concat([decipher.update(Buffer.from(piccDataHex, 'hex')), decipher.final()]);
+
+    // 0xC7: UID and counter mirrored, 7-byte UID
+    if (data[0] !== 0xC7) return null;
+
+    return {
+      uid: data.subarray(1, 8).toString('hex').toUpperCase(),
+      counter: data.readUIntLE(8, 3)
+    };
+  }
+
+  aesBlock(key, block) {
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(block), cipher.final()]);
+  }
+
+  /**
+   * AES-CMAC (RFC 4493)
+   */
+  cmac(key, message) {
+    const shift = (block) => {
+      const out = Buffer.alloc(BLOCK_SIZE);
+      for (let i = 0; i < BLOCK_SIZE; i++) {
+        out[i] = ((block[i] << 1) | (i + 1 < BLOCK_SIZE ? block[i + 1] >> 7 : 0)) & 0xff;
+      }
+      if (block[0] & 0x80) out[BLOCK_SIZE - 1] ^= 0x87;
+      return out;
+    };
+    const xor = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i]));
+
+    const k1 = shift(this.aesBlock(key, Buffer.alloc(BLOCK_SIZE)));
+    const k2 = shift(k1);
+
+    const blocks = Math.max(Math.ceil(message.length / BLOCK_SIZE), 1);
+    const complete = message.length > 0 && message.length % BLOCK_SIZE === 0;
+
+    let last = message.subarray((blocks - 1) * BLOCK_SIZE);
+    if (complete) {
+      last = xor(last, k1);
+    } else {
+      const padded = Buffer.alloc(BLOCK_SIZE);
+      last.copy(padded);
+      padded[last.length] = 0x80;
+      last = xor(padded, k2);
+    }
+
+    let x = Buffer.alloc(BLOCK_SIZE);
+    for (let i = 0; i < blocks - 1; i++) {
+      x = this.aesBlock(key, xor(x, message.subarray(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE)));
+    }
+
+    return this.aesBlock(key, xor(x, last));
+  }
+
+  /**
+   * Truncated SDM MAC of a scan (no mirrored file data)
+   */
+  computeSunMac(key, uid, counter) {
+    const counterBytes = Buffer.alloc(3);
+    counterBytes.writeUIntLE(counter, 0, 3);
+
+    const sv2 = Buffer.concat([
+      Buffer.from('3CC300010080', 'hex'),
+      Buffer.from(uid, 'hex'),
+      counterBytes
+    ]);
+
+    const sessionKey = this.cmac(key, sv2);
+    const mac = this.cmac(sessionKey, Buffer.alloc(0));
+
+    // Odd-indexed bytes of the full MAC
+    return Buffer.from(mac.filter((_, i) => i % 2 === 1));
+  }
+
+  /**
+   * Verify a scan against the quest's active tags and consume its counter
+   * @returns {{ passed, tagId, counter, message }}
+   */
+  async verifyScan(quest, scan) {
+    const result = (passed, message, extra = {}) => ({ passed, message, tagId: null, counter: null, ...extra });
+
+    const parsed = this.parseScan(scan);
+    if (!parsed) {
+      return result(false, scan ? 'Unreadable NFC scan' : 'NFC tag not scanned');
+    }
+
+    // Encrypted PICC data hides the UID: try each tag of the quest
+    let tag;
+    let uid = parsed.uid;
+    let counter = parsed.counter;
+    let key;
+
+    if (parsed.piccData) {
+      const tags = await NfcTag.find({ questId: quest._id, status: 'active' }).select('+encryptedKey');
+
+      for (const candidate of tags) {
+        const candidateKey = this.getKey(candidate);
+        const picc = this.decryptPiccData(parsed.piccData, candidateKey);
+        if (picc && picc.uid === candidate.tagId) {
+          tag = candidate;
+          key = candidateKey;
+          ({ uid, counter } = picc);
+          break;
+        }
+      }
+    } else {
+      tag = await NfcTag.findOne({ questId: quest._id, tagId: uid, status: 'active' }).select('+encryptedKey');
+      if (tag) key = this.getKey(tag);
+    }
+
+    if (!tag) {
+      return result(false, 'This NFC tag does not belong to the quest');
+    }
+
+    const expected = this.computeSunMac(key, uid, counter);
+    if (!crypto.timingSafeEqual(expected, Buffer.from(parsed.cmac, 'hex'))) {
+      return result(false, 'NFC tag signature is invalid', { tagId: tag.tagId });
+    }
+
+    // Only accept counters the tag hasn't used yet
+    const updated = await NfcTag.findOneAndUpdate(
+      { _id: tag._id, status: 'active', lastCounter: { $lt: counter } },
+      { lastCounter: counter, lastScanAt: new Date(), $inc: { scanCount: 1 } }
+    );
+
+    if (!updated) {
+      return result(false, 'This NFC scan was already used. Tap the tag again', { tagId: tag.tagId, counter });
+    }
+
+    return result(true, 'NFC tag verified', { tagId: tag.tagId, counter });
+  }
+
+  getKey(tag) {
+    return Buffer.from(encryptionService.decrypt(tag.encryptedKey, envelopeService.getMasterKey()), 'hex');
+  }
+}
+
+export default new NFCService();
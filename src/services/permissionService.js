@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import Quest from '../models/Quest.js';
+import Campaign from '../models/Campaign.js';
+import Badge from '../models/Badge.js';
+import Story from '../models/Story.js';
+import User from '../models/User.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+import {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ORGANIZATION_ROLE_PERMISSIONS
+} from '../config/constants.js';
+
+// Account types that can have staff
+const ORGANIZATION_TYPES = Object.keys(ROLE_PERMISSIONS)
+  .filter(type => ROLE_PERMISSIONS[type].includes(PERMISSIONS.ORGANIZATION_MEMBERS));
+
+// Resources checked by authorizeResource, and the field naming the account
+// that owns them. Personal resources are never shared with organization staff.
+const RESOURCES = {
+  quest: { model: Quest, ownerField: 'creatorId', label: 'Quest' },
+  campaign: { model: Campaign, ownerField: 'organizationId', label: 'Campaign' },
+  badge: { model: Badge, ownerField: 'creatorId', label: 'Badge' },
+  story: { model: Story, ownerField: 'creatorId', label: 'Story', personal: true },
+  organization: {
+    model: User,
+    ownerField: '_id',
+    label: 'Organization',
+    filter: { userType: { $in: ORGANIZATION_TYPES } }
+  }
+};
+
+/**
+ * Permission Service
+ * Account types (User.userType) grant permissions through ROLE_PERMISSIONS.
+ * Quests, campaigns, badges and stories can be acted on by their owner, by
+ * staff of the owning organization as far as their member role allows
+ * (ORGANIZATION_ROLE_PERMISSIONS), and by accounts with manage:all.
+ */
+class PermissionService {
+  fail(message, statusCode = 403) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  getPermissions(user) {
+    return ROLE_PERMISSIONS[user?.userType] || [];
+  }
+
+  hasPermission(user, permission) {
+    return this.getPermissions(user).includes(permission);
+  }
+
+  isOrganization(account) {
+    return ORGANIZATION_TYPES.includes(account?.userType);
+  }
+
+  roleAllows(role, permission) {
+    return ORGANIZATION_ROLE_PERMISSIONS[role]?.includes(permission) || false;
+  }
+
+  async getMembership(user, organizationId) {
+    return OrganizationMember.findOne({ organizationId, userId: user._id });
+  }
+
+  getOwnerId(type, doc) {
+    const owner = doc[RESOURCES[type].ownerField];
+    return owner?._id || owner;
+  }
+
+  /**
+   * Whether the user may act on a loaded resource
+   * @param {string} type - quest, campaign, badge, story or organization
+   */
+  async can(user, permission, type, doc) {
+    if (!user || !doc) return false;
+    if (this.hasPermission(user, PERMISSIONS.MANAGE_ALL)) return true;
+
+    const ownerId = this.getOwnerId(type, doc);
+    if (!ownerId) return false;
+    if (ownerId.toString() === user._id.toString()) return true;
+    if (RESOURCES[type].personal) return false;
+
+    const membership = await this.getMembership(user, ownerId);
+    return !!membership && this.roleAllows(membership.role, permission);
+  }
+
+  /**
+   * Load a resource and check the user may act on it
+   * @returns {Object} The resource (owner field only)
+   * @throws 404 if it doesn't exist, 403 if the user may not act on it
+   */
+  async authorize(user, permission, type, id) {
+    const { model, ownerField, label, filter } = RESOURCES[type];
+
+    const doc = mongoose.isValidObjectId(id)
+      ? await model.findOne({ _id: id, ...filter }).select(ownerField)
+      : null;
+    if (!doc) {
+      throw this.fail(`${label} not found`, 404);
+    }
+
+    if (!(await this.can(user, permission, type, doc))) {
+      throw this.fail(`Not authorized to do this with this ${label.toLowerCase()} (${permission})`);
+    }
+
+    return doc;
+  }
+
+  /**
+   * Account that will own new content: the user, or an organization the
+   * user creates it for
+   * @param {string} organizationId - Optional organization account
+   * @throws 403 if neither the user's account type nor member role allows it
+   */
+  async resolveOwner(user, permission, organizationId = null) {
+    if (!organizationId || organizationId.toString() === user._id.toString()) {
+      if (!this.hasPermission(user, permission)) {
+        throw this.fail(`User role '${user.userType}' does not have permission '${permission}'`);
+      }
+      return user;
+    }
+
+    const organization = mongoose.isValidObjectId(organizationId)
+      ? await User.findOne({ _id: organizationId, userType: { $in: ORGANIZATION_TYPES } })
+      : null;
+    if (!organization) {
+      throw this.fail('Organization not found', 404);
+    }
+
+    const membership = await this.getMembership(user, organization._id);
+    if (!membership || !this.roleAllows(membership.role, permission) || !this.hasPermission(organization, permission)) {
+      throw this.fail(`Not authorized to do this for ${organization.organizationInfo?.name || organization.name} (${permission})`);
+    }
+
+    return organization;
+  }
+
+  /**
+   * Accounts whose content the user may act on with a permission: their own
+   * and organizations where their member role allows it
+   */
+  async getManagedOwnerIds(user, permission) {
+    const memberships = await OrganizationMember.find({ userId: user._id }).select('organizationId role');
+
+    return [
+      user._id,
+      ...memberships
+        .filter(membership => this.roleAllows(membership.role, permission))
+        .map(membership => membership.organizationId)
+    ];
+  }
+}
+
+export default new PermissionService();
@@ -0,0 +1,388 @@
+import sharp from 'sharp';
+import exifr from 'exifr';
+import QuestCompletion from '../models/QuestCompletion.js';
+import geolocationService from './geolocationService.js';
+import scheduleService from './scheduleService.js';
+
+const HASH_SIZE = 32;       // image is reduced to 32x32 before the DCT
+const HASH_BITS = 8;        // top-left 8x8 coefficients -> 64-bit hash
+const BAND_COUNT = 4;       // 16-bit bands used to look up candidates
+const FINE_BAND_COUNT = 8;  // 8-bit bands for the same quest
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when a quest doesn't set its own (see Quest.photoForensics)
+const DEFAULT_SETTINGS = {
+  requireExif: false,
+  maxCaptureDriftSeconds: 600,
+  maxExifDistanceMeters: 200,
+  duplicateDistance: 6,
+  rejectRecaptures: true
+};
+
+/**
+ * Photo Forensics Service
+ * Checks a submitted photo before it reaches AI vision:
+ * - EXIF capture time and GPS against the submission
+ * - perceptual hash (pHash) near-duplicates of photos already submitted
+ * - screenshots / screen recaptures
+ *
+ * Hashes are stored on the completion (submission.photoHash) split into
+ * bands, so candidates are found by index; a photo within
+ * `duplicateDistance` bits of a stored hash counts as the same photo.
+ * On the same quest a match needs one identical 8-bit band, which is
+ * certain up to 7 differing bits (the most a quest can set); for other
+ * quests one identical 16-bit band, certain up to 3.
+ */
+class PhotoForensicsService {
+  getSettings(quest) {
+    const config = quest?.photoForensics || {};
+    const settings = { ...DEFAULT_SETTINGS };
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (config[key] !== undefined && config[key] !== null) settings[key] = config[key];
+    }
+
+    // Zone to read EXIF times without an offset in
+    const timeZone = quest?.timeWindow?.enabled && quest.timeWindow.timezone;
+    settings.timeZone = timeZone && scheduleService.isValidTimeZone(timeZone) ? timeZone : null;
+    return settings;
+  }
+
+  decode(photoBase64) {
+    return Buffer.from(String(photoBase64).replace(/^data:image\/[\w.+-]+;base64,/, ''), 'base64');
+  }
+
+  // =============================================
+  // EXIF
+  // =============================================
+
+  /**
+   * Camera metadata of a photo, or null when it has none
+   */
+  async readExif(buffer) {
+    let tags;
+    try {
+      tags = await exifr.parse(buffer, {
+        tiff: true, exif: true, gps: true, ihdr: false, jfif: false, reviveValues: false
+      });
+    } catch {
+      return null;
+    }
+    if (!tags) return null;
+
+    const gps = await exifr.gps(buffer).catch(() => null);
+
+    return {
+      make: tags.Make?.trim() || null,
+      model: tags.Model?.trim() || null,
+      software: tags.Software?.trim() || null,
+      userComment: this.decodeUserComment(tags.UserComment),
+      capturedAt: tags.DateTimeOriginal || tags.CreateDate || tags.DateTime || null,
+      offset: tags.OffsetTimeOriginal || tags.OffsetTime || null,
+      latitude: Number.isFinite(gps?.latitude) ? gps.latitude : null,
+      longitude: Number.isFinite(gps?.longitude) ? gps.longitude : null
+    };
+  }
+
+  decodeUserComment(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.trim();
+
+    // 8-byte character code prefix, then the text
+    return Buffer.from(value).subarray(8).toString('utf8').replace(/\0/g, '').trim() || null;
+  }
+
+  /**
+   * EXIF times are "YYYY:MM:DD HH:MM:SS" in the camera's local time,
+   * with an optional "+HH:MM" offset
+   * @returns {{ time: Date, hasOffset: boolean }|null}
+   */
+  parseExifTime(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+
+    const [, y, mo, d, h, mi, s] = match.map(Number);
+    let time = Date.UTC(y, mo - 1, d, h, mi, s);
+
+    const offsetMatch = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+    if (offsetMatch) {
+      const minutes = Number(offsetMatch[2]) * 60 + Number(offsetMatch[3]);
+      time -= (offsetMatch[1] === '+' ? 1 : -1) * minutes * 60000;
+    }
+
+    return { time: new Date(time), hasOffset: !!offsetMatch };
+  }
+
+  /**
+   * Seconds between the EXIF capture time and `reference`. Without an offset
+   * the time is read in `timeZone` (the quest's); with neither, the drift
+   * can't be known and null is returned.
+   */
+  getCaptureDrift(exif, reference, timeZone = null) {
+    const parsed = this.parseExifTime(exif.capturedAt, exif.offset);
+    if (!parsed) return null;
+
+    let time = parsed.time;
+    if (!parsed.hasOffset) {
+      if (!timeZone) return null;
+
+      // parseExifTime read the local time as UTC; place it in the zone instead
+      const local = time.getTime();
+      const sinceMidnight = local % DAY_MS;
+      const instant = scheduleService.toInstant(new Date(local - sinceMidnight), Math.floor(sinceMidnight / 60000), timeZone);
+      time = new Date(instant.getTime() + (local % 60000));
+    }
+
+    return Math.round((reference - time) / 1000);
+  }
+
+  checkExif(exif, submission, settings) {
+    const checks = [];
+
+    if (!exif) {
+      checks.push({
+        check: 'exif_present',
+        passed: !settings.requireExif,
+        details: 'Photo has no camera metadata'
+      });
+      return checks;
+    }
+
+    const reference = submission.capturedAt ? new Date(submission.capturedAt) : new Date();
+    const drift = this.getCaptureDrift(exif, reference, settings.timeZone);
+
+    if (drift === null) {
+      checks.push({
+        check: 'exif_time',
+        passed: !settings.requireExif,
+        details: this.parseExifTime(exif.capturedAt)
+          ? 'Capture time has no time zone, so it cannot be checked'
+          : 'No capture time in metadata'
+      });
+    } else {
+      checks.push({
+        check: 'exif_time',
+        passed: Math.abs(drift) <= settings.maxCaptureDriftSeconds,
+        details: `Taken ${Math.abs(drift)}s ${drift >= 0 ? 'before' : 'after'} the reported capture time ` +
+          `(max ${settings.maxCaptureDriftSeconds}s)`
+      });
+    }
+
+    const { latitude, longitude, accuracy } = submission.location || {};
+    if (exif.latitude === null || !geolocationService.isValidCoordinates(latitude, longitude)) {
+      checks.push({ check: 'exif_gps', passed: true, details: 'No GPS position in metadata to compare' });
+    } else {
+      const distance = Math.round(geolocationService.calculateDistance(exif.latitude, exif.longitude, latitude, longitude));
+      const allowed = settings.maxExifDistanceMeters + (accuracy || 0);
+      checks.push({
+        check: 'exif_gps',
+        passed: distance <= allowed,
+        details: `Photo metadata places it ${distance}m from the submitted location (max ${Math.round(allowed)}m)`
+      });
+    }
+
+    return checks;
+  }
+
+  // =============================================
+  // PERCEPTUAL HASH
+  // =============================================
+
+  /**
+   * 64-bit DCT perceptual hash as 16 hex characters
+   */
+  async computePHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(HASH_SIZE, HASH_SIZE, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    const coefficients = [];
+    for (let u = 0; u < HASH_BITS; u++) {
+      for (let v = 0; v < HASH_BITS; v++) {
+        let sum = 0;
+        for (let x = 0; x < HASH_SIZE; x++) {
+          for (let y = 0; y < HASH_SIZE; y++) {
+            sum += pixels[y * HASH_SIZE + x] *
+              Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE)) *
+              Math.cos(((2 * y + 1) * v * Math.PI) / (2 * HASH_SIZE));
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // The DC term only reflects overall brightness
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+
+    let hash = 0n;
+    for (const value of coefficients) {
+      hash = (hash << 1n) | (value > median ? 1n : 0n);
+    }
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  getBands(phash, count = BAND_COUNT) {
+    const width = phash.length / count;
+    return Array.from({ length: count }, (_, i) => `${i}:${phash.slice(i * width, (i + 1) * width)}`);
+  }
+
+  getFineBands(phash) {
+    return this.getBands(phash, FINE_BAND_COUNT);
+  }
+
+  hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+      count += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return count;
+  }
+
+  /**
+   * Closest stored photo within `duplicateDistance`: other users' photos on
+   * this quest that share an 8-bit band, and any photo from another user or
+   * another quest that shares a 16-bit band. The user's own retries on this
+   * quest don't count.
+   */
+  async findDuplicate(phash, { questId, userId, attemptId }, settings) {
+    const notOwnRetry = { $nor: [{ userId, questId }] };
+
+    const candidates = await QuestCompletion.find({
+      _id: { $ne: attemptId },
+      'submission.photoHash.phash': { $exists: true },
+      $or: [
+        { questId, userId: { $ne: userId }, 'submission.photoHash.fineBands': { $in: this.getFineBands(phash) } },
+        { 'submission.photoHash.bands': { $in: this.getBands(phash) }, ...notOwnRetry }
+      ]
+    }).select('questId userId submission.photoHash.phash').lean();
+
+    let closest = null;
+    for (const candidate of candidates) {
+      const distance = this.hammingDistance(phash, candidate.submission.photoHash.phash);
+      if (distance <= settings.duplicateDistance && (!closest || distance < closest.distance)) {
+        closest = {
+          completionId: candidate._id,
+          sameQuest: candidate.questId?.toString() === questId?.toString(),
+          sameUser: candidate.userId?.toString() === userId?.toString(),
+          distance
+        };
+      }
+    }
+    return closest;
+  }
+
+  // =============================================
+  // RECAPTURE
+  // =============================================
+
+  /**
+   * Signs of a screenshot or a photo of a screen
+   * @returns {{ likely, score, reasons }}
+   */
+  detectRecapture(metadata, exif) {
+    const reasons = [];
+    let score = 0;
+    const flag = (weight, reason) => {
+      score += weight;
+      reasons.push(reason);
+    };
+
+    const camera = exif?.make || exif?.model;
+    const labels = [exif?.software, exif?.userComment].filter(Boolean).join(' ');
+
+    if (/screen ?shot|screen ?capture/i.test(labels)) {
+      flag(1, `Metadata marks it as a screenshot (${labels})`);
+    }
+    if (['png', 'gif'].includes(metadata.format) && !camera) {
+      flag(0.5, `${metadata.format.toUpperCase()} image without camera metadata`);
+    }
+    if (exif && !camera) {
+      flag(0.2, 'Metadata has no camera make or model');
+    }
+
+    // Phone screens are 19.5:9 or taller; camera sensors are 4:3 or 16:9
+    const ratio = Math.max(metadata.width, metadata.height) / Math.min(metadata.width, metadata.height);
+    if (ratio >= 2 && !camera) {
+      flag(0.3, `Aspect ratio ${ratio.toFixed(2)}:1 matches a phone screen`);
+    }
+
+    score = Math.min(1, Math.round(score * 100) / 100);
+    return { likely: score >= 0.5, score, reasons };
+  }
+
+  // =============================================
+  // ANALYSIS
+  // =============================================
+
+  /**
+   * Run all forensics on a submitted photo
+   * @param {Object} quest - Quest document
+   * @param {Object} submission - { photoBase64, location, capturedAt, userId, attemptId }
+   * @returns {{ passed, message, phash, bands, fineBands, exif, checks, duplicate, recapture }}
+   */
+  async analyze(quest, submission) {
+    const settings = this.getSettings(quest);
+    const buffer = this.decode(submission.photoBase64);
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch {
+      return { passed: false, message: 'Photo could not be read', checks: [] };
+    }
+
+    const exif = await this.readExif(buffer);
+    const phash = await this.computePHash(buffer);
+    const checks = this.checkExif(exif, submission, settings);
+
+    const duplicate = await this.findDuplicate(phash, {
+      questId: quest._id,
+      userId: submission.userId,
+      attemptId: submission.attemptId
+    }, settings);
+    checks.push({
+      check: 'duplicate',
+      passed: !duplicate,
+      details: duplicate
+        ? `Matches a photo already submitted${duplicate.sameQuest ? ' for this quest' : ''} (${duplicate.distance} bits apart)`
+        : 'No matching photo found'
+    });
+
+    const recapture = this.detectRecapture(metadata, exif);
+    checks.push({
+      check: 'recapture',
+      passed: !(recapture.likely && settings.rejectRecaptures),
+      details: recapture.reasons.length ? recapture.reasons.join('; ') : 'No signs of a screenshot'
+    });
+
+    const failed = checks.find(c => !c.passed);
+
+    return {
+      passed: !failed,
+      message: failed ? failed.details : 'Photo checks passed',
+      phash,
+      bands: this.getBands(phash),
+      fineBands: this.getFineBands(phash),
+      exif: exif && {
+        make: exif.make,
+        model: exif.model,
+        software: exif.software,
+        capturedAt: exif.capturedAt,
+        latitude: exif.latitude,
+        longitude: exif.longitude
+      },
+      checks,
+      duplicate,
+      recapture
+    };
+  }
+}
+
+export default new PhotoForensicsService();
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import totpService from './totpService.js';
+import { DEFAULTS } from '../config/constants.js';
+
+/**
+ * QR Code Service
+ * Rotating QR codes for venue displays (quests, story chapters).
+ *
+ * A rotating QR config holds a TOTP secret; the display shows
+ *   lifevault:<kind>:<id>:<code>
+ * and the code changes every `rotationSeconds` (daily with `regenerateDaily`),
+ * so a photo of the display stops working once it rotates.
+ *
+ * Configs without a secret are static printed codes checked against `codeHash`.
+ */
+class QRCodeService {
+  createSecret() {
+    return totpService.generateSecret();
+  }
+
+  isRotating(config) {
+    return !!config?.secret;
+  }
+
+  getStep(config) {
+    if (config.regenerateDaily) return 24 * 60 * 60;
+    return config.rotationSeconds || DEFAULTS.QR_ROTATION_SECONDS;
+  }
+
+  getTotpOptions(config) {
+    return {
+      step: this.getStep(config),
+      digits: DEFAULTS.QR_CODE_DIGITS,
+      window: config.skewSteps ?? DEFAULTS.QR_SKEW_STEPS
+    };
+  }
+
+  buildPayload(kind, id, code) {
+    return `lifevault:${kind}:${id}:${code}`;
+  }
+
+  /**
+   * Split a scanned payload; a bare code is accepted too (typed in by hand)
+   */
+  parsePayload(scanned) {
+    const parts = String(scanned).trim().split(':');
+
+    if (parts.length === 4 && parts[0] === 'lifevault') {
+      return { kind: parts[1], id: parts[2], code: parts[3] };
+    }
+    return { kind: null, id: null, code: String(scanned).trim() };
+  }
+
+  /**
+   * Code to show on the display right now
+   * @returns {{ payload, code, step, expiresAt }}
+   */
+  getCurrent(kind, id, config, time = Date.now()) {
+    if (!this.isRotating(config)) {
+      throw new Error('QR code does not rotate');
+    }
+
+    const { step, digits } = this.getTotpOptions(config);
+    const code = totpService.generate(config.secret, { time, step, digits });
+    const counter = totpService.getCounter(time, step);
+
+    return {
+      payload: this.buildPayload(kind, id, code),
+      code,
+      step,
+      expiresAt: new Date((counter + 1) * step * 1000)
+    };
+  }
+
+  /**
+   * Check a scanned QR code
+   * @param {string} scanned - Payload or bare code
+   * @param {Object} config - Quest.qrCode / StoryChapter.unlockConditions.qrCode (with +secret)
+   * @param {Object} target - { kind, id } the code must belong to
+   * @returns {{ passed, codeMatched, rotating, message }}
+   */
+  verify(scanned, config, { kind, id } = {}) {
+    const rotating = this.isRotating(config);
+    const result = (passed, message) => ({ passed, codeMatched: passed, rotating, message });
+
+    if (!scanned) {
+      return result(false, 'QR code not scanned');
+    }
+
+    if (!rotating) {
+      const scannedHash = crypto.createHash('sha256').update(String(scanned)).digest('hex');
+      const matched = !!config?.codeHash && scannedHash === config.codeHash;
+      return result(matched, matched ? 'QR code verified' : 'Invalid QR code');
+    }
+
+    const parsed = this.parsePayload(scanned);
+    if (parsed.kind && (parsed.kind !== kind || parsed.id !== id?.toString())) {
+      return result(false, 'This QR code belongs to something else');
+    }
+
+    const { valid } = totpService.verify(parsed.code, config.secret, this.getTotpOptions(config));
+    return result(valid, valid ? 'QR code verified' : 'QR code expired or invalid. Scan the display again');
+  }
+
+  /**
+   * Render a payload for a display
+   * @param {'svg'|'png'} format
+   * @returns {string|Buffer} SVG markup or PNG bytes
+   */
+  render(payload, format = 'svg', { width = 512 } = {}) {
+    if (format === 'png') {
+      return QRCode.toBuffer(payload, { type: 'png', width, margin: 2, errorCorrectionLevel: 'M' });
+    }
+    return QRCode.toString(payload, { type: 'svg', width, margin: 2, errorCorrectionLevel: 'M' });
+  }
+}
+
+export default new QRCodeService();
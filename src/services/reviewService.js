@@ -0,0 +1,561 @@
+import crypto from 'crypto';
+import Quest from '../models/Quest.js';
+import QuestCompletion from '../models/QuestCompletion.js';
+import User from '../models/User.js';
+import completionService from './completionService.js';
+import checkpointService from './checkpointService.js';
+import jobService from './jobService.js';
+import permissionService from './permissionService.js';
+import { isPhotoType, photoContentType } from '../utils/contentHeaders.js';
+import {
+  VERIFICATION_RESULT,
+  REVIEW_REASONS,
+  APPEAL_STATUS,
+  ERROR_CODES,
+  DEFAULTS,
+  PERMISSIONS
+} from '../config/constants.js';
+
+const MAX_BULK = 100;
+
+/**
+ * Review Service
+ * Manual review queue for quest submissions (status pending_review):
+ * quests with requiresApproval, submissions verification couldn't
+ * decide on, and appeals of failed attempts (see REVIEW_REASONS).
+ * Quest owners and organization staff with quest:review review their
+ * quests; accounts with review:all review everything.
+ */
+class ReviewService {
+  canReviewAll(user) {
+    return permissionService.hasPermission(user, PERMISSIONS.REVIEW_ALL);
+  }
+
+  /**
+   * Queued submissions the reviewer may decide on
+   */
+  async listPending(reviewer, { questId, reason, overdue, page = 1, limit = 20 } = {}) {
+    const query = { status: 'pending_review' };
+
+    if (questId) {
+      query.questId = questId;
+    }
+    if (!this.canReviewAll(reviewer)) {
+      const ownerIds = await permissionService.getManagedOwnerIds(reviewer, PERMISSIONS.QUEST_REVIEW);
+      const questIds = await Quest.find({
+        creatorId: { $in: ownerIds },
+        ...(questId && { _id: questId })
+      }).distinct('_id');
+      query.questId = { $in: questIds };
+    }
+    if (reason) {
+      query['review.reasons'] = reason;
+    }
+    if (overdue) {
+      query['review.dueAt'] = { $lt: new Date() };
+    }
+
+    limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    page = Math.max(parseInt(page) || 1, 1);
+
+    const [items, total] = await Promise.all([
+      QuestCompletion.find(query)
+        .sort({ 'review.queuedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'name avatar')
+        .populate('questId', 'title questType'),
+      QuestCompletion.countDocuments(query)
+    ]);
+
+    return {
+      items: items.map(item => this.toReviewItem(item)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * A submission with the evidence a reviewer needs
+   */
+  toReviewItem(completion) {
+    const { submission = {}, verification = {}, review = {} } = completion;
+
+    return {
+      id: completion._id,
+      quest: completion.questId,
+      user: completion.userId,
+      attemptNumber: completion.attemptNumber,
+      reasons: review.reasons,
+      queuedAt: review.queuedAt,
+      dueAt: review.dueAt,
+      overdue: !!review.dueAt && review.dueAt < new Date(),
+      hasPhoto: !!review.photoBlobId,
+      appeal: completion.appeal?.status ? {
+        explanation: completion.appeal.explanation,
+        evidence: completion.appeal.evidence.map((item, index) => ({
+          index,
+          kind: item.kind,
+          url: item.url,
+          contentType: item.contentType
+        })),
+        submittedAt: completion.appeal.submittedAt
+      } : null,
+      checkpoints: completion.checkpoints?.length > 0
+        ? completion.checkpoints.map(entry => ({
+            checkpointId: entry.checkpointId,
+            status: entry.status,
+            attempts: entry.attempts,
+            passedAt: entry.passedAt,
+            location: entry.location,
+            reviewReasons: entry.reviewReasons
+          }))
+        : null,
+      failure: completion.failure?.code ? {
+        code: completion.failure.code,
+        reason: completion.failure.reason
+      } : null,
+      submission: {
+        location: submission.location,
+        capturedAt: submission.capturedAt,
+        submittedAt: submission.submittedAt,
+        deviceInfo: submission.deviceInfo,
+        nfcScan: submission.nfcScan
+      },
+      verification: {
+        overallScore: verification.overallScore,
+        gps: verification.gps,
+        timeWindow: verification.timeWindow,
+        qrCode: verification.qrCode,
+        nfc: verification.nfc,
+        photoForensics: verification.photoForensics,
+        aiVision: verification.aiVision,
+        antiSpoofing: verification.antiSpoofing
+      }
+    };
+  }
+
+  /**
+   * Load a queued submission the reviewer may decide on
+   */
+  async getReviewable(reviewer, completionId) {
+    const completion = await QuestCompletion.findById(completionId);
+    if (!completion) {
+      const error = new Error('Submission not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const quest = await Quest.findById(completion.questId);
+    const allowed = quest && (
+      this.canReviewAll(reviewer) ||
+      await permissionService.can(reviewer, PERMISSIONS.QUEST_REVIEW, 'quest', quest)
+    );
+    if (!allowed) {
+      const error = new Error('Not authorized to review this submission');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return { completion, quest };
+  }
+
+  /**
+   * Take a submission off the queue so only one reviewer decides it
+   * @param {Object} update - More fields to set with the decision
+   */
+  async claim(completion, reviewer, decision, note, update = {}) {
+    const isAppeal = completion.appeal?.status === APPEAL_STATUS.PENDING;
+    const deniedStatus = isAppeal ? completion.appeal.previousStatus : 'rejected';
+
+    let claimed;
+    try {
+      claimed = await QuestCompletion.findOneAndUpdate(
+        { _id: completion._id, status: 'pending_review' },
+        {
+          status: decision === 'approved' ? 'verifying' : deniedStatus,
+          'review.decision': decision,
+          'review.reviewerId': reviewer._id,
+          'review.reviewedAt': new Date(),
+          'review.note': note,
+          ...update
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const conflict = new Error('Another submission by this user was just approved; try again');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    if (!claimed) {
+      const error = new Error('Submission is not waiting for review');
+      error.statusCode = 409;
+      throw error;
+    }
+    return claimed;
+  }
+
+  /**
+   * Approve: complete the attempt and pay its rewards. If completing fails
+   * the submission goes back on the queue; rewards already paid are not
+   * paid again (see completionService.complete).
+   */
+  async approve(reviewer, completionId, { note } = {}) {
+    const { completion, quest } = await this.getReviewable(reviewer, completionId);
+
+    const completedByUser = await QuestCompletion.countDocuments({
+      questId: quest._id,
+      userId: completion.userId,
+      status: 'completed'
+    });
+    if (completedByUser >= quest.budget.maxCompletionsPerUser) {
+      const error = new Error('User has already completed this quest');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const user = await User.findById(completion.userId);
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Two approvals can't take the same slot, so the limit holds under races
+    const attempt = await this.claim(completion, reviewer, 'approved', note, { completionSlot: completedByUser });
+
+    const isAppeal = attempt.appeal?.status === APPEAL_STATUS.PENDING;
+
+    try {
+      attempt.verification.overallResult = VERIFICATION_RESULT.PASSED;
+      if (isAppeal) {
+        this.decideAppeal(attempt, reviewer, APPEAL_STATUS.UPHELD, note);
+      }
+
+      // Saves the attempt as completed, with the appeal decision
+      const { rewardResults, jobs } = await completionService.complete(
+        attempt,
+        quest,
+        user,
+        null,
+        { photoBlobId: attempt.review.photoBlobId }
+      );
+
+      if (isAppeal) await this.releaseEvidence(attempt);
+
+      console.log(`✅ Submission ${attempt._id} approved by ${reviewer._id}`);
+      return { completion: attempt, rewardResults, jobs };
+    } catch (error) {
+      // Put it back on the queue so it can be approved again
+      await QuestCompletion.updateOne(
+        { _id: attempt._id, status: 'verifying' },
+        {
+          status: 'pending_review',
+          'verification.overallResult': VERIFICATION_RESULT.NEEDS_REVIEW,
+          ...(isAppeal && { 'appeal.status': APPEAL_STATUS.PENDING }),
+          $unset: { 'review.decision': 1, 'review.reviewerId': 1, 'review.reviewedAt': 1, completionSlot: 1 }
+        }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Reject with a reason shown to the user; they may try again
+   */
+  async reject(reviewer, completionId, { reason } = {}) {
+    if (!reason || !String(reason).trim()) {
+      const error = new Error('A rejection reason is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { completion } = await this.getReviewable(reviewer, completionId);
+    const attempt = await this.claim(completion, reviewer, 'rejected', String(reason).trim());
+
+    const isAppeal = attempt.appeal?.status === APPEAL_STATUS.PENDING;
+
+    if (isAppeal) {
+      // The original failure stands
+      this.decideAppeal(attempt, reviewer, APPEAL_STATUS.DENIED, attempt.review.note);
+    } else {
+      attempt.failedAt = new Date();
+      attempt.failure = {
+        code: ERROR_CODES.REVIEW_REJECTED,
+        reason: attempt.review.note,
+        canRetry: true
+      };
+    }
+    attempt.verification.overallResult = VERIFICATION_RESULT.FAILED;
+    await attempt.save();
+
+    if (isAppeal) await this.releaseEvidence(attempt);
+    if (attempt.review.photoBlobId) {
+      await jobService.deleteBlob(attempt.review.photoBlobId);
+    }
+
+    console.log(`🚫 Submission ${attempt._id} rejected by ${reviewer._id}`);
+    return { completion: attempt };
+  }
+
+  /**
+   * Approve or reject several submissions; each one succeeds or fails on its own
+   * @returns {Array<{ id, success, message }>}
+   */
+  async bulk(reviewer, { action, ids, reason, note } = {}) {
+    if (!['approve', 'reject'].includes(action)) {
+      const error = new Error('Action must be approve or reject');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK) {
+      const error = new Error(`Provide between 1 and ${MAX_BULK} submission ids`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const results = [];
+    for (const id of [...new Set(ids.map(String))]) {
+      try {
+        if (action === 'approve') {
+          await this.approve(reviewer, id, { note });
+        } else {
+          await this.reject(reviewer, id, { reason });
+        }
+        results.push({ id, success: true });
+      } catch (error) {
+        results.push({ id, success: false, message: error.message });
+      }
+    }
+    return results;
+  }
+
+  // =============================================
+  // APPEALS
+  // =============================================
+
+  /**
+   * Appeal a failed or rejected attempt. It goes back on the quest's review
+   * queue, to be decided within APPEAL_SLA_HOURS.
+   * @param {Object} user - The attempt's owner
+   * @param {Object} appeal - { explanation, photos: [base64], links: [url] }
+   */
+  async submitAppeal(user, completionId, { explanation, photos = [], links = [] } = {}) {
+    const text = String(explanation || '').trim();
+    if (text.length < 20 || text.length > 2000) {
+      const error = new Error('Explain what happened in 20 to 2000 characters');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!Array.isArray(photos) || photos.length > DEFAULTS.APPEAL_MAX_PHOTOS) {
+      const error = new Error(`Attach at most ${DEFAULTS.APPEAL_MAX_PHOTOS} photos`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!Array.isArray(links) || links.length > DEFAULTS.APPEAL_MAX_LINKS ||
+        links.some(link => !/^https?:\/\/\S+$/i.test(String(link)))) {
+      const error = new Error(`Attach at most ${DEFAULTS.APPEAL_MAX_LINKS} http(s) links`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const completion = await QuestCompletion.findOne({ _id: completionId, userId: user._id });
+    if (!completion) {
+      const error = new Error('Attempt not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!['failed', 'rejected'].includes(completion.status)) {
+      const error = new Error('Only failed attempts can be appealed');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (completion.appeal?.status) {
+      const error = new Error('This attempt has already been appealed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const failedAt = completion.failedAt || completion.updatedAt;
+    const windowMs = DEFAULTS.APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    if (failedAt && Date.now() - failedAt.getTime() > windowMs) {
+      const error = new Error(`Appeals must be made within ${DEFAULTS.APPEAL_WINDOW_DAYS} days`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Upholding the appeal completes the quest, so every checkpoint must be behind
+    const quest = await Quest.findById(completion.questId);
+    if (quest && checkpointService.hasCheckpoints(quest) && !checkpointService.getProgress(quest, completion).done) {
+      const error = new Error('This attempt ended before the last checkpoint. Start a new attempt instead');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const evidence = [];
+    try {
+      for (const photo of photos) {
+        const contentType = photoContentType(photo);
+        if (!contentType) {
+          const error = new Error('Photos must be JPEG, PNG or WebP data URLs');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        const buffer = Buffer.from(String(photo).replace(/^data:.*?;base64,/, ''), 'base64');
+
+        if (!buffer.length || buffer.length > DEFAULTS.MAX_PHOTO_SIZE_MB * 1024 * 1024) {
+          const error = new Error(`Photos must be under ${DEFAULTS.MAX_PHOTO_SIZE_MB}MB`);
+          error.statusCode = 400;
+          throw error;
+        }
+
+        evidence.push({
+          kind: 'photo',
+          blobId: await jobService.saveBlob(buffer, `appeal_${completion._id}_${evidence.length}`),
+          contentType,
+          sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+        });
+      }
+    } catch (error) {
+      await this.deleteEvidence(evidence);
+      throw error;
+    }
+    links.forEach(url => evidence.push({ kind: 'link', url: String(url) }));
+
+    const now = new Date();
+    const appealed = await QuestCompletion.findOneAndUpdate(
+      { _id: completion._id, status: completion.status, 'appeal.status': { $exists: false } },
+      {
+        status: 'pending_review',
+        appeal: {
+          status: APPEAL_STATUS.PENDING,
+          explanation: text,
+          evidence,
+          previousStatus: completion.status,
+          submittedAt: now
+        },
+        review: {
+          reasons: [REVIEW_REASONS.APPEAL],
+          queuedAt: now,
+          dueAt: new Date(now.getTime() + DEFAULTS.APPEAL_SLA_HOURS * 60 * 60 * 1000)
+        },
+        'verification.overallResult': VERIFICATION_RESULT.NEEDS_REVIEW
+      },
+      { new: true }
+    );
+
+    if (!appealed) {
+      await this.deleteEvidence(evidence);
+      const error = new Error('This attempt has already been appealed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    console.log(`📨 Appeal submitted for attempt ${appealed._id}`);
+    return appealed;
+  }
+
+  /**
+   * Record the decision on an appeal (saved by the caller)
+   */
+  decideAppeal(attempt, reviewer, status, note) {
+    attempt.appeal.status = status;
+    attempt.appeal.decidedAt = new Date();
+    attempt.appeal.reviewerId = reviewer._id;
+    attempt.appeal.decisionNote = note;
+  }
+
+  /**
+   * Drop evidence photos once an appeal is decided; the hashes stay
+   */
+  async releaseEvidence(attempt) {
+    const photos = attempt.appeal.evidence.filter(item => item.blobId);
+    if (photos.length === 0) return;
+
+    try {
+      await this.deleteEvidence(photos);
+      photos.forEach(item => { item.blobId = undefined; });
+      await attempt.save();
+    } catch (error) {
+      console.warn('⚠️ Could not delete appeal evidence:', error.message);
+    }
+  }
+
+  async deleteEvidence(evidence) {
+    for (const item of evidence) {
+      if (item.blobId) await jobService.deleteBlob(item.blobId);
+    }
+  }
+
+  /**
+   * Appeal state of one of the user's attempts
+   */
+  async getAppeal(user, completionId) {
+    const completion = await QuestCompletion.findOne({ _id: completionId, userId: user._id })
+      .select('status appeal review.dueAt failure');
+
+    if (!completion) {
+      const error = new Error('Attempt not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const appeal = completion.appeal?.status ? completion.appeal : null;
+    return {
+      attemptStatus: completion.status,
+      canAppeal: !appeal && ['failed', 'rejected'].includes(completion.status),
+      appeal: appeal && {
+        status: appeal.status,
+        explanation: appeal.explanation,
+        evidenceCount: appeal.evidence.length,
+        submittedAt: appeal.submittedAt,
+        dueAt: appeal.status === APPEAL_STATUS.PENDING ? completion.review?.dueAt : undefined,
+        decidedAt: appeal.decidedAt,
+        decisionNote: appeal.decisionNote
+      }
+    };
+  }
+
+  /**
+   * Stream of an appeal's evidence photo
+   * @returns {{ stream, contentType }}
+   */
+  async openEvidence(reviewer, completionId, index) {
+    const { completion } = await this.getReviewable(reviewer, completionId);
+    const item = completion.appeal?.evidence?.[Number(index)];
+
+    if (!item?.blobId) {
+      const error = new Error('Evidence not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return {
+      stream: jobService.openBlob(item.blobId),
+      contentType: isPhotoType(item.contentType) ? item.contentType : 'image/jpeg'
+    };
+  }
+
+  /**
+   * Stream of the photo kept for review
+   * @returns {{ stream, contentType }}
+   */
+  async openPhoto(reviewer, completionId) {
+    const { completion } = await this.getReviewable(reviewer, completionId);
+
+    if (!completion.review?.photoBlobId || completion.status !== 'pending_review') {
+      const error = new Error('No photo waiting for review');
+      error.statusCode = 404;
+      throw error;
+    }
+    const { photoContentType } = completion.review;
+    return {
+      stream: jobService.openBlob(completion.review.photoBlobId),
+      contentType: isPhotoType(photoContentType) ? photoContentType : 'image/jpeg'
+    };
+  }
+}
+
+export default new ReviewService();
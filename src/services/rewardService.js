@@ -1,6 +1,8 @@
-import aptosService from './aptosService.js';
+import jobService from './jobService.js';
+import treasuryService from './treasuryService.js';
 import User from '../models/User.js';
 import Badge from '../models/Badge.js';
+import { JOB_TYPES } from '../config/constants.js';
 
 class RewardService {
   
@@ -22,13 +24,12 @@ class RewardService {
       const user = await User.findById(userId);
       if (!user) throw new Error('User not found');
 
-      // 1. APT Rewards
+      // 1. APT Rewards (sent in the background)
       if (quest.rewards.aptAmount > 0) {
-        results.apt = await this.sendAptReward(
-          user.aptosAddress,
-          quest.rewards.aptAmount,
-          quest._id
-        );
+        results.apt = await this.queueAptReward(user, quest.rewards.aptAmount, {
+          quest,
+          completionId: questCompletion._id
+        }, `reward.apt:completion:${questCompletion._id}`);
       }
 
       // 2. Points
@@ -54,10 +55,11 @@ class RewardService {
       await user.updateStreak();
 
       // 7. Update quest stats
-      await this.updateUserQuestStats(user, quest.rewards.aptAmount, quest.rewards.points);
+      const aptEarned = results.apt?.success ? quest.rewards.aptAmount : 0;
+      await this.updateUserQuestStats(user, aptEarned, quest.rewards.points);
 
       // 8. Update quest budget
-      await this.updateQuestBudget(quest, quest.rewards.aptAmount);
+      await this.updateQuestStats(quest, aptEarned);
 
       return results;
 
@@ -69,30 +71,50 @@ class RewardService {
   }
 
   /**
-   * Send APT reward to user
+   * Reserve an APT reward out of the quest's (or campaign's) budget and
+   * queue the transfer to the user's wallet
+   * @param {Object} context - quest or campaign paying it, and the completionId
+   * @param {string} idempotencyKey - One reward per key
    */
-  async sendAptReward(userAddress, amount, questId) {
-    try {
-      if (!userAddress) {
-        return { success: false, error: 'No wallet address' };
-      }
+  async queueAptReward(user, amount, { quest = null, campaign = null, completionId = null }, idempotencyKey) {
+    if (!user.aptosAddress) {
+      return { success: false, error: 'No wallet address' };
+    }
+
+    if (!user.isAccountVerified()) {
+      return { success: false, error: 'Verify your email address to receive APT' };
+    }
 
-      console.log(`💰 Sending ${amount} APT to ${userAddress}`);
+    const reserve = await treasuryService.reserveReward({ quest, campaign }, {
+      userId: user._id,
+      amount,
+      questCompletionId: completionId,
+      idempotencyKey
+    });
 
-      // Use the sponsored transaction approach
-      const result = await aptosService.sendReward(userAddress, amount);
+    if (!reserve) {
+      return { success: false, error: `${quest ? 'Quest' : 'Campaign'} APT budget can't cover this reward` };
+    }
 
-      return {
-        success: true,
+    const job = await jobService.enqueue(
+      JOB_TYPES.APT_REWARD,
+      {
+        userId: user._id.toString(),
         amount,
-        txHash: result.txHash,
-        txVersion: result.txVersion
-      };
+        reserveId: reserve._id.toString(),
+        questId: quest?._id.toString(),
+        campaignId: (campaign?._id || quest?.campaignId)?.toString(),
+        completionId: completionId?.toString()
+      },
+      { idempotencyKey, userId: user._id }
+    );
 
-    } catch (error) {
-      console.error('APT reward error:', error);
-      return { success: false, error: error.message };
-    }
+    return {
+      success: true,
+      queued: true,
+      amount,
+      job: job.toStatus()
+    };
   }
 
   /**
@@ -217,12 +239,10 @@ class RewardService {
   }
 
   /**
-   * Update quest budget after reward distribution
+   * Update quest stats after reward distribution
+   * (the budget itself is drawn down by the treasury ledger)
    */
-  async updateQuestBudget(quest, aptReward) {
-    if (aptReward > 0) {
-      quest.budget.aptRemaining -= aptReward;
-    }
+  async updateQuestStats(quest, aptReward) {
     quest.stats.totalCompletions += 1;
     quest.stats.totalRewardsDistributed += aptReward || 0;
     await quest.save();
@@ -244,11 +264,9 @@ class RewardService {
       const grandPrize = campaign.grandPrize;
 
       if (grandPrize.aptAmount > 0) {
-        results.rewards.apt = await this.sendAptReward(
-          user.aptosAddress,
-          grandPrize.aptAmount,
-          campaign._id
-        );
+        results.rewards.apt = await this.queueAptReward(user, grandPrize.aptAmount, {
+          campaign
+        }, `reward.apt:campaign:${campaign._id}:${user._id}`);
       }
 
       if (grandPrize.points > 0) {
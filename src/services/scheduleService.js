@@ -0,0 +1,512 @@
+import { DEFAULTS } from '../config/constants.js';
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Schedule Service
+ * Time windows for quests (Quest.timeWindow) and story chapter unlocks
+ * (StoryChapter.unlockConditions.time), evaluated in the schedule's IANA
+ * timezone. A schedule is
+ *   { timezone, startTime, endTime, daysOfWeek, recurrence, specificDates, blackoutDates }
+ * - startTime/endTime are HH:MM; a window with endTime before startTime
+ *   crosses midnight and belongs to the day it starts on
+ * - daysOfWeek (0 = Sunday) and recurrence (an RRULE such as
+ *   FREQ=MONTHLY;BYDAY=1SA) pick the days a window starts on
+ * - specificDates replace the regular window on their date
+ * - blackoutDates (YYYY-MM-DD) are closed all day
+ *
+ * Calendar dates are handled as UTC midnights of the local date.
+ */
+class ScheduleService {
+  constructor() {
+    this.rules = new Map();
+    this.lastOccurrences = new Map();
+  }
+
+  // =============================================
+  // TIMES AND DATES
+  // =============================================
+
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 'HH:MM' to minutes after midnight
+   * @returns {number|null}
+   */
+  parseTime(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value ?? ''));
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  toDateKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * 'YYYY-MM-DD' to a calendar date
+   * @returns {Date|null}
+   */
+  parseDateKey(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && this.toDateKey(date) === value ? date : null;
+  }
+
+  addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Local calendar date and minutes after midnight of an instant
+   * @returns {{ date: Date, minutes: number }}
+   */
+  getLocalParts(at, timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(at).map(part => [part.type, part.value])
+    );
+
+    return {
+      date: new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day))),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  /**
+   * Instant of a local date and time in a timezone. A time that occurs twice
+   * (clocks going back) is its first occurrence; one skipped by clocks going
+   * forward moves forward by the gap.
+   */
+  toInstant(date, minutes, timeZone) {
+    const target = date.getTime() + minutes * 60 * 1000;
+    const offsetAt = (at) => {
+      const local = this.getLocalParts(new Date(at), timeZone);
+      return local.date.getTime() + local.minutes * 60 * 1000 - at;
+    };
+
+    // The offsets a day either side cover any DST change on the date
+    const before = offsetAt(target - DAY_MS);
+    const after = offsetAt(target + DAY_MS);
+    const exact = [target - before, target - after]
+      .sort((a, b) => a - b)
+      .find(at => offsetAt(at) === target - at);
+
+    return new Date(exact ?? target - before);
+  }
+
+  // =============================================
+  // RECURRENCE (RRULE subset)
+  // =============================================
+
+  /**
+   * Parse an RRULE, optionally preceded by a DTSTART line. Supports FREQ,
+   * INTERVAL, BYDAY (with ordinals for MONTHLY/YEARLY), BYMONTHDAY, BYMONTH,
+   * UNTIL, COUNT and WKST=MO
+   */
+  parseRecurrence(text) {
+    const cached = this.rules.get(text);
+    if (cached) return cached;
+
+    const fail = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+    const parseDate = (value) => {
+      const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+      const date = match && this.parseDateKey(`${match[1]}-${match[2]}-${match[3]}`);
+      return date || fail(`Invalid date "${value}" in recurrence`);
+    };
+
+    const rule = {
+      freq: null,
+      interval: 1,
+      byDay: [],
+      byMonthDay: [],
+      byMonth: [],
+      until: null,
+      count: null,
+      dtstart: null
+    };
+
+    let body = null;
+    for (const line of String(text).trim().split(/\r?\n/)) {
+      if (/^DTSTART/i.test(line)) {
+        rule.dtstart = parseDate(line.slice(line.lastIndexOf(':') + 1));
+      } else {
+        body = line.replace(/^RRULE:/i, '').trim();
+      }
+    }
+    if (!body) fail('Recurrence needs an RRULE');
+
+    for (const part of body.split(';').filter(Boolean)) {
+      const [key, value = ''] = part.split('=');
+      const numbers = () => value.split(',').map(Number);
+
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          if (!FREQUENCIES.includes(value.toUpperCase())) fail(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+          rule.freq = value.toUpperCase();
+          break;
+        case 'INTERVAL':
+          rule.interval = Number(value);
+          if (!Number.isInteger(rule.interval) || rule.interval < 1) fail('INTERVAL must be a positive integer');
+          break;
+        case 'BYDAY':
+          rule.byDay = value.toUpperCase().split(',').map((day) => {
+            const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+            if (!match || Number(match[1]) === 0) fail(`Invalid BYDAY "${day}"`);
+            return { weekday: WEEKDAYS.indexOf(match[2]), n: match[1] ? Number(match[1]) : null };
+          });
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = numbers();
+          if (rule.byMonthDay.some(n => !Number.isInteger(n) || n === 0 || n < -31 || n > 31)) fail('BYMONTHDAY must be 1 to 31 or -31 to -1');
+          break;
+        case 'BYMONTH':
+          rule.byMonth = numbers();
+          if (rule.byMonth.some(n => !Number.isInteger(n) || n < 1 || n > 12)) fail('BYMONTH must be 1 to 12');
+          break;
+        case 'UNTIL':
+          rule.until = parseDate(value);
+          break;
+        case 'COUNT':
+          rule.count = Number(value);
+          if (!Number.isInteger(rule.count) || rule.count < 1) fail('COUNT must be a positive integer');
+          break;
+        case 'WKST':
+          if (value.toUpperCase() !== 'MO') fail('Only WKST=MO is supported');
+          break;
+        default:
+          fail(`Unsupported recurrence part "${key}"`);
+      }
+    }
+
+    if (!rule.freq) fail('Recurrence needs FREQ');
+    if (rule.until && rule.count) fail('Use UNTIL or COUNT, not both');
+    if (rule.byDay.some(day => day.n) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+      fail('Numbered BYDAY (e.g. 1SA) needs FREQ=MONTHLY or FREQ=YEARLY');
+    }
+
+    this.rules.set(text, rule);
+    return rule;
+  }
+
+  /**
+   * Whether a recurrence has an occurrence on a calendar date
+   * @param {Object} rule - parseRecurrence result
+   * @param {Date} date - Calendar date
+   * @param {Date|null} anchor - Start when the rule has no DTSTART
+   */
+  occursOn(rule, date, anchor = null, { ignoreCount = false } = {}) {
+    const start = rule.dtstart || anchor;
+    if (start && date < start) return false;
+    if (rule.until && date > rule.until) return false;
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return false;
+
+    if (rule.byMonthDay.length > 0 &&
+        !rule.byMonthDay.some(n => (n > 0 ? n : daysInMonth + n + 1) === day)) {
+      return false;
+    }
+
+    if (rule.byDay.length > 0) {
+      const matches = rule.byDay.some(({ weekday: wanted, n }) => {
+        if (wanted !== weekday) return false;
+        if (!n) return true;
+
+        // Nth weekday of the year, or of the month
+        if (rule.freq === 'YEARLY' && rule.byMonth.length === 0) {
+          const dayOfYear = (date - Date.UTC(year, 0, 1)) / DAY_MS + 1;
+          const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY_MS;
+          return n > 0 ? Math.ceil(dayOfYear / 7) === n : Math.ceil((daysInYear - dayOfYear + 1) / 7) === -n;
+        }
+        return n > 0 ? Math.ceil(day / 7) === n : Math.ceil((daysInMonth - day + 1) / 7) === -n;
+      });
+      if (!matches) return false;
+    }
+
+    // Parts the rule leaves out come from the start date
+    const reference = start || date;
+    if (rule.freq === 'WEEKLY' && rule.byDay.length === 0 && weekday !== reference.getUTCDay()) return false;
+    if (['MONTHLY', 'YEARLY'].includes(rule.freq) && rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+      if (day !== reference.getUTCDate()) return false;
+      if (rule.freq === 'YEARLY' && rule.byMonth.length === 0 && month !== reference.getUTCMonth() + 1) return false;
+    }
+
+    if (rule.interval > 1 && start) {
+      const weekStart = value => this.addDays(value, -((value.getUTCDay() + 6) % 7));
+      const periods = {
+        DAILY: () => Math.round((date - start) / DAY_MS),
+        WEEKLY: () => Math.round((weekStart(date) - weekStart(start)) / (7 * DAY_MS)),
+        MONTHLY: () => (year - start.getUTCFullYear()) * 12 + (month - 1 - start.getUTCMonth()),
+        YEARLY: () => year - start.getUTCFullYear()
+      }[rule.freq]();
+
+      if (periods % rule.interval !== 0) return false;
+    }
+
+    if (rule.count && start && !ignoreCount) {
+      const last = this.getLastOccurrence(rule, start);
+      if (last && date > last) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Date of the COUNT-th occurrence (null if beyond the lookahead)
+   */
+  getLastOccurrence(rule, start) {
+    const key = `${JSON.stringify(rule)}|${start.toISOString()}`;
+    if (this.lastOccurrences.has(key)) return this.lastOccurrences.get(key);
+
+    let last = null;
+    let seen = 0;
+    const maxDays = DEFAULTS.SCHEDULE_COUNT_SCAN_YEARS * 366;
+
+    for (let offset = 0; offset < maxDays && seen < rule.count; offset++) {
+      const date = this.addDays(start, offset);
+      if (this.occursOn(rule, date, start, { ignoreCount: true })) {
+        seen += 1;
+        last = date;
+      }
+    }
+
+    const result = seen >= rule.count ? last : null;
+    this.lastOccurrences.set(key, result);
+    return result;
+  }
+
+  // =============================================
+  // WINDOWS
+  // =============================================
+
+  /**
+   * A schedule problem, for model validation
+   * @returns {string|null}
+   */
+  validate(schedule) {
+    if (!schedule) return null;
+
+    if (schedule.timezone && !this.isValidTimeZone(schedule.timezone)) {
+      return `Unknown timezone "${schedule.timezone}"`;
+    }
+
+    const times = [
+      schedule.startTime,
+      schedule.endTime,
+      ...(schedule.specificDates || []).flatMap(entry => [entry.startTime, entry.endTime])
+    ];
+    if (times.some(time => time && this.parseTime(time) === null)) {
+      return 'Times must be HH:MM (24-hour)';
+    }
+
+    if ((schedule.blackoutDates || []).some(date => !this.parseDateKey(date))) {
+      return 'Blackout dates must be YYYY-MM-DD';
+    }
+
+    if (schedule.recurrence) {
+      try {
+        this.parseRecurrence(schedule.recurrence);
+      } catch (error) {
+        return error.message;
+      }
+    }
+
+    return null;
+  }
+
+  hasRegularSchedule(schedule) {
+    return !!(schedule.startTime || schedule.endTime || schedule.daysOfWeek?.length > 0 || schedule.recurrence);
+  }
+
+  isBlackout(schedule, date) {
+    return (schedule.blackoutDates || []).includes(this.toDateKey(date));
+  }
+
+  toWindow(startTime, endTime) {
+    const start = this.parseTime(startTime) ?? 0;
+    const end = this.parseTime(endTime) ?? MINUTES_PER_DAY - 1;
+    return { start, end, crossesMidnight: start > end };
+  }
+
+  /**
+   * Windows that start on a local calendar date
+   */
+  windowsOn(schedule, date, anchor) {
+    if (this.isBlackout(schedule, date)) return [];
+
+    const key = this.toDateKey(date);
+    const specific = (schedule.specificDates || []).filter(entry => entry.date && this.toDateKey(new Date(entry.date)) === key);
+    if (specific.length > 0) {
+      return specific.map(entry => this.toWindow(entry.startTime, entry.endTime));
+    }
+
+    // Only specific dates: closed on every other day
+    if (!this.hasRegularSchedule(schedule) && schedule.specificDates?.length > 0) return [];
+
+    if (schedule.daysOfWeek?.length > 0 && !schedule.daysOfWeek.includes(date.getUTCDay())) return [];
+    if (schedule.recurrence && !this.occursOn(this.parseRecurrence(schedule.recurrence), date, anchor)) return [];
+
+    return [this.toWindow(schedule.startTime, schedule.endTime)];
+  }
+
+  /**
+   * First window opening after a local date and time
+   * @returns {{ date, minutes, at }|null}
+   */
+  findNextOpening(schedule, today, minutes, anchor, timeZone) {
+    for (let offset = 0; offset <= DEFAULTS.SCHEDULE_LOOKAHEAD_DAYS; offset++) {
+      const date = this.addDays(today, offset);
+      const next = this.windowsOn(schedule, date, anchor)
+        .filter(window => offset > 0 || window.start > minutes)
+        .sort((a, b) => a.start - b.start)[0];
+
+      if (next) {
+        return { date, minutes: next.start, at: this.toInstant(date, next.start, timeZone) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a schedule is open at an instant
+   * @param {Object} schedule - See class comment
+   * @param {Date} at - Instant to check
+   * @param {Object} options - { anchor } start of recurrences without DTSTART
+   * @returns {{ open, reason, timezone, localDate, localTime, window, nextOpensAt, message }}
+   */
+  evaluate(schedule, at = new Date(), { anchor = null } = {}) {
+    const timeZone = schedule.timezone || 'UTC';
+
+    if (!this.isValidTimeZone(timeZone)) {
+      return { open: false, reason: 'invalid', timezone: timeZone, message: `Unknown timezone "${timeZone}"` };
+    }
+
+    const { date: today, minutes } = this.getLocalParts(at, timeZone);
+    const anchorDate = anchor ? this.getLocalParts(new Date(anchor), timeZone).date : null;
+    const result = {
+      timezone: timeZone,
+      localDate: this.toDateKey(today),
+      localTime: this.formatTime(minutes),
+      window: null,
+      nextOpensAt: null
+    };
+
+    try {
+      // Blackout days have no windows of their own, but a window from the
+      // night before still runs past midnight into them
+      const yesterday = this.addDays(today, -1);
+      const candidates = [
+        ...this.windowsOn(schedule, today, anchorDate).map(window => ({ window, started: 'today' })),
+        ...this.windowsOn(schedule, yesterday, anchorDate).map(window => ({ window, started: 'yesterday' }))
+      ];
+
+      const current = candidates.find(({ window, started }) => {
+        if (started === 'yesterday') return window.crossesMidnight && minutes <= window.end;
+        return window.crossesMidnight ? minutes >= window.start : minutes >= window.start && minutes <= window.end;
+      });
+
+      if (current) {
+        return {
+          ...result,
+          open: true,
+          reason: null,
+          window: `${this.formatTime(current.window.start)} - ${this.formatTime(current.window.end)}`,
+          message: 'Within time window'
+        };
+      }
+
+      const next = this.findNextOpening(schedule, today, minutes, anchorDate, timeZone);
+      const blackout = this.isBlackout(schedule, today);
+      let message;
+
+      if (!next) {
+        message = 'No upcoming time window';
+      } else if (next.date.getTime() === today.getTime()) {
+        message = `Come back at ${this.formatTime(next.minutes)} (${timeZone})`;
+      } else {
+        message = `${blackout ? 'Closed today. ' : ''}Come back on ${this.toDateKey(next.date)} at ${this.formatTime(next.minutes)} (${timeZone})`;
+      }
+
+      return {
+        ...result,
+        open: false,
+        reason: blackout ? 'blackout' : 'outside_window',
+        nextOpensAt: next?.at || null,
+        message
+      };
+    } catch (error) {
+      return { ...result, open: false, reason: 'invalid', message: error.message };
+    }
+  }
+
+  /**
+   * Schedule of a story chapter's time condition: specificTime opens a few
+   * minutes either side, specificDate (MM-DD) recurs yearly
+   */
+  fromStoryTime(time) {
+    const schedule = {
+      timezone: time.timezone,
+      startTime: time.startTime,
+      endTime: time.endTime,
+      daysOfWeek: time.daysOfWeek,
+      recurrence: time.recurrence,
+      blackoutDates: time.blackoutDates
+    };
+
+    const specificTime = this.parseTime(time.specificTime);
+    if (specificTime !== null) {
+      const tolerance = DEFAULTS.STORY_TIME_TOLERANCE_MINUTES;
+      schedule.startTime = this.formatTime((specificTime - tolerance + MINUTES_PER_DAY) % MINUTES_PER_DAY);
+      schedule.endTime = this.formatTime((specificTime + tolerance) % MINUTES_PER_DAY);
+    }
+
+    const specificDate = /^(\d{2})-(\d{2})$/.exec(time.specificDate || '');
+    if (specificDate && !schedule.recurrence) {
+      schedule.recurrence = `FREQ=YEARLY;BYMONTH=${Number(specificDate[1])};BYMONTHDAY=${Number(specificDate[2])}`;
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Whether a schedule restricts anything at all
+   */
+  isRestricted(schedule) {
+    return this.hasRegularSchedule(schedule) ||
+      schedule.specificDates?.length > 0 ||
+      schedule.blackoutDates?.length > 0;
+  }
+}
+
+export default new ScheduleService();
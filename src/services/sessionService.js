@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { DEFAULTS } from '../config/constants.js';
+
+/**
+ * Session Service
+ * Short-lived JWT access tokens plus rotating refresh tokens. Each login is
+ * a Session (a refresh-token family); presenting an already rotated refresh
+ * token means it was copied, so the whole family is revoked.
+ */
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  getRefreshExpiry() {
+    const days = Number(process.env.REFRESH_TOKEN_DAYS) || DEFAULTS.REFRESH_TOKEN_DAYS;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Device and IP metadata of a request
+   */
+  getClient(req) {
+    return {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')?.substring(0, 500),
+      deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.substring(0, 100) : undefined
+    };
+  }
+
+  /**
+   * Access token + refresh token for a response
+   */
+  issueTokens(user, session, refreshToken) {
+    const token = user.generateAuthToken(session._id);
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      tokenExpiresAt: new Date(exp * 1000),
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Start a session after a successful login
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (device and IP metadata)
+   * @param {string} method - How the user signed in
+   * @param {Object} options - { stepUpMethod } second factor checked at login
+   * @returns {{ token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt, sessionId }}
+   */
+  async createSession(user, req, method, { stepUpMethod = null } = {}) {
+    const refreshToken = this.generateRefreshToken();
+    const client = this.getClient(req);
+
+    const session = await Session.create({
+      userId: user._id,
+      tokenHash: this.hashToken(refreshToken),
+      method,
+      deviceName: client.deviceName,
+      userAgent: client.userAgent,
+      ipAddress: client.ipAddress,
+      lastIpAddress: client.ipAddress,
+      lastUsedAt: new Date(),
+      stepUpAt: stepUpMethod ? new Date() : null,
+      stepUpMethod: stepUpMethod || undefined,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return this.issueTokens(user, session, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens, rotating the refresh token
+   * @throws 401 if the token is unknown, expired, revoked or reused
+   */
+  async refresh(refreshToken, req) {
+    const unauthorized = (message) => {
+      const error = new Error(message);
+      error.statusCode = 401;
+      return error;
+    };
+
+    const hash = this.hashToken(refreshToken);
+    const nextToken = this.generateRefreshToken();
+    const client = this.getClient(req);
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+      { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          tokenHash: this.hashToken(nextToken),
+          lastUsedAt: now,
+          lastIpAddress: client.ipAddress,
+          expiresAt: this.getRefreshExpiry()
+        },
+        $push: { rotatedTokenHashes: { $each: [hash], $slice: -DEFAULTS.SESSION_TOKEN_HISTORY } },
+        $inc: { generation: 1 }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOne({ rotatedTokenHashes: hash });
+      if (reused && !reused.revokedAt) {
+        await this.revokeSession(reused, 'reuse_detected');
+        console.warn(`🚨 Refresh token reuse on session ${reused._id} (user ${reused.userId}), session revoked`);
+      }
+      throw unauthorized(reused ? 'Refresh token was already used; please sign in again' : 'Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await this.revokeSession(session, 'revoked');
+      throw unauthorized('User not found');
+    }
+
+    return { user, tokens: this.issueTokens(user, session, nextToken) };
+  }
+
+  /**
+   * The session an access token belongs to, if it is still active
+   */
+  async getActiveSession(sessionId, userId) {
+    if (!sessionId) return null;
+
+    const session = await Session.findOne({ _id: sessionId, userId }).catch(() => null);
+    return session?.isActive() ? session : null;
+  }
+
+  async revokeSession(session, reason) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    return session.save();
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => session.toPublic(currentSessionId));
+  }
+
+  /**
+   * Revoke one of the user's sessions
+   * @throws 404 if the user has no such active session
+   */
+  async revoke(userId, sessionId, reason = 'revoked') {
+    const session = await this.getActiveSession(sessionId, userId);
+    if (!session) {
+      const error = new Error('Session not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await this.revokeSession(session, reason);
+    return session;
+  }
+
+  /**
+   * Revoke every active session of the user
+   * @param {Object} options - { exceptSessionId } session to keep (the caller's)
+   * @returns {number} Sessions revoked
+   */
+  async revokeAll(userId, { exceptSessionId = null } = {}) {
+    const result = await Session.updateMany(
+      {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+      },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked_all' } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+export default new SessionService();
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+
+/**
+ * Minimal CID helpers for content-addressed storage.
+ *
+ * We produce the CIDs Kubo returns for `ipfs add --cid-version=1
+ * --raw-leaves` with its default importer settings: content is cut into
+ * 256 KiB raw leaves, and files of more than one chunk get a balanced
+ * UnixFS DAG (dag-pb nodes of up to 174 links). A single-chunk file is its
+ * raw leaf (the "bafkrei..." form). All CIDs are sha2-256, base32 multibase.
+ */
+
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const DAG_PB_CODEC = 0x70;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Kubo defaults: size-262144 chunker, balanced layout
+export const CHUNK_SIZE = 256 * 1024;
+const MAX_LINKS = 174;
+const UNIXFS_FILE = 2;
+
+/**
+ * RFC 4648 base32, lowercase, no padding
+ */
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Unsigned LEB128 varint (multiformats and protobuf)
+ */
+function varint(value) {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+// Protobuf field helpers (wire types 0 = varint, 2 = length-delimited)
+const pbVarint = (field, value) => Buffer.concat([varint(field << 3), varint(value)]);
+const pbBytes = (field, bytes) => Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+
+function cidBytes(codec, digest) {
+  if (digest.length !== SHA2_256_LENGTH) {
+    throw new Error(`Invalid sha2-256 digest length: ${digest.length}`);
+  }
+  return Buffer.concat([Buffer.from([CID_VERSION, codec, SHA2_256, SHA2_256_LENGTH]), digest]);
+}
+
+const toCIDString = (bytes) => 'b' + base32Encode(bytes);
+
+/**
+ * Build a raw-codec CID from a finished sha2-256 digest
+ * @param {Buffer} digest - 32-byte sha2-256 digest of the content
+ * @returns {string} base32 CIDv1
+ */
+export function cidFromDigest(digest) {
+  return toCIDString(cidBytes(RAW_CODEC, digest));
+}
+
+/**
+ * dag-pb node of a UnixFS file whose content is in its children
+ * @param {Array<{ cid: Buffer, size: number, tsize: number }>} children
+ * @returns {{ cid: Buffer, size: number, tsize: number }}
+ */
+function fileNode(children) {
+  const size = children.reduce((sum, child) => sum + child.size, 0);
+  const unixfs = Buffer.concat([
+    pbVarint(1, UNIXFS_FILE),
+    pbVarint(3, size),
+    ...children.map(child => pbVarint(4, child.size))
+  ]);
+
+  // dag-pb: links (field 2) come before data (field 1)
+  const block = Buffer.concat([
+    ...children.map(child => pbBytes(2, Buffer.concat([
+      pbBytes(1, child.cid),
+      pbBytes(2, Buffer.alloc(0)),
+      pbVarint(3, child.tsize)
+    ]))),
+    pbBytes(1, unixfs)
+  ]);
+
+  return {
+    cid: cidBytes(DAG_PB_CODEC, crypto.createHash('sha256').update(block).digest()),
+    size,
+    tsize: block.length + children.reduce((sum, child) => sum + child.tsize, 0)
+  };
+}
+
+/**
+ * Incremental CID of streamed content. Only leaf digests are kept, so
+ * memory use stays small for any file size.
+ *
+ * const hasher = createCIDHasher();
+ * hasher.update(chunk); ...
+ * const cid = hasher.digest();
+ */
+export function createCIDHasher() {
+  const leaves = [];
+  let pending = [];
+  let pendingLength = 0;
+
+  const addLeaf = (data) => {
+    leaves.push({
+      cid: cidBytes(RAW_CODEC, crypto.createHash('sha256').update(data).digest()),
+      size: data.length,
+      tsize: data.length
+    });
+  };
+
+  return {
+    update(chunk) {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+
+      if (pendingLength >= CHUNK_SIZE) {
+        let buffer = Buffer.concat(pending, pendingLength);
+        while (buffer.length >= CHUNK_SIZE) {
+          addLeaf(buffer.subarray(0, CHUNK_SIZE));
+          buffer = buffer.subarray(CHUNK_SIZE);
+        }
+        pending = buffer.length ? [buffer] : [];
+        pendingLength = buffer.length;
+      }
+      return this;
+    },
+
+    digest() {
+      if (pendingLength > 0 || leaves.length === 0) {
+        addLeaf(Buffer.concat(pending, pendingLength));
+      }
+
+      // Balanced layout: each level groups the one below in runs of MAX_LINKS
+      let level = leaves;
+      while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += MAX_LINKS) {
+          next.push(fileNode(level.slice(i, i + MAX_LINKS)));
+        }
+        level = next;
+      }
+
+      return toCIDString(level[0].cid);
+    }
+  };
+}
+
+/**
+ * Compute the CID of a buffer
+ * @param {Buffer} buffer
+ * @returns {string} base32 CIDv1
+ */
+export function computeCID(buffer) {
+  return createCIDHasher().update(buffer).digest();
+}
+
+/**
+ * Basic shape check for CIDs we accept on the local gateway
+ * (CIDv0 "Qm..." or base32 CIDv1 "b...")
+ */
+export function isValidCID(cid) {
+  return typeof cid === 'string' &&
+    (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid) || /^b[a-z2-7]{20,}$/.test(cid));
+}
+
+export default { cidFromDigest, createCIDHasher, computeCID, isValidCID };
@@ -0,0 +1,246 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { computeCID, createCIDHasher } from './cid.js';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.json': 'application/json'
+};
+
+/**
+ * Content-addressed filesystem storage provider
+ *
+ * Blocks are stored under <root>/<last 2 chars of CID>/<CID>, with a
+ * <CID>.json sidecar holding the file name, content type and pin count.
+ * Identical content is stored once; unpin only deletes at pin count 0.
+ * Pin count updates of one CID run one at a time (per process, so a
+ * storage directory must belong to a single server).
+ *
+ * Env:
+ * - STORAGE_FS_PATH (default ./storage/ipfs)
+ * - IPFS_GATEWAY (optional, defaults to this server's /ipfs route)
+ */
+class FilesystemProvider {
+  constructor() {
+    this.name = 'filesystem';
+    this.root = path.resolve(process.env.STORAGE_FS_PATH || './storage/ipfs');
+    this.gatewayUrl = process.env.IPFS_GATEWAY ||
+      `http://localhost:${process.env.PORT || 5000}/ipfs`;
+    this.servesLocalGateway = true;
+    // CID -> tail of its queue of sidecar updates
+    this.locks = new Map();
+  }
+
+  /**
+   * Run fn after every earlier update of the CID has finished
+   */
+  async withLock(cid, fn) {
+    const previous = this.locks.get(cid) || Promise.resolve();
+    const current = previous.then(fn);
+    const tail = current.catch(() => {});
+    this.locks.set(cid, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(cid) === tail) this.locks.delete(cid);
+    }
+  }
+
+  getPaths(cid) {
+    const dir = path.join(this.root, cid.slice(-2));
+    return {
+      dir,
+      blob: path.join(dir, cid),
+      meta: path.join(dir, `${cid}.json`)
+    };
+  }
+
+  async readMeta(cid) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPaths(cid).meta, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeMeta(cid, meta) {
+    const { meta: metaPath } = this.getPaths(cid);
+    const tmp = `${metaPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(meta));
+    await fs.rename(tmp, metaPath);
+  }
+
+  detectContentType(fileName, metadata = {}) {
+    if (metadata.contentType) return metadata.contentType;
+    return CONTENT_TYPES[path.extname(fileName || '').toLowerCase()] || 'application/octet-stream';
+  }
+
+  async pinJSON(jsonData, metadata = {}) {
+    const buffer = Buffer.from(JSON.stringify(jsonData));
+    return this.pinFile(buffer, `${metadata.name || 'LifeVault Memory'}.json`, {
+      ...metadata,
+      contentType: 'application/json'
+    });
+  }
+
+  async pinFile(fileBuffer, fileName, metadata = {}) {
+    try {
+      const cid = computeCID(fileBuffer);
+      const { dir, blob } = this.getPaths(cid);
+      await fs.mkdir(dir, { recursive: true });
+
+      await this.withLock(cid, async () => {
+        const existing = await this.readMeta(cid);
+
+        if (!existing) {
+          // Write to a temp file first so readers never see a partial blob
+          const tmp = `${blob}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+          await fs.writeFile(tmp, fileBuffer);
+          await fs.rename(tmp, blob);
+        }
+
+        await this.writeMeta(cid, {
+          fileName: existing?.fileName || fileName,
+          contentType: existing?.contentType || this.detectContentType(fileName, metadata),
+          size: fileBuffer.length,
+          pins: (existing?.pins || 0) + 1,
+          createdAt: existing?.createdAt || new Date().toISOString()
+        });
+      });
+
+      return {
+        success: true,
+        ipfsHash: cid,
+        gatewayUrl: `${this.gatewayUrl}/${cid}`
+      };
+    } catch (error) {
+      console.error('Filesystem Pin Error:', error.message);
+      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream into a temp file while hashing, then move it into place
+   * under its CID (or drop it if that content is already stored)
+   */
+  async pinStream(stream, fileName, metadata = {}) {
+    await fs.mkdir(this.root, { recursive: true });
+    const tmp = path.join(this.root, `.incoming-${crypto.randomBytes(8).toString('hex')}.tmp`);
+
+    try {
+      const hasher = createCIDHasher();
+      let size = 0;
+
+      await pipeline(
+        stream,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hasher.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+          }
+        }),
+        createWriteStream(tmp)
+      );
+
+      const cid = hasher.digest();
+      const { dir, blob } = this.getPaths(cid);
+      await fs.mkdir(dir, { recursive: true });
+
+      await this.withLock(cid, async () => {
+        const existing = await this.readMeta(cid);
+        if (existing) {
+          await fs.rm(tmp, { force: true });
+        } else {
+          await fs.rename(tmp, blob);
+        }
+
+        await this.writeMeta(cid, {
+          fileName: existing?.fileName || fileName,
+          contentType: existing?.contentType || this.detectContentType(fileName, metadata),
+          size,
+          pins: (existing?.pins || 0) + 1,
+          createdAt: existing?.createdAt || new Date().toISOString()
+        });
+      });
+
+      return {
+        success: true,
+        ipfsHash: cid,
+        gatewayUrl: `${this.gatewayUrl}/${cid}`
+      };
+    } catch (error) {
+      await fs.rm(tmp, { force: true });
+      console.error('Filesystem Stream Pin Error:', error.message);
+      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
+    }
+  }
+
+  async getFile(ipfsHash) {
+    const meta = await this.readMeta(ipfsHash);
+    if (!meta) {
+      const error = new Error(`Content not found: ${ipfsHash}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const data = await fs.readFile(this.getPaths(ipfsHash).blob);
+    return {
+      success: true,
+      data,
+      contentType: meta.contentType
+    };
+  }
+
+  async getStream(ipfsHash) {
+    const meta = await this.readMeta(ipfsHash);
+    if (!meta) {
+      const error = new Error(`Content not found: ${ipfsHash}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return {
+      success: true,
+      stream: createReadStream(this.getPaths(ipfsHash).blob),
+      contentType: meta.contentType
+    };
+  }
+
+  async unpin(ipfsHash) {
+    return this.withLock(ipfsHash, async () => {
+      const meta = await this.readMeta(ipfsHash);
+      if (!meta) return { success: true, removed: false };
+
+      if (meta.pins > 1) {
+        await this.writeMeta(ipfsHash, { ...meta, pins: meta.pins - 1 });
+        return { success: true, removed: false };
+      }
+
+      const { blob, meta: metaPath } = this.getPaths(ipfsHash);
+      await fs.rm(blob, { force: true });
+      await fs.rm(metaPath, { force: true });
+      return { success: true, removed: true };
+    });
+  }
+}
+
+export default FilesystemProvider;
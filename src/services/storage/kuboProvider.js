@@ -0,0 +1,129 @@
+import axios from 'axios';
+import FormData from 'form-data';
+
+/**
+ * Kubo (go-ipfs) storage provider, talking to a local node's HTTP RPC API
+ *
+ * Env:
+ * - KUBO_API_URL (default http://127.0.0.1:5001)
+ * - KUBO_API_AUTH (optional, full Authorization header value, e.g. "Basic ...")
+ * - IPFS_GATEWAY (optional, defaults to the node's own gateway on :8080)
+ */
+class KuboProvider {
+  constructor() {
+    this.name = 'kubo';
+    this.apiUrl = (process.env.KUBO_API_URL || 'http://127.0.0.1:5001').replace(/\/$/, '');
+    this.gatewayUrl = process.env.IPFS_GATEWAY || 'http://127.0.0.1:8080/ipfs';
+  }
+
+  getHeaders() {
+    return process.env.KUBO_API_AUTH
+      ? { 'Authorization': process.env.KUBO_API_AUTH }
+      : {};
+  }
+
+  /**
+   * POST to /api/v0/<command> (the Kubo RPC API only accepts POST)
+   */
+  async rpc(command, params = {}, body = null, options = {}) {
+    const headers = {
+      ...(body?.getHeaders ? body.getHeaders() : {}),
+      ...this.getHeaders()
+    };
+
+    return axios.post(`${this.apiUrl}/api/v0/${command}`, body, {
+      params,
+      headers,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      ...options
+    });
+  }
+
+  async pinJSON(jsonData, metadata = {}) {
+    const buffer = Buffer.from(JSON.stringify(jsonData));
+    return this.pinFile(buffer, `${metadata.name || 'LifeVault Memory'}.json`, metadata);
+  }
+
+  async pinFile(fileBuffer, fileName, metadata = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', fileBuffer, { filename: fileName });
+
+      // CIDv1 + raw leaves, so files get the same CID as with the filesystem provider
+      const response = await this.rpc('add', {
+        'cid-version': 1,
+        'raw-leaves': true,
+        pin: true
+      }, formData);
+
+      const ipfsHash = response.data.Hash;
+
+      return {
+        success: true,
+        ipfsHash,
+        gatewayUrl: `${this.gatewayUrl}/${ipfsHash}`
+      };
+    } catch (error) {
+      console.error('Kubo Pin Error:', error.response?.data || error.message);
+      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
+    }
+  }
+
+  async pinStream(stream, fileName, metadata = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', stream, {
+        filename: fileName,
+        contentType: metadata.contentType,
+        knownLength: metadata.size
+      });
+
+      const response = await this.rpc('add', {
+        'cid-version': 1,
+        'raw-leaves': true,
+        pin: true
+      }, formData);
+
+      const ipfsHash = response.data.Hash;
+
+      return {
+        success: true,
+        ipfsHash,
+        gatewayUrl: `${this.gatewayUrl}/${ipfsHash}`
+      };
+    } catch (error) {
+      console.error('Kubo Stream Pin Error:', error.response?.data || error.message);
+      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
+    }
+  }
+
+  async getFile(ipfsHash) {
+    const response = await this.rpc('cat', { arg: ipfsHash }, null, {
+      responseType: 'arraybuffer'
+    });
+    return {
+      success: true,
+      data: response.data,
+      contentType: 'application/octet-stream'
+    };
+  }
+
+  async getStream(ipfsHash) {
+    const response = await this.rpc('cat', { arg: ipfsHash }, null, {
+      responseType: 'stream'
+    });
+    return {
+      success: true,
+      stream: response.data,
+      contentType: 'application/octet-stream'
+    };
+  }
+
+  async unpin(ipfsHash) {
+    await this.rpc('pin/rm', { arg: ipfsHash });
+    return { success: true };
+  }
+}
+
+export default KuboProvider;
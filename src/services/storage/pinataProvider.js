@@ -0,0 +1,156 @@
+import axios from 'axios';
+import FormData from 'form-data';
+
+/**
+ * Pinata storage provider (hosted IPFS pinning)
+ *
+ * Env:
+ * - PINATA_JWT (required)
+ * - IPFS_GATEWAY (optional, defaults to the public Pinata gateway)
+ */
+class PinataProvider {
+  constructor() {
+    this.name = 'pinata';
+    this.pinataBaseUrl = 'https://api.pinata.cloud';
+    this.gatewayUrl = process.env.IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs';
+  }
+
+  // Get JWT dynamically to ensure it's loaded from process.env
+  getHeaders() {
+    const jwt = process.env.PINATA_JWT;
+
+    if (!jwt) {
+      console.error("❌ CRITICAL: PINATA_JWT is missing from process.env");
+      throw new Error("Pinata JWT not configured");
+    }
+
+    return {
+      'Authorization': `Bearer ${jwt.trim()}`
+    };
+  }
+
+  async pinJSON(jsonData, metadata = {}) {
+    try {
+      const response = await axios.post(
+        `${this.pinataBaseUrl}/pinning/pinJSONToIPFS`,
+        {
+          pinataContent: jsonData,
+          pinataMetadata: { name: metadata.name || 'LifeVault Memory' }
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...this.getHeaders()
+          }
+        }
+      );
+
+      return {
+        success: true,
+        ipfsHash: response.data.IpfsHash,
+        gatewayUrl: `${this.gatewayUrl}/${response.data.IpfsHash}`
+      };
+    } catch (error) {
+      console.error('IPFS JSON Pin Error:', error.response?.data || error.message);
+      throw new Error(`Failed to pin to IPFS: ${error.message}`);
+    }
+  }
+
+  async pinFile(fileBuffer, fileName, metadata = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', fileBuffer, { filename: fileName });
+      formData.append('pinataMetadata', JSON.stringify({ name: fileName }));
+
+      const response = await axios.post(
+        `${this.pinataBaseUrl}/pinning/pinFileToIPFS`,
+        formData,
+        {
+          maxBodyLength: Infinity,
+          headers: {
+            ...formData.getHeaders(),
+            ...this.getHeaders() // Calling the helper here
+          }
+        }
+      );
+
+      return {
+        success: true,
+        ipfsHash: response.data.IpfsHash,
+        gatewayUrl: `${this.gatewayUrl}/${response.data.IpfsHash}`
+      };
+    } catch (error) {
+      console.error('IPFS File Pin Error:', error.response?.data || error.message);
+      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pin a readable stream without buffering it (metadata.size is required
+   * so the multipart body has a known length)
+   */
+  async pinStream(stream, fileName, metadata = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', stream, {
+        filename: fileName,
+        contentType: metadata.contentType,
+        knownLength: metadata.size
+      });
+      formData.append('pinataMetadata', JSON.stringify({ name: fileName }));
+
+      const response = await axios.post(
+        `${this.pinataBaseUrl}/pinning/pinFileToIPFS`,
+        formData,
+        {
+          maxBodyLength: Infinity,
+          headers: {
+            ...formData.getHeaders(),
+            'Content-Length': formData.getLengthSync(),
+            ...this.getHeaders()
+          }
+        }
+      );
+
+      return {
+        success: true,
+        ipfsHash: response.data.IpfsHash,
+        gatewayUrl: `${this.gatewayUrl}/${response.data.IpfsHash}`
+      };
+    } catch (error) {
+      console.error('IPFS Stream Pin Error:', error.response?.data || error.message);
+      throw new Error(`Failed to pin file to IPFS: ${error.message}`);
+    }
+  }
+
+  async getFile(ipfsHash) {
+    const response = await axios.get(`${this.gatewayUrl}/${ipfsHash}`, {
+      responseType: 'arraybuffer'
+    });
+    return {
+      success: true,
+      data: response.data,
+      contentType: response.headers['content-type']
+    };
+  }
+
+  async getStream(ipfsHash) {
+    const response = await axios.get(`${this.gatewayUrl}/${ipfsHash}`, {
+      responseType: 'stream'
+    });
+    return {
+      success: true,
+      stream: response.data,
+      contentType: response.headers['content-type']
+    };
+  }
+
+  async unpin(ipfsHash) {
+    await axios.delete(`${this.pinataBaseUrl}/pinning/unpin/${ipfsHash}`, {
+      headers: this.getHeaders()
+    });
+    return { success: true };
+  }
+}
+
+export default PinataProvider;
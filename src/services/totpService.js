@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP Service
+ * Time-based one-time codes (RFC 6238 / RFC 4226). Secrets are base32,
+ * the format authenticator apps use.
+ */
+class TOTPService {
+  constructor() {
+    this.defaults = {
+      step: 30,          // seconds per code
+      digits: 6,
+      algorithm: 'sha1',
+      window: 1          // steps accepted either side of now (clock skew)
+    };
+  }
+
+  /**
+   * Generate a random base32 secret
+   */
+  generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Time step counter for a moment in time
+   */
+  getCounter(time = Date.now(), step = this.defaults.step) {
+    return Math.floor(time / 1000 / step);
+  }
+
+  /**
+   * HOTP code for a counter (RFC 4226)
+   */
+  generateHOTP(secret, counter, { digits = this.defaults.digits, algorithm = this.defaults.algorithm } = {}) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, this.base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** digits).toString().padStart(digits, '0');
+  }
+
+  /**
+   * Current code for a secret
+   */
+  generate(secret, { time = Date.now(), step = this.defaults.step, ...options } = {}) {
+    return this.generateHOTP(secret, this.getCounter(time, step), options);
+  }
+
+  /**
+   * Check a code against every step within the window
+   * @returns {{ valid: boolean, delta: number|null, counter: number|null }}
+   *   delta is how many steps the code is off from now
+   */
+  verify(token, secret, {
+    time = Date.now(),
+    step = this.defaults.step,
+    window = this.defaults.window,
+    ...options
+  } = {}) {
+    const code = String(token || '').replace(/\s/g, '');
+    const digits = options.digits || this.defaults.digits;
+
+    if (!/^\d+$/.test(code) || code.length !== digits) {
+      return { valid: false, delta: null, counter: null };
+    }
+
+    const now = this.getCounter(time, step);
+
+    for (let delta = -window; delta <= window; delta++) {
+      const expected = this.generateHOTP(secret, now + delta, options);
+      if (crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected))) {
+        return { valid: true, delta, counter: now + delta };
+      }
+    }
+
+    return { valid: false, delta: null, counter: null };
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps
+   */
+  getKeyUri(secret, { issuer = 'LifeVault', account, step = this.defaults.step, digits = this.defaults.digits } = {}) {
+    const label = encodeURIComponent(account ? `${issuer}:${account}` : issuer);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&period=${step}&digits=${digits}`;
+  }
+}
+
+export default new TOTPService();
@@ -0,0 +1,529 @@
+import Quest from '../models/Quest.js';
+import Campaign from '../models/Campaign.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import TreasuryAccount from '../models/TreasuryAccount.js';
+import aptosService from './aptosService.js';
+import envelopeService from './envelopeService.js';
+import encryptionService from './encryptionService.js';
+import permissionService from './permissionService.js';
+import { LEDGER_TYPES, PERMISSIONS } from '../config/constants.js';
+
+const OCTAS_PER_APT = 100_000_000;
+const MASTER_TREASURY = 'treasury:master';
+
+/**
+ * Treasury Service
+ * APT rewards are paid from the master wallet, or from a campaign's own
+ * treasury account, and every movement is posted to a double-entry ledger:
+ *
+ *   deposit     debit external:chain   credit treasury       (APT received)
+ *   allocation  debit treasury         credit budget
+ *   reserve     debit budget           credit payable:user   (reward earned)
+ *   payout      debit payable:user     credit treasury       (APT sent)
+ *   reversal    debit payable:user     credit budget         (payout failed)
+ *
+ * Allocating atomically takes the amount out of the treasury's unallocated
+ * deposits (TreasuryAccount), and reserving a reward takes it out of
+ * `budget.aptRemaining`, so budgets never exceed what was deposited and a
+ * payout never exceeds its budget.
+ */
+class TreasuryService {
+  fail(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  toOctas(apt) {
+    return Math.round(Number(apt) * OCTAS_PER_APT);
+  }
+
+  toApt(octas) {
+    return octas / OCTAS_PER_APT;
+  }
+
+  // =============================================
+  // ACCOUNTS
+  // =============================================
+
+  treasuryAccount(campaign) {
+    return campaign?.treasury?.address ? `treasury:campaign:${campaign._id}` : MASTER_TREASURY;
+  }
+
+  budgetAccount({ quest, campaign }) {
+    return quest ? `budget:quest:${quest._id}` : `budget:campaign:${campaign._id}`;
+  }
+
+  payableAccount(userId) {
+    return `payable:user:${userId}`;
+  }
+
+  /**
+   * Campaign whose treasury pays a quest's or campaign's rewards
+   */
+  async getPayingCampaign({ quest, campaign }) {
+    if (campaign) return campaign;
+    if (!quest?.campaignId) return null;
+    return Campaign.findById(quest.campaignId);
+  }
+
+  /**
+   * Give a campaign its own treasury account
+   */
+  async createCampaignTreasury(campaign) {
+    if (campaign.treasury?.address) {
+      const error = new Error('Campaign already has a treasury account');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const account = aptosService.generateAccount();
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, 'treasury.address': null },
+      {
+        treasury: {
+          address: account.address,
+          encryptedPrivateKey: encryptionService.encrypt(account.privateKey, envelopeService.getMasterKey()),
+          createdAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const error = new Error('Campaign already has a treasury account');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    console.log(`🏦 Treasury created for campaign ${campaign._id}: ${account.address}`);
+    return updated;
+  }
+
+  /**
+   * Account that signs transfers for a treasury ledger account
+   */
+  async getSigner(treasury) {
+    const match = treasury.match(/^treasury:campaign:(.+)$/);
+    if (!match) return null; // master wallet
+
+    const campaign = await Campaign.findById(match[1]).select('+treasury.encryptedPrivateKey');
+    if (!campaign?.treasury?.encryptedPrivateKey) {
+      throw new Error(`Treasury key for campaign ${match[1]} not found`);
+    }
+
+    const privateKey = encryptionService.decrypt(campaign.treasury.encryptedPrivateKey, envelopeService.getMasterKey());
+    return aptosService.accountFromPrivateKey(privateKey);
+  }
+
+  async getTreasuryAddress(treasury) {
+    const match = treasury.match(/^treasury:campaign:(.+)$/);
+    if (!match) {
+      if (!aptosService.isInitialized()) await aptosService.initialize();
+      return aptosService.getMasterAddress();
+    }
+
+    const campaign = await Campaign.findById(match[1]).select('treasury.address');
+    return campaign?.treasury?.address || null;
+  }
+
+  // =============================================
+  // POSTING
+  // =============================================
+
+  /**
+   * Post a balanced transaction moving `amountOctas` from `credit` to `debit`.
+   * Throws a duplicate key error (11000) if the idempotency key was used.
+   */
+  create(type, amountOctas, { debit, credit, ...fields }) {
+    return LedgerTransaction.create({
+      type,
+      amountOctas,
+      lines: [
+        { account: debit, debit: amountOctas },
+        { account: credit, credit: amountOctas }
+      ],
+      ...fields
+    });
+  }
+
+  /**
+   * Same as create(), but a repeated idempotency key returns the existing transaction
+   */
+  async post(type, amountOctas, fields) {
+    try {
+      return await this.create(type, amountOctas, fields);
+    } catch (error) {
+      if (error.code === 11000 && fields.idempotencyKey) {
+        return LedgerTransaction.findOne({ idempotencyKey: fields.idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a budget's `aptRemaining` (and other counters) atomically.
+   * With `requireRemaining`, only applies if that much is left.
+   * @returns {Object|null} Updated quest/campaign, or null if refused
+   */
+  adjustBudget({ quest, campaign }, { remaining = 0, allocated = 0, spent = 0, requireRemaining = null }) {
+    const Model = quest ? Quest : Campaign;
+    const round = (path, delta) => ({ $round: [{ $add: [{ $ifNull: [path, 0] }, delta] }, 8] });
+
+    const filter = { _id: (quest || campaign)._id };
+    if (requireRemaining !== null) {
+      filter.$expr = { $gte: [{ $round: [{ $ifNull: ['$budget.aptRemaining', 0] }, 8] }, requireRemaining] };
+    }
+
+    const set = {
+      'budget.aptRemaining': round('$budget.aptRemaining', remaining),
+      'budget.totalAptAllocated': round('$budget.totalAptAllocated', allocated)
+    };
+    if (!quest) set['budget.aptSpent'] = round('$budget.aptSpent', spent);
+
+    return Model.findOneAndUpdate(filter, [{ $set: set }], { new: true });
+  }
+
+  /**
+   * Return unallocated APT to a treasury
+   */
+  creditTreasury(treasury, amountOctas) {
+    return TreasuryAccount.updateOne(
+      { account: treasury },
+      { $inc: { availableOctas: amountOctas } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Credit a treasury with an on-chain APT transfer into its address.
+   * Each transfer is credited once.
+   * @param {string} treasury - treasury:master or treasury:campaign:<id>
+   * @returns {LedgerTransaction} The deposit
+   */
+  async recordDeposit(treasury, txHash, user) {
+    const hash = String(txHash || '').toLowerCase();
+    if (!/^0x[0-9a-f]{64}$/.test(hash)) {
+      throw this.fail('txHash must be an Aptos transaction hash');
+    }
+
+    const address = await this.getTreasuryAddress(treasury);
+    if (!address) throw this.fail('This treasury has no on-chain address');
+
+    const transfer = await aptosService.getAptTransfer(hash);
+    if (!(transfer?.amountOctas > 0)) {
+      throw this.fail('Transaction is not a committed APT transfer');
+    }
+    if (!aptosService.sameAddress(transfer.recipient, address)) {
+      throw this.fail('This transfer was not sent to the treasury address');
+    }
+
+    let deposit;
+    try {
+      deposit = await this.create(LEDGER_TYPES.DEPOSIT, transfer.amountOctas, {
+        debit: 'external:chain',
+        credit: treasury,
+        treasury,
+        campaignId: treasury.match(/^treasury:campaign:(.+)$/)?.[1] || null,
+        createdBy: user._id,
+        txHash: hash,
+        txVersion: transfer.txVersion?.toString() || null,
+        memo: `From ${transfer.sender}`,
+        idempotencyKey: `deposit:${hash}`
+      });
+    } catch (error) {
+      if (error.code === 11000) throw this.fail('This transfer was already deposited', 409);
+      throw error;
+    }
+
+    await this.creditTreasury(treasury, transfer.amountOctas);
+
+    console.log(`🏦 Deposit of ${this.toApt(transfer.amountOctas)} APT to ${treasury} (${hash})`);
+    return deposit;
+  }
+
+  /**
+   * Commit more APT to a quest's or campaign's reward budget, out of the
+   * paying treasury's unallocated deposits. Only the master wallet's
+   * keepers (treasury:master) can fund budgets from it.
+   * @param {Object} user - Account making the allocation
+   */
+  async allocate({ quest, campaign }, amount, user) {
+    const amountOctas = this.toOctas(amount);
+    if (!(amountOctas > 0)) {
+      throw this.fail('Budget amount must be a positive APT amount');
+    }
+
+    const payer = await this.getPayingCampaign({ quest, campaign });
+    const treasury = this.treasuryAccount(payer);
+
+    if (treasury === MASTER_TREASURY && !permissionService.hasPermission(user, PERMISSIONS.TREASURY_MASTER)) {
+      throw this.fail('Only admins can fund budgets from the master wallet; create a campaign treasury and deposit APT into it', 403);
+    }
+
+    const taken = await TreasuryAccount.findOneAndUpdate(
+      { account: treasury, availableOctas: { $gte: amountOctas } },
+      { $inc: { availableOctas: -amountOctas } },
+      { new: true }
+    );
+    if (!taken) {
+      const balance = await TreasuryAccount.findOne({ account: treasury });
+      throw this.fail(`The treasury has ${this.toApt(balance?.availableOctas || 0)} APT unallocated; deposit more APT first`);
+    }
+
+    const apt = this.toApt(amountOctas);
+    let updated = null;
+    let entry;
+
+    try {
+      updated = await this.adjustBudget({ quest, campaign }, { remaining: apt, allocated: apt });
+
+      entry = await this.post(LEDGER_TYPES.ALLOCATION, amountOctas, {
+        debit: treasury,
+        credit: this.budgetAccount({ quest, campaign }),
+        treasury,
+        questId: quest?._id || null,
+        campaignId: campaign?._id || quest?.campaignId || null,
+        createdBy: user._id
+      });
+    } catch (error) {
+      // Nothing was allocated: give the deposits (and budget) back
+      if (updated) await this.adjustBudget({ quest, campaign }, { remaining: -apt, allocated: -apt });
+      await this.creditTreasury(treasury, amountOctas);
+      throw error;
+    }
+
+    console.log(`🏦 Allocated ${amount} APT to ${this.budgetAccount({ quest, campaign })}`);
+    return { budget: updated.budget, entry };
+  }
+
+  /**
+   * Reserve a reward out of the remaining budget.
+   * @returns {LedgerTransaction|null} The reserve, or null if the budget can't cover it
+   */
+  async reserveReward({ quest, campaign }, { userId, amount, questCompletionId = null, idempotencyKey }) {
+    const amountOctas = this.toOctas(amount);
+    const key = `reserve:${idempotencyKey}`;
+
+    const existing = await LedgerTransaction.findOne({ idempotencyKey: key });
+    if (existing) return existing;
+
+    const apt = this.toApt(amountOctas);
+    const updated = await this.adjustBudget({ quest, campaign }, { remaining: -apt, requireRemaining: apt });
+    if (!updated) return null;
+
+    const payer = await this.getPayingCampaign({ quest, campaign });
+
+    try {
+      return await this.create(LEDGER_TYPES.RESERVE, amountOctas, {
+        debit: this.budgetAccount({ quest, campaign }),
+        credit: this.payableAccount(userId),
+        treasury: this.treasuryAccount(payer),
+        questId: quest?._id || null,
+        campaignId: campaign?._id || quest?.campaignId || null,
+        questCompletionId,
+        userId,
+        idempotencyKey: key
+      });
+    } catch (error) {
+      // Give the budget back; a concurrent request reserved it already
+      await this.adjustBudget({ quest, campaign }, { remaining: apt });
+      if (error.code === 11000) return LedgerTransaction.findOne({ idempotencyKey: key });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a reserved reward and post the payout.
+   * Safe to run again: an already submitted transfer is reused, not resent.
+   */
+  async payReserve(reserve, recipient) {
+    const settled = await this.findSettlement(reserve);
+    if (settled) return settled;
+
+    let transfer = await this.checkPendingTransfer(reserve);
+
+    if (!transfer) {
+      transfer = await aptosService.sendReward(recipient, this.toApt(reserve.amountOctas), {
+        signer: await this.getSigner(reserve.treasury),
+        onSubmitted: hash => LedgerTransaction.updateOne({ _id: reserve._id }, { pendingTxHash: hash })
+      });
+    }
+
+    return this.settle(reserve, transfer);
+  }
+
+  /**
+   * Transfer a previous attempt submitted: its result if it committed,
+   * null if it never did (safe to resend)
+   */
+  async checkPendingTransfer(reserve) {
+    if (!reserve.pendingTxHash) return null;
+
+    const tx = await aptosService.getTransactionStatus(reserve.pendingTxHash);
+
+    if (tx.status === 'pending') {
+      throw new Error(`Reward transfer ${reserve.pendingTxHash} is still pending`);
+    }
+    if (tx.status === 'success') {
+      return { txHash: reserve.pendingTxHash, txVersion: tx.txVersion };
+    }
+
+    // Aborted or expired: nothing was sent
+
+    await LedgerTransaction.updateOne({ _id: reserve._id }, { pendingTxHash: null });
+    return null;
+  }
+
+  async settle(reserve, { txHash, txVersion }) {
+    let payout;
+    try {
+      payout = await this.create(LEDGER_TYPES.PAYOUT, reserve.amountOctas, {
+        debit: this.payableAccount(reserve.userId),
+        credit: reserve.treasury,
+        treasury: reserve.treasury,
+        questId: reserve.questId,
+        campaignId: reserve.campaignId,
+        questCompletionId: reserve.questCompletionId,
+        userId: reserve.userId,
+        reserveId: reserve._id,
+        txHash,
+        txVersion: txVersion?.toString() || null,
+        idempotencyKey: `settlement:${reserve._id}`
+      });
+    } catch (error) {
+      if (error.code === 11000) return this.findSettlement(reserve);
+      throw error;
+    }
+
+    // Grand prizes count towards the campaign's spend
+    if (!reserve.questId && reserve.campaignId) {
+      await this.adjustBudget({ campaign: { _id: reserve.campaignId } }, { spent: this.toApt(reserve.amountOctas) });
+    }
+
+    return payout;
+  }
+
+  /**
+   * Return a reward that could not be paid to its budget.
+   * If a transfer went through after all, the payout is posted instead.
+   * A reserve settles once: as a payout or as a reversal.
+   */
+  async cancelReserve(reserve, reason) {
+    const settled = await this.findSettlement(reserve);
+    if (settled) return settled;
+
+    const transfer = await this.checkPendingTransfer(reserve);
+    if (transfer) return this.settle(reserve, transfer);
+
+    const target = reserve.questId ? { quest: { _id: reserve.questId } } : { campaign: { _id: reserve.campaignId } };
+    let reversal;
+
+    try {
+      reversal = await this.create(LEDGER_TYPES.REVERSAL, reserve.amountOctas, {
+        debit: this.payableAccount(reserve.userId),
+        credit: this.budgetAccount(target),
+        treasury: reserve.treasury,
+        questId: reserve.questId,
+        campaignId: reserve.campaignId,
+        questCompletionId: reserve.questCompletionId,
+        userId: reserve.userId,
+        reserveId: reserve._id,
+        memo: reason,
+        idempotencyKey: `settlement:${reserve._id}`
+      });
+    } catch (error) {
+      if (error.code === 11000) return this.findSettlement(reserve);
+      throw error;
+    }
+
+    await this.adjustBudget(target, { remaining: this.toApt(reserve.amountOctas) });
+
+    console.warn(`↩️  Reward reserve ${reserve._id} reversed: ${reason}`);
+    return reversal;
+  }
+
+  findSettlement(reserve) {
+    return LedgerTransaction.findOne({
+      reserveId: reserve._id,
+      type: { $in: [LEDGER_TYPES.PAYOUT, LEDGER_TYPES.REVERSAL] }
+    });
+  }
+
+  // =============================================
+  // STATEMENTS
+  // =============================================
+
+  /**
+   * Creator statement: every ledger entry of a quest's or campaign's budget, with totals.
+   * A campaign's statement covers its own budget (grand prizes); its quests have their own.
+   */
+  async getStatement({ quest, campaign }, { page = 1, limit = 50, from, to } = {}) {
+    const filter = quest ? { questId: quest._id } : { campaignId: campaign._id, questId: null };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total, totals] = await Promise.all([
+      LedgerTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerTransaction.countDocuments(filter),
+      LedgerTransaction.aggregate([
+        { $match: filter },
+        { $group: { _id: '$type', octas: { $sum: '$amountOctas' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byType = Object.fromEntries(totals.map(t => [t._id, t.octas]));
+    const sum = type => byType[type] || 0;
+
+    const payer = await this.getPayingCampaign({ quest, campaign });
+    const treasury = this.treasuryAccount(payer);
+    const [treasuryAddress, balance] = await Promise.all([
+      this.getTreasuryAddress(treasury),
+      TreasuryAccount.findOne({ account: treasury })
+    ]);
+
+    return {
+      treasury: {
+        account: treasury,
+        address: treasuryAddress,
+        unallocated: this.toApt(balance?.availableOctas || 0)
+      },
+      budget: (quest || campaign).budget,
+      summary: {
+        allocated: this.toApt(sum(LEDGER_TYPES.ALLOCATION)),
+        reserved: this.toApt(sum(LEDGER_TYPES.RESERVE)),
+        paid: this.toApt(sum(LEDGER_TYPES.PAYOUT)),
+        reversed: this.toApt(sum(LEDGER_TYPES.REVERSAL)),
+        pending: this.toApt(sum(LEDGER_TYPES.RESERVE) - sum(LEDGER_TYPES.PAYOUT) - sum(LEDGER_TYPES.REVERSAL)),
+        available: this.toApt(sum(LEDGER_TYPES.ALLOCATION) - sum(LEDGER_TYPES.RESERVE) + sum(LEDGER_TYPES.REVERSAL))
+      },
+      entries: entries.map(entry => ({
+        id: entry._id,
+        type: entry.type,
+        amount: this.toApt(entry.amountOctas),
+        lines: entry.lines.map(line => ({
+          account: line.account,
+          debit: this.toApt(line.debit),
+          credit: this.toApt(line.credit)
+        })),
+        questId: entry.questId,
+        campaignId: entry.campaignId,
+        questCompletionId: entry.questCompletionId,
+        userId: entry.userId,
+        reserveId: entry.reserveId,
+        txHash: entry.txHash,
+        memo: entry.memo,
+        createdAt: entry.createdAt
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default new TreasuryService();
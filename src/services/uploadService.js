@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import UploadSession from '../models/UploadSession.js';
+import Memory from '../models/Memory.js';
+import User from '../models/User.js';
+import ipfsService from './ipfsService.js';
+import envelopeService from './envelopeService.js';
+import encryptionService from './encryptionService.js';
+import { UPLOAD_STATUS, DEFAULTS } from '../config/constants.js';
+
+/**
+ * Upload Service
+ * Stages resumable uploads on local disk and streams the finished file
+ * to the storage provider, so large memories never sit in memory.
+ *
+ * Env:
+ * - UPLOAD_STAGING_PATH (default <tmpdir>/lifevault-uploads)
+ */
+class UploadService {
+  constructor() {
+    this.stagingRoot = path.resolve(
+      process.env.UPLOAD_STAGING_PATH || path.join(os.tmpdir(), 'lifevault-uploads')
+    );
+    this.timer = null;
+  }
+
+  getPartPath(session) {
+    return path.join(this.stagingRoot, `${session._id}.part`);
+  }
+
+  /**
+   * Take the write lock for the session's next chunk
+   * @returns The session holding the lock (chunkLock.token), or null if
+   *          the upload moved on or another request is writing this chunk
+   */
+  async lockChunk(session, index) {
+    const now = new Date();
+
+    return UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: UPLOAD_STATUS.UPLOADING,
+        nextChunk: index,
+        $or: [
+          { 'chunkLock.expiresAt': null },
+          { 'chunkLock.expiresAt': { $lte: now } }
+        ]
+      },
+      {
+        chunkLock: {
+          token: crypto.randomUUID(),
+          expiresAt: new Date(now.getTime() + DEFAULTS.UPLOAD_CHUNK_LOCK_MINUTES * 60 * 1000)
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Release a chunk lock we still hold (no-op once the chunk is committed)
+   */
+  async unlockChunk(session) {
+    await UploadSession.updateOne(
+      { _id: session._id, 'chunkLock.token': session.chunkLock.token },
+      { $unset: { chunkLock: 1 } }
+    );
+  }
+
+  /**
+   * Make sure the staging file exists and drop any bytes past the last
+   * committed chunk (left over from an interrupted request)
+   */
+  async prepareChunk(session) {
+    await fs.mkdir(this.stagingRoot, { recursive: true });
+    const partPath = this.getPartPath(session);
+
+    const handle = await fs.open(partPath, 'a');
+    await handle.close();
+    await fs.truncate(partPath, session.receivedBytes);
+  }
+
+  /**
+   * Writable stream positioned at the end of the committed data
+   */
+  createChunkStream(session) {
+    return createWriteStream(this.getPartPath(session), {
+      flags: 'r+',
+      start: session.receivedBytes
+    });
+  }
+
+  /**
+   * Record a fully written chunk and release its lock. Fails if the lock
+   * expired and another request took the chunk over.
+   */
+  async commitChunk(session, bytes) {
+    return UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: UPLOAD_STATUS.UPLOADING,
+        nextChunk: session.nextChunk,
+        receivedBytes: session.receivedBytes,
+        'chunkLock.token': session.chunkLock.token
+      },
+      {
+        $inc: { receivedBytes: bytes, nextChunk: 1 },
+        $unset: { chunkLock: 1 },
+        expiresAt: new Date(Date.now() + DEFAULTS.UPLOAD_SESSION_HOURS * 60 * 60 * 1000)
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Stream the staged file to the storage provider, encrypting it on the
+   * way if the upload asked for it
+   * @returns pin result plus `fields` to merge into the Memory record
+   */
+  async pinUpload(session, metadata = {}) {
+    let stream = createReadStream(this.getPartPath(session));
+    let size = session.fileSize;
+    let fields = {};
+
+    if (session.memory.encryptContent) {
+      ({ stream, size, fields } = await envelopeService.encryptStream(session.userId, stream, size));
+    }
+
+    const result = await ipfsService.pinStream(stream, session.fileName, {
+      ...metadata,
+      size,
+      contentType: fields.isEncrypted || session.clientEncryption?.scheme
+        ? 'application/octet-stream'
+        : session.fileType
+    });
+
+    return { ...result, fields };
+  }
+
+  /**
+   * Check a client-encrypted upload is a well-formed LVE1 stream
+   */
+  async isValidClientCiphertext(session) {
+    const handle = await fs.open(this.getPartPath(session), 'r');
+    try {
+      const { buffer } = await handle.read(Buffer.alloc(encryptionService.streamHeaderLength), 0,
+        encryptionService.streamHeaderLength, 0);
+      const header = encryptionService.parseStreamHeader(buffer);
+
+      return !!header &&
+        encryptionService.plaintextSize(session.fileSize, header.segmentSize) !== null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async discard(session) {
+    await fs.rm(this.getPartPath(session), { force: true });
+  }
+
+  /**
+   * Settle a completion that failed or was interrupted. If its memory was
+   * created the upload is done; otherwise the session goes back to
+   * UPLOADING (the staged file is kept so the client can retry /complete)
+   * and the storage the completion charged is given back.
+   * @returns {string|null} The new status, or null if the session was no
+   *          longer completing
+   */
+  async settleCompletion(session, reason = null) {
+    if (session.memoryId && await Memory.exists({ _id: session.memoryId })) {
+      const completed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: UPLOAD_STATUS.COMPLETING },
+        { status: UPLOAD_STATUS.COMPLETED, storageReserved: false, error: null },
+        { new: true }
+      );
+      if (!completed) return null;
+
+      await this.discard(completed);
+      return UPLOAD_STATUS.COMPLETED;
+    }
+
+    // Returns the session as it was, to see if storage was charged
+    const previous = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: UPLOAD_STATUS.COMPLETING },
+      {
+        status: UPLOAD_STATUS.UPLOADING,
+        storageReserved: false,
+        error: reason,
+        $unset: { memoryId: 1, completingAt: 1 }
+      }
+    );
+    if (!previous) return null;
+
+    if (previous.storageReserved) {
+      await User.findByIdAndUpdate(previous.userId, {
+        $inc: { totalMemories: -1, storageUsed: -previous.fileSize }
+      });
+    }
+
+    return UPLOAD_STATUS.UPLOADING;
+  }
+
+  /**
+   * Bytes reserved by a user's unfinished uploads (completions that
+   * already charged the user's storage aren't counted twice)
+   */
+  async getReservedBytes(userId, excludeSessionId = null) {
+    const match = {
+      userId,
+      $or: [
+        { status: UPLOAD_STATUS.UPLOADING },
+        { status: UPLOAD_STATUS.COMPLETING, storageReserved: { $ne: true } }
+      ]
+    };
+    if (excludeSessionId) match._id = { $ne: excludeSessionId };
+
+    const [result] = await UploadSession.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: '$fileSize' } } }
+    ]);
+
+    return result?.total || 0;
+  }
+
+  /**
+   * Start the periodic cleanup of abandoned uploads
+   */
+  start(intervalMs = 60 * 60 * 1000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.cleanupExpired().catch(err => {
+        console.error('❌ Upload cleanup failed:', err.message);
+      });
+    }, intervalMs);
+
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Expire abandoned uploads and settle completions that were interrupted
+   * (crash or restart while COMPLETING)
+   */
+  async cleanupExpired(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - DEFAULTS.UPLOAD_COMPLETING_STALE_MINUTES * 60 * 1000);
+    const interrupted = await UploadSession.find({
+      status: UPLOAD_STATUS.COMPLETING,
+      completingAt: { $lte: staleBefore }
+    });
+
+    for (const session of interrupted) {
+      const status = await this.settleCompletion(session, 'Completion was interrupted, please retry');
+      if (status) {
+        console.log(`🧹 Interrupted upload ${session._id} settled as ${status}`);
+      }
+    }
+
+    const expired = await UploadSession.find({
+      status: UPLOAD_STATUS.UPLOADING,
+      expiresAt: { $lte: now }
+    });
+
+    for (const session of expired) {
+      await this.discard(session);
+      session.status = UPLOAD_STATUS.EXPIRED;
+      await session.save();
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Removed ${expired.length} expired upload(s)`);
+    }
+
+    return expired.length;
+  }
+}
+
+export default new UploadService();
@@ -1,7 +1,11 @@
 import geolocationService from './geolocationService.js';
 import aiVisionService from './aiVisionService.js';
-import encryptionService from './encryptionService.js';
-import { VERIFICATION_RESULT, ERROR_CODES } from '../config/constants.js';
+import qrCodeService from './qrCodeService.js';
+import nfcService from './nfcService.js';
+import antiSpoofingService from './antiSpoofingService.js';
+import photoForensicsService from './photoForensicsService.js';
+import scheduleService from './scheduleService.js';
+import { VERIFICATION_RESULT, REVIEW_REASONS, ERROR_CODES } from '../config/constants.js';
 
 /**
  * Verification Service
@@ -16,7 +20,8 @@ class VerificationService {
       time: this.verifyTimeWindow.bind(this),
       ai_vision: this.verifyAIVision.bind(this),
       qr_scan: this.verifyQRCode.bind(this),
-      nfc: this.verifyNFC.bind(this)
+      nfc: this.verifyNFC.bind(this),
+      photo_forensics: this.verifyPhotoForensics.bind(this)
     };
   }
 
@@ -36,7 +41,10 @@ class VerificationService {
       timeWindow: null,
       aiVision: null,
       qrCode: null,
+      nfc: null,
+      photoForensics: null,
       antiSpoofing: null,
+      reviewReasons: [],
       startedAt: new Date(),
       completedAt: null,
       processingTime: 0
@@ -55,10 +63,19 @@ class VerificationService {
       console.log('Active Layers:', layers);
 
       // 1. Anti-Spoofing Check (always first)
-      if (submission.deviceInfo) {
-        result.antiSpoofing = geolocationService.detectSpoofing(submission.deviceInfo);
+      if (antiSpoofingService.isEnabled(quest)) {
+        console.log('🛡️  Scoring spoofing risk...');
+        result.antiSpoofing = await antiSpoofingService.evaluate({
+          quest,
+          userId: submission.userId,
+          attemptId: submission.attemptId,
+          submission
+        });
         
-        if (result.antiSpoofing.riskScore > 0.5) {
+        if (result.antiSpoofing.needsReview) {
+          // Medium risk: let a person decide, but still run the other layers
+          result.reviewReasons.push(REVIEW_REASONS.SPOOFING_RISK);
+        } else if (!result.antiSpoofing.passed) {
           result.overallResult = VERIFICATION_RESULT.FAILED;
           result.failureCode = ERROR_CODES.SPOOFING_DETECTED;
           result.completedAt = new Date();
@@ -112,7 +129,43 @@ class VerificationService {
         }
       }
 
-      // 5. AI Vision Verification (most compute-intensive, run last)
+      // 5. NFC Tag Verification
+      if (layers.includes('nfc') && quest.nfc?.enabled) {
+        console.log('🏷️  Verifying NFC tag...');
+        result.nfc = await this.verifyNFC(quest, submission);
+        layerResults.push({ layer: 'nfc', ...result.nfc });
+
+        if (!result.nfc.passed) {
+          result.overallResult = VERIFICATION_RESULT.FAILED;
+          result.failureCode = ERROR_CODES.NFC_TAG_INVALID;
+          result.completedAt = new Date();
+          result.processingTime = Date.now() - startTime;
+          return result;
+        }
+      }
+
+      // 6. Photo Forensics (before AI vision, so reused photos never reach it)
+      if (layers.includes('photo_forensics') && quest.photoForensics?.enabled !== false) {
+        const explicit = quest.verificationLayers?.includes('photo_forensics');
+
+        if (submission.photoBase64 || explicit) {
+          console.log('🔬 Checking photo forensics...');
+          result.photoForensics = submission.photoBase64
+            ? await this.verifyPhotoForensics(quest, submission)
+            : { passed: false, message: 'Photo required for verification', checks: [] };
+          layerResults.push({ layer: 'photo_forensics', ...result.photoForensics });
+
+          if (!result.photoForensics.passed) {
+            result.overallResult = VERIFICATION_RESULT.FAILED;
+            result.failureCode = ERROR_CODES.PHOTO_REJECTED;
+            result.completedAt = new Date();
+            result.processingTime = Date.now() - startTime;
+            return result;
+          }
+        }
+      }
+
+      // 7. AI Vision Verification (most compute-intensive, run last)
       if (layers.includes('ai_vision') && quest.aiVerification?.enabled) {
         console.log('🤖 Verifying with AI Vision...');
         
@@ -131,7 +184,9 @@ class VerificationService {
         result.aiVision = await this.verifyAIVision(quest, submission);
         layerResults.push({ layer: 'ai_vision', ...result.aiVision });
 
-        if (!result.aiVision.passed) {
+        if (this.isReviewableAIResult(quest, result.aiVision)) {
+          result.reviewReasons.push(REVIEW_REASONS.LOW_AI_CONFIDENCE);
+        } else if (!result.aiVision.passed) {
           result.overallResult = VERIFICATION_RESULT.FAILED;
           result.failureCode = ERROR_CODES.AI_VERIFICATION_FAILED;
           result.completedAt = new Date();
@@ -145,10 +200,21 @@ class VerificationService {
       const totalLayers = layerResults.length;
       
       result.overallScore = totalLayers > 0 ? passedLayers / totalLayers : 1;
-      result.overallResult = VERIFICATION_RESULT.PASSED;
       result.completedAt = new Date();
       result.processingTime = Date.now() - startTime;
 
+      if (quest.requiresApproval) {
+        result.reviewReasons.push(REVIEW_REASONS.REQUIRES_APPROVAL);
+      }
+
+      if (result.reviewReasons.length > 0) {
+        result.overallResult = VERIFICATION_RESULT.NEEDS_REVIEW;
+        console.log('🧑‍⚖️ Verification needs manual review:', result.reviewReasons.join(', '));
+        return result;
+      }
+
+      result.overallResult = VERIFICATION_RESULT.PASSED;
+
       console.log('✅ Verification PASSED');
       console.log(`   Score: ${(result.overallScore * 100).toFixed(1)}%`);
       console.log(`   Time: ${result.processingTime}ms`);
@@ -165,6 +231,18 @@ class VerificationService {
     }
   }
 
+  /**
+   * An AI result that only failed on confidence, and not by much,
+   * goes to manual review instead of failing
+   */
+  isReviewableAIResult(quest, aiVision) {
+    if (aiVision.passed || !aiVision.lowConfidence) return false;
+    if (aiVision.spoofingDetected || aiVision.requiredObjectsMissing?.length > 0) return false;
+
+    const floor = quest.aiVerification.reviewMinimumConfidence ?? 0.5;
+    return typeof aiVision.confidence === 'number' && aiVision.confidence >= floor;
+  }
+
   /**
    * Determine which verification layers are needed for a quest
    */
@@ -189,6 +267,10 @@ class VerificationService {
       layers.push('qr_scan');
     }
 
+    if (quest.nfc?.enabled) {
+      layers.push('nfc');
+    }
+
     if (quest.aiVerification?.enabled) {
       layers.push('ai_vision');
     }
@@ -198,134 +280,66 @@ class VerificationService {
       layers.push('gps', 'ai_vision');
     }
 
+    // Runs whenever a photo is submitted
+    if (quest.photoForensics?.enabled !== false) {
+      layers.push('photo_forensics');
+    }
+
     return layers;
   }
 
   /**
    * GPS Verification
+   * Point and radius, inside an area, or along a route (breadcrumb)
    */
   async verifyGPS(quest, submission) {
-    const { location } = submission;
-    
-    if (!location?.latitude || !location?.longitude) {
-      return {
-        passed: false,
-        message: 'Location data not provided',
-        distanceMeters: null,
-        withinRadius: false
-      };
-    }
-
-    const targetLocation = {
-      coordinates: quest.location.coordinates.coordinates,
-      radiusMeters: quest.location.radiusMeters
-    };
-
-    const result = geolocationService.verifyLocation(location, targetLocation);
+    const result = geolocationService.verifyGeometry(submission, quest.location);
 
     return {
       passed: result.passed,
+      mode: result.mode,
       distanceMeters: result.distanceMeters,
       withinRadius: result.withinRadius,
       allowedRadius: result.allowedRadius,
+      coverage: result.coverage,
+      fixes: result.fixes,
+      offRouteFixes: result.offRouteFixes,
       message: result.message
     };
   }
 
   /**
    * Time Window Verification
+   * Evaluated in the quest's timezone (see scheduleService)
    */
   async verifyTimeWindow(quest, submission) {
-    const now = submission.capturedAt ? new Date(submission.capturedAt) : new Date();
-    const timeWindow = quest.timeWindow;
-
-    // Check specific dates first
-    if (timeWindow.specificDates?.length > 0) {
-      const todayStr = now.toISOString().split('T')[0];
-      const specificDate = timeWindow.specificDates.find(
-        d => new Date(d.date).toISOString().split('T')[0] === todayStr
-      );
-
-      if (specificDate) {
-        const currentTime = now.toLocaleTimeString('en-US', {
-          hour12: false,
-          hour: '2-digit',
-          minute: '2-digit',
-          timeZone: timeWindow.timezone || 'UTC'
-        });
-
-        const isWithin = currentTime >= specificDate.startTime && 
-                        currentTime <= specificDate.endTime;
-
-        return {
-          passed: isWithin,
-          submissionTime: currentTime,
-          allowedWindow: `${specificDate.startTime} - ${specificDate.endTime}`,
-          message: isWithin ? 'Within time window' : 'Outside allowed time window'
-        };
-      }
-    }
-
-    // Check day of week
-    if (timeWindow.daysOfWeek?.length > 0) {
-      const dayOfWeek = now.getDay();
-      if (!timeWindow.daysOfWeek.includes(dayOfWeek)) {
-        return {
-          passed: false,
-          submissionTime: now.toISOString(),
-          message: 'Quest not available today'
-        };
-      }
-    }
-
-    // Check time range
-    if (timeWindow.startTime && timeWindow.endTime) {
-      const currentTime = now.toLocaleTimeString('en-US', {
-        hour12: false,
-        hour: '2-digit',
-        minute: '2-digit',
-        timeZone: timeWindow.timezone || 'UTC'
-      });
-
-      const isWithin = currentTime >= timeWindow.startTime && 
-                      currentTime <= timeWindow.endTime;
-
-      return {
-        passed: isWithin,
-        submissionTime: currentTime,
-        allowedWindow: `${timeWindow.startTime} - ${timeWindow.endTime}`,
-        message: isWithin ? 'Within time window' : `Come back between ${timeWindow.startTime} and ${timeWindow.endTime}`
-      };
-    }
+    const at = submission.capturedAt ? new Date(submission.capturedAt) : new Date();
+    const window = scheduleService.evaluate(quest.timeWindow, isNaN(at) ? new Date() : at, {
+      anchor: quest.startDate || quest.createdAt
+    });
 
     return {
-      passed: true,
-      message: 'No time restriction'
+      passed: window.open,
+      submissionTime: window.localTime,
+      localDate: window.localDate,
+      timezone: window.timezone,
+      allowedWindow: window.window,
+      nextOpensAt: window.nextOpensAt,
+      message: window.message
     };
   }
 
   /**
    * QR Code Verification
+   * Rotating codes must be from the current time step (within the skew window);
+   * needs the quest loaded with +qrCode.secret (checkpoint views carry
+   * their own qrTarget, see checkpointService)
    */
   async verifyQRCode(quest, submission) {
-    if (!submission.qrCodeScanned) {
-      return {
-        passed: false,
-        codeMatched: false,
-        message: 'QR code not scanned'
-      };
-    }
-
-    const codeHash = quest.qrCode.codeHash;
-    const scannedHash = encryptionService.hash(submission.qrCodeScanned);
-
-    const matched = scannedHash === codeHash;
-
-    return {
-      passed: matched,
-      codeMatched: matched,
-      message: matched ? 'QR code verified' : 'Invalid QR code'
-    };
+    return qrCodeService.verify(submission.qrCodeScanned, quest.qrCode, quest.qrTarget || {
+      kind: 'quest',
+      id: quest._id
+    });
   }
 
   /**
@@ -347,7 +361,11 @@ class VerificationService {
       requireFace: quest.aiVerification.requireFace,
       requireSelfie: quest.aiVerification.requireSelfie,
       rejectBlurry: quest.aiVerification.rejectBlurry,
-      minimumConfidence: quest.aiVerification.minimumConfidence || 0.75
+      minimumConfidence: quest.aiVerification.minimumConfidence || 0.75,
+      provider: quest.aiVerification.provider,
+      fallbackProviders: quest.aiVerification.fallbackProviders,
+      timeoutSeconds: quest.aiVerification.timeoutSeconds,
+      strict: quest.aiVerification.strict
     };
 
     const result = await aiVisionService.verifyImage(imageBase64, requirements);
@@ -359,21 +377,36 @@ class VerificationService {
       requiredObjectsFound: result.requiredObjectsFound,
       requiredObjectsMissing: result.requiredObjectsMissing,
       isBlurry: result.isBlurry,
+      lowConfidence: result.lowConfidence,
+      spoofingDetected: result.spoofingDetected,
       hasFace: result.hasFace,
       isSelfie: result.isSelfie,
       rawResponse: result.rawResponse,
-      message: result.reason
+      provider: result.provider,
+      model: result.model,
+      cached: result.cached,
+      isMock: result.isMock,
+      unavailable: result.unavailable,
+      message: result.message
     };
   }
 
   /**
-   * NFC Verification (placeholder for future implementation)
+   * Photo Forensics
+   * EXIF cross-checks, perceptual-hash duplicates and screenshot detection
+   * (see photoForensicsService)
+   */
+  async verifyPhotoForensics(quest, submission) {
+    return photoForensicsService.analyze(quest, submission);
+  }
+
+  /**
+   * NFC Verification
+   * The scan is the SUN message the tag appended to its URL; each one is
+   * accepted once (see nfcService)
    */
   async verifyNFC(quest, submission) {
-    return {
-      passed: false,
-      message: 'NFC verification not yet implemented'
-    };
+    return nfcService.verifyScan(quest, submission.nfcScan);
   }
 
   /**
@@ -393,12 +426,9 @@ class VerificationService {
         };
       }
 
-      const targetLocation = {
-        coordinates: conditions.location.coordinates.coordinates,
-        radiusMeters: conditions.location.radiusMeters
-      };
-
-      const gpsResult = geolocationService.verifyLocation(submittedData, targetLocation);
+      const gpsResult = geolocationService.verifyGeometry({
+        location: { latitude: submittedData.latitude, longitude: submittedData.longitude }
+      }, conditions.location);
       
       if (!gpsResult.passed) {
         return {
@@ -422,16 +452,15 @@ class VerificationService {
         };
       }
 
-      if (conditions.time.specificTime) {
-        const [hours, minutes] = conditions.time.specificTime.split(':');
-        const currentHours = now.getHours();
-        const currentMinutes = now.getMinutes();
+      const schedule = scheduleService.fromStoryTime(conditions.time);
+      if (scheduleService.isRestricted(schedule)) {
+        const window = scheduleService.evaluate(schedule, now, { anchor: chapter.createdAt });
 
-        if (currentHours !== parseInt(hours) || Math.abs(currentMinutes - parseInt(minutes)) > 5) {
+        if (!window.open) {
           return {
             unlocked: false,
             checks: [{ type: 'time', passed: false }],
-            reason: `Come back at ${conditions.time.specificTime}`
+            reason: window.message
           };
         }
       }
@@ -448,11 +477,16 @@ class VerificationService {
         };
       }
 
-      if (!encryptionService.verifyQRCode(submittedData.qrCode, conditions.qrCode.codeHash)) {
+      const qrResult = qrCodeService.verify(submittedData.qrCode, conditions.qrCode, {
+        kind: 'chapter',
+        id: chapter._id
+      });
+
+      if (!qrResult.passed) {
         return {
           unlocked: false,
           checks: [{ type: 'qrCode', passed: false }],
-          reason: 'Wrong QR code'
+          reason: qrResult.rotating ? qrResult.message : 'Wrong QR code'
         };
       }
       result.checks.push({ type: 'qrCode', passed: true });
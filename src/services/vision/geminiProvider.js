@@ -0,0 +1,59 @@
+import axios from 'axios';
+
+/**
+ * Google Gemini vision provider
+ *
+ * Env:
+ * - GOOGLE_GEMINI_API_KEY
+ * - GEMINI_VISION_MODEL (default gemini-1.5-flash)
+ */
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.apiKey = process.env.GOOGLE_GEMINI_API_KEY;
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+    this.model = process.env.GEMINI_VISION_MODEL || 'gemini-1.5-flash';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete(prompt, { imageBase64, mimeType, timeout }) {
+    const response = await axios.post(
+      `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`,
+      {
+        contents: [{
+          parts: [
+            { text: prompt },
+            { inline_data: { mime_type: mimeType, data: imageBase64 } }
+          ]
+        }],
+        generationConfig: {
+          temperature: 0.1,
+          topK: 1,
+          topP: 1,
+          maxOutputTokens: 2048,
+        },
+        safetySettings: [
+          { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+          { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+          { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+          { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
+        ]
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout
+      }
+    );
+
+    const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error('Empty response from Gemini');
+    }
+    return text;
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,60 @@
+import axios from 'axios';
+import OpenAIProvider from './openaiProvider.js';
+
+/**
+ * Self-hosted vision model over HTTP
+ *
+ * LOCAL_VISION_API selects the wire format:
+ * - openai (default): an OpenAI-compatible server such as llama.cpp's
+ *   llama-server or Ollama, at LOCAL_VISION_URL + /chat/completions
+ * - raw: POST LOCAL_VISION_URL with { prompt, image, mimeType } (e.g. an ONNX
+ *   Runtime wrapper); the reply is the verification JSON itself, or
+ *   { text } / { content } holding it
+ *
+ * Env:
+ * - LOCAL_VISION_URL (e.g. http://127.0.0.1:8080/v1)
+ * - LOCAL_VISION_MODEL (default local)
+ * - LOCAL_VISION_API_KEY (optional)
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      name: 'local',
+      apiKey: process.env.LOCAL_VISION_API_KEY,
+      baseUrl: process.env.LOCAL_VISION_URL || '',
+      model: process.env.LOCAL_VISION_MODEL || 'local'
+    });
+    this.api = (process.env.LOCAL_VISION_API || 'openai').toLowerCase();
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  async complete(prompt, options) {
+    if (this.api !== 'raw') {
+      return super.complete(prompt, options);
+    }
+
+    const { imageBase64, mimeType, timeout } = options;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(this.baseUrl, {
+      prompt,
+      image: imageBase64,
+      mimeType,
+      model: this.model
+    }, { headers, timeout });
+
+    const body = response.data;
+    if (typeof body === 'string') return body;
+    if (typeof body?.text === 'string') return body.text;
+    if (typeof body?.content === 'string') return body.content;
+    return JSON.stringify(body);
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,60 @@
+import axios from 'axios';
+
+/**
+ * OpenAI-compatible vision provider (OpenAI, Azure-style proxies, vLLM, ...)
+ * using the Chat Completions API with an image_url data URL
+ *
+ * Env:
+ * - OPENAI_API_KEY
+ * - OPENAI_BASE_URL (default https://api.openai.com/v1)
+ * - OPENAI_VISION_MODEL (default gpt-4o-mini)
+ */
+class OpenAIProvider {
+  constructor({
+    name = 'openai',
+    apiKey = process.env.OPENAI_API_KEY,
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model = process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini'
+  } = {}) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete(prompt, { imageBase64, mimeType, timeout }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        temperature: 0.1,
+        max_tokens: 2048,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBase64}` } }
+          ]
+        }]
+      },
+      { headers, timeout }
+    );
+
+    const text = response.data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error(`Empty response from ${this.name}`);
+    }
+    return text;
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import {
+  AccountAddress,
+  AnyPublicKey,
+  AnyPublicKeyVariant,
+  AnySignature,
+  Deserializer,
+  Ed25519PublicKey,
+  Ed25519Signature,
+  Hex,
+  MultiKey,
+  MultiKeySignature,
+  NetworkToChainId
+} from '@aptos-labs/ts-sdk';
+import WalletChallenge from '../models/WalletChallenge.js';
+import aptosService from './aptosService.js';
+import { DEFAULTS } from '../config/constants.js';
+
+const DEFAULT_STATEMENT = 'Sign in to LifeVault with your Aptos account.';
+
+/**
+ * Wallet Auth Service
+ * Sign-In-with-Aptos: the server issues a single-use nonce inside a
+ * structured message (SIWE format) bound to the address and our domain, and
+ * login verifies the wallet's signature over exactly that message.
+ */
+class WalletAuthService {
+  /**
+   * Normalize an address to its long form
+   * @throws 400 if the address is not a valid Aptos address
+   */
+  normalizeAddress(address) {
+    try {
+      const input = String(address).trim();
+      return AccountAddress.fromString(input.startsWith('0x') ? input : `0x${input}`, { maxMissingChars: 63 })
+        .toStringLong();
+    } catch {
+      const error = new Error('Invalid Aptos address');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Domain and URI the messages are bound to
+   */
+  getOrigin() {
+    const uri = process.env.WALLET_AUTH_URI || process.env.FRONTEND_URL || 'http://localhost:5173';
+    const domain = process.env.WALLET_AUTH_DOMAIN || new URL(uri).host;
+    return { domain, uri };
+  }
+
+  getAptos() {
+    if (!aptosService.aptos) {
+      const error = new Error('Aptos network is not available');
+      error.statusCode = 503;
+      throw error;
+    }
+    return aptosService.aptos;
+  }
+
+  async getChainId() {
+    const aptos = this.getAptos();
+    return NetworkToChainId[aptos.config.network] ?? aptos.getChainId();
+  }
+
+  /**
+   * The message the wallet signs (EIP-4361 layout)
+   */
+  buildMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expiresAt }) {
+    return [
+      `${domain} wants you to sign in with your Aptos account:`,
+      address,
+      '',
+      statement,
+      '',
+      `URI: ${uri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+  }
+
+  /**
+   * Issue a challenge for an address
+   * @returns {Object} WalletChallenge document
+   */
+  async createChallenge(address) {
+    const normalized = this.normalizeAddress(address);
+    const { domain, uri } = this.getOrigin();
+    const chainId = await this.getChainId();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + DEFAULTS.WALLET_CHALLENGE_MINUTES * 60 * 1000);
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    const fields = {
+      nonce,
+      address: normalized,
+      domain,
+      uri,
+      chainId,
+      statement: DEFAULT_STATEMENT,
+      issuedAt,
+      expiresAt
+    };
+
+    return WalletChallenge.create({
+      ...fields,
+      message: this.buildMessage(fields)
+    });
+  }
+
+  /**
+   * Check what the wallet actually signed. Either the challenge message
+   * itself, or the Aptos wallet envelope around it:
+   *
+   *   APTOS
+   *   address: 0x…          (optional)
+   *   application: https://… (optional)
+   *   chainId: 2            (optional)
+   *   message: <challenge message>
+   *   nonce: <challenge nonce>
+   *
+   * @returns {{ valid, signed, reason }} signed = the exact text to verify
+   */
+  checkSignedMessage(fullMessage, challenge) {
+    if (fullMessage === undefined || fullMessage === null || fullMessage === challenge.message) {
+      return { valid: true, signed: challenge.message, reason: null };
+    }
+
+    const fail = reason => ({ valid: false, signed: null, reason });
+    const text = String(fullMessage);
+
+    if (!text.startsWith('APTOS\n')) return fail('Signed message does not match the challenge');
+
+    const messageAt = text.indexOf('message: ');
+    const nonceSuffix = `\nnonce: ${challenge.nonce}`;
+    if (messageAt === -1 || !text.endsWith(nonceSuffix)) {
+      return fail('Signed message does not carry the challenge nonce');
+    }
+
+    const signedMessage = text.slice(messageAt + 'message: '.length, text.length - nonceSuffix.length);
+    if (signedMessage !== challenge.message) {
+      return fail('Signed message does not match the challenge');
+    }
+
+    const headers = text.slice('APTOS\n'.length, messageAt).split('\n').filter(Boolean);
+    for (const line of headers) {
+      const separator = line.indexOf(': ');
+      const key = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 2);
+
+      if (key === 'address') {
+        let address;
+        try {
+          address = this.normalizeAddress(value);
+        } catch {
+          return fail('Signed message names a different address');
+        }
+        if (address !== challenge.address) return fail('Signed message names a different address');
+      } else if (key === 'application') {
+        let host = value;
+        try {
+          host = new URL(value).host;
+        } catch {
+          // Bare host
+        }
+        if (host !== challenge.domain) return fail('Message was signed for a different application');
+      } else if (key === 'chainId') {
+        if (Number(value) !== challenge.chainId) return fail('Message was signed for a different network');
+      } else {
+        return fail(`Unexpected field "${key}" in signed message`);
+      }
+    }
+
+    return { valid: true, signed: text, reason: null };
+  }
+
+  deserializeExact(type, bytes) {
+    try {
+      const deserializer = new Deserializer(bytes);
+      const value = type.deserialize(deserializer);
+      return deserializer.remaining() === 0 ? value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parse the wallet's public key and signature
+   *   Legacy Ed25519:  raw 32-byte key, raw 64-byte signature
+   *   SingleKey:       BCS AnyPublicKey / AnySignature (Ed25519, Secp256k1, Keyless)
+   *   MultiKey:        BCS MultiKey / MultiKeySignature
+   * @returns {{ accountType, publicKey, signature }|null}
+   */
+  parseKey(publicKeyHex, signatureHex) {
+    let keyBytes;
+    let signatureBytes;
+    try {
+      keyBytes = Hex.fromHexInput(publicKeyHex).toUint8Array();
+      signatureBytes = Hex.fromHexInput(signatureHex).toUint8Array();
+    } catch {
+      return null;
+    }
+
+    if (keyBytes.length === 32 && signatureBytes.length === 64) {
+      return {
+        accountType: 'ed25519',
+        publicKey: new Ed25519PublicKey(keyBytes),
+        signature: new Ed25519Signature(signatureBytes)
+      };
+    }
+
+    const anyKey = this.deserializeExact(AnyPublicKey, keyBytes);
+    const anySignature = anyKey && this.deserializeExact(AnySignature, signatureBytes);
+    if (anyKey && anySignature) {
+      const accountType = {
+        [AnyPublicKeyVariant.Ed25519]: 'ed25519',
+        [AnyPublicKeyVariant.Secp256k1]: 'secp256k1',
+        [AnyPublicKeyVariant.Keyless]: 'keyless',
+        [AnyPublicKeyVariant.FederatedKeyless]: 'keyless'
+      }[anyKey.variant] || 'single-key';
+      return { accountType, publicKey: anyKey, signature: anySignature };
+    }
+
+    const multiKey = this.deserializeExact(MultiKey, keyBytes);
+    const multiSignature = multiKey && this.deserializeExact(MultiKeySignature, signatureBytes);
+    if (multiKey && multiSignature) {
+      return { accountType: 'multikey', publicKey: multiKey, signature: multiSignature };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the key controls the address: either the address was derived
+   * from it, or it is the account's current (rotated) authentication key
+   */
+  async keyControlsAddress(publicKey, address) {
+    const authKey = publicKey.authKey();
+    if (authKey.derivedAddress().toStringLong() === address) return true;
+
+    try {
+      const account = await this.getAptos().getAccountInfo({ accountAddress: address });
+      return AccountAddress.from(account.authentication_key).toStringLong() === authKey.toString().toLowerCase();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a wallet login against its challenge. The challenge is consumed
+   * first, so a nonce is never accepted twice, even after a failed attempt.
+   * @param {Object} data - { address, publicKey, signature, nonce, fullMessage }
+   * @returns {{ address, accountType }}
+   * @throws 401 with the reason the login was rejected
+   */
+  async verifyLogin({ address, publicKey, signature, nonce, fullMessage }) {
+    const normalized = this.normalizeAddress(address);
+    const reject = (message, accountType = null) => {
+      const error = new Error(message);
+      error.statusCode = 401;
+      error.accountType = accountType;
+      throw error;
+    };
+
+    const challenge = await WalletChallenge.consume(String(nonce), normalized);
+    if (!challenge) reject('Challenge is unknown, expired or already used; request a new one');
+
+    const signed = this.checkSignedMessage(fullMessage, challenge);
+    if (!signed.valid) reject(signed.reason);
+
+    const key = this.parseKey(publicKey, signature);
+    if (!key) reject('Unsupported public key or signature format');
+
+    if (!(await this.keyControlsAddress(key.publicKey, normalized))) {
+      reject('Public key does not control this address', key.accountType);
+    }
+
+    let valid = false;
+    try {
+      valid = await key.publicKey.verifySignatureAsync({
+        aptosConfig: this.getAptos().config,
+        message: new TextEncoder().encode(signed.signed),
+        signature: key.signature
+      });
+    } catch (error) {
+      console.warn('⚠️ Wallet signature verification error:', error.message);
+    }
+    if (!valid) reject('Invalid wallet signature', key.accountType);
+
+    return { address: normalized, accountType: key.accountType };
+  }
+}
+
+export default new WalletAuthService();
@@ -0,0 +1,75 @@
+/**
+ * Headers for serving user-supplied files from the API origin.
+ *
+ * The content type of uploads comes from the client. Types a browser can
+ * run script in (text/html, image/svg+xml, XML, ...) would be stored XSS if
+ * rendered here, so only plain media is shown inline; everything else is a
+ * download. nosniff stops the browser from guessing a different type.
+ */
+
+// Rendered by the browser without running script
+const INLINE_TYPES = new Set([
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/avif',
+  'video/mp4',
+  'video/webm',
+  'video/quicktime',
+  'audio/mpeg',
+  'audio/mp4',
+  'audio/ogg',
+  'audio/wav',
+  'audio/webm',
+  'text/plain'
+]);
+
+// Photos kept for reviewers (submissions and appeal evidence)
+const PHOTO_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp']);
+
+/**
+ * Bare, lowercase MIME type, or application/octet-stream if it isn't one
+ */
+export function normalizeContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return /^[a-z0-9][\w.+-]*\/[\w.+-]+$/.test(type) ? type : 'application/octet-stream';
+}
+
+export function isInlineSafe(contentType) {
+  return INLINE_TYPES.has(normalizeContentType(contentType));
+}
+
+export function isPhotoType(contentType) {
+  return PHOTO_TYPES.has(normalizeContentType(contentType));
+}
+
+/**
+ * Type declared by a base64 data URL photo
+ * @returns {string|null} JPEG, PNG or WebP type; null for anything else
+ */
+export function photoContentType(photoBase64) {
+  const declared = /^data:([^;,]+);base64,/.exec(String(photoBase64 || ''))?.[1];
+  return declared && isPhotoType(declared) ? normalizeContentType(declared) : null;
+}
+
+/**
+ * @param {string} contentType - Client-declared content type
+ * @param {Object} options - { fileName, attachment } attachment forces a download
+ * @returns {Object} Content-Type, Content-Disposition and hardening headers
+ */
+export function contentHeaders(contentType, { fileName, attachment = false } = {}) {
+  const type = normalizeContentType(contentType);
+  const disposition = attachment || !INLINE_TYPES.has(type) ? 'attachment' : 'inline';
+
+  return {
+    'Content-Type': type,
+    'Content-Disposition': fileName
+      ? `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+      : disposition,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': 'sandbox'
+  };
+}
+
+export default { normalizeContentType, isInlineSafe, isPhotoType, photoContentType, contentHeaders };
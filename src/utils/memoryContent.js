@@ -0,0 +1,50 @@
+import envelopeService from '../services/envelopeService.js';
+import { ENCRYPTION_METHODS } from '../config/constants.js';
+import { contentHeaders } from './contentHeaders.js';
+
+/**
+ * Stream a memory's content (decrypted if it is server-encrypted) to the
+ * response. Rejects if the content can't be opened before anything was
+ * sent, so the caller can still answer with a JSON error.
+ *
+ * Client-encrypted (lv-e2ee-v1) memories are sent as-is; the client
+ * decrypts them with its wrapped key.
+ *
+ * The file type is client-declared, so only plain media is shown inline
+ * (see contentHeaders); anything else is sent as a download.
+ *
+ * The memory must be loaded with `+encryption.wrappedKey`.
+ */
+export const sendMemoryContent = async (res, memory, { attachment = false } = {}) => {
+  const { stream, contentType } = await envelopeService.openContentStream(memory);
+  const fileName = memory.fileName || memory.title || 'memory';
+
+  const isClientEncrypted = memory.encryptionMethod === ENCRYPTION_METHODS.CLIENT_E2EE_V1;
+
+  res.set({
+    ...contentHeaders(
+      isClientEncrypted ? 'application/octet-stream' : memory.fileType || contentType,
+      { fileName, attachment }
+    ),
+    'X-Encryption-Scheme': memory.encryptionMethod || ENCRYPTION_METHODS.NONE,
+    'Cache-Control': 'private, no-store'
+  });
+
+  return new Promise((resolve, reject) => {
+    stream.on('error', (err) => {
+      if (!res.headersSent) return reject(err);
+
+      // Already streaming: all we can do is cut the connection
+      console.error('❌ Content stream failed:', err.message);
+      res.destroy(err);
+      resolve();
+    });
+
+    stream.on('end', resolve);
+    res.on('close', () => stream.destroy());
+
+    stream.pipe(res);
+  });
+};
+
+export default { sendMemoryContent };
@@ -0,0 +1,204 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import VisionCache from '../src/models/VisionCache.js';
+import aiVisionService from '../src/services/aiVisionService.js';
+import OpenAIProvider from '../src/services/vision/openaiProvider.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUg==';
+
+const reply = (overrides = {}) => JSON.stringify({
+  passed: true,
+  confidence: 0.9,
+  requiredObjectsFound: ['fountain'],
+  requiredObjectsMissing: [],
+  isScreenPhoto: false,
+  isPrintedPhoto: false,
+  isManipulated: false,
+  message: 'Fountain visible',
+  ...overrides
+});
+
+const fakeProvider = (name, complete, configured = true) => ({
+  name,
+  model: `${name}-model`,
+  calls: 0,
+  isConfigured: () => configured,
+  async complete(...args) {
+    this.calls++;
+    return complete(...args);
+  }
+});
+
+const requirements = (overrides = {}) => ({
+  prompt: 'A photo of the fountain',
+  requiredObjects: ['fountain'],
+  provider: 'gemini',
+  fallbackProviders: ['openai', 'local'],
+  ...overrides
+});
+
+describe('aiVisionService.verifyImage', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { providers: aiVisionService.providers, cacheDays: process.env.AI_VISION_CACHE_DAYS };
+    process.env.AI_VISION_CACHE_DAYS = '0';
+  });
+
+  afterEach(() => {
+    aiVisionService.providers = saved.providers;
+    if (saved.cacheDays === undefined) delete process.env.AI_VISION_CACHE_DAYS;
+    else process.env.AI_VISION_CACHE_DAYS = saved.cacheDays;
+  });
+
+  test('falls back past failing, timed-out and unreadable providers', async () => {
+    const timeout = Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+    aiVisionService.providers = {
+      gemini: fakeProvider('gemini', async () => { throw timeout; }),
+      openai: fakeProvider('openai', async () => 'I think it is a fountain'),
+      local: fakeProvider('local', async () => `Sure!\n\`\`\`json\n${reply()}\n\`\`\``)
+    };
+
+    const result = await aiVisionService.verifyImage(IMAGE, requirements());
+
+    assert.equal(result.passed, true);
+    assert.equal(result.provider, 'local');
+    assert.equal(result.cached, false);
+  });
+
+  test('fails closed when every provider fails', async () => {
+    aiVisionService.providers = {
+      gemini: fakeProvider('gemini', async () => { throw Object.assign(new Error('429'), { response: { status: 429 } }); }),
+      openai: fakeProvider('openai', async () => { throw Object.assign(new Error('500'), { response: { status: 500 } }); }),
+      local: fakeProvider('local', async () => '', false)
+    };
+
+    const result = await aiVisionService.verifyImage(IMAGE, requirements({ timeoutSeconds: 5 }));
+
+    assert.equal(result.passed, false);
+    assert.equal(result.unavailable, true);
+    assert.equal(result.message, 'AI verification unavailable (gemini: rate limit exceeded; openai: HTTP 500)');
+    assert.equal(aiVisionService.providers.local.calls, 0);
+  });
+
+  test('with no provider configured, strict fails and lenient passes with a mock', async () => {
+    aiVisionService.providers = { gemini: fakeProvider('gemini', async () => reply(), false) };
+
+    const strict = await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [], strict: true }));
+    const lenient = await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [], strict: false }));
+
+    assert.equal(strict.passed, false);
+    assert.equal(strict.unavailable, true);
+    assert.equal(lenient.passed, true);
+    assert.equal(lenient.isMock, true);
+  });
+
+  test('a quest cannot turn off strict mode the environment enables', async (t) => {
+    process.env.AI_VISION_STRICT = 'true';
+    t.after(() => { delete process.env.AI_VISION_STRICT; });
+    aiVisionService.providers = { gemini: fakeProvider('gemini', async () => reply(), false) };
+
+    const result = await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [], strict: false }));
+
+    assert.equal(result.passed, false);
+    assert.equal(result.unavailable, true);
+    assert.equal(aiVisionService.getPolicy({ strict: false }).strict, true);
+  });
+
+  test('passes the image and timeout to the provider', async () => {
+    let received;
+    aiVisionService.providers = {
+      gemini: fakeProvider('gemini', async (prompt, image) => {
+        received = { prompt, image };
+        return reply();
+      })
+    };
+
+    await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [], timeoutSeconds: 7 }));
+
+    assert.deepEqual(received.image, { imageBase64: 'iVBORw0KGgoAAAANSUhEUg==', mimeType: 'image/png', timeout: 7000 });
+    assert.match(received.prompt, /REQUIRED OBJECTS \(must ALL be clearly visible\): fountain/);
+  });
+
+  test('a cached reply is used without calling the provider', async (t) => {
+    process.env.AI_VISION_CACHE_DAYS = '7';
+    const gemini = fakeProvider('gemini', async () => reply());
+    aiVisionService.providers = { gemini };
+    const cache = new Map();
+
+    t.mock.method(VisionCache, 'findOneAndUpdate', async ({ key }) => cache.get(key) || null);
+    t.mock.method(VisionCache, 'updateOne', async ({ key }, entry) => { cache.set(key, entry); });
+
+    const first = await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [] }));
+    const second = await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [] }));
+    const otherPrompt = await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [], prompt: 'A bench' }));
+
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(otherPrompt.cached, false);
+    assert.equal(gemini.calls, 2);
+  });
+
+  test('an unreadable reply is not cached', async (t) => {
+    process.env.AI_VISION_CACHE_DAYS = '7';
+    aiVisionService.providers = { gemini: fakeProvider('gemini', async () => 'not json') };
+    t.mock.method(VisionCache, 'findOneAndUpdate', async () => null);
+    const write = t.mock.method(VisionCache, 'updateOne', async () => {});
+
+    await aiVisionService.verifyImage(IMAGE, requirements({ fallbackProviders: [] }));
+
+    assert.equal(write.mock.callCount(), 0);
+  });
+});
+
+describe('aiVisionService.parseVerificationResponse', () => {
+  const parse = (overrides, minimumConfidence = 0.75) =>
+    aiVisionService.parseVerificationResponse(reply(overrides), ['fountain'], minimumConfidence);
+
+  test('our own rules override the model saying it passed', () => {
+    assert.match(parse({ confidence: 0.5 }).message, /Confidence too low/);
+    assert.equal(parse({ confidence: 0.5 }).passed, false);
+    assert.equal(parse({ isScreenPhoto: true }).spoofingDetected, true);
+    assert.equal(parse({ isPrintedPhoto: true }).passed, false);
+    assert.equal(parse({ isManipulated: true }).passed, false);
+    assert.equal(parse({ requiredObjectsMissing: ['fountain'] }).message, 'Missing required elements: fountain');
+  });
+
+  test('a confident clean reply passes', () => {
+    const result = parse({});
+    assert.equal(result.passed, true);
+    assert.equal(result.lowConfidence, false);
+  });
+
+  test('an empty or non-JSON reply is an error', () => {
+    assert.ok(aiVisionService.parseVerificationResponse('', [], 0.75).error);
+    assert.ok(aiVisionService.parseVerificationResponse('no idea', [], 0.75).error);
+  });
+});
+
+describe('OpenAIProvider', () => {
+  test('sends a chat completion with the image as a data URL', async (t) => {
+    const post = t.mock.method(axios, 'post', async () => ({
+      data: { choices: [{ message: { content: reply() } }] }
+    }));
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseUrl: 'http://vision.test/v1/', model: 'm' });
+
+    const text = await provider.complete('prompt', { imageBase64: 'AAAA', mimeType: 'image/jpeg', timeout: 3000 });
+
+    const [url, body, options] = post.mock.calls[0].arguments;
+    assert.equal(text, reply());
+    assert.equal(url, 'http://vision.test/v1/chat/completions');
+    assert.equal(body.model, 'm');
+    assert.equal(body.messages[0].content[1].image_url.url, 'data:image/jpeg;base64,AAAA');
+    assert.equal(options.headers.Authorization, 'Bearer sk-test');
+    assert.equal(options.timeout, 3000);
+  });
+
+  test('an empty reply is an error', async (t) => {
+    t.mock.method(axios, 'post', async () => ({ data: { choices: [] } }));
+    const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+
+    await assert.rejects(provider.complete('prompt', { imageBase64: 'AAAA', mimeType: 'image/jpeg' }), /Empty response from openai/);
+  });
+});
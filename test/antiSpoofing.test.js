@@ -0,0 +1,124 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import QuestCompletion from '../src/models/QuestCompletion.js';
+import antiSpoofingService from '../src/services/antiSpoofingService.js';
+import { query } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const PARIS = { latitude: 48.8584, longitude: 2.2945 };
+const NEW_YORK = { latitude: 40.6892, longitude: -74.0445 };
+
+const check = name => antiSpoofingService.checks.get(name);
+
+const cleanSubmission = () => ({
+  location: { ...PARIS, accuracy: 12, altitude: 35, timestamp: new Date() },
+  capturedAt: new Date(Date.now() - MINUTE),
+  deviceInfo: { deviceId: 'phone-1', isEmulator: false, isMockLocation: false }
+});
+
+const mockHistory = (t, { previous = null, otherUsers = [] } = {}) => {
+  t.mock.method(QuestCompletion, 'findOne', () => query(previous));
+  t.mock.method(QuestCompletion, 'distinct', async () => otherUsers);
+};
+
+const evaluate = (submission, quest = {}) => antiSpoofingService.evaluate({
+  quest,
+  userId: new mongoose.Types.ObjectId(),
+  attemptId: new mongoose.Types.ObjectId(),
+  submission
+});
+
+describe('antiSpoofingService.evaluate', () => {
+  test('a normal submission passes with no risk', async (t) => {
+    mockHistory(t);
+
+    const result = await evaluate(cleanSubmission());
+
+    assert.equal(result.passed, true);
+    assert.equal(result.riskScore, 0);
+    assert.deepEqual(result.checks.map(c => c.check), [
+      'device_flags', 'impossible_travel', 'gps_quality', 'capture_drift', 'device_reuse', 'ip_geolocation'
+    ]);
+  });
+
+  test('Paris to New York in ten minutes is impossible travel', async (t) => {
+    mockHistory(t, {
+      previous: { submission: { location: NEW_YORK, submittedAt: new Date(Date.now() - 10 * MINUTE) } }
+    });
+
+    const result = await evaluate(cleanSubmission());
+    const travel = result.checks.find(c => c.check === 'impossible_travel');
+
+    assert.equal(travel.score, 1);
+    assert.equal(result.riskScore, 0.6);
+    assert.equal(result.passed, false);
+    assert.equal(result.needsReview, true);
+  });
+
+  test('mock-location fixes and emulators add up past the reject threshold', async (t) => {
+    mockHistory(t);
+    const submission = cleanSubmission();
+    submission.location.accuracy = 0;
+    submission.deviceInfo.isMockLocation = true;
+
+    const result = await evaluate(submission);
+
+    assert.equal(result.checks.find(c => c.check === 'gps_quality').score, 1);
+    assert.equal(result.checks.find(c => c.check === 'device_flags').score, 1);
+    assert.equal(result.riskScore, 0.9);
+    assert.equal(result.passed, false);
+    assert.equal(result.needsReview, false);
+  });
+
+  test('old photos drift from the submission time', async (t) => {
+    mockHistory(t);
+    const submission = cleanSubmission();
+    submission.capturedAt = new Date(Date.now() - 30 * MINUTE);
+
+    const drift = (await evaluate(submission)).checks.find(c => c.check === 'capture_drift');
+
+    assert.equal(drift.score, 1);
+  });
+
+  test('one device used by many accounts is flagged', async (t) => {
+    mockHistory(t, { otherUsers: ['a', 'b', 'c'] });
+
+    const reuse = (await evaluate(cleanSubmission())).checks.find(c => c.check === 'device_reuse');
+
+    assert.equal(reuse.score, 1);
+    assert.match(reuse.details, /4 account/);
+  });
+
+  test('quests can disable checks and change weights and thresholds', async (t) => {
+    mockHistory(t, {
+      previous: { submission: { location: NEW_YORK, submittedAt: new Date(Date.now() - 10 * MINUTE) } }
+    });
+    const submission = cleanSubmission();
+    submission.location.accuracy = 0;
+
+    const result = await evaluate(submission, {
+      antiSpoofing: {
+        disabledChecks: ['impossible_travel'],
+        weights: new Map([['gps_quality', 0.2]]),
+        maxRiskScore: 0.25
+      }
+    });
+
+    assert.equal(result.checks.find(c => c.check === 'impossible_travel').skipped, true);
+    assert.equal(result.riskScore, 0.2);
+    assert.equal(result.threshold, 0.25);
+    assert.equal(result.passed, true);
+  });
+
+  test('a check that throws is skipped instead of failing the submission', async (t) => {
+    mockHistory(t);
+    t.mock.method(check('device_reuse'), 'run', async () => { throw new Error('database down'); });
+
+    const result = await evaluate(cleanSubmission());
+    const reuse = result.checks.find(c => c.check === 'device_reuse');
+
+    assert.equal(reuse.skipped, true);
+    assert.equal(result.passed, true);
+  });
+});
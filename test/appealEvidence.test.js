@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Quest from '../src/models/Quest.js';
+import QuestCompletion from '../src/models/QuestCompletion.js';
+import jobService from '../src/services/jobService.js';
+import reviewService from '../src/services/reviewService.js';
+import { getAppealEvidence } from '../src/controllers/reviewController.js';
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const reviewer = { _id: new mongoose.Types.ObjectId(), userType: 'business' };
+const explanation = 'The GPS was off by a block but I was right at the fountain.';
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUg==';
+const SVG = `data:image/svg+xml;base64,${Buffer.from('<svg onload="alert(1)"/>').toString('base64')}`;
+
+function setup(t, evidence = []) {
+  const completion = new QuestCompletion({
+    _id: new mongoose.Types.ObjectId(),
+    questId: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    status: 'failed',
+    failedAt: new Date()
+  });
+  if (evidence.length) {
+    completion.status = 'pending_review';
+    completion.appeal = { status: 'pending', explanation, evidence };
+  }
+
+  t.mock.method(QuestCompletion, 'findOne', async () => completion);
+  t.mock.method(QuestCompletion, 'findById', async () => completion);
+  t.mock.method(QuestCompletion, 'findOneAndUpdate', async (filter, update) => ({ _id: completion._id, ...update }));
+  t.mock.method(Quest, 'findById', async () => new Quest({ _id: completion.questId, creatorId: reviewer._id }));
+  const saveBlob = t.mock.method(jobService, 'saveBlob', async (buffer, name) => `blob-${name}`);
+  const deleteBlob = t.mock.method(jobService, 'deleteBlob', async () => {});
+
+  return { completion, saveBlob, deleteBlob };
+}
+
+describe('appeal evidence photos', () => {
+  test('keeps the type of JPEG, PNG and WebP photos', async (t) => {
+    setup(t);
+
+    const appealed = await reviewService.submitAppeal(user, 'id', { explanation, photos: [PNG] });
+
+    assert.equal(appealed.appeal.evidence[0].contentType, 'image/png');
+  });
+
+  test('rejects an SVG photo before anything is stored', async (t) => {
+    const { saveBlob, deleteBlob } = setup(t);
+
+    await assert.rejects(
+      reviewService.submitAppeal(user, 'id', { explanation, photos: [PNG, SVG] }),
+      (error) => error.statusCode === 400 && /JPEG, PNG or WebP/.test(error.message)
+    );
+    assert.equal(saveBlob.mock.callCount(), 1);
+    assert.equal(deleteBlob.mock.callCount(), 1);
+  });
+
+  test('serves stored evidence as a download, never as SVG', async (t) => {
+    setup(t, [{ kind: 'photo', blobId: 'blob-1', contentType: 'image/svg+xml' }]);
+    t.mock.method(jobService, 'openBlob', () => ({ on() {}, pipe(res) { res.piped = true; } }));
+
+    const res = {
+      headers: {},
+      set(headers) { Object.assign(this.headers, headers); return this; }
+    };
+    await getAppealEvidence({ user: reviewer, params: { id: 'id', index: '0' } }, res, (error) => { throw error; });
+
+    assert.equal(res.piped, true);
+    assert.equal(res.headers['Content-Type'], 'image/jpeg');
+    assert.equal(res.headers['Content-Disposition'], 'attachment');
+    assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
+    assert.equal(res.headers['Content-Security-Policy'], 'sandbox');
+  });
+});
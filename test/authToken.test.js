@@ -0,0 +1,106 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuthToken from '../src/models/AuthToken.js';
+import User from '../src/models/User.js';
+import authTokenService from '../src/services/authTokenService.js';
+import { AUTH_TOKEN_TYPES } from '../src/config/constants.js';
+import { fakeCollection } from './helpers.js';
+
+const { PASSWORD_RESET, MAGIC_LINK } = AUTH_TOKEN_TYPES;
+const MINUTE = 60 * 1000;
+
+describe('single-use email tokens', () => {
+  let user;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-06-01T12:00:00Z') });
+    user = new User({ _id: new mongoose.Types.ObjectId(), name: 'Ada', email: 'ada@example.com' });
+    fakeCollection(t, AuthToken, { unique: ['jti'] });
+    t.mock.method(User, 'findById', async () => user);
+  });
+
+  const invalid = (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.message, 'This link is invalid or has expired');
+    return true;
+  };
+
+  test('a token works once', async () => {
+    const { token } = await authTokenService.issue(user, PASSWORD_RESET);
+
+    assert.equal((await authTokenService.consume(token, PASSWORD_RESET))._id, user._id);
+    await assert.rejects(authTokenService.consume(token, PASSWORD_RESET), invalid);
+  });
+
+  test('a newer token replaces the previous one', async (t) => {
+    const first = await authTokenService.issue(user, MAGIC_LINK);
+    t.mock.timers.tick(2 * MINUTE);
+    const second = await authTokenService.issue(user, MAGIC_LINK);
+
+    await assert.rejects(authTokenService.consume(first.token, MAGIC_LINK), invalid);
+    assert.ok(await authTokenService.consume(second.token, MAGIC_LINK));
+  });
+
+  test('a token expires', async (t) => {
+    const { token } = await authTokenService.issue(user, MAGIC_LINK);
+    t.mock.timers.tick(16 * MINUTE);
+
+    await assert.rejects(authTokenService.consume(token, MAGIC_LINK), invalid);
+  });
+
+  test('a token is only good for its own purpose', async () => {
+    const { token } = await authTokenService.issue(user, MAGIC_LINK);
+
+    await assert.rejects(authTokenService.consume(token, PASSWORD_RESET), invalid);
+    assert.ok(await authTokenService.consume(token, MAGIC_LINK));
+  });
+
+  test('changing the email address kills outstanding tokens', async () => {
+    const { token } = await authTokenService.issue(user, PASSWORD_RESET);
+    user.email = 'ada@new.example.com';
+
+    await assert.rejects(authTokenService.consume(token, PASSWORD_RESET), invalid);
+  });
+
+  test('tampered or unsigned tokens are refused', async () => {
+    const { token } = await authTokenService.issue(user, PASSWORD_RESET);
+    const [header, payload, signature] = token.split('.');
+    const forged = JSON.parse(Buffer.from(payload, 'base64url'));
+    forged.sub = new mongoose.Types.ObjectId().toString();
+
+    await assert.rejects(authTokenService.consume(
+      `${header}.${Buffer.from(JSON.stringify(forged)).toString('base64url')}.${signature}`, PASSWORD_RESET
+    ), invalid);
+    await assert.rejects(authTokenService.consume('not-a-jwt', PASSWORD_RESET), invalid);
+  });
+
+  test('two uses racing with one token: only one wins', async () => {
+    const { token } = await authTokenService.issue(user, PASSWORD_RESET);
+
+    const results = await Promise.allSettled([
+      authTokenService.consume(token, PASSWORD_RESET),
+      authTokenService.consume(token, PASSWORD_RESET)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  });
+
+  test('issuing is rate limited per type', async (t) => {
+    await authTokenService.issue(user, PASSWORD_RESET);
+
+    await assert.rejects(authTokenService.issue(user, PASSWORD_RESET), (error) => {
+      assert.equal(error.statusCode, 429);
+      assert.equal(error.retryAfter, 60);
+      return true;
+    });
+    await authTokenService.issue(user, MAGIC_LINK);
+
+    for (let i = 1; i < 5; i++) {
+      t.mock.timers.tick(MINUTE);
+      await authTokenService.issue(user, PASSWORD_RESET);
+    }
+    t.mock.timers.tick(MINUTE);
+    await assert.rejects(authTokenService.issue(user, PASSWORD_RESET), (error) => error.retryAfter === 55 * 60);
+  });
+});
@@ -0,0 +1,38 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../src/app.js';
+
+describe('JSON body limits', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (path, size) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileData: 'a'.repeat(size) })
+  });
+
+  test('rejects large bodies on ordinary routes', async () => {
+    const response = await post('/api/auth/login', 2 * 1024 * 1024);
+
+    assert.equal(response.status, 413);
+  });
+
+  test('still lets base64 uploads reach the routes that take them', async () => {
+    // Parsed, then turned away for having no session
+    for (const path of ['/api/memories', '/api/quests/abc/submit', '/api/badges']) {
+      const response = await post(path, 5 * 1024 * 1024);
+      assert.equal(response.status, 401, path);
+    }
+  });
+});
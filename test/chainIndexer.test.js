@@ -0,0 +1,221 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Memory from '../src/models/Memory.js';
+import ChainCursor from '../src/models/ChainCursor.js';
+import ChainIssue from '../src/models/ChainIssue.js';
+import aptosService from '../src/services/aptosService.js';
+import { CHAIN_STATUS, CHAIN_ISSUE_TYPES } from '../src/config/constants.js';
+import { query } from './helpers.js';
+
+const MASTER = '0x' + 'a'.repeat(64);
+const ALICE = '0x' + 'b'.repeat(64);
+const BOB = '0x' + 'c'.repeat(64);
+const CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const TYPE = `${MASTER}::MemoryVault`;
+
+const useChain = (t, aptos) => {
+  const previous = { aptos: aptosService.aptos, initialized: aptosService.initialized, moduleAddress: aptosService.moduleAddress, moduleName: aptosService.moduleName };
+  t.after(() => Object.assign(aptosService, previous));
+  Object.assign(aptosService, { aptos, initialized: true, moduleAddress: MASTER, moduleName: 'MemoryVault' });
+  t.mock.method(aptosService, 'getMasterAddress', () => MASTER);
+};
+
+const memory = (t, fields = {}) => {
+  const doc = new Memory({
+    userId: new mongoose.Types.ObjectId(),
+    title: 'Letters',
+    ipfsHash: CID,
+    isOnChain: true,
+    txHash: '0xfeed',
+    ...fields
+  });
+  t.mock.method(doc, 'save', async () => doc);
+  return doc;
+};
+
+const trackIssues = (t) => {
+  const issues = [];
+  t.mock.method(ChainIssue, 'findOneAndUpdate', async (key, update) => {
+    issues.push({ ...key, ...update });
+  });
+  return issues;
+};
+
+describe('aptosService.applyMemoryEvent', () => {
+  test('a stored event confirms the memory it belongs to', async (t) => {
+    const doc = memory(t);
+    useChain(t, {});
+    t.mock.method(Memory, 'findOne', async () => doc);
+    const issues = trackIssues(t);
+
+    await aptosService.applyMemoryEvent({
+      indexed_type: `${TYPE}::MemoryStoredEvent`,
+      transaction_version: 42,
+      data: { memory_id: '7', owner: ALICE, ipfs_hash: CID, timestamp: '1760000000' }
+    });
+
+    assert.equal(doc.onChainId, '7');
+    assert.equal(doc.txVersion, '42');
+    assert.equal(doc.chainStatus, CHAIN_STATUS.CONFIRMED);
+    assert.equal(doc.onChainOwner, ALICE);
+    assert.equal(issues.length, 0);
+  });
+
+  test('fills in the hash of an anchor job still waiting on its transaction', async (t) => {
+    const doc = memory(t, { txHash: null, pendingTxHash: '0xfeed' });
+    useChain(t, { getTransactionByVersion: async () => ({ hash: '0xfeed', sender: MASTER }) });
+    t.mock.method(Memory, 'findOne', async (filter) =>
+      filter.$or?.some(clause => clause.pendingTxHash === '0xfeed') ? doc : null);
+    trackIssues(t);
+
+    await aptosService.applyMemoryEvent({
+      indexed_type: `${TYPE}::MemoryStoredEvent`,
+      transaction_version: 42,
+      data: { memory_id: '7', owner: ALICE, ipfs_hash: CID, timestamp: '1760000000' }
+    });
+
+    assert.equal(doc.txHash, '0xfeed');
+    assert.equal(doc.pendingTxHash, null);
+    assert.equal(doc.chainStatus, CHAIN_STATUS.CONFIRMED);
+  });
+
+  test('flags a stored hash that differs from the database', async (t) => {
+    const doc = memory(t);
+    useChain(t, {});
+    t.mock.method(Memory, 'findOne', async () => doc);
+    const issues = trackIssues(t);
+
+    await aptosService.applyMemoryEvent({
+      indexed_type: `${TYPE}::MemoryStoredEvent`,
+      transaction_version: 42,
+      data: { memory_id: '7', owner: ALICE, ipfs_hash: 'bafkreiother', timestamp: '1760000000' }
+    });
+
+    assert.equal(doc.chainStatus, CHAIN_STATUS.MISMATCH);
+    assert.equal(issues[0].type, CHAIN_ISSUE_TYPES.HASH_MISMATCH);
+  });
+
+  test('flags memories our relayer stored that have no record', async (t) => {
+    useChain(t, { getTransactionByVersion: async () => ({ hash: '0xdead', sender: MASTER }) });
+    t.mock.method(Memory, 'findOne', async () => null);
+    const issues = trackIssues(t);
+
+    await aptosService.applyMemoryEvent({
+      indexed_type: `${TYPE}::MemoryStoredEvent`,
+      transaction_version: 42,
+      data: { memory_id: '9', owner: ALICE, ipfs_hash: CID, timestamp: '1760000000' }
+    });
+
+    assert.equal(issues[0].type, CHAIN_ISSUE_TYPES.UNTRACKED);
+    assert.equal(issues[0].onChainId, '9');
+  });
+
+  test('ignores memories other apps stored', async (t) => {
+    useChain(t, { getTransactionByVersion: async () => ({ hash: '0xdead', sender: BOB }) });
+    t.mock.method(Memory, 'findOne', async () => null);
+    const issues = trackIssues(t);
+
+    await aptosService.applyMemoryEvent({
+      indexed_type: `${TYPE}::MemoryStoredEvent`,
+      transaction_version: 42,
+      data: { memory_id: '9', owner: BOB, ipfs_hash: CID, timestamp: '1760000000' }
+    });
+
+    assert.equal(issues.length, 0);
+  });
+
+  test('a transfer made outside LifeVault updates the owner and is flagged', async (t) => {
+    const doc = memory(t, { onChainId: '7', onChainOwner: ALICE });
+    useChain(t, {});
+    t.mock.method(Memory, 'findOne', async () => doc);
+    const issues = trackIssues(t);
+
+    await aptosService.applyMemoryEvent({
+      indexed_type: `${TYPE}::MemoryTransferredEvent`,
+      transaction_version: 50,
+      data: { memory_id: '7', from: ALICE, to: BOB }
+    });
+
+    assert.equal(doc.onChainOwner, BOB);
+    assert.equal(issues[0].type, CHAIN_ISSUE_TYPES.OWNER_MISMATCH);
+  });
+
+  test('a transfer LifeVault already recorded changes nothing', async (t) => {
+    const doc = memory(t, { onChainId: '7', onChainOwner: BOB });
+    useChain(t, {});
+    t.mock.method(Memory, 'findOne', async () => doc);
+    const issues = trackIssues(t);
+
+    await aptosService.applyMemoryEvent({
+      indexed_type: `${TYPE}::MemoryTransferredEvent`,
+      transaction_version: 50,
+      data: { memory_id: '7', from: ALICE, to: BOB }
+    });
+
+    assert.equal(doc.save.mock.callCount(), 0);
+    assert.equal(issues.length, 0);
+  });
+});
+
+describe('aptosService.syncMemoryEvents', () => {
+  test('resumes after the cursor and saves it even when an event fails', async (t) => {
+    const cursor = new ChainCursor({ name: 'memory_vault', transactionVersion: '10', eventIndex: 1 });
+    const saved = [];
+    t.mock.method(cursor, 'save', async () => saved.push({ version: cursor.transactionVersion, error: cursor.lastError }));
+    t.mock.method(ChainCursor, 'findOneAndUpdate', async () => cursor);
+
+    let where;
+    useChain(t, {
+      getEvents: async ({ options }) => {
+        where = options.where;
+        return [
+          { indexed_type: `${TYPE}::MemoryStoredEvent`, transaction_version: 11, event_index: 0, data: {} },
+          { indexed_type: `${TYPE}::MemoryStoredEvent`, transaction_version: 12, event_index: 0, data: {} }
+        ];
+      }
+    });
+    t.mock.method(aptosService, 'applyMemoryEvent', async (event) => {
+      if (event.transaction_version === 12) throw new Error('database down');
+    });
+
+    await assert.rejects(aptosService.syncMemoryEvents(), /database down/);
+
+    assert.deepEqual(where._or[1], { transaction_version: { _eq: '10' }, event_index: { _gt: 1 } });
+    assert.equal(cursor.transactionVersion, '11');
+    assert.equal(cursor.eventsProcessed, 1);
+    assert.deepEqual(saved.at(-1), { version: '11', error: 'database down' });
+  });
+});
+
+describe('aptosService.checkPendingMemories', () => {
+  test('confirms, fails or orphans memories the events never confirmed', async (t) => {
+    const confirmed = memory(t, { txHash: '0x1' });
+    const failed = memory(t, { txHash: '0x2' });
+    const orphaned = memory(t, { txHash: '0x3' });
+    const pending = memory(t, { txHash: '0x4' });
+
+    t.mock.method(Memory, 'find', () => query([confirmed, failed, orphaned, pending]));
+    useChain(t, {
+      getTransactionByHash: async ({ transactionHash }) => {
+        if (transactionHash === '0x1') {
+          return { success: true, version: '100', timestamp: '1760000000000000', events: [{ type: `${TYPE}::MemoryStoredEvent`, data: { memory_id: '3' } }] };
+        }
+        if (transactionHash === '0x2') return { success: false, version: '101', vm_status: 'ABORTED' };
+        if (transactionHash === '0x4') return { type: 'pending_transaction' };
+        throw Object.assign(new Error('not found'), { status: 404 });
+      }
+    });
+    const issues = trackIssues(t);
+
+    const summary = await aptosService.checkPendingMemories();
+
+    assert.deepEqual(summary, { checked: 4, confirmed: 1, failed: 1, orphaned: 1 });
+    assert.equal(confirmed.chainStatus, CHAIN_STATUS.CONFIRMED);
+    assert.equal(confirmed.onChainId, '3');
+    assert.equal(failed.chainStatus, CHAIN_STATUS.FAILED);
+    assert.equal(orphaned.chainStatus, CHAIN_STATUS.ORPHANED);
+    assert.equal(pending.save.mock.callCount(), 0);
+    assert.deepEqual(issues.map(issue => issue.type), [CHAIN_ISSUE_TYPES.TX_FAILED, CHAIN_ISSUE_TYPES.NOT_COMMITTED]);
+  });
+});
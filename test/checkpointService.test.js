@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Quest from '../src/models/Quest.js';
+import QuestCompletion from '../src/models/QuestCompletion.js';
+import checkpointService from '../src/services/checkpointService.js';
+import { VERIFICATION_RESULT, ERROR_CODES } from '../src/config/constants.js';
+
+const point = (longitude, latitude) => ({ coordinates: { type: 'Point', coordinates: [longitude, latitude] } });
+
+const tour = () => new Quest({
+  title: 'Old town tour',
+  creatorId: new mongoose.Types.ObjectId(),
+  nfc: { enabled: true },
+  checkpoints: [
+    { title: 'Gate', location: point(2.35, 48.85) },
+    { title: 'Bakery', location: point(2.351, 48.851), required: false },
+    { title: 'Cathedral', location: point(2.352, 48.852) }
+  ]
+});
+
+const attemptOn = (quest, passed = []) => new QuestCompletion({
+  questId: quest._id,
+  userId: new mongoose.Types.ObjectId(),
+  checkpoints: passed.map(index => ({ checkpointId: quest.checkpoints[index]._id, status: 'passed' }))
+});
+
+describe('checkpoint NFC', () => {
+  test('only the checkpoint that completes the quest asks for the tag', () => {
+    const quest = tour();
+    const [gate, bakery, cathedral] = quest.checkpoints;
+
+    const fresh = attemptOn(quest);
+    assert.equal(checkpointService.completesQuest(quest, fresh, gate), false);
+
+    const almost = attemptOn(quest, [0]);
+    assert.equal(checkpointService.completesQuest(quest, almost, bakery), false);
+    assert.equal(checkpointService.completesQuest(quest, almost, cathedral), true);
+
+    assert.deepEqual(checkpointService.forCheckpoint(quest, gate).nfc, { enabled: false });
+    assert.equal(checkpointService.forCheckpoint(quest, cathedral, { final: true }).nfc.enabled, true);
+  });
+
+  test('finalizing without a verified scan fails the attempt', () => {
+    const quest = tour();
+    const attempt = attemptOn(quest, [0, 2]);
+
+    const result = checkpointService.finalize(quest, attempt, { overallResult: VERIFICATION_RESULT.PASSED });
+
+    assert.equal(result.overallResult, VERIFICATION_RESULT.FAILED);
+    assert.equal(result.failureCode, ERROR_CODES.NFC_TAG_INVALID);
+  });
+
+  test('finalizing with a verified scan passes', () => {
+    const quest = tour();
+    const attempt = attemptOn(quest, [0, 2]);
+
+    const result = checkpointService.finalize(quest, attempt, {
+      overallResult: VERIFICATION_RESULT.PASSED,
+      nfc: { passed: true, tagId: '04DE5F1EACC040', counter: 61 }
+    });
+
+    assert.equal(result.overallResult, VERIFICATION_RESULT.PASSED);
+  });
+
+  test('quests without NFC finalize as before', () => {
+    const quest = tour();
+    quest.nfc.enabled = false;
+    quest.requiresApproval = true;
+
+    const result = checkpointService.finalize(quest, attemptOn(quest, [0, 2]), { overallResult: VERIFICATION_RESULT.PASSED });
+
+    assert.equal(result.overallResult, VERIFICATION_RESULT.NEEDS_REVIEW);
+  });
+
+  test('a failed scan is the checkpoint message', () => {
+    const quest = tour();
+    const attempt = attemptOn(quest, [0]);
+
+    const entry = checkpointService.record(attempt, quest.checkpoints[2], {
+      overallResult: VERIFICATION_RESULT.FAILED,
+      failureCode: ERROR_CODES.NFC_TAG_INVALID,
+      gps: { passed: true, message: 'Within range' },
+      nfc: { passed: false, message: 'This NFC scan was already used. Tap the tag again' }
+    }, {});
+
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.message, 'This NFC scan was already used. Tap the tag again');
+  });
+});
@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { importer } from 'ipfs-unixfs-importer';
+import { MemoryBlockstore } from 'blockstore-core/memory';
+import { computeCID, createCIDHasher, cidFromDigest, isValidCID, CHUNK_SIZE } from '../src/services/storage/cid.js';
+
+// Reference CID from the JS UnixFS importer with Kubo's `add --cid-version=1 --raw-leaves` settings
+const referenceCID = async (buffer) => {
+  let root;
+  for await (const entry of importer([{ content: buffer }], new MemoryBlockstore(), {
+    cidVersion: 1,
+    rawLeaves: true
+  })) {
+    root = entry.cid.toString();
+  }
+  return root;
+};
+
+// Deterministic pseudo-random content
+const content = (size) => {
+  const out = Buffer.alloc(size);
+  let block = crypto.createHash('sha256').update(String(size)).digest();
+  for (let offset = 0; offset < size; offset += block.length) {
+    block.copy(out, offset);
+    block = crypto.createHash('sha256').update(block).digest();
+  }
+  return out;
+};
+
+describe('storage CIDs', () => {
+  test('known CID of the empty file', () => {
+    assert.equal(computeCID(Buffer.alloc(0)), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+  });
+
+  test('a single chunk is its raw leaf', () => {
+    const buffer = content(1000);
+    assert.equal(computeCID(buffer), cidFromDigest(crypto.createHash('sha256').update(buffer).digest()));
+    assert.ok(computeCID(buffer).startsWith('bafkrei'));
+  });
+
+  for (const size of [CHUNK_SIZE, CHUNK_SIZE + 1, 3 * CHUNK_SIZE + 12345, 175 * CHUNK_SIZE]) {
+    test(`matches the UnixFS importer for ${size} bytes`, async () => {
+      const buffer = content(size);
+      assert.equal(computeCID(buffer), await referenceCID(buffer));
+    });
+  }
+
+  test('streamed chunks of any size give the same CID', () => {
+    const buffer = content(2 * CHUNK_SIZE + 777);
+    const hasher = createCIDHasher();
+    for (let offset = 0; offset < buffer.length; offset += 65521) {
+      hasher.update(buffer.subarray(offset, offset + 65521));
+    }
+    assert.equal(hasher.digest(), computeCID(buffer));
+  });
+
+  test('isValidCID accepts v0 and base32 v1 only', () => {
+    assert.ok(isValidCID(computeCID(Buffer.from('x'))));
+    assert.ok(isValidCID('QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG'));
+    assert.ok(!isValidCID('../etc/passwd'));
+    assert.ok(!isValidCID(42));
+  });
+});
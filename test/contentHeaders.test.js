@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentHeaders, normalizeContentType, isInlineSafe, photoContentType } from '../src/utils/contentHeaders.js';
+
+describe('contentHeaders', () => {
+  test('shows plain media inline', () => {
+    const headers = contentHeaders('image/png', { fileName: 'photo.png' });
+    assert.equal(headers['Content-Type'], 'image/png');
+    assert.equal(headers['Content-Disposition'], "inline; filename*=UTF-8''photo.png");
+    assert.equal(headers['X-Content-Type-Options'], 'nosniff');
+  });
+
+  for (const type of ['text/html', 'image/svg+xml', 'application/xhtml+xml', 'text/xml', 'application/pdf']) {
+    test(`downloads ${type} instead of rendering it`, () => {
+      const headers = contentHeaders(type);
+      assert.equal(headers['Content-Disposition'], 'attachment');
+      assert.equal(headers['X-Content-Type-Options'], 'nosniff');
+      assert.equal(headers['Content-Security-Policy'], 'sandbox');
+    });
+  }
+
+  test('attachment option always downloads', () => {
+    assert.match(contentHeaders('image/jpeg', { attachment: true })['Content-Disposition'], /^attachment/);
+  });
+
+  test('normalizes parameters, case and junk', () => {
+    assert.equal(normalizeContentType('Image/PNG; charset=binary'), 'image/png');
+    assert.equal(normalizeContentType('text/html\r\nSet-Cookie: a=b'), 'application/octet-stream');
+    assert.equal(normalizeContentType(undefined), 'application/octet-stream');
+    assert.ok(!isInlineSafe('IMAGE/SVG+XML'));
+  });
+
+  test('encodes file names', () => {
+    assert.equal(
+      contentHeaders('text/plain', { fileName: 'a "b".txt' })['Content-Disposition'],
+      "inline; filename*=UTF-8''a%20%22b%22.txt"
+    );
+  });
+});
+
+describe('photoContentType', () => {
+  test('keeps JPEG, PNG and WebP data URLs', () => {
+    assert.equal(photoContentType('data:image/jpeg;base64,/9j/'), 'image/jpeg');
+    assert.equal(photoContentType('data:IMAGE/PNG;base64,iVBOR'), 'image/png');
+    assert.equal(photoContentType('data:image/webp;base64,UklG'), 'image/webp');
+  });
+
+  test('refuses anything a browser could run script in', () => {
+    assert.equal(photoContentType('data:image/svg+xml;base64,PHN2Zz4='), null);
+    assert.equal(photoContentType('data:text/html;base64,PGh0bWw+'), null);
+    assert.equal(photoContentType('/9j/4AAQ'), null);
+    assert.equal(photoContentType(undefined), null);
+  });
+});
@@ -0,0 +1,53 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import FilesystemProvider from '../src/services/storage/filesystemProvider.js';
+
+describe('filesystem provider pin counts', () => {
+  let storageDir;
+  let provider;
+
+  before(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lifevault-fs-'));
+    process.env.STORAGE_FS_PATH = storageDir;
+    provider = new FilesystemProvider();
+  });
+
+  after(async () => {
+    delete process.env.STORAGE_FS_PATH;
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  test('counts every one of many parallel pins of the same content', async () => {
+    const content = Buffer.from('the same memory, uploaded many times');
+
+    const results = await Promise.all([
+      ...Array.from({ length: 8 }, () => provider.pinFile(content, 'memory.txt')),
+      ...Array.from({ length: 4 }, () => provider.pinStream(Readable.from([content]), 'memory.txt'))
+    ]);
+    const cid = results[0].ipfsHash;
+
+    assert.ok(results.every(result => result.ipfsHash === cid));
+    assert.equal((await provider.readMeta(cid)).pins, 12);
+  });
+
+  test('keeps content while any pin remains, even under parallel unpins', async () => {
+    const content = Buffer.from('shared by three memories');
+    const { ipfsHash: cid } = await provider.pinFile(content, 'shared.txt');
+    await Promise.all([provider.pinFile(content, 'shared.txt'), provider.pinFile(content, 'shared.txt')]);
+
+    const removed = await Promise.all([provider.unpin(cid), provider.unpin(cid), provider.pinFile(content, 'shared.txt')]);
+
+    assert.deepEqual(removed.slice(0, 2).map(result => result.removed), [false, false]);
+    assert.equal((await provider.readMeta(cid)).pins, 2);
+    assert.equal((await provider.getFile(cid)).data.toString(), content.toString());
+
+    await provider.unpin(cid);
+    assert.equal((await provider.unpin(cid)).removed, true);
+    await assert.rejects(provider.getFile(cid), { statusCode: 404 });
+    assert.equal(provider.locks.size, 0);
+  });
+});
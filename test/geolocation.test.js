@@ -0,0 +1,108 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import geolocationService from '../src/services/geolocationService.js';
+
+// ~1.1 km due north along a street
+const route = {
+  coordinates: { type: 'LineString', coordinates: [[2.35, 48.85], [2.35, 48.86]] }
+};
+
+const START = Date.parse('2026-05-01T10:00:00Z');
+
+/**
+ * Fixes every 0.001° (~111 m) along the route, `secondsApart` apart
+ */
+const walk = (secondsApart, { timestamps = true } = {}) =>
+  Array.from({ length: 11 }, (_, i) => ({
+    latitude: 48.85 + i * 0.001,
+    longitude: 2.35,
+    accuracy: 5,
+    ...(timestamps && { timestamp: new Date(START + i * secondsApart * 1000).toISOString() })
+  }));
+
+describe('geolocationService.verifyRoute', () => {
+  test('a walk along the route passes', () => {
+    const result = geolocationService.verifyRoute(walk(80), route);
+    assert.equal(result.passed, true, result.message);
+  });
+
+  test('fixes without timestamps are refused', () => {
+    const result = geolocationService.verifyRoute(walk(80, { timestamps: false }), route);
+    assert.equal(result.passed, false);
+    assert.equal(result.message, 'Each GPS fix needs a timestamp');
+  });
+
+  test('covering the route faster than the speed limit fails', () => {
+    // 111 m every 2 s is 200 km/h
+    const result = geolocationService.verifyRoute(walk(2), route);
+    assert.equal(result.passed, false);
+    assert.match(result.message, /Impossible speed between GPS fixes \(200 km\/h, max 50 km\/h\)/);
+  });
+
+  test('fixes sharing a timestamp far apart fail', () => {
+    const fixes = walk(80);
+    fixes[5].timestamp = fixes[4].timestamp;
+
+    const result = geolocationService.verifyRoute(fixes, route);
+    assert.match(result.message, /in no time/);
+  });
+
+  test('the speed limit is set per route, and GPS accuracy is allowed for', () => {
+    const bike = { ...route, route: { maxSpeedKmh: 250 } };
+    assert.equal(geolocationService.verifyRoute(walk(2), bike).passed, true);
+
+    // a 30 m jump in one second, within the fixes' accuracy
+    const fixes = walk(80);
+    fixes.splice(1, 0, { latitude: 48.85027, longitude: 2.35, accuracy: 20, timestamp: new Date(START + 1000).toISOString() });
+    fixes[0].accuracy = 15;
+    assert.equal(geolocationService.verifyRoute(fixes, route).passed, true);
+  });
+});
+
+describe('geolocationService.validateGeometry', () => {
+  const square = [[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]];
+
+  test('accepts a simple polygon, repeated positions and a hole inside', () => {
+    assert.equal(geolocationService.validateGeometry({ type: 'Polygon', coordinates: [square] }), null);
+    assert.equal(geolocationService.validateGeometry({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [0, 1], [0, 1], [1, 1], [1, 0], [0, 0]]]
+    }), null);
+    assert.equal(geolocationService.validateGeometry({
+      type: 'Polygon',
+      coordinates: [square, [[0.2, 0.2], [0.8, 0.2], [0.8, 0.8], [0.2, 0.8], [0.2, 0.2]]]
+    }), null);
+  });
+
+  test('refuses a bow tie', () => {
+    const problem = geolocationService.validateGeometry({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]]
+    });
+    assert.match(problem, /edges must not cross/);
+  });
+
+  test('refuses a ring that touches itself', () => {
+    const problem = geolocationService.validateGeometry({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [2, 0], [2, 2], [1, 0], [0, 2], [0, 0]]]
+    });
+    assert.match(problem, /edges must not cross/);
+  });
+
+  test('refuses a hole crossing the outer ring, in a MultiPolygon too', () => {
+    const leaking = [square, [[0.5, 0.5], [1.5, 0.5], [1.5, 0.8], [0.5, 0.8], [0.5, 0.5]]];
+    const shifted = square.map(([x, y]) => [x + 5, y]);
+
+    assert.match(geolocationService.validateGeometry({ type: 'Polygon', coordinates: leaking }), /edges must not cross/);
+    assert.match(geolocationService.validateGeometry({ type: 'MultiPolygon', coordinates: [[shifted], leaking] }), /MultiPolygon/);
+    assert.equal(geolocationService.validateGeometry({ type: 'MultiPolygon', coordinates: [[shifted], [square]] }), null);
+  });
+
+  test('routes may cross themselves', () => {
+    assert.equal(geolocationService.validateGeometry({
+      type: 'LineString',
+      coordinates: [[0, 0], [1, 1], [1, 0], [0, 1]]
+    }), null);
+  });
+});
@@ -0,0 +1,186 @@
+// Helpers shared by the test files (imported, not run as a test file).
+// Controllers and middleware run against a fake response, and models are
+// stubbed with t.mock.method: query() stands in for a Mongoose query and
+// fakeCollection() keeps a model's documents in memory.
+
+/**
+ * Express response that records what a handler sent
+ */
+export const fakeRes = () => ({
+  statusCode: 200,
+  headers: {},
+  listeners: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(headers) {
+    Object.assign(this.headers, headers);
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  on(event, listener) {
+    this.listeners[event] = listener;
+    return this;
+  }
+});
+
+/**
+ * Run one middleware or controller
+ * @returns {{ req, res, nextCalled, error }}
+ */
+export const run = async (handler, req, res = fakeRes()) => {
+  let nextCalled = false;
+  let error;
+  await handler(req, res, (err) => {
+    nextCalled = true;
+    error = err;
+  });
+  return { req, res, nextCalled, error };
+};
+
+const compare = (a, b) => (a > b) - (a < b);
+
+/**
+ * A Mongoose query resolving to `value`. sort() and limit() apply to
+ * arrays; select(), populate(), lean() and skip() are ignored.
+ */
+export const query = (value) => {
+  const promise = Promise.resolve(value);
+  const list = Array.isArray(value);
+
+  promise.sort = (spec) => query(list
+    ? [...value].sort((a, b) => {
+      for (const [key, order] of Object.entries(spec)) {
+        const diff = compare(a[key], b[key]) * (order < 0 ? -1 : 1);
+        if (diff) return diff;
+      }
+      return 0;
+    })
+    : value);
+  promise.limit = (count) => query(list ? value.slice(0, count) : value);
+  for (const method of ['select', 'populate', 'lean', 'skip']) {
+    promise[method] = () => promise;
+  }
+  return promise;
+};
+
+const valueAt = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+const same = (a, b) => String(a) === String(b);
+
+/**
+ * Whether a record matches a MongoDB filter: equal values (ObjectIds and
+ * dates compared as strings, arrays by membership), null for unset, and
+ * $in, $gt, $lt, $exists
+ */
+export const matches = (record, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = valueAt(record, path);
+
+  if (condition === null) return value === null || value === undefined;
+  if (condition?.$in) return condition.$in.some(item => same(item, value));
+  if (condition?.$exists !== undefined) return (value !== undefined) === condition.$exists;
+  if (condition?.$gt !== undefined || condition?.$lt !== undefined) {
+    return (condition.$gt === undefined || value > condition.$gt) &&
+      (condition.$lt === undefined || value < condition.$lt);
+  }
+  if (Array.isArray(value)) return value.some(item => same(item, condition));
+  return same(value, condition);
+});
+
+/**
+ * Apply a MongoDB update ($set, $inc, $unset, $push with $each/$slice,
+ * or plain fields) to a document
+ */
+const applyUpdate = (doc, update) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    if (!operator.startsWith('$')) {
+      doc.set(operator, fields);
+      continue;
+    }
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === '$set') doc.set(path, value);
+      else if (operator === '$inc') doc.set(path, (doc.get(path) || 0) + value);
+      else if (operator === '$unset') doc.set(path, undefined);
+      else if (operator === '$push') {
+        const items = [...(doc.get(path) || []), ...(value?.$each || [value])];
+        const slice = value?.$slice;
+        doc.set(path, slice === undefined ? items : slice < 0 ? items.slice(slice) : items.slice(0, slice));
+      } else {
+        throw new Error(`fakeCollection does not support ${operator}`);
+      }
+    }
+  }
+};
+
+/**
+ * Keep a model's documents in memory behind its statics (create, find,
+ * findOne, findById, exists, countDocuments, findOneAndUpdate, updateOne,
+ * updateMany, findOneAndDelete) and document save(). Documents are validated when
+ * created, and reads return copies, as from a database.
+ * @param {Object} options - { unique: fields with a unique index }
+ * @returns {Object[]} The stored documents
+ */
+export const fakeCollection = (t, Model, { unique = [] } = {}) => {
+  const docs = [];
+  const copy = (doc) => doc && Model.hydrate(doc.toObject());
+  const first = (filter) => docs.find(doc => matches(doc, filter)) || null;
+
+  const checkUnique = (doc) => {
+    for (const field of unique) {
+      const value = doc.get(field);
+      if (value != null && docs.some(other => other !== doc && !other._id.equals(doc._id) && same(other.get(field), value))) {
+        throw Object.assign(new Error(`E11000 duplicate key error: ${field}`), { code: 11000 });
+      }
+    }
+  };
+
+  t.mock.method(Model, 'create', async (fields) => {
+    const doc = new Model(fields);
+    if (Model.schema.options.timestamps) doc.initializeTimestamps();
+    await doc.validate();
+    checkUnique(doc);
+    docs.push(doc);
+    return copy(doc);
+  });
+  t.mock.method(Model, 'find', (filter = {}) => query(docs.filter(doc => matches(doc, filter)).map(copy)));
+  t.mock.method(Model, 'findOne', (filter = {}) => query(copy(first(filter))));
+  t.mock.method(Model, 'findById', (id) => query(copy(first({ _id: id }))));
+  t.mock.method(Model, 'exists', (filter) => query(first(filter) && { _id: first(filter)._id }));
+  t.mock.method(Model, 'countDocuments', (filter = {}) => query(docs.filter(doc => matches(doc, filter)).length));
+  t.mock.method(Model, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    const doc = first(filter);
+    if (!doc) return null;
+    const before = copy(doc);
+    applyUpdate(doc, update);
+    checkUnique(doc);
+    return options.new ? copy(doc) : before;
+  });
+  t.mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = first(filter);
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  t.mock.method(Model, 'updateMany', async (filter, update) => {
+    const matched = docs.filter(doc => matches(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  t.mock.method(Model, 'findOneAndDelete', async (filter) => {
+    const doc = first(filter);
+    if (doc) docs.splice(docs.indexOf(doc), 1);
+    return copy(doc);
+  });
+  t.mock.method(Model.prototype, 'save', async function () {
+    const index = docs.findIndex(doc => doc._id.equals(this._id));
+    const saved = copy(this);
+    if (index === -1) docs.push(saved);
+    else docs[index] = saved;
+    return this;
+  });
+
+  return docs;
+};
@@ -0,0 +1,162 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import InheritancePlan from '../src/models/InheritancePlan.js';
+import InheritanceRelease from '../src/models/InheritanceRelease.js';
+import Memory from '../src/models/Memory.js';
+import SharedLink from '../src/models/SharedLink.js';
+import User from '../src/models/User.js';
+import inheritanceService from '../src/services/inheritanceService.js';
+import { INHERITANCE_STATUS } from '../src/config/constants.js';
+import { query } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const duePlan = (fields = {}) => new InheritancePlan({
+  userId: new mongoose.Types.ObjectId(),
+  lastCheckInAt: new Date(Date.now() - 60 * DAY),
+  nextCheckInDue: new Date(Date.now() - 50 * DAY),
+  status: INHERITANCE_STATUS.OVERDUE,
+  ...fields
+});
+
+describe('inheritanceService.processDuePlans', () => {
+  test('hands a plan back to the sweep when its release fails', async (t) => {
+    const plan = duePlan();
+    const updates = [];
+
+    t.mock.method(InheritancePlan, 'find', async () => [plan]);
+    t.mock.method(InheritancePlan, 'findOneAndUpdate', async (filter, update) => {
+      assert.equal(update.status, INHERITANCE_STATUS.RELEASING);
+      return duePlan({ _id: plan._id, status: INHERITANCE_STATUS.RELEASING, releaseStartedAt: update.releaseStartedAt });
+    });
+    t.mock.method(InheritancePlan, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { modifiedCount: 1 };
+    });
+    t.mock.method(inheritanceService, 'releasePlan', async () => {
+      throw new Error('storage down');
+    });
+
+    const summary = await inheritanceService.processDuePlans();
+
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.released, 0);
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].filter.status, INHERITANCE_STATUS.RELEASING);
+    assert.equal(updates[0].update.status, INHERITANCE_STATUS.OVERDUE);
+    assert.equal(updates[0].update.releaseError, 'storage down');
+  });
+
+  test('resumes a release left in RELEASING by a crash, keeping its start time', async (t) => {
+    const startedAt = new Date(Date.now() - 2 * DAY);
+    const claimedAt = new Date(Date.now() - DAY);
+    const plan = duePlan({
+      status: INHERITANCE_STATUS.RELEASING,
+      releaseStartedAt: startedAt,
+      releaseClaimedAt: claimedAt
+    });
+    let claimFilter;
+    let claimUpdate;
+
+    t.mock.method(InheritancePlan, 'find', async (query) => {
+      assert.ok(query.$or.some(branch => branch.status === INHERITANCE_STATUS.RELEASING));
+      return [plan];
+    });
+    t.mock.method(InheritancePlan, 'findOneAndUpdate', async (filter, update) => {
+      claimFilter = filter;
+      claimUpdate = update;
+      return plan;
+    });
+    const release = t.mock.method(inheritanceService, 'releasePlan', async () => ({ memoriesReleased: 0 }));
+
+    const summary = await inheritanceService.processDuePlans();
+
+    assert.equal(summary.released, 1);
+    assert.equal(release.mock.callCount(), 1);
+    assert.equal(claimFilter.releaseClaimedAt, claimedAt);
+    assert.equal(claimUpdate.releaseStartedAt, startedAt);
+    assert.equal(claimUpdate.$inc.releaseAttempts, 1);
+  });
+
+  test('does not release a plan another instance claimed first', async (t) => {
+    t.mock.method(InheritancePlan, 'find', async () => [duePlan()]);
+    t.mock.method(InheritancePlan, 'findOneAndUpdate', async () => null);
+    const release = t.mock.method(inheritanceService, 'releasePlan', async () => ({}));
+
+    const summary = await inheritanceService.processDuePlans();
+
+    assert.equal(release.mock.callCount(), 0);
+    assert.equal(summary.released, 0);
+  });
+});
+
+describe('inheritanceService.releasePlan', () => {
+  test('skips memories already released by an earlier attempt', async (t) => {
+    const plan = duePlan({ status: INHERITANCE_STATUS.RELEASING, releaseStartedAt: new Date() });
+    let memoryQuery;
+
+    t.mock.method(mongoose.Model, 'findById', async () => null);
+    t.mock.method(Memory, 'find', (filter) => {
+      memoryQuery = filter;
+      return query([]);
+    });
+    t.mock.method(inheritanceService, 'notifyBeneficiaries', async () => 0);
+    t.mock.method(plan, 'save', async function() { return this; });
+
+    await inheritanceService.releasePlan(plan);
+
+    assert.deepEqual(memoryQuery.$or, [
+      { inheritedAt: null },
+      { inheritedAt: { $lt: plan.releaseStartedAt } }
+    ]);
+    assert.equal(plan.status, INHERITANCE_STATUS.RELEASED);
+  });
+});
+
+describe('inheritanceService beneficiaries', () => {
+  const user = (fields) => new User({ name: 'Bea', email: 'bea@example.com', ...fields });
+
+  test('only verified accounts receive access directly', async (t) => {
+    const unverified = user({ isVerified: false });
+    const verified = user({ isVerified: true });
+    const find = t.mock.method(User, 'find', async () => [unverified]);
+
+    assert.equal(await inheritanceService.resolveBeneficiary({ email: 'Bea@example.com' }), null);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { $or: [{ email: 'bea@example.com' }] });
+
+    find.mock.mockImplementation(async () => [unverified, verified]);
+    assert.equal(await inheritanceService.resolveBeneficiary({ email: 'bea@example.com' }), verified);
+  });
+
+  test('a resumed release does not create a second link for a beneficiary', async (t) => {
+    const plan = duePlan({ status: INHERITANCE_STATUS.RELEASING, releaseStartedAt: new Date() });
+    const memory = new Memory({
+      userId: plan.userId,
+      title: 'Letters',
+      inheritanceEnabled: true,
+      beneficiaries: [{ email: 'done@example.com' }, { email: 'next@example.com' }]
+    });
+    const audits = [];
+
+    t.mock.method(mongoose.Model, 'findById', async () => null);
+    t.mock.method(Memory, 'find', () => query([memory]));
+    t.mock.method(memory, 'save', async function() { return this; });
+    t.mock.method(plan, 'save', async function() { return this; });
+    t.mock.method(User, 'find', async () => []);
+    t.mock.method(InheritanceRelease, 'find', () => query([{ beneficiary: { email: 'done@example.com' } }]));
+    t.mock.method(inheritanceService, 'audit', async (plan, memory, beneficiary, details) => {
+      audits.push({ email: beneficiary.email, ...details });
+    });
+    t.mock.method(inheritanceService, 'notifyBeneficiaries', async () => 0);
+    const create = t.mock.method(SharedLink, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+
+    await inheritanceService.releasePlan(plan);
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.deepEqual(audits.map(entry => [entry.email, entry.action, entry.status]), [
+      ['next@example.com', 'share_link_created', 'success']
+    ]);
+    assert.ok(memory.inheritedAt);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The local gateway only exists with the filesystem provider
+const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lifevault-gateway-'));
+process.env.STORAGE_PROVIDER = 'filesystem';
+process.env.STORAGE_FS_PATH = storageDir;
+
+const { default: app } = await import('../src/app.js');
+const { default: ipfsService } = await import('../src/services/ipfsService.js');
+
+describe('local /ipfs gateway', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  test('serves an uploaded SVG as a download, not inline', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+    const { ipfsHash } = await ipfsService.pinFile(svg, 'evil.svg', { contentType: 'image/svg+xml' });
+
+    const response = await fetch(`${baseUrl}/ipfs/${ipfsHash}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment');
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(Buffer.from(await response.arrayBuffer()).toString(), svg.toString());
+  });
+
+  test('shows images inline', async () => {
+    const { ipfsHash } = await ipfsService.pinFile(Buffer.from('not really a png'), 'a.png', { contentType: 'image/png' });
+
+    const response = await fetch(`${baseUrl}/ipfs/${ipfsHash}`);
+
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(response.headers.get('content-disposition'), 'inline');
+  });
+
+  test('rejects malformed CIDs', async () => {
+    const response = await fetch(`${baseUrl}/ipfs/not-a-cid`);
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Memory from '../src/models/Memory.js';
+import User from '../src/models/User.js';
+import jobService from '../src/services/jobService.js';
+import aptosService from '../src/services/aptosService.js';
+import '../src/services/jobHandlers.js';
+import { JOB_TYPES, CHAIN_STATUS } from '../src/config/constants.js';
+
+const ALICE = '0x' + 'b'.repeat(64);
+const CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const anchor = (payload) => jobService.handlers.get(JOB_TYPES.MEMORY_ANCHOR).handler(payload);
+
+const setup = (t, fields = {}) => {
+  const memory = new Memory({ userId: new mongoose.Types.ObjectId(), title: 'Letters', ipfsHash: CID, ...fields });
+  const stored = { ...memory.toObject() };
+
+  t.mock.method(Memory, 'findById', async () => memory);
+  t.mock.method(Memory, 'updateOne', async (filter, update) => Object.assign(stored, update));
+  t.mock.method(memory, 'save', async () => Object.assign(stored, memory.toObject()));
+  t.mock.method(User, 'findById', async () => ({ aptosAddress: ALICE }));
+
+  return { memory, stored };
+};
+
+const committed = (txHash) => ({ success: true, txHash, txVersion: '100', memoryId: '7', owner: ALICE, ipfsHash: CID });
+
+describe('MEMORY_ANCHOR job', () => {
+  test('saves the transaction hash before waiting for it', async (t) => {
+    const { memory, stored } = setup(t);
+
+    t.mock.method(aptosService, 'storeMemoryOnChain', async (ipfsHash, owner, { onSubmitted }) => {
+      await onSubmitted('0xfeed');
+      assert.equal(stored.pendingTxHash, '0xfeed');
+      throw new Error('Aptos transaction failed: timed out waiting for transaction');
+    });
+
+    await assert.rejects(anchor({ memoryId: memory._id.toString() }), /timed out/);
+    assert.equal(stored.pendingTxHash, '0xfeed');
+    assert.equal(stored.txHash, null);
+  });
+
+  test('a retry picks up the committed transaction instead of storing again', async (t) => {
+    const { memory, stored } = setup(t, { pendingTxHash: '0xfeed' });
+    const store = t.mock.method(aptosService, 'storeMemoryOnChain', async () => committed('0xother'));
+    t.mock.method(aptosService, 'getStoredMemory', async (hash) => committed(hash));
+
+    const result = await anchor({ memoryId: memory._id.toString() });
+
+    assert.equal(store.mock.callCount(), 0);
+    assert.deepEqual(result, { txHash: '0xfeed', txVersion: '100', memoryId: '7' });
+    assert.equal(stored.txHash, '0xfeed');
+    assert.equal(stored.pendingTxHash, null);
+    assert.equal(stored.onChainId, '7');
+    assert.equal(stored.chainStatus, CHAIN_STATUS.PENDING);
+  });
+
+  test('a retry waits while the previous transaction is pending', async (t) => {
+    const { memory } = setup(t, { pendingTxHash: '0xfeed' });
+    const store = t.mock.method(aptosService, 'storeMemoryOnChain', async () => committed('0xother'));
+    t.mock.method(aptosService, 'getStoredMemory', async () => {
+      throw new Error('Memory transaction 0xfeed is still pending');
+    });
+
+    await assert.rejects(anchor({ memoryId: memory._id.toString() }), /still pending/);
+    assert.equal(store.mock.callCount(), 0);
+  });
+
+  test('a retry stores again if the previous transaction never committed', async (t) => {
+    const { memory, stored } = setup(t, { pendingTxHash: '0xfeed' });
+    t.mock.method(aptosService, 'getStoredMemory', async () => null);
+    t.mock.method(aptosService, 'storeMemoryOnChain', async (ipfsHash, owner, { onSubmitted }) => {
+      await onSubmitted('0xsecond');
+      return committed('0xsecond');
+    });
+
+    await anchor({ memoryId: memory._id.toString() });
+
+    assert.equal(stored.txHash, '0xsecond');
+    assert.equal(stored.pendingTxHash, null);
+  });
+
+  test('an anchored memory is left alone', async (t) => {
+    const { memory } = setup(t, { txHash: '0xdone', onChainId: '3' });
+    const store = t.mock.method(aptosService, 'storeMemoryOnChain', async () => committed('0xother'));
+
+    assert.deepEqual(await anchor({ memoryId: memory._id.toString() }), { txHash: '0xdone', memoryId: '3' });
+    assert.equal(store.mock.callCount(), 0);
+  });
+});
+
+describe('aptosService.getStoredMemory', () => {
+  test('reads the stored memory from a committed transaction', async (t) => {
+    t.mock.method(aptosService, 'getTransactionStatus', async () => ({ status: 'success', txVersion: '100' }));
+    t.mock.method(aptosService, 'getTransaction', async () => ({
+      success: true,
+      transaction: { events: [{ type: '0x1::MemoryVault::MemoryStoredEvent', data: { memory_id: '7', owner: ALICE, ipfs_hash: CID } }] }
+    }));
+
+    assert.deepEqual(await aptosService.getStoredMemory('0xfeed'), committed('0xfeed'));
+  });
+
+  test('returns null for aborted or unknown transactions', async (t) => {
+    const status = t.mock.method(aptosService, 'getTransactionStatus', async () => ({ status: 'failed' }));
+    assert.equal(await aptosService.getStoredMemory('0xfeed'), null);
+
+    status.mock.mockImplementation(async () => ({ status: 'not_found' }));
+    assert.equal(await aptosService.getStoredMemory('0xfeed'), null);
+  });
+});
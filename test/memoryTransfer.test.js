@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Memory from '../src/models/Memory.js';
+import User from '../src/models/User.js';
+import SharedLink from '../src/models/SharedLink.js';
+import aptosService from '../src/services/aptosService.js';
+import uploadService from '../src/services/uploadService.js';
+import { transferMemory } from '../src/controllers/memoryController.js';
+import { ENCRYPTION_METHODS, KEY_RECIPIENT_TYPES } from '../src/config/constants.js';
+import { run as runHandler, query } from './helpers.js';
+
+const MASTER = '0x' + 'a'.repeat(64);
+const ALICE = '0x' + 'b'.repeat(64);
+const BOB = '0x' + 'c'.repeat(64);
+
+const setup = (t, { memoryFields = {}, record, chainError = null } = {}) => {
+  const owner = new User({ name: 'Alice', email: 'alice@example.com', password: 'x'.repeat(12), aptosAddress: ALICE });
+  const recipient = new User({ name: 'Bob', email: 'bob@example.com', password: 'x'.repeat(12), aptosAddress: BOB });
+  const memory = new Memory({
+    userId: owner._id,
+    title: 'Letters',
+    ipfsHash: 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku',
+    fileSize: 1000,
+    sharedWith: [{ userId: new mongoose.Types.ObjectId() }],
+    ...memoryFields
+  });
+
+  const storage = [];
+  const transfers = [];
+
+  t.mock.method(Memory, 'findOne', () => query(memory));
+  t.mock.method(memory, 'save', async () => memory);
+  t.mock.method(User, 'findById', async () => recipient);
+  t.mock.method(uploadService, 'getReservedBytes', async () => 0);
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    storage.push({ userId: filter._id, ...update.$inc });
+    return recipient;
+  });
+  t.mock.method(User, 'findByIdAndUpdate', async (userId, update) => {
+    storage.push({ userId, ...update.$inc });
+  });
+  t.mock.method(SharedLink, 'updateMany', async () => ({}));
+  t.mock.method(aptosService, 'getMasterAddress', () => MASTER);
+  t.mock.method(aptosService, 'getOnChainMemory', async () => record);
+  t.mock.method(aptosService, 'transferMemoryOnChain', async (id, address, options) => {
+    if (chainError) throw chainError;
+    transfers.push({ id, address, options });
+    return { success: true, txHash: '0xbeef' };
+  });
+
+  const run = (body = { recipientUserId: recipient._id.toString() }) =>
+    runHandler(transferMemory, { params: { id: memory._id.toString() }, body, user: owner });
+
+  return { owner, recipient, memory, storage, transfers, run };
+};
+
+describe('POST /api/memories/:id/transfer', () => {
+  test('moves the record and its storage to the recipient', async (t) => {
+    const { owner, recipient, memory, storage, run } = setup(t);
+
+    const { res, error } = await run();
+
+    assert.equal(error, undefined);
+    assert.equal(res.body.success, true);
+    assert.ok(memory.userId.equals(recipient._id));
+    assert.equal(memory.sharedWith.length, 0);
+    assert.deepEqual(storage, [
+      { userId: recipient._id, totalMemories: 1, storageUsed: 1000 },
+      { userId: owner._id, totalMemories: -1, storageUsed: -1000 }
+    ]);
+  });
+
+  test('transfers the on-chain record as custodian', async (t) => {
+    const { memory, transfers, run } = setup(t, {
+      memoryFields: { isOnChain: true, txHash: '0xfeed', onChainId: '7', onChainOwner: ALICE },
+      record: { owner: ALICE, custodian: MASTER }
+    });
+
+    await run();
+
+    assert.deepEqual(transfers, [{ id: '7', address: BOB, options: undefined }]);
+    assert.equal(memory.onChainOwner, BOB);
+  });
+
+  test('master-owned records are transferred by the master itself', async (t) => {
+    const { transfers, run } = setup(t, {
+      memoryFields: { isOnChain: true, txHash: '0xfeed', onChainId: '7' },
+      record: { owner: MASTER, custodian: MASTER }
+    });
+
+    await run();
+
+    assert.deepEqual(transfers[0].options, { asCustodian: false });
+  });
+
+  test('refuses when LifeVault is no longer custodian, and gives back the reserved space', async (t) => {
+    const { memory, owner, storage, run } = setup(t, {
+      memoryFields: { isOnChain: true, txHash: '0xfeed', onChainId: '7', onChainOwner: ALICE },
+      record: { owner: ALICE, custodian: '0x' + '0'.repeat(64) }
+    });
+
+    const { error } = await run();
+
+    assert.equal(error.statusCode, 409);
+    assert.ok(memory.userId.equals(owner._id));
+    assert.equal(storage.reduce((sum, entry) => sum + entry.storageUsed, 0), 0);
+  });
+
+  test('client-encrypted memories need a key wrapped for the recipient', async (t) => {
+    const { memory, owner, run, recipient } = setup(t, {
+      memoryFields: { isEncrypted: true, encryptionMethod: ENCRYPTION_METHODS.CLIENT_E2EE_V1 }
+    });
+
+    const { error } = await run({
+      recipientUserId: recipient._id.toString(),
+      wrappedKey: { recipientType: KEY_RECIPIENT_TYPES.USER, userId: owner._id.toString() }
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /for the recipient/);
+    assert.ok(memory.userId.equals(owner._id));
+  });
+
+  test('you cannot transfer a memory to yourself', async (t) => {
+    const { owner, run } = setup(t);
+    t.mock.method(User, 'findById', async () => owner);
+
+    const { error } = await run({ recipientUserId: owner._id.toString() });
+
+    assert.equal(error.statusCode, 400);
+  });
+});
+
+describe('aptosService.getMemoryHistory', () => {
+  test('lists stored and transferred events oldest first with their transactions', async (t) => {
+    const previous = { aptos: aptosService.aptos, initialized: aptosService.initialized, moduleAddress: aptosService.moduleAddress, moduleName: aptosService.moduleName };
+    t.after(() => Object.assign(aptosService, previous));
+
+    let where;
+    Object.assign(aptosService, {
+      initialized: true,
+      moduleAddress: MASTER,
+      moduleName: 'MemoryVault',
+      aptos: {
+        getEvents: async ({ options }) => {
+          where = options.where;
+          return [
+            { indexed_type: `${MASTER}::MemoryVault::MemoryStoredEvent`, transaction_version: 10, data: { memory_id: '7', owner: ALICE } },
+            { indexed_type: `${MASTER}::MemoryVault::MemoryTransferredEvent`, transaction_version: 20, data: { memory_id: '7', from: ALICE, to: BOB } }
+          ];
+        },
+        getTransactionByVersion: async ({ ledgerVersion }) => ({
+          hash: `0x${ledgerVersion}`,
+          timestamp: String(Date.UTC(2026, 0, Number(ledgerVersion) / 10) * 1000)
+        })
+      }
+    });
+
+    const history = await aptosService.getMemoryHistory(7);
+
+    assert.deepEqual(where.data, { _contains: { memory_id: '7' } });
+    assert.deepEqual(history.map(entry => [entry.event, entry.from, entry.to, entry.txHash]), [
+      ['stored', null, ALICE, '0x10'],
+      ['transferred', ALICE, BOB, '0x20']
+    ]);
+    assert.deepEqual(history[1].timestamp, new Date(Date.UTC(2026, 0, 2)));
+  });
+});
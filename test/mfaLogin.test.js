@@ -0,0 +1,193 @@
+import { test, describe, beforeEach, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PendingLogin from '../src/models/PendingLogin.js';
+import User from '../src/models/User.js';
+import mfaService from '../src/services/mfaService.js';
+import totpService from '../src/services/totpService.js';
+import { DEFAULTS } from '../src/config/constants.js';
+import { query, fakeCollection } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const MASTER_KEY = 'ab'.repeat(32);
+
+describe('second-factor login', () => {
+  let records;
+  let user;
+  let secret;
+
+  before(() => { process.env.ENCRYPTION_MASTER_KEY = MASTER_KEY; });
+  after(() => { delete process.env.ENCRYPTION_MASTER_KEY; });
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-06-01T12:00:00Z') });
+    secret = totpService.generateSecret();
+    user = new User({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Ada',
+      email: 'ada@example.com',
+      twoFactor: {
+        totp: { enabled: true, secret: mfaService.sealTotpSecret(secret) },
+        recoveryCodes: [{ hash: mfaService.hashRecoveryCode('abcde-12345') }]
+      }
+    });
+    records = fakeCollection(t, PendingLogin, { unique: ['tokenHash'] });
+
+    // The TOTP counter and recovery code updates, applied to the one user
+    t.mock.method(User, 'findById', () => query(user));
+    t.mock.method(User, 'updateOne', async (filter, update) => {
+      const totp = user.twoFactor.totp;
+      if ('twoFactor.totp.lastUsedCounter' in update.$set) {
+        const counter = update.$set['twoFactor.totp.lastUsedCounter'];
+        if (totp.lastUsedCounter != null && totp.lastUsedCounter >= counter) return { modifiedCount: 0 };
+        totp.lastUsedCounter = counter;
+        totp.secret = update.$set['twoFactor.totp.secret'] ?? totp.secret;
+        return { modifiedCount: 1 };
+      }
+      const { hash } = filter['twoFactor.recoveryCodes'].$elemMatch;
+      const code = user.twoFactor.recoveryCodes.find(item => item.hash === hash && !item.usedAt);
+      if (!code) return { modifiedCount: 0 };
+      code.usedAt = new Date();
+      return { modifiedCount: 1 };
+    });
+  });
+
+  const expired = (error) => {
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, 'Sign-in expired, please start again');
+    return true;
+  };
+
+  test('keeps only a hash of the token server-side', async () => {
+    const { mfaRequired, mfaToken, methods } = await mfaService.beginLogin(user, 'password');
+
+    assert.equal(mfaRequired, true);
+    assert.deepEqual(methods, ['totp', 'recovery_code']);
+    assert.equal(records.length, 1);
+    assert.equal(records[0].tokenHash, mfaService.hashMfaToken(mfaToken));
+    assert.notEqual(records[0].tokenHash, mfaToken);
+    assert.equal(String(records[0].userId), String(user._id));
+    assert.equal(records[0].expiresAt.getTime(), Date.now() + DEFAULTS.MFA_TOKEN_MINUTES * MINUTE);
+  });
+
+  test('finishes the login with a TOTP code', async () => {
+    const { mfaToken } = await mfaService.beginLogin(user, 'wallet');
+
+    const result = await mfaService.completeLogin(mfaToken, { code: totpService.generate(secret) });
+
+    assert.equal(result.user, user);
+    assert.equal(result.method, 'wallet');
+    assert.equal(result.factor, 'totp');
+    assert.ok(records[0].usedAt);
+  });
+
+  test('the token works once', async (t) => {
+    const { mfaToken } = await mfaService.beginLogin(user, 'password');
+    await mfaService.completeLogin(mfaToken, { code: totpService.generate(secret) });
+
+    // A fresh code does not revive the spent token
+    t.mock.timers.tick(30 * 1000);
+    await assert.rejects(mfaService.completeLogin(mfaToken, { code: totpService.generate(secret) }), expired);
+    await assert.rejects(mfaService.getPendingLogin(mfaToken), expired);
+  });
+
+  test('a TOTP code is accepted only once', async () => {
+    const code = totpService.generate(secret);
+    const first = await mfaService.beginLogin(user, 'password');
+    const second = await mfaService.beginLogin(user, 'password');
+
+    await mfaService.completeLogin(first.mfaToken, { code });
+    await assert.rejects(mfaService.completeLogin(second.mfaToken, { code }), {
+      statusCode: 401,
+      message: 'Invalid second factor'
+    });
+  });
+
+  test('stops after the attempt limit, even with the right code', async () => {
+    const { mfaToken } = await mfaService.beginLogin(user, 'password');
+
+    for (let attempt = 1; attempt < DEFAULTS.MFA_MAX_ATTEMPTS; attempt++) {
+      await assert.rejects(mfaService.completeLogin(mfaToken, { code: '000000' }), { message: 'Invalid second factor' });
+    }
+    await assert.rejects(mfaService.completeLogin(mfaToken, { code: '000000' }), {
+      statusCode: 401,
+      message: 'Too many attempts, please sign in again'
+    });
+
+    assert.equal(records[0].attempts, DEFAULTS.MFA_MAX_ATTEMPTS);
+    await assert.rejects(mfaService.completeLogin(mfaToken, { code: totpService.generate(secret) }), expired);
+    await assert.rejects(mfaService.getPendingLogin(mfaToken), expired);
+  });
+
+  test('parallel guesses share the attempt limit', async () => {
+    const { mfaToken } = await mfaService.beginLogin(user, 'password');
+    const guesses = Array.from({ length: DEFAULTS.MFA_MAX_ATTEMPTS * 2 }, (_, i) =>
+      mfaService.completeLogin(mfaToken, { code: String(i).padStart(6, '0') })
+    );
+
+    const results = await Promise.allSettled(guesses);
+    const checked = results.filter(result => result.reason?.message !== 'Sign-in expired, please start again');
+
+    assert.equal(checked.length, DEFAULTS.MFA_MAX_ATTEMPTS);
+    assert.equal(records[0].attempts, DEFAULTS.MFA_MAX_ATTEMPTS);
+  });
+
+  test('a missing answer does not use an attempt', async () => {
+    const { mfaToken } = await mfaService.beginLogin(user, 'password');
+
+    await assert.rejects(mfaService.completeLogin(mfaToken, {}), { statusCode: 400 });
+    assert.equal(records[0].attempts, 0);
+  });
+
+  test('the token expires', async (t) => {
+    const { mfaToken } = await mfaService.beginLogin(user, 'password');
+    t.mock.timers.tick(DEFAULTS.MFA_TOKEN_MINUTES * MINUTE + 1);
+
+    await assert.rejects(mfaService.completeLogin(mfaToken, { code: totpService.generate(secret) }), expired);
+  });
+
+  test('an unknown token is rejected', async () => {
+    await mfaService.beginLogin(user, 'password');
+
+    await assert.rejects(mfaService.completeLogin('not-a-token', { code: totpService.generate(secret) }), expired);
+    assert.equal(records[0].attempts, 0);
+  });
+
+  test('a recovery code finishes the login once', async () => {
+    const first = await mfaService.beginLogin(user, 'magic_link');
+    const second = await mfaService.beginLogin(user, 'magic_link');
+
+    const result = await mfaService.completeLogin(first.mfaToken, { recoveryCode: 'ABCDE 12345' });
+    assert.equal(result.factor, 'recovery_code');
+    assert.equal(result.method, 'magic_link');
+
+    await assert.rejects(mfaService.completeLogin(second.mfaToken, { recoveryCode: 'abcde-12345' }), {
+      message: 'Invalid second factor'
+    });
+  });
+
+  test('the authenticator secret is stored encrypted', async (t) => {
+    const fresh = new User({ _id: new mongoose.Types.ObjectId(), name: 'Grace', email: 'grace@example.com' });
+    t.mock.method(User, 'findById', () => query(fresh));
+    t.mock.method(fresh, 'save', async () => fresh);
+
+    const setup = await mfaService.setupTotp(fresh._id);
+    const pending = fresh.twoFactor.totp.pendingSecret;
+    assert.notEqual(pending, setup.secret);
+    assert.equal(mfaService.openTotpSecret(pending), setup.secret);
+
+    await mfaService.enableTotp(fresh._id, totpService.generate(setup.secret));
+    assert.equal(fresh.twoFactor.totp.secret, pending);
+    assert.equal(fresh.twoFactor.totp.pendingSecret, undefined);
+  });
+
+  test('a secret saved before encryption still works and is encrypted on use', async () => {
+    user.twoFactor.totp.secret = secret;
+    const { mfaToken } = await mfaService.beginLogin(user, 'password');
+
+    await mfaService.completeLogin(mfaToken, { code: totpService.generate(secret) });
+
+    assert.notEqual(user.twoFactor.totp.secret, secret);
+    assert.equal(mfaService.openTotpSecret(user.twoFactor.totp.secret), secret);
+  });
+});
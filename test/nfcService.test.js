@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import NfcTag from '../src/models/NfcTag.js';
+import Quest from '../src/models/Quest.js';
+import nfcService from '../src/services/nfcService.js';
+import { fakeCollection } from './helpers.js';
+
+const hex = value => Buffer.from(value, 'hex');
+
+// RFC 4493 section 4
+const CMAC_KEY = hex('2b7e151628aed2a6abf7158809cf4f3c');
+const CMAC_MESSAGE = hex(
+  '6bc1bee22e409f96e93d7e117393172a' +
+  'ae2d8a571e03ac9c9eb76fac45af8e51' +
+  '30c81c46a35ce411e5fbc1191a0a52ef' +
+  'f69f2445df4f9b17ad2b417be66c3710'
+);
+const CMAC_VECTORS = [
+  [0, 'bb1d6929e95937287fa37d129b756746'],
+  [16, '070a16b46b4d4144f79bdd9dd04a287c'],
+  [40, 'dfa66747de9ae63030ca32611497c827'],
+  [64, '51f0bebf7e3b9d92fc49741779363cfe']
+];
+
+// NXP AN12196: SUN message of a tag with the all-zero key
+const SUN_KEY = Buffer.alloc(16);
+const SUN_UID = '04DE5F1EACC040';
+const SUN_COUNTER = 61;
+const SUN_PICC_DATA = 'EF963FF7828658A599F3041510671E88';
+const SUN_CMAC = '94EED9EE65337086';
+
+describe('nfcService SUN verification', () => {
+  test('AES-CMAC matches the RFC 4493 vectors', () => {
+    for (const [length, mac] of CMAC_VECTORS) {
+      assert.equal(nfcService.cmac(CMAC_KEY, CMAC_MESSAGE.subarray(0, length)).toString('hex'), mac);
+    }
+  });
+
+  test('decrypts the AN12196 PICC data', () => {
+    assert.deepEqual(nfcService.decryptPiccData(SUN_PICC_DATA, SUN_KEY), { uid: SUN_UID, counter: SUN_COUNTER });
+    assert.equal(nfcService.decryptPiccData(SUN_PICC_DATA, Buffer.alloc(16, 1)), null);
+  });
+
+  test('computes the AN12196 SUN MAC', () => {
+    assert.equal(nfcService.computeSunMac(SUN_KEY, SUN_UID, SUN_COUNTER).toString('hex').toUpperCase(), SUN_CMAC);
+  });
+
+  test('parses plain and encrypted scan URLs', () => {
+    assert.deepEqual(
+      nfcService.parseScan(`https://lifevault.app/nfc?uid=${SUN_UID}&ctr=00003D&cmac=${SUN_CMAC}`),
+      { uid: SUN_UID, counter: SUN_COUNTER, cmac: SUN_CMAC }
+    );
+    assert.deepEqual(
+      nfcService.parseScan({ e: SUN_PICC_DATA.toLowerCase(), c: SUN_CMAC }),
+      { piccData: SUN_PICC_DATA, cmac: SUN_CMAC }
+    );
+    assert.equal(nfcService.parseScan(`uid=${SUN_UID}&ctr=3D&cmac=${SUN_CMAC}`), null);
+    assert.equal(nfcService.parseScan(`picc_data=${SUN_PICC_DATA}&cmac=1234`), null);
+  });
+
+  const mockTag = (t) => {
+    const tag = new NfcTag({ tagId: SUN_UID, questId: new mongoose.Types.ObjectId(), encryptedKey: 'x' });
+    t.mock.method(nfcService, 'getKey', () => SUN_KEY);
+    fakeCollection(t, NfcTag).push(tag);
+    return tag;
+  };
+
+  test('accepts an encrypted scan once', async (t) => {
+    const tag = mockTag(t);
+    const quest = { _id: tag.questId };
+
+    const first = await nfcService.verifyScan(quest, { picc_data: SUN_PICC_DATA, cmac: SUN_CMAC });
+    assert.deepEqual(first, { passed: true, message: 'NFC tag verified', tagId: SUN_UID, counter: SUN_COUNTER });
+    assert.equal(tag.lastCounter, SUN_COUNTER);
+
+    const replay = await nfcService.verifyScan(quest, { picc_data: SUN_PICC_DATA, cmac: SUN_CMAC });
+    assert.equal(replay.passed, false);
+    assert.match(replay.message, /already used/);
+  });
+
+  test('rejects a forged MAC', async (t) => {
+    const tag = mockTag(t);
+
+    const result = await nfcService.verifyScan({ _id: tag.questId }, `uid=${SUN_UID}&ctr=00003D&cmac=94EED9EE65337087`);
+
+    assert.equal(result.passed, false);
+    assert.match(result.message, /signature is invalid/);
+  });
+});
+
+describe('nfcService.retireTag', () => {
+  const retire = async (t, { othersActive }) => {
+    const quest = new Quest({ title: 'Museum', nfc: { enabled: true } });
+    const tag = new NfcTag({ tagId: SUN_UID, questId: quest._id, encryptedKey: 'x' });
+    const tags = fakeCollection(t, NfcTag);
+    const questUpdates = [];
+
+    tags.push(tag);
+    if (othersActive) tags.push(new NfcTag({ tagId: '04AABBCCDDEEFF', questId: quest._id, encryptedKey: 'x' }));
+    t.mock.method(Quest, 'updateOne', async (filter, update) => questUpdates.push(update));
+
+    const retired = await nfcService.retireTag(quest, SUN_UID.toLowerCase());
+    return { quest, retired, tag, questUpdates };
+  };
+
+  test('retiring the last active tag turns the NFC check off', async (t) => {
+    const { quest, retired, tag, questUpdates } = await retire(t, { othersActive: false });
+
+    assert.equal(retired.status, 'retired');
+    assert.equal(tag.status, 'retired');
+    assert.equal(quest.nfc.enabled, false);
+    assert.deepEqual(questUpdates, [{ 'nfc.enabled': false }]);
+  });
+
+  test('the check stays on while other tags are active', async (t) => {
+    const { quest, questUpdates } = await retire(t, { othersActive: true });
+
+    assert.equal(quest.nfc.enabled, true);
+    assert.equal(questUpdates.length, 0);
+  });
+});
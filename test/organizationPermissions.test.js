@@ -0,0 +1,191 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import OrganizationMember from '../src/models/OrganizationMember.js';
+import organizationRoutes from '../src/routes/organizationRoutes.js';
+import { authorizeResource, requireStepUp } from '../src/middleware/authMiddleware.js';
+import {
+  updateMemberRole,
+  removeMember,
+  leaveOrganization
+} from '../src/controllers/organizationController.js';
+import { PERMISSIONS, ORGANIZATION_ROLES, DEFAULTS } from '../src/config/constants.js';
+import { run, query, fakeCollection } from './helpers.js';
+
+const { OWNER, EDITOR } = ORGANIZATION_ROLES;
+const MINUTE = 60 * 1000;
+
+const account = (userType = 'user', fields = {}) =>
+  new User({ _id: new mongoose.Types.ObjectId(), name: userType, email: `${userType}@example.com`, userType, ...fields });
+
+describe('organization permissions', () => {
+  let organization;
+  let members;
+
+  const addMember = (role) => {
+    const user = account();
+    members.push(new OrganizationMember({ organizationId: organization._id, userId: user._id, role }));
+    return user;
+  };
+
+  const roleOf = (user) =>
+    members.find(member => member.userId.toString() === user._id.toString())?.role;
+
+  beforeEach((t) => {
+    organization = account('brand');
+    members = fakeCollection(t, OrganizationMember);
+
+    t.mock.method(User, 'findOne', (filter) =>
+      query(String(filter._id) === String(organization._id) && filter.userType.$in.includes(organization.userType) ? organization : null)
+    );
+  });
+
+  describe('authorizeResource', () => {
+    const manageMembers = authorizeResource('organization', PERMISSIONS.ORGANIZATION_MEMBERS);
+    const request = (user, id = organization._id.toString()) => ({ user, params: { id } });
+
+    test('lets the organization account and its owners through', async () => {
+      const owner = addMember(OWNER);
+
+      assert.equal((await run(manageMembers, request(organization))).nextCalled, true);
+      assert.equal((await run(manageMembers, request(owner))).nextCalled, true);
+    });
+
+    test('lets platform staff with manage:all through', async () => {
+      assert.equal((await run(manageMembers, request(account('admin')))).nextCalled, true);
+    });
+
+    test('stops staff whose role lacks the permission', async () => {
+      const editor = addMember(EDITOR);
+
+      const { res, nextCalled } = await run(manageMembers, request(editor));
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 403);
+      assert.match(res.body.message, /organization:members/);
+    });
+
+    test('stops outsiders and owners of other organizations', async () => {
+      const outsider = account('brand');
+      members.push(new OrganizationMember({ organizationId: new mongoose.Types.ObjectId(), userId: outsider._id, role: OWNER }));
+
+      const { res, nextCalled } = await run(manageMembers, request(outsider));
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 403);
+    });
+
+    test('answers 404 for accounts that are not organizations or bad ids', async () => {
+      const person = account();
+
+      assert.equal((await run(manageMembers, request(organization, person._id.toString()))).res.statusCode, 404);
+      assert.equal((await run(manageMembers, request(organization, 'not-an-id'))).res.statusCode, 404);
+    });
+
+    test('answers 401 without a user', async () => {
+      assert.equal((await run(manageMembers, request(undefined))).res.statusCode, 401);
+    });
+  });
+
+  describe('requireStepUp', () => {
+    beforeEach((t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-06-01T12:00:00Z') });
+    });
+
+    test('asks for a fresh check when the session has none', async () => {
+      const { res, nextCalled } = await run(requireStepUp, { user: organization, authSession: {} });
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.code, 'STEP_UP_REQUIRED');
+      assert.deepEqual(res.body.methods, ['password']);
+    });
+
+    test('offers the second factors the user has set up', async () => {
+      const user = account('user', { twoFactor: { totp: { enabled: true } } });
+
+      const { res } = await run(requireStepUp, { user, authSession: {} });
+
+      assert.deepEqual(res.body.methods, ['totp', 'recovery_code']);
+    });
+
+    test('accepts a recent check until it goes stale', async (t) => {
+      const authSession = { stepUpAt: new Date() };
+
+      assert.equal((await run(requireStepUp, { user: organization, authSession })).nextCalled, true);
+
+      t.mock.timers.tick(DEFAULTS.STEP_UP_MINUTES * MINUTE);
+      assert.equal((await run(requireStepUp, { user: organization, authSession })).res.statusCode, 403);
+    });
+  });
+
+  test('every change to the staff list needs a step-up', () => {
+    const changes = organizationRoutes.stack
+      .filter(layer => /^\/:id\/members(\/|$)/.test(layer.route?.path) && !layer.route.methods.get);
+
+    assert.equal(changes.length, 3);
+    for (const layer of changes) {
+      const handlers = layer.route.stack.map(item => item.handle);
+      assert.ok(handlers.includes(requireStepUp), `${Object.keys(layer.route.methods)} ${layer.route.path}`);
+    }
+  });
+
+  describe('last owner', () => {
+    const memberRequest = (user, body = {}) => ({
+      user: organization,
+      params: { id: organization._id.toString(), userId: user._id.toString() },
+      body
+    });
+
+    test('cannot be demoted', async () => {
+      const owner = addMember(OWNER);
+      addMember(EDITOR);
+
+      const { res } = await run(updateMemberRole, memberRequest(owner, { role: EDITOR }));
+
+      assert.equal(res.statusCode, 409);
+      assert.match(res.body.message, /at least one owner/);
+      assert.equal(roleOf(owner), OWNER);
+    });
+
+    test('can be demoted once another owner exists', async () => {
+      const owner = addMember(OWNER);
+      addMember(OWNER);
+
+      const { res } = await run(updateMemberRole, memberRequest(owner, { role: EDITOR }));
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(roleOf(owner), EDITOR);
+    });
+
+    test('cannot be removed', async () => {
+      const owner = addMember(OWNER);
+
+      const { res } = await run(removeMember, memberRequest(owner));
+
+      assert.equal(res.statusCode, 409);
+      assert.equal(roleOf(owner), OWNER);
+    });
+
+    test('cannot leave', async () => {
+      const owner = addMember(OWNER);
+
+      const { res } = await run(leaveOrganization, { user: owner, params: { id: organization._id.toString() } });
+
+      assert.equal(res.statusCode, 409);
+      assert.equal(roleOf(owner), OWNER);
+    });
+
+    test('does not hold back other members or a shared ownership', async () => {
+      const first = addMember(OWNER);
+      const second = addMember(OWNER);
+      const editor = addMember(EDITOR);
+
+      assert.equal((await run(removeMember, memberRequest(editor))).res.statusCode, 200);
+      assert.equal((await run(removeMember, memberRequest(first))).res.statusCode, 200);
+      assert.equal((await run(leaveOrganization, { user: second, params: { id: organization._id.toString() } })).res.statusCode, 409);
+      assert.deepEqual(members.map(member => member.role), [OWNER]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import QuestCompletion from '../src/models/QuestCompletion.js';
+import photoForensicsService from '../src/services/photoForensicsService.js';
+
+const parisQuest = { timeWindow: { enabled: true, timezone: 'Europe/Paris' } };
+const submission = (capturedAt) => ({ capturedAt, location: {} });
+const exifTime = (checks) => checks.find(c => c.check === 'exif_time');
+
+describe('photoForensicsService capture time', () => {
+  test('an EXIF offset places the local time exactly', () => {
+    const drift = photoForensicsService.getCaptureDrift(
+      { capturedAt: '2026:07:14 15:00:00', offset: '+02:00' },
+      new Date('2026-07-14T13:05:00Z')
+    );
+    assert.equal(drift, 300);
+  });
+
+  test('without an offset the time is read in the quest zone, across DST', () => {
+    const settings = photoForensicsService.getSettings(parisQuest);
+    assert.equal(settings.timeZone, 'Europe/Paris');
+
+    // CEST (UTC+2) in July, CET (UTC+1) in January
+    assert.equal(photoForensicsService.getCaptureDrift(
+      { capturedAt: '2026:07:14 15:00:30' }, new Date('2026-07-14T13:01:00Z'), settings.timeZone
+    ), 30);
+    assert.equal(photoForensicsService.getCaptureDrift(
+      { capturedAt: '2026:01:14 15:00:00' }, new Date('2026-01-14T14:00:00Z'), settings.timeZone
+    ), 0);
+  });
+
+  test('a photo from hours earlier the same day no longer passes by guessing a zone', () => {
+    const settings = photoForensicsService.getSettings(parisQuest);
+    const checks = photoForensicsService.checkExif(
+      { capturedAt: '2026:07:14 09:00:00', latitude: null },
+      submission('2026-07-14T13:00:00Z'),
+      settings
+    );
+
+    assert.equal(exifTime(checks).passed, false);
+    assert.match(exifTime(checks).details, /21600s before/);
+  });
+
+  test('without an offset or a quest zone the time is unverifiable', () => {
+    const exif = { capturedAt: '2026:07:14 09:00:00', latitude: null };
+    const relaxed = photoForensicsService.checkExif(exif, submission('2026-07-14T13:00:00Z'),
+      photoForensicsService.getSettings({}));
+    const strict = photoForensicsService.checkExif(exif, submission('2026-07-14T13:00:00Z'),
+      photoForensicsService.getSettings({ photoForensics: { requireExif: true } }));
+
+    assert.equal(exifTime(relaxed).passed, true);
+    assert.match(exifTime(relaxed).details, /cannot be checked/);
+    assert.equal(exifTime(strict).passed, false);
+  });
+
+  test('a closed time window zone is not used', () => {
+    const settings = photoForensicsService.getSettings({ timeWindow: { enabled: false, timezone: 'Asia/Tokyo' } });
+    assert.equal(settings.timeZone, null);
+  });
+});
+
+describe('photoForensicsService duplicates', () => {
+  const flip = (phash, bits) => {
+    let value = BigInt(`0x${phash}`);
+    for (const bit of bits) value ^= 1n << BigInt(bit);
+    return value.toString(16).padStart(16, '0');
+  };
+
+  test('hashes up to 7 bits apart always share an 8-bit band', () => {
+    const phash = 'c3a5f00f12345678';
+    // one differing bit in each of 7 bands
+    const other = flip(phash, [0, 9, 18, 27, 36, 45, 54]);
+
+    assert.equal(photoForensicsService.hammingDistance(phash, other), 7);
+    const shared = photoForensicsService.getFineBands(other)
+      .filter(band => photoForensicsService.getFineBands(phash).includes(band));
+    assert.deepEqual(shared, ['0:c3']);
+  });
+
+  test('same-quest candidates are looked up by band, not loaded in full', async (t) => {
+    const questId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    const otherUser = new mongoose.Types.ObjectId();
+    const phash = 'c3a5f00f12345678';
+    let query;
+
+    t.mock.method(QuestCompletion, 'find', (filter) => {
+      query = filter;
+      return {
+        select: () => ({
+          lean: async () => [
+            { _id: 'far', questId, userId: otherUser, submission: { photoHash: { phash: flip(phash, [0, 1, 2, 3, 4, 5, 6, 7, 8]) } } },
+            { _id: 'near', questId, userId: otherUser, submission: { photoHash: { phash: flip(phash, [3, 40]) } } }
+          ]
+        })
+      };
+    });
+
+    const duplicate = await photoForensicsService.findDuplicate(phash, { questId, userId, attemptId: null },
+      photoForensicsService.getSettings({}));
+
+    const sameQuest = query.$or.find(clause => clause.questId);
+    assert.deepEqual(sameQuest['submission.photoHash.fineBands'].$in, photoForensicsService.getFineBands(phash));
+    assert.deepEqual(duplicate, { completionId: 'near', sameQuest: true, sameUser: false, distance: 2 });
+  });
+});
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import { getPublicKey } from '../src/controllers/memoryController.js';
+import encryptionService from '../src/services/encryptionService.js';
+import { KEY_RECIPIENT_TYPES } from '../src/config/constants.js';
+import { run, query } from './helpers.js';
+
+const REAL_KEY = Buffer.alloc(32, 7).toString('base64');
+
+const lookup = async (params) => {
+  const { res, error } = await run(getPublicKey, { query: params });
+  if (error) throw error;
+  return res;
+};
+
+const mockUsers = (t, users) => {
+  t.mock.method(User, 'findOne', (filter) =>
+    query(users.find(user => user.email === filter.email || user._id.toString() === filter._id?.toString()) || null)
+  );
+};
+
+describe('GET /api/memories/keys/public', () => {
+  test('answers the same way for unknown and known emails', async (t) => {
+    mockUsers(t, [{ _id: new mongoose.Types.ObjectId(), email: 'known@example.com', encryptionPublicKey: REAL_KEY }]);
+
+    const known = await lookup({ email: 'known@example.com' });
+    const unknown = await lookup({ email: 'nobody@example.com' });
+
+    assert.equal(known.statusCode, unknown.statusCode);
+    assert.deepEqual(Object.keys(unknown.body.data), Object.keys(known.body.data));
+    assert.ok(mongoose.isValidObjectId(unknown.body.data.userId));
+    assert.ok(encryptionService.isValidPublicKey(unknown.body.data.publicKey));
+    assert.equal(unknown.body.data.fingerprint, encryptionService.publicKeyFingerprint(unknown.body.data.publicKey));
+  });
+
+  test('gives the same decoy for the same unknown email every time', async (t) => {
+    mockUsers(t, []);
+
+    const first = await lookup({ email: 'nobody@example.com' });
+    const second = await lookup({ email: ' Nobody@Example.com ' });
+    const other = await lookup({ email: 'someone-else@example.com' });
+
+    assert.deepEqual(first.body, second.body);
+    assert.notEqual(first.body.data.publicKey, other.body.data.publicKey);
+  });
+
+  test('accounts without a key look like any other account', async (t) => {
+    const id = new mongoose.Types.ObjectId();
+    mockUsers(t, [{ _id: id, email: 'nokey@example.com', encryptionPublicKey: null }]);
+
+    const res = await lookup({ userId: id.toString() });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.userId.toString(), id.toString());
+  });
+
+  test('decoy keys are refused when wrapping for that user', async (t) => {
+    const decoy = encryptionService.decoyPublicKey('email:nobody@example.com');
+    t.mock.method(User, 'find', () => query([]));
+
+    const error = await encryptionService.verifyRecipientKeys([{
+      recipientType: KEY_RECIPIENT_TYPES.USER,
+      userId: decoy.userId,
+      keyFingerprint: encryptionService.publicKeyFingerprint(decoy.publicKey)
+    }]);
+
+    assert.equal(error, `Key for user ${decoy.userId} was not wrapped to their current public key`);
+  });
+
+  test('refusals read the same for missing accounts, keyless accounts and stale keys', async (t) => {
+    const keyless = new mongoose.Types.ObjectId();
+    const rotated = new mongoose.Types.ObjectId();
+    t.mock.method(User, 'find', () => query([
+      { _id: keyless, encryptionPublicKey: null },
+      { _id: rotated, encryptionPublicKey: Buffer.alloc(32, 9).toString('base64') }
+    ]));
+
+    const refusal = async (userId) => {
+      const error = await encryptionService.verifyRecipientKeys([{
+        recipientType: KEY_RECIPIENT_TYPES.USER,
+        userId,
+        keyFingerprint: encryptionService.publicKeyFingerprint(REAL_KEY)
+      }]);
+      return error.replace(userId.toString(), '<user>');
+    };
+
+    const missing = await refusal(new mongoose.Types.ObjectId());
+    assert.equal(await refusal(keyless), missing);
+    assert.equal(await refusal(rotated), missing);
+  });
+});
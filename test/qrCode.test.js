@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import qrCodeService from '../src/services/qrCodeService.js';
+
+const config = { secret: qrCodeService.createSecret(), rotationSeconds: 30, skewSteps: 1 };
+const target = { kind: 'quest', id: '64b7f0c2a1b2c3d4e5f60718' };
+
+describe('qrCodeService rotating codes', () => {
+  test('a freshly shown payload verifies for its quest', () => {
+    const current = qrCodeService.getCurrent(target.kind, target.id, config);
+
+    assert.match(current.payload, /^lifevault:quest:64b7f0c2a1b2c3d4e5f60718:\d{8}$/);
+    assert.equal(qrCodeService.verify(current.payload, config, target).passed, true);
+    assert.equal(qrCodeService.verify(current.code, config, target).passed, true);
+  });
+
+  test('expires at the end of its step', () => {
+    const time = Date.UTC(2026, 9, 19, 12, 0, 10);
+    const current = qrCodeService.getCurrent(target.kind, target.id, config, time);
+
+    assert.equal(current.expiresAt.getTime(), Date.UTC(2026, 9, 19, 12, 0, 30));
+  });
+
+  test('a photo of the display stops working once it has rotated past the skew', (t) => {
+    const shownAt = Date.now() - 5 * 60 * 1000;
+    const old = qrCodeService.getCurrent(target.kind, target.id, config, shownAt);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    assert.equal(qrCodeService.verify(old.payload, config, target).passed, false);
+  });
+
+  test('a code for another quest is refused', () => {
+    const other = qrCodeService.getCurrent('quest', '64b7f0c2a1b2c3d4e5f60719', config);
+    const result = qrCodeService.verify(other.payload, config, target);
+
+    assert.equal(result.passed, false);
+    assert.match(result.message, /belongs to something else/);
+  });
+
+  test('daily codes stay the same all day', () => {
+    const daily = { secret: config.secret, regenerateDaily: true };
+    const morning = qrCodeService.getCurrent('quest', target.id, daily, Date.UTC(2026, 9, 19, 0, 0, 1));
+    const night = qrCodeService.getCurrent('quest', target.id, daily, Date.UTC(2026, 9, 19, 23, 59, 59));
+
+    assert.equal(morning.code, night.code);
+    assert.equal(qrCodeService.getStep(daily), 86400);
+  });
+
+  test('static codes are checked against their hash', () => {
+    const staticConfig = { codeHash: crypto.createHash('sha256').update('PRINTED-123').digest('hex') };
+
+    assert.equal(qrCodeService.verify('PRINTED-123', staticConfig, target).passed, true);
+    assert.equal(qrCodeService.verify('PRINTED-124', staticConfig, target).passed, false);
+    assert.throws(() => qrCodeService.getCurrent('quest', target.id, staticConfig), /does not rotate/);
+  });
+});
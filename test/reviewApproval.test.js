@@ -0,0 +1,178 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Quest from '../src/models/Quest.js';
+import QuestCompletion from '../src/models/QuestCompletion.js';
+import User from '../src/models/User.js';
+import rewardService from '../src/services/rewardService.js';
+import jobService from '../src/services/jobService.js';
+import reviewService from '../src/services/reviewService.js';
+import completionService from '../src/services/completionService.js';
+import { getReviewPhoto } from '../src/controllers/reviewController.js';
+import { run, fakeCollection } from './helpers.js';
+
+const reviewer = { _id: new mongoose.Types.ObjectId(), userType: 'business' };
+
+/**
+ * One queued submission, and the user's earlier completions of the quest
+ */
+function setup(t, { completed = 0, review = {} } = {}) {
+  const questId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const completions = fakeCollection(t, QuestCompletion);
+  const submission = new QuestCompletion({
+    questId, userId, status: 'pending_review', review: { reasons: ['requires_approval'], ...review }
+  });
+  const completionId = submission._id;
+
+  completions.push(submission);
+  for (let i = 0; i < completed; i++) {
+    completions.push(new QuestCompletion({ questId, userId, status: 'completed', completionSlot: i }));
+  }
+
+  t.mock.method(Quest, 'findById', async () => new Quest({
+    _id: questId, title: 'Fountain', creatorId: reviewer._id,
+    budget: { maxCompletionsPerUser: 1 }, rewards: { points: 10 }
+  }));
+  t.mock.method(User, 'findById', async () => ({ _id: userId }));
+
+  const rewards = t.mock.method(rewardService, 'processQuestRewards', async () => ({
+    points: { pointsAdded: 10 }, errors: []
+  }));
+
+  // Saves replace the stored document
+  const stored = () => completions.find(completion => completion._id.equals(completionId));
+
+  return { completionId, stored, rewards };
+}
+
+describe('reviewService.approve', () => {
+  test('approving again after a failed completion does not pay twice', async (t) => {
+    const { completionId, stored, rewards } = setup(t);
+    const { markAsCompleted } = QuestCompletion.prototype;
+    let saves = 0;
+    t.mock.method(QuestCompletion.prototype, 'markAsCompleted', async function (...args) {
+      if (saves++ === 0) throw new Error('write conflict');
+      return markAsCompleted.apply(this, args);
+    });
+
+    await assert.rejects(reviewService.approve(reviewer, completionId), /write conflict/);
+    assert.equal(stored().status, 'pending_review');
+    assert.equal(stored().completionSlot, undefined);
+
+    const { rewardResults } = await reviewService.approve(reviewer, completionId);
+
+    assert.equal(stored().status, 'completed');
+    assert.equal(rewards.mock.callCount(), 1);
+    assert.equal(rewardResults.alreadyPaid, true);
+  });
+
+  test('takes the next completion slot for the user', async (t) => {
+    const { completionId, stored } = setup(t);
+
+    await reviewService.approve(reviewer, completionId);
+
+    assert.equal(stored().completionSlot, 0);
+  });
+
+  test('a concurrent approval of the same slot is a conflict', async (t) => {
+    const { completionId, rewards } = setup(t);
+    QuestCompletion.findOneAndUpdate.mock.mockImplementation(async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    await assert.rejects(reviewService.approve(reviewer, completionId), (error) => {
+      assert.equal(error.statusCode, 409);
+      return true;
+    });
+    assert.equal(rewards.mock.callCount(), 0);
+  });
+
+  test('refuses once the user has used up their completions', async (t) => {
+    const { completionId } = setup(t, { completed: 1 });
+
+    await assert.rejects(reviewService.approve(reviewer, completionId), /already completed/);
+  });
+});
+
+describe('completionService.takeSlot', () => {
+  const quest = { _id: new mongoose.Types.ObjectId(), budget: { maxCompletionsPerUser: 2 } };
+  const userId = new mongoose.Types.ObjectId();
+  const attempt = () => new QuestCompletion({ _id: new mongoose.Types.ObjectId(), questId: quest._id, userId });
+
+  /**
+   * Slots in memory behind the unique { questId, userId, completionSlot } index
+   */
+  function slots(t, { completed = 0 } = {}) {
+    const taken = new Map();
+    t.mock.method(QuestCompletion, 'countDocuments', async () => completed);
+    t.mock.method(QuestCompletion, 'updateOne', async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (update.$unset) {
+        for (const [slot, id] of taken) if (String(id) === String(filter._id)) taken.delete(slot);
+        return { modifiedCount: 1 };
+      }
+      if (taken.has(update.completionSlot)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      taken.set(update.completionSlot, filter._id);
+      return { modifiedCount: 1 };
+    });
+    return taken;
+  }
+
+  test('takes the slot after the completed ones', async (t) => {
+    const taken = slots(t, { completed: 1 });
+    const submission = attempt();
+
+    assert.equal(await completionService.takeSlot(submission, quest), 1);
+    assert.equal(submission.completionSlot, 1);
+    assert.equal(String(taken.get(1)), String(submission._id));
+  });
+
+  test('parallel submissions cannot share the last slot', async (t) => {
+    slots(t, { completed: 1 });
+
+    const results = await Promise.allSettled([
+      completionService.takeSlot(attempt(), quest),
+      completionService.takeSlot(attempt(), quest)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.reason).reason.statusCode, 409);
+  });
+
+  test('refuses once the user has used up their completions', async (t) => {
+    const taken = slots(t, { completed: 2 });
+
+    await assert.rejects(completionService.takeSlot(attempt(), quest), { statusCode: 409, message: /already completed/ });
+    assert.equal(taken.size, 0);
+  });
+
+  test('a slot given back can be taken again', async (t) => {
+    const taken = slots(t);
+    const failed = attempt();
+
+    await completionService.takeSlot(failed, quest);
+    await completionService.releaseSlot(failed);
+
+    assert.equal(failed.completionSlot, undefined);
+    assert.equal(await completionService.takeSlot(attempt(), quest), 0);
+    assert.equal(taken.size, 1);
+  });
+});
+
+describe('review photo', () => {
+  test('a photo declared as SVG is served as a JPEG download', async (t) => {
+    const { completionId } = setup(t, { review: { photoBlobId: 'blob-1', photoContentType: 'image/svg+xml' } });
+    t.mock.method(jobService, 'openBlob', () => ({ on() {}, pipe(res) { res.piped = true; } }));
+
+    const { res, error } = await run(getReviewPhoto, { user: reviewer, params: { id: completionId } });
+
+    assert.equal(error, undefined);
+    assert.equal(res.piped, true);
+    assert.equal(res.headers['Content-Type'], 'image/jpeg');
+    assert.equal(res.headers['Content-Disposition'], 'attachment');
+    assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import scheduleService from '../src/services/scheduleService.js';
+
+const PARIS = 'Europe/Paris';
+const at = iso => new Date(iso);
+const evaluate = (schedule, iso) => scheduleService.evaluate({ timezone: PARIS, ...schedule }, at(iso));
+
+// Paris: CEST (UTC+2) from 2026-03-29 01:00Z, CET (UTC+1) from 2026-10-25 01:00Z
+describe('scheduleService across DST', () => {
+  const office = { startTime: '09:00', endTime: '17:00' };
+
+  test('opening hours follow the local clock in summer and winter', () => {
+    assert.equal(evaluate(office, '2026-07-01T07:30:00Z').open, true);   // 09:30 CEST
+    assert.equal(evaluate(office, '2026-01-15T07:30:00Z').open, false);  // 08:30 CET
+    assert.equal(evaluate(office, '2026-01-15T08:30:00Z').open, true);   // 09:30 CET
+  });
+
+  test('the next opening is on the new offset after the clocks change', () => {
+    assert.deepEqual(evaluate(office, '2026-03-28T17:00:00Z').nextOpensAt, at('2026-03-29T07:00:00Z'));
+    assert.deepEqual(evaluate(office, '2026-10-24T17:00:00Z').nextOpensAt, at('2026-10-25T08:00:00Z'));
+  });
+
+  test('a window starting in the spring-forward gap opens when the clocks jump', () => {
+    const gap = { startTime: '02:30', endTime: '03:30' };
+    const result = evaluate(gap, '2026-03-29T00:10:00Z'); // 01:10 CET
+
+    assert.deepEqual(result.nextOpensAt, at('2026-03-29T01:30:00Z')); // 03:30 CEST
+    assert.equal(evaluate(gap, '2026-03-29T01:10:00Z').open, true);   // 03:10 CEST
+  });
+
+  test('a time that happens twice in autumn opens at its first occurrence', () => {
+    const early = { startTime: '02:30', endTime: '04:00' };
+    const result = evaluate(early, '2026-10-25T00:00:00Z'); // 02:00 CEST
+
+    assert.deepEqual(result.nextOpensAt, at('2026-10-25T00:30:00Z'));
+    assert.equal(evaluate(early, '2026-10-25T00:30:00Z').open, true);
+  });
+
+  test('toInstant of ordinary, skipped and repeated local times', () => {
+    const day = iso => at(`${iso}T00:00:00Z`);
+    assert.deepEqual(scheduleService.toInstant(day('2026-07-01'), 9 * 60, PARIS), at('2026-07-01T07:00:00Z'));
+    assert.deepEqual(scheduleService.toInstant(day('2026-03-29'), 150, PARIS), at('2026-03-29T01:30:00Z'));
+    assert.deepEqual(scheduleService.toInstant(day('2026-10-25'), 150, PARIS), at('2026-10-25T00:30:00Z'));
+    assert.deepEqual(scheduleService.toInstant(day('2026-03-08'), 150, 'America/New_York'), at('2026-03-08T07:30:00Z'));
+  });
+});
+
+describe('scheduleService around midnight', () => {
+  // 22:00 to 02:00, starting on Fridays only
+  const fridayNight = { startTime: '22:00', endTime: '02:00', daysOfWeek: [5] };
+
+  test('a window crossing midnight belongs to the day it starts on', () => {
+    assert.equal(evaluate(fridayNight, '2026-05-01T20:30:00Z').open, true);  // Fri 22:30
+    assert.equal(evaluate(fridayNight, '2026-05-01T23:30:00Z').open, true);  // Sat 01:30
+    assert.equal(evaluate(fridayNight, '2026-05-02T20:30:00Z').open, false); // Sat 22:30
+    assert.equal(evaluate(fridayNight, '2026-05-02T23:30:00Z').open, false); // Sun 01:30
+  });
+
+  test('the end minute is the last open one', () => {
+    assert.equal(evaluate(fridayNight, '2026-05-02T00:00:30Z').open, true);  // Sat 02:00
+    assert.equal(evaluate(fridayNight, '2026-05-02T00:01:00Z').open, false); // Sat 02:01
+  });
+
+  test('a blackout day keeps the night before running into it', () => {
+    const schedule = { ...fridayNight, blackoutDates: ['2026-05-02'] };
+
+    assert.equal(evaluate(schedule, '2026-05-01T23:30:00Z').open, true);     // Sat 01:30, window began Fri
+
+    const friday = evaluate({ ...fridayNight, blackoutDates: ['2026-05-01'] }, '2026-05-01T20:30:00Z');
+    assert.equal(friday.open, false);
+    assert.equal(friday.reason, 'blackout');
+    assert.deepEqual(friday.nextOpensAt, at('2026-05-08T20:00:00Z'));
+  });
+
+  test('local dates come from the zone, not UTC', () => {
+    const result = evaluate({ startTime: '00:00', endTime: '00:30' }, '2026-05-01T22:15:00Z');
+    assert.equal(result.localDate, '2026-05-02');
+    assert.equal(result.localTime, '00:15');
+    assert.equal(result.open, true);
+  });
+
+  test('monthly recurrences skip to the right day', () => {
+    const firstSaturday = { startTime: '10:00', endTime: '12:00', recurrence: 'FREQ=MONTHLY;BYDAY=1SA' };
+    const result = evaluate(firstSaturday, '2026-05-02T12:00:00Z'); // 1st Saturday of May, after closing
+
+    assert.equal(result.open, false);
+    assert.deepEqual(result.nextOpensAt, at('2026-06-06T08:00:00Z'));
+  });
+});
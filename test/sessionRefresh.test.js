@@ -0,0 +1,98 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import sessionService from '../src/services/sessionService.js';
+import { fakeCollection } from './helpers.js';
+
+const req = { ip: '203.0.113.7', body: {}, get: () => 'node-test' };
+
+describe('refresh token rotation', () => {
+  let sessions;
+  let user;
+
+  beforeEach((t) => {
+    user = new User({ _id: new mongoose.Types.ObjectId(), name: 'Ada', email: 'ada@example.com' });
+    sessions = fakeCollection(t, Session, { unique: ['tokenHash'] });
+    t.mock.method(User, 'findById', async () => user);
+  });
+
+  const unauthorized = message => (error) => {
+    assert.equal(error.statusCode, 401);
+    assert.match(error.message, message);
+    return true;
+  };
+
+  test('each refresh rotates the token and keeps the session', async () => {
+    const login = await sessionService.createSession(user, req, 'password');
+    const { tokens } = await sessionService.refresh(login.refreshToken, req);
+
+    assert.notEqual(tokens.refreshToken, login.refreshToken);
+    assert.equal(String(tokens.sessionId), String(login.sessionId));
+    assert.equal(jwt.verify(tokens.token, process.env.JWT_SECRET).sid, String(login.sessionId));
+    assert.equal(sessions[0].generation, 1);
+    assert.equal(sessions[0].tokenHash, sessionService.hashToken(tokens.refreshToken));
+  });
+
+  test('replaying a rotated token revokes the whole family', async () => {
+    const login = await sessionService.createSession(user, req, 'password');
+    const first = await sessionService.refresh(login.refreshToken, req);
+    const second = await sessionService.refresh(first.tokens.refreshToken, req);
+
+    // An attacker replays the token from the login
+    await assert.rejects(sessionService.refresh(login.refreshToken, req), unauthorized(/already used/));
+
+    assert.equal(sessions[0].revokedReason, 'reuse_detected');
+    await assert.rejects(sessionService.refresh(second.tokens.refreshToken, req), unauthorized(/Invalid or expired/));
+    assert.equal(await sessionService.getActiveSession(login.sessionId, user._id), null);
+  });
+
+  test('two clients racing with the same token are treated as reuse', async () => {
+    const login = await sessionService.createSession(user, req, 'password');
+
+    const results = await Promise.allSettled([
+      sessionService.refresh(login.refreshToken, req),
+      sessionService.refresh(login.refreshToken, req)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.equal(sessions[0].revokedReason, 'reuse_detected');
+  });
+
+  test('unknown and expired tokens are refused without revoking anything', async () => {
+    const login = await sessionService.createSession(user, req, 'password');
+
+    await assert.rejects(sessionService.refresh('not-a-token', req), unauthorized(/Invalid or expired/));
+    assert.equal(sessions[0].revokedAt, null);
+
+    sessions[0].expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(sessionService.refresh(login.refreshToken, req), unauthorized(/Invalid or expired/));
+  });
+
+  test('only the most recent rotated tokens are remembered', async (t) => {
+    t.mock.method(sessionService, 'generateRefreshToken', (() => {
+      let n = 0;
+      return () => `token-${n++}`;
+    })());
+    const login = await sessionService.createSession(user, req, 'password');
+
+    let token = login.refreshToken;
+    for (let i = 0; i < 101; i++) {
+      token = (await sessionService.refresh(token, req)).tokens.refreshToken;
+    }
+
+    assert.equal(sessions[0].rotatedTokenHashes.length, 100);
+    assert.ok(!sessions[0].rotatedTokenHashes.includes(sessionService.hashToken('token-0')));
+    assert.ok(sessions[0].rotatedTokenHashes.includes(sessionService.hashToken('token-100')));
+  });
+
+  test('a deleted user ends the session', async () => {
+    const login = await sessionService.createSession(user, req, 'password');
+    User.findById.mock.mockImplementation(async () => null);
+
+    await assert.rejects(sessionService.refresh(login.refreshToken, req), unauthorized(/User not found/));
+    assert.equal(sessions[0].revokedReason, 'revoked');
+  });
+});
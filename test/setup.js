@@ -0,0 +1,9 @@
+// Loaded before every test file (npm test). Tests run without MongoDB:
+// model statics are mocked per test, and anything left unmocked fails fast
+// instead of waiting for a connection.
+import mongoose from 'mongoose';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,111 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import app from '../src/app.js';
+import SharedLink from '../src/models/SharedLink.js';
+import Memory from '../src/models/Memory.js';
+import envelopeService from '../src/services/envelopeService.js';
+import { query } from './helpers.js';
+
+const PASSWORD = 'correct horse';
+
+describe('share link download', () => {
+  let server;
+  let baseUrl;
+  let shareLink;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const mockShare = (t, memoryFields = {}) => {
+    shareLink = new SharedLink({
+      shortCode: 'abc123',
+      memoryId: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      password: bcrypt.hashSync(PASSWORD, 4),
+      isPasswordProtected: true,
+      accessType: 'view',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    const memory = new Memory({
+      userId: shareLink.userId,
+      title: 'page',
+      fileName: 'page.html',
+      fileType: 'text/html',
+      ipfsHash: 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku',
+      ...memoryFields
+    });
+
+    t.mock.method(SharedLink, 'findOne', async () => shareLink);
+    t.mock.method(shareLink, 'recordAccess', async () => {});
+    t.mock.method(Memory, 'findById', () => query(memory));
+    t.mock.method(envelopeService, 'openContentStream', async () => ({
+      stream: Readable.from([Buffer.from('<script>alert(1)</script>')]),
+      contentType: memory.fileType
+    }));
+  };
+
+  test('ignores a password in the query string', async (t) => {
+    mockShare(t);
+
+    const response = await fetch(`${baseUrl}/api/share/abc123/download?password=${encodeURIComponent(PASSWORD)}`);
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).passwordRequired, true);
+  });
+
+  test('accepts the password in the X-Share-Password header', async (t) => {
+    mockShare(t);
+
+    const response = await fetch(`${baseUrl}/api/share/abc123/download`, {
+      headers: { 'X-Share-Password': PASSWORD }
+    });
+
+    assert.equal(response.status, 200);
+    await response.arrayBuffer();
+  });
+
+  test('accepts the password in a POST body', async (t) => {
+    mockShare(t);
+
+    const response = await fetch(`${baseUrl}/api/share/abc123/download`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: PASSWORD })
+    });
+
+    assert.equal(response.status, 200);
+    await response.arrayBuffer();
+  });
+
+  test('sends HTML memories as a download with nosniff', async (t) => {
+    mockShare(t);
+
+    const response = await fetch(`${baseUrl}/api/share/abc123/download`, {
+      headers: { 'X-Share-Password': PASSWORD }
+    });
+
+    assert.match(response.headers.get('content-type'), /^text\/html/);
+    assert.equal(response.headers.get('content-disposition'), "attachment; filename*=UTF-8''page.html");
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    await response.arrayBuffer();
+  });
+
+  test('shows images inline', async (t) => {
+    mockShare(t, { fileName: 'photo.jpg', fileType: 'image/jpeg' });
+
+    const response = await fetch(`${baseUrl}/api/share/abc123/download`, {
+      headers: { 'X-Share-Password': PASSWORD }
+    });
+
+    assert.equal(response.headers.get('content-disposition'), "inline; filename*=UTF-8''photo.jpg");
+    await response.arrayBuffer();
+  });
+});
@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import totpService from '../src/services/totpService.js';
+
+const base32 = (ascii) => totpService.base32Encode(Buffer.from(ascii));
+
+// RFC 4226 appendix D
+const HOTP_SECRET = base32('12345678901234567890');
+const HOTP_CODES = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+// RFC 6238 appendix B (8 digits, 30 s steps)
+const TOTP_VECTORS = {
+  sha1: {
+    secret: base32('12345678901234567890'),
+    codes: { 59: '94287082', 1111111109: '07081804', 1111111111: '14050471', 1234567890: '89005924', 2000000000: '69279037', 20000000000: '65353130' }
+  },
+  sha256: {
+    secret: base32('12345678901234567890123456789012'),
+    codes: { 59: '46119246', 1111111109: '68084774', 1111111111: '67062674', 1234567890: '91819424', 2000000000: '90698825', 20000000000: '77737706' }
+  },
+  sha512: {
+    secret: base32('1234567890123456789012345678901234567890123456789012345678901234'),
+    codes: { 59: '90693936', 1111111109: '25091201', 1111111111: '99943326', 1234567890: '93441116', 2000000000: '38618901', 20000000000: '47863826' }
+  }
+};
+
+describe('totpService', () => {
+  test('matches the RFC 4226 HOTP vectors', () => {
+    HOTP_CODES.forEach((code, counter) => {
+      assert.equal(totpService.generateHOTP(HOTP_SECRET, counter), code);
+    });
+  });
+
+  for (const [algorithm, { secret, codes }] of Object.entries(TOTP_VECTORS)) {
+    test(`matches the RFC 6238 ${algorithm} vectors`, () => {
+      for (const [seconds, code] of Object.entries(codes)) {
+        assert.equal(totpService.generate(secret, { time: Number(seconds) * 1000, digits: 8, algorithm }), code);
+      }
+    });
+  }
+
+  test('base32 round-trips and ignores case, spaces and padding', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    assert.equal(HOTP_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.deepEqual(totpService.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq===='), bytes);
+    assert.throws(() => totpService.base32Decode('GEZ1'), /Invalid base32/);
+  });
+
+  test('accepts codes one step either side of now, and no further', () => {
+    const { secret } = TOTP_VECTORS.sha1;
+    const time = 1111111111 * 1000;
+
+    assert.deepEqual(totpService.verify('07081804', secret, { time, digits: 8 }), { valid: true, delta: -1, counter: 37037036 });
+    assert.equal(totpService.verify('14050471', secret, { time, digits: 8 }).delta, 0);
+    assert.equal(totpService.verify('07081804', secret, { time: time + 30_000, digits: 8 }).valid, false);
+    assert.equal(totpService.verify('07081804', secret, { time, digits: 8, window: 0 }).valid, false);
+  });
+
+  test('rejects malformed codes', () => {
+    const { secret } = TOTP_VECTORS.sha1;
+    const time = 59 * 1000;
+
+    assert.equal(totpService.verify('9428708', secret, { time, digits: 8 }).valid, false);
+    assert.equal(totpService.verify('9428708a', secret, { time, digits: 8 }).valid, false);
+    assert.equal(totpService.verify(null, secret, { time, digits: 8 }).valid, false);
+    assert.equal(totpService.verify('9428 7082', secret, { time, digits: 8 }).valid, true);
+  });
+});
@@ -0,0 +1,327 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Quest from '../src/models/Quest.js';
+import User from '../src/models/User.js';
+import LedgerTransaction from '../src/models/LedgerTransaction.js';
+import TreasuryAccount from '../src/models/TreasuryAccount.js';
+import aptosService from '../src/services/aptosService.js';
+import treasuryService from '../src/services/treasuryService.js';
+import { LEDGER_TYPES } from '../src/config/constants.js';
+import { fakeCollection } from './helpers.js';
+
+const RECIPIENT = '0x' + 'b'.repeat(64);
+const MASTER = '0x' + 'a'.repeat(64);
+const TX_HASH = '0x' + 'c'.repeat(64);
+
+/**
+ * In-memory ledger, treasury balances and quest budget behind the model
+ * statics the treasury uses: unique idempotency keys, schema validation,
+ * and the conditional balance and budget updates.
+ */
+const fakeStore = (t, { aptRemaining = 0, availableOctas = {} } = {}) => {
+  const entries = fakeCollection(t, LedgerTransaction, { unique: ['idempotencyKey'] });
+  const treasuries = { ...availableOctas };
+  const quest = { _id: new mongoose.Types.ObjectId(), campaignId: null, budget: { aptRemaining, totalAptAllocated: aptRemaining } };
+
+  t.mock.method(TreasuryAccount, 'findOne', async ({ account }) =>
+    account in treasuries ? { account, availableOctas: treasuries[account] } : null);
+  t.mock.method(TreasuryAccount, 'findOneAndUpdate', async ({ account, availableOctas: { $gte } }, { $inc }) => {
+    if (!((treasuries[account] ?? -1) >= $gte)) return null;
+    treasuries[account] += $inc.availableOctas;
+    return { account, availableOctas: treasuries[account] };
+  });
+  t.mock.method(TreasuryAccount, 'updateOne', async ({ account }, { $inc }) => {
+    treasuries[account] = (treasuries[account] || 0) + $inc.availableOctas;
+  });
+
+  t.mock.method(Quest, 'findOneAndUpdate', async (filter, [{ $set }]) => {
+    const required = filter.$expr?.$gte[1];
+    if (required !== undefined && Math.round(quest.budget.aptRemaining * 1e8) < Math.round(required * 1e8)) return null;
+
+    const delta = (path) => $set[path].$round[0].$add[1];
+    quest.budget.aptRemaining = Math.round((quest.budget.aptRemaining + delta('budget.aptRemaining')) * 1e8) / 1e8;
+    quest.budget.totalAptAllocated = Math.round((quest.budget.totalAptAllocated + delta('budget.totalAptAllocated')) * 1e8) / 1e8;
+    return quest;
+  });
+
+  // Net balance of every account across the ledger
+  const balances = () => {
+    const totals = {};
+    for (const entry of entries) {
+      for (const line of entry.lines) {
+        totals[line.account] = (totals[line.account] || 0) + line.debit - line.credit;
+      }
+    }
+    return totals;
+  };
+
+  return { entries, quest, treasuries, balances };
+};
+
+describe('LedgerTransaction validation', () => {
+  const base = () => ({
+    type: LEDGER_TYPES.RESERVE,
+    amountOctas: 100,
+    treasury: 'treasury:master',
+    questCompletionId: new mongoose.Types.ObjectId()
+  });
+
+  test('accepts a balanced posting', async () => {
+    await new LedgerTransaction({
+      ...base(),
+      lines: [{ account: 'budget:quest:1', debit: 100 }, { account: 'payable:user:1', credit: 100 }]
+    }).validate();
+  });
+
+  test('rejects postings whose debits and credits differ', async () => {
+    await assert.rejects(new LedgerTransaction({
+      ...base(),
+      lines: [{ account: 'budget:quest:1', debit: 100 }, { account: 'payable:user:1', credit: 99 }]
+    }).validate(), /not balanced/);
+  });
+
+  test('rejects postings that do not add up to the amount', async () => {
+    await assert.rejects(new LedgerTransaction({
+      ...base(),
+      lines: [{ account: 'budget:quest:1', debit: 50 }, { account: 'payable:user:1', credit: 50 }]
+    }).validate(), /not balanced/);
+  });
+
+  test('rejects fractions of an octa and lines that are both debit and credit', async () => {
+    await assert.rejects(new LedgerTransaction({
+      ...base(),
+      amountOctas: 1,
+      lines: [{ account: 'a', debit: 0.5 }, { account: 'b', credit: 0.5 }]
+    }).validate(), /whole octas/);
+
+    await assert.rejects(new LedgerTransaction({
+      ...base(),
+      lines: [{ account: 'a', debit: 100, credit: 100 }]
+    }).validate(), /either a debit or a credit/);
+  });
+
+  test('rewards must link to what earned them', async () => {
+    await assert.rejects(new LedgerTransaction({
+      ...base(),
+      questCompletionId: null,
+      lines: [{ account: 'a', debit: 100 }, { account: 'b', credit: 100 }]
+    }).validate(), /must link/);
+  });
+});
+
+describe('treasuryService rewards', () => {
+  let userId;
+  beforeEach(() => { userId = new mongoose.Types.ObjectId(); });
+
+  const reserve = (quest, key = 'completion-1', amount = 0.5) => treasuryService.reserveReward({ quest }, {
+    userId,
+    amount,
+    questCompletionId: new mongoose.Types.ObjectId(),
+    idempotencyKey: key
+  });
+
+  test('reserving takes the reward out of the budget, once per key', async (t) => {
+    const { quest, entries } = fakeStore(t, { aptRemaining: 1 });
+
+    const first = await reserve(quest);
+    const again = await reserve(quest);
+
+    assert.equal(String(again._id), String(first._id));
+    assert.equal(entries.length, 1);
+    assert.equal(first.amountOctas, 50_000_000);
+    assert.equal(quest.budget.aptRemaining, 0.5);
+  });
+
+  test('a reward the budget cannot cover is not reserved', async (t) => {
+    const { quest, entries } = fakeStore(t, { aptRemaining: 0.4 });
+
+    assert.equal(await reserve(quest), null);
+    assert.equal(entries.length, 0);
+    assert.equal(quest.budget.aptRemaining, 0.4);
+  });
+
+  test('losing a reserve race gives the budget back', async (t) => {
+    const { quest } = fakeStore(t, { aptRemaining: 1 });
+    const winner = await reserve(quest);
+
+    // The other request checked for the key before the winner created it
+    const findOne = LedgerTransaction.findOne;
+    let calls = 0;
+    t.mock.method(LedgerTransaction, 'findOne', async (filter) => (calls++ === 0 ? null : findOne(filter)));
+
+    const loser = await reserve(quest);
+
+    assert.equal(String(loser._id), String(winner._id));
+    assert.equal(quest.budget.aptRemaining, 0.5);
+  });
+
+  test('paying twice sends once and posts one payout; the ledger balances', async (t) => {
+    const { quest, entries, balances } = fakeStore(t, { aptRemaining: 1 });
+    const send = t.mock.method(aptosService, 'sendReward', async (to, amount, { onSubmitted }) => {
+      await onSubmitted('0xpaid');
+      return { txHash: '0xpaid', txVersion: 99 };
+    });
+
+    const reserved = await reserve(quest);
+    const payout = await treasuryService.payReserve(reserved, RECIPIENT);
+    const again = await treasuryService.payReserve(reserved, RECIPIENT);
+
+    assert.equal(send.mock.callCount(), 1);
+    assert.equal(String(again._id), String(payout._id));
+    assert.equal(payout.type, LEDGER_TYPES.PAYOUT);
+    assert.equal(payout.txHash, '0xpaid');
+    assert.equal(entries.filter(e => e.type === LEDGER_TYPES.PAYOUT).length, 1);
+
+    const totals = balances();
+    assert.equal(Object.values(totals).reduce((a, b) => a + b, 0), 0);
+    assert.equal(totals[treasuryService.payableAccount(userId)], 0);
+  });
+
+  test('a retry after a crash reuses the transfer that went through', async (t) => {
+    const { quest } = fakeStore(t, { aptRemaining: 1 });
+    const send = t.mock.method(aptosService, 'sendReward', async () => ({ txHash: '0xnew', txVersion: 1 }));
+    t.mock.method(aptosService, 'getTransactionStatus', async () => ({ status: 'success', txVersion: 42 }));
+
+    const reserved = await reserve(quest);
+    reserved.pendingTxHash = '0xfirst';
+
+    const payout = await treasuryService.payReserve(reserved, RECIPIENT);
+
+    assert.equal(send.mock.callCount(), 0);
+    assert.equal(payout.txHash, '0xfirst');
+    assert.equal(payout.txVersion, '42');
+  });
+
+  test('a retry waits while the earlier transfer is pending', async (t) => {
+    const { quest } = fakeStore(t, { aptRemaining: 1 });
+    const send = t.mock.method(aptosService, 'sendReward', async () => ({ txHash: '0xnew', txVersion: 1 }));
+    t.mock.method(aptosService, 'getTransactionStatus', async () => ({ status: 'pending' }));
+
+    const reserved = await reserve(quest);
+    reserved.pendingTxHash = '0xfirst';
+
+    await assert.rejects(treasuryService.payReserve(reserved, RECIPIENT), /still pending/);
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  test('cancelling returns the reward to the budget and settles the reserve once', async (t) => {
+    const { quest, entries, balances } = fakeStore(t, { aptRemaining: 1 });
+
+    const reserved = await reserve(quest);
+    const reversal = await treasuryService.cancelReserve(reserved, 'No wallet');
+    const again = await treasuryService.cancelReserve(reserved, 'No wallet');
+
+    assert.equal(reversal.type, LEDGER_TYPES.REVERSAL);
+    assert.equal(String(again._id), String(reversal._id));
+    assert.equal(quest.budget.aptRemaining, 1);
+    assert.equal(entries.length, 2);
+    assert.equal(balances()[treasuryService.payableAccount(userId)], 0);
+
+    // Settled as a reversal: a late payment attempt doesn't pay
+    const send = t.mock.method(aptosService, 'sendReward', async () => ({ txHash: '0xlate' }));
+    assert.equal(String((await treasuryService.payReserve(reserved, RECIPIENT))._id), String(reversal._id));
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  test('cancelling a reserve whose transfer went through posts the payout instead', async (t) => {
+    const { quest, entries } = fakeStore(t, { aptRemaining: 1 });
+    t.mock.method(aptosService, 'getTransactionStatus', async () => ({ status: 'success', txVersion: 7 }));
+
+    const reserved = await reserve(quest);
+    reserved.pendingTxHash = '0xsent';
+
+    const settled = await treasuryService.cancelReserve(reserved, 'Timed out');
+
+    assert.equal(settled.type, LEDGER_TYPES.PAYOUT);
+    assert.equal(entries.filter(e => e.type === LEDGER_TYPES.REVERSAL).length, 0);
+    assert.equal(quest.budget.aptRemaining, 0.5);
+  });
+});
+
+describe('treasuryService funding', () => {
+  const admin = new User({ _id: new mongoose.Types.ObjectId(), name: 'Admin', email: 'admin@example.com', userType: 'admin' });
+  const brand = new User({ _id: new mongoose.Types.ObjectId(), name: 'Brand', email: 'brand@example.com', userType: 'brand' });
+
+  beforeEach((t) => {
+    // Node 20's runner misreads emoji logs that share a chunk with its own output
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(aptosService, 'isInitialized', () => true);
+    t.mock.method(aptosService, 'getMasterAddress', () => MASTER);
+  });
+
+  const transfer = (t, fields = {}) => t.mock.method(aptosService, 'getAptTransfer', async () => ({
+    sender: RECIPIENT,
+    recipient: MASTER,
+    amountOctas: 200_000_000,
+    txVersion: 12,
+    ...fields
+  }));
+
+  test('only admins fund budgets from the master wallet', async (t) => {
+    const { quest, entries, treasuries } = fakeStore(t, { availableOctas: { 'treasury:master': 500_000_000 } });
+
+    await assert.rejects(treasuryService.allocate({ quest }, 1, brand), { statusCode: 403 });
+    assert.equal(entries.length, 0);
+    assert.equal(quest.budget.aptRemaining, 0);
+
+    const { entry } = await treasuryService.allocate({ quest }, 1, admin);
+    assert.equal(entry.type, LEDGER_TYPES.ALLOCATION);
+    assert.equal(quest.budget.aptRemaining, 1);
+    assert.equal(treasuries['treasury:master'], 400_000_000);
+  });
+
+  test('an allocation cannot exceed what was deposited', async (t) => {
+    const { quest, entries, treasuries } = fakeStore(t, { availableOctas: { 'treasury:master': 50_000_000 } });
+
+    await assert.rejects(treasuryService.allocate({ quest }, 1, admin), {
+      statusCode: 400,
+      message: /has 0.5 APT unallocated/
+    });
+    assert.equal(entries.length, 0);
+    assert.equal(quest.budget.aptRemaining, 0);
+    assert.equal(treasuries['treasury:master'], 50_000_000);
+  });
+
+  test('a failed posting gives the deposits and budget back', async (t) => {
+    const { quest, treasuries } = fakeStore(t, { availableOctas: { 'treasury:master': 100_000_000 } });
+    t.mock.method(LedgerTransaction, 'create', async () => { throw new Error('write failed'); });
+
+    await assert.rejects(treasuryService.allocate({ quest }, 1, admin), /write failed/);
+    assert.equal(treasuries['treasury:master'], 100_000_000);
+    assert.equal(quest.budget.aptRemaining, 0);
+  });
+
+  test('a deposit is credited once and funds allocations', async (t) => {
+    const { quest, entries, treasuries, balances } = fakeStore(t);
+    transfer(t);
+
+    const deposit = await treasuryService.recordDeposit('treasury:master', TX_HASH, admin);
+    await assert.rejects(treasuryService.recordDeposit('treasury:master', TX_HASH.toUpperCase(), admin), {
+      statusCode: 409
+    });
+
+    assert.equal(deposit.type, LEDGER_TYPES.DEPOSIT);
+    assert.equal(deposit.txVersion, '12');
+    assert.equal(entries.length, 1);
+    assert.equal(treasuries['treasury:master'], 200_000_000);
+
+    await treasuryService.allocate({ quest }, 2, admin);
+    assert.equal(treasuries['treasury:master'], 0);
+    assert.equal(balances()['treasury:master'], 0);
+  });
+
+  test('a transfer to another address, or not a transfer, is not a deposit', async (t) => {
+    const { entries, treasuries } = fakeStore(t);
+
+    transfer(t, { recipient: RECIPIENT });
+    await assert.rejects(treasuryService.recordDeposit('treasury:master', TX_HASH, admin), /not sent to the treasury/);
+
+    t.mock.method(aptosService, 'getAptTransfer', async () => null);
+    await assert.rejects(treasuryService.recordDeposit('treasury:master', TX_HASH, admin), /not a committed APT transfer/);
+
+    await assert.rejects(treasuryService.recordDeposit('treasury:master', 'abc', admin), { statusCode: 400 });
+    assert.equal(entries.length, 0);
+    assert.deepEqual(treasuries, {});
+  });
+});
@@ -0,0 +1,178 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import UploadSession from '../src/models/UploadSession.js';
+import Memory from '../src/models/Memory.js';
+import User from '../src/models/User.js';
+import uploadService from '../src/services/uploadService.js';
+import { loadUploadSession } from '../src/middleware/uploadMiddleware.js';
+import { UPLOAD_STATUS } from '../src/config/constants.js';
+import { run } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+
+const completingSession = (fields = {}) => new UploadSession({
+  userId: new mongoose.Types.ObjectId(),
+  fileName: 'video.mp4',
+  fileSize: 5000,
+  receivedBytes: 5000,
+  memory: { title: 'Holiday' },
+  status: UPLOAD_STATUS.COMPLETING,
+  memoryId: new mongoose.Types.ObjectId(),
+  completingAt: new Date(Date.now() - 10 * MINUTE),
+  ...fields
+});
+
+describe('uploadService.settleCompletion', () => {
+  test('reverts to uploading and gives back charged storage when no memory was created', async (t) => {
+    const session = completingSession({ storageReserved: true });
+    const userUpdates = [];
+
+    t.mock.method(Memory, 'exists', async () => null);
+    t.mock.method(UploadSession, 'findOneAndUpdate', async (filter, update) => {
+      assert.equal(filter.status, UPLOAD_STATUS.COMPLETING);
+      assert.equal(update.status, UPLOAD_STATUS.UPLOADING);
+      assert.equal(update.error, 'storage down');
+      return session;
+    });
+    t.mock.method(User, 'findByIdAndUpdate', async (id, update) => {
+      userUpdates.push({ id, update });
+    });
+
+    assert.equal(await uploadService.settleCompletion(session, 'storage down'), UPLOAD_STATUS.UPLOADING);
+    assert.deepEqual(userUpdates, [{
+      id: session.userId,
+      update: { $inc: { totalMemories: -1, storageUsed: -5000 } }
+    }]);
+  });
+
+  test('leaves storage alone when the completion had not charged it', async (t) => {
+    const session = completingSession({ storageReserved: false });
+    const charge = t.mock.method(User, 'findByIdAndUpdate', async () => {});
+
+    t.mock.method(Memory, 'exists', async () => null);
+    t.mock.method(UploadSession, 'findOneAndUpdate', async () => session);
+
+    await uploadService.settleCompletion(session);
+    assert.equal(charge.mock.callCount(), 0);
+  });
+
+  test('finishes the upload when its memory was already created', async (t) => {
+    const session = completingSession({ storageReserved: true });
+    const charge = t.mock.method(User, 'findByIdAndUpdate', async () => {});
+    const discard = t.mock.method(uploadService, 'discard', async () => {});
+
+    t.mock.method(Memory, 'exists', async () => ({ _id: session.memoryId }));
+    t.mock.method(UploadSession, 'findOneAndUpdate', async (filter, update) => {
+      assert.equal(update.status, UPLOAD_STATUS.COMPLETED);
+      return session;
+    });
+
+    assert.equal(await uploadService.settleCompletion(session), UPLOAD_STATUS.COMPLETED);
+    assert.equal(discard.mock.callCount(), 1);
+    assert.equal(charge.mock.callCount(), 0);
+  });
+
+  test('does nothing if the session is no longer completing', async (t) => {
+    const charge = t.mock.method(User, 'findByIdAndUpdate', async () => {});
+
+    t.mock.method(Memory, 'exists', async () => null);
+    t.mock.method(UploadSession, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await uploadService.settleCompletion(completingSession({ storageReserved: true })), null);
+    assert.equal(charge.mock.callCount(), 0);
+  });
+});
+
+describe('uploadService.cleanupExpired', () => {
+  test('settles completions that have been stuck too long', async (t) => {
+    const stuck = completingSession();
+    const queries = [];
+
+    t.mock.method(UploadSession, 'find', async (filter) => {
+      queries.push(filter);
+      return filter.status === UPLOAD_STATUS.COMPLETING ? [stuck] : [];
+    });
+    const settle = t.mock.method(uploadService, 'settleCompletion', async () => UPLOAD_STATUS.UPLOADING);
+
+    const now = new Date();
+    await uploadService.cleanupExpired(now);
+
+    assert.equal(settle.mock.callCount(), 1);
+    assert.equal(settle.mock.calls[0].arguments[0], stuck);
+    assert.ok(queries[0].completingAt.$lte < now);
+  });
+});
+
+describe('uploadService.getReservedBytes', () => {
+  test('skips completions that already charged the user', async (t) => {
+    let pipeline;
+    t.mock.method(UploadSession, 'aggregate', async (stages) => {
+      pipeline = stages;
+      return [{ total: 42 }];
+    });
+
+    assert.equal(await uploadService.getReservedBytes('u1'), 42);
+    assert.deepEqual(pipeline[0].$match.$or, [
+      { status: UPLOAD_STATUS.UPLOADING },
+      { status: UPLOAD_STATUS.COMPLETING, storageReserved: { $ne: true } }
+    ]);
+  });
+});
+
+describe('chunk write lock', () => {
+  const uploadingSession = () => new UploadSession({
+    userId: new mongoose.Types.ObjectId(),
+    fileName: 'video.mp4',
+    fileSize: 5000,
+    memory: { title: 'Holiday' },
+    nextChunk: 2
+  });
+
+  const load = (session) => run(loadUploadSession, {
+    params: { uploadId: session._id.toString(), index: '2' },
+    user: { _id: session.userId }
+  });
+
+  test('a second PUT of the same chunk is refused while the first is writing', async (t) => {
+    const session = uploadingSession();
+    let holder = null;
+
+    t.mock.method(UploadSession, 'findOne', async () => session);
+    t.mock.method(UploadSession, 'findOneAndUpdate', async (filter, update) => {
+      assert.equal(filter.nextChunk, 2);
+      if (holder && holder.expiresAt > new Date()) return null;
+      holder = update.chunkLock;
+      return new UploadSession({ ...session.toObject(), chunkLock: holder });
+    });
+
+    const first = await load(session);
+    const second = await load(session);
+
+    assert.ok(first.nextCalled);
+    assert.equal(first.req.uploadSession.chunkLock.token, holder.token);
+    assert.ok(!second.nextCalled);
+    assert.equal(second.res.statusCode, 409);
+  });
+
+  test('the lock is released when the response ends', async (t) => {
+    const session = uploadingSession();
+    const unlocks = [];
+
+    t.mock.method(UploadSession, 'findOne', async () => session);
+    t.mock.method(UploadSession, 'findOneAndUpdate', async (filter, update) =>
+      new UploadSession({ ...session.toObject(), chunkLock: update.chunkLock }));
+    t.mock.method(UploadSession, 'updateOne', async (filter, update) => {
+      unlocks.push({ filter, update });
+    });
+
+    const { req, res } = await load(session);
+    res.listeners.close();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(unlocks, [{
+      filter: { _id: session._id, 'chunkLock.token': req.uploadSession.chunkLock.token },
+      update: { $unset: { chunkLock: 1 } }
+    }]);
+  });
+});
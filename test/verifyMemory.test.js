@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Memory from '../src/models/Memory.js';
+import aptosService from '../src/services/aptosService.js';
+import { verifyMemory } from '../src/controllers/memoryController.js';
+import { run } from './helpers.js';
+
+const MASTER = '0x' + 'a'.repeat(64);
+const ALICE = '0x' + 'b'.repeat(64);
+const CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+
+const verify = async (t, { memoryFields = {}, user = {}, record, ownerOf = {}, txMemoryId = '7' }) => {
+  const userId = new mongoose.Types.ObjectId();
+  const memory = new Memory({
+    userId,
+    title: 'Wedding',
+    ipfsHash: CID,
+    isOnChain: true,
+    txHash: '0xfeed',
+    onChainId: '7',
+    ...memoryFields
+  });
+
+  t.mock.method(Memory, 'findOne', async () => memory);
+  t.mock.method(aptosService, 'getMasterAddress', () => MASTER);
+  t.mock.method(aptosService, 'getOnChainMemory', async () => ({ memoryId: '7', ipfsHash: CID, custodian: MASTER, ...record }));
+  t.mock.method(aptosService, 'verifyOwnership', async (id, address) => ownerOf[id] === address);
+  t.mock.method(aptosService, 'getMemoryIdFromTransaction', async () => txMemoryId);
+
+  const { res, error } = await run(verifyMemory, { params: { id: memory._id.toString() }, user: { _id: userId, ...user } });
+  if (error) throw error;
+  return res.body;
+};
+
+describe('GET /api/memories/:id/verify', () => {
+  test('verifies a memory the user owns on chain', async (t) => {
+    const body = await verify(t, {
+      memoryFields: { onChainOwner: ALICE },
+      record: { owner: ALICE },
+      ownerOf: { 7: ALICE }
+    });
+
+    assert.equal(body.verified, true);
+    assert.equal(body.data.blockchain.checks.ownedByUser, true);
+  });
+
+  test('a master-held record alone does not verify', async (t) => {
+    const body = await verify(t, {
+      memoryFields: { onChainOwner: MASTER },
+      user: { aptosAddress: ALICE },
+      record: { owner: MASTER },
+      txMemoryId: '8'
+    });
+
+    assert.equal(body.verified, false);
+    assert.equal(body.data.blockchain.checks.ownedByMaster, true);
+    assert.equal(body.data.blockchain.checks.storedForMemory, false);
+  });
+
+  test('verifies a master-held record created by this memory\'s transaction', async (t) => {
+    const body = await verify(t, {
+      memoryFields: { onChainOwner: MASTER },
+      record: { owner: MASTER },
+      txMemoryId: '7'
+    });
+
+    assert.equal(body.verified, true);
+    assert.equal(body.data.blockchain.checks.storedForMemory, true);
+  });
+
+  test('a record owned by someone else does not verify', async (t) => {
+    const body = await verify(t, {
+      memoryFields: { onChainOwner: ALICE },
+      record: { owner: '0x' + 'c'.repeat(64) },
+      ownerOf: { 7: '0x' + 'c'.repeat(64) }
+    });
+
+    assert.equal(body.verified, false);
+  });
+
+  test('a hash mismatch does not verify', async (t) => {
+    const body = await verify(t, {
+      memoryFields: { onChainOwner: ALICE },
+      record: { owner: ALICE, ipfsHash: 'bafkreiother' },
+      ownerOf: { 7: ALICE }
+    });
+
+    assert.equal(body.verified, false);
+  });
+});
@@ -0,0 +1,164 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ed25519PrivateKey } from '@aptos-labs/ts-sdk';
+import WalletChallenge from '../src/models/WalletChallenge.js';
+import aptosService from '../src/services/aptosService.js';
+import walletAuthService from '../src/services/walletAuthService.js';
+
+const wallet = () => {
+  const privateKey = Ed25519PrivateKey.generate();
+  const publicKey = privateKey.publicKey();
+  return {
+    address: publicKey.authKey().derivedAddress().toStringLong(),
+    publicKey: publicKey.toString(),
+    sign: text => privateKey.sign(new TextEncoder().encode(text)).toString()
+  };
+};
+
+const envelope = (challenge, { chainId = challenge.chainId, application = challenge.uri } = {}) => [
+  'APTOS',
+  `address: ${challenge.address}`,
+  `application: ${application}`,
+  `chainId: ${chainId}`,
+  `message: ${challenge.message}`,
+  `nonce: ${challenge.nonce}`
+].join('\n');
+
+const rejection = message => (error) => {
+  assert.equal(error.statusCode, 401);
+  assert.match(error.message, message);
+  return true;
+};
+
+describe('Sign-In-with-Aptos', () => {
+  let saved;
+  let challenges;
+
+  beforeEach((t) => {
+    saved = { aptos: aptosService.aptos };
+    aptosService.aptos = {
+      config: { network: 'testnet' },
+      getAccountInfo: async () => { throw new Error('Account not found'); }
+    };
+
+    // Challenges kept in memory, consumed with the same rules as the model
+    challenges = new Map();
+    t.mock.method(WalletChallenge, 'create', async (fields) => {
+      challenges.set(fields.nonce, { ...fields, usedAt: null });
+      return challenges.get(fields.nonce);
+    });
+    t.mock.method(WalletChallenge, 'findOneAndUpdate', async (filter, update) => {
+      const challenge = challenges.get(filter.nonce);
+      if (!challenge || challenge.address !== filter.address || challenge.usedAt !== null ||
+          !(challenge.expiresAt > filter.expiresAt.$gt)) return null;
+      Object.assign(challenge, update.$set);
+      return challenge;
+    });
+  });
+
+  afterEach(() => {
+    aptosService.aptos = saved.aptos;
+  });
+
+  test('the challenge binds the address, domain, chain and a fresh nonce', async () => {
+    const { address } = wallet();
+    const first = await walletAuthService.createChallenge(address);
+    const second = await walletAuthService.createChallenge(address);
+
+    assert.notEqual(first.nonce, second.nonce);
+    assert.ok(first.message.startsWith(
+      `${walletAuthService.getOrigin().domain} wants you to sign in with your Aptos account:\n${address}\n`
+    ));
+    assert.match(first.message, new RegExp(`\nChain ID: 2\nNonce: ${first.nonce}\n`));
+  });
+
+  test('a signed challenge logs in once', async () => {
+    const account = wallet();
+    const challenge = await walletAuthService.createChallenge(account.address);
+    const login = {
+      address: account.address,
+      publicKey: account.publicKey,
+      signature: account.sign(challenge.message),
+      nonce: challenge.nonce
+    };
+
+    assert.deepEqual(await walletAuthService.verifyLogin(login), { address: account.address, accountType: 'ed25519' });
+    await assert.rejects(walletAuthService.verifyLogin(login), rejection(/already used/));
+  });
+
+  test('a failed attempt uses up the nonce', async () => {
+    const account = wallet();
+    const challenge = await walletAuthService.createChallenge(account.address);
+    const login = { address: account.address, publicKey: account.publicKey, nonce: challenge.nonce };
+
+    await assert.rejects(
+      walletAuthService.verifyLogin({ ...login, signature: account.sign('something else') }),
+      rejection(/Invalid wallet signature/)
+    );
+    await assert.rejects(
+      walletAuthService.verifyLogin({ ...login, signature: account.sign(challenge.message) }),
+      rejection(/already used/)
+    );
+  });
+
+  test('expired challenges and other addresses are refused', async () => {
+    const account = wallet();
+    const other = wallet();
+    const challenge = await walletAuthService.createChallenge(account.address);
+
+    await assert.rejects(walletAuthService.verifyLogin({
+      address: other.address, publicKey: other.publicKey, signature: other.sign(challenge.message), nonce: challenge.nonce
+    }), rejection(/unknown, expired or already used/));
+
+    challenges.get(challenge.nonce).expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(walletAuthService.verifyLogin({
+      address: account.address, publicKey: account.publicKey, signature: account.sign(challenge.message), nonce: challenge.nonce
+    }), rejection(/unknown, expired or already used/));
+  });
+
+  test('a key that does not control the address is refused', async () => {
+    const account = wallet();
+    const intruder = wallet();
+    const challenge = await walletAuthService.createChallenge(account.address);
+
+    await assert.rejects(walletAuthService.verifyLogin({
+      address: account.address,
+      publicKey: intruder.publicKey,
+      signature: intruder.sign(challenge.message),
+      nonce: challenge.nonce
+    }), rejection(/does not control this address/));
+  });
+
+  test('the wallet envelope is accepted only for our application and chain', async () => {
+    const account = wallet();
+    const login = async (options) => {
+      const challenge = await walletAuthService.createChallenge(account.address);
+      const fullMessage = envelope(challenge, options);
+      return walletAuthService.verifyLogin({
+        address: account.address,
+        publicKey: account.publicKey,
+        signature: account.sign(fullMessage),
+        nonce: challenge.nonce,
+        fullMessage
+      });
+    };
+
+    assert.equal((await login()).accountType, 'ed25519');
+    await assert.rejects(login({ chainId: 1 }), rejection(/different network/));
+    await assert.rejects(login({ application: 'https://evil.example' }), rejection(/different application/));
+  });
+
+  test('a signature over another challenge does not carry over', async () => {
+    const account = wallet();
+    const stale = await walletAuthService.createChallenge(account.address);
+    const current = await walletAuthService.createChallenge(account.address);
+
+    await assert.rejects(walletAuthService.verifyLogin({
+      address: account.address,
+      publicKey: account.publicKey,
+      signature: account.sign(envelope(stale)),
+      nonce: current.nonce,
+      fullMessage: envelope(stale)
+    }), rejection(/does not (carry the challenge nonce|match the challenge)/));
+  });
+});